@@ -17,16 +17,22 @@ import { connections_list_send_to_context as connections_list_send_to_context_ac
 import { context_add as context_add_action, display_name as context_add_action_display_name, display_description as context_add_action_display_description, action_scope as context_add_action_action_scope, tool as context_add_action_tool, input_schema as context_add_action_input_schema, output_schema as context_add_action_output_schema } from './src/actions/context/add.js';
 import { context_convert_to_named as context_convert_to_named_action, menus as context_convert_to_named_action_menus } from './src/actions/context/convert_to_named.js';
 import { context_copy_at_depth as context_copy_at_depth_action, display_name as context_copy_at_depth_action_display_name, action_scope as context_copy_at_depth_action_action_scope, menus as context_copy_at_depth_action_menus } from './src/actions/context/copy_at_depth.js';
+import { context_copy_in_parts as context_copy_in_parts_action, display_name as context_copy_in_parts_action_display_name, action_scope as context_copy_in_parts_action_action_scope, menus as context_copy_in_parts_action_menus } from './src/actions/context/copy_in_parts.js';
+import { context_copy_within_budget as context_copy_within_budget_action, display_name as context_copy_within_budget_action_display_name, action_scope as context_copy_within_budget_action_action_scope, menus as context_copy_within_budget_action_menus } from './src/actions/context/copy_within_budget.js';
 import { context_delete_context as context_delete_context_action, menus as context_delete_context_action_menus } from './src/actions/context/delete_context.js';
+import { context_export_bundle as context_export_bundle_action, display_name as context_export_bundle_action_display_name, menus as context_export_bundle_action_menus } from './src/actions/context/export_bundle.js';
+import { context_export_to_file as context_export_to_file_action, display_name as context_export_to_file_action_display_name, action_scope as context_export_to_file_action_action_scope, menus as context_export_to_file_action_menus } from './src/actions/context/export_to_file.js';
 import { context_get as context_get_action, display_name as context_get_action_display_name, display_description as context_get_action_display_description, action_scope as context_get_action_action_scope, tool as context_get_action_tool, input_schema as context_get_action_input_schema, output_schema as context_get_action_output_schema } from './src/actions/context/get.js';
 import { context_make_copy as context_make_copy_action, menus as context_make_copy_action_menus } from './src/actions/context/make_copy.js';
 import { context_open_builder as context_open_builder_action, menus as context_open_builder_action_menus } from './src/actions/context/open_builder.js';
 import { context_open_codeblock_builder as context_open_codeblock_builder_action, menus as context_open_codeblock_builder_action_menus } from './src/actions/context/open_codeblock_builder.js';
 import { context_open_codeblock_help as context_open_codeblock_help_action, menus as context_open_codeblock_help_action_menus } from './src/actions/context/open_codeblock_help.js';
 import { context_open_copy_depth_selector as context_open_copy_depth_selector_action, display_name as context_open_copy_depth_selector_action_display_name, action_scope as context_open_copy_depth_selector_action_action_scope, menus as context_open_copy_depth_selector_action_menus } from './src/actions/context/open_copy_depth_selector.js';
+import { context_open_history as context_open_history_action, display_name as context_open_history_action_display_name, menus as context_open_history_action_menus } from './src/actions/context/open_history.js';
 import { context_parse_codeblock as context_parse_codeblock_action } from './src/actions/context/parse_codeblock.js';
 import { context_read as context_read_action, display_name as context_read_action_display_name, display_description as context_read_action_display_description, action_scope as context_read_action_action_scope, tool as context_read_action_tool, input_schema as context_read_action_input_schema, output_schema as context_read_action_output_schema } from './src/actions/context/read.js';
 import { context_remove as context_remove_action, display_name as context_remove_action_display_name, display_description as context_remove_action_display_description, action_scope as context_remove_action_action_scope, tool as context_remove_action_tool, input_schema as context_remove_action_input_schema, output_schema as context_remove_action_output_schema } from './src/actions/context/remove.js';
+import { env_copy_folder_in_parts as env_copy_folder_in_parts_action, menus as env_copy_folder_in_parts_action_menus } from './src/actions/env/copy_folder_in_parts.js';
 import { env_copy_folder_to_clipboard as env_copy_folder_to_clipboard_action, commands as env_copy_folder_to_clipboard_action_commands, menus as env_copy_folder_to_clipboard_action_menus } from './src/actions/env/copy_folder_to_clipboard.js';
 import { env_copy_selected_folders_to_clipboard as env_copy_selected_folders_to_clipboard_action, menus as env_copy_selected_folders_to_clipboard_action_menus } from './src/actions/env/copy_selected_folders_to_clipboard.js';
 import { env_copy_selected_notes_to_clipboard as env_copy_selected_notes_to_clipboard_action, menus as env_copy_selected_notes_to_clipboard_action_menus } from './src/actions/env/copy_selected_notes_to_clipboard.js';
@@ -34,11 +40,16 @@ import { env_open_file_selection_in_context_builder as env_open_file_selection_i
 import { env_open_folder_in_context_builder as env_open_folder_in_context_builder_action, menus as env_open_folder_in_context_builder_action_menus } from './src/actions/env/open_folder_in_context_builder.js';
 import { lookup_list_send_to_smart_context as lookup_list_send_to_smart_context_action, menus as lookup_list_send_to_smart_context_action_menus, version as lookup_list_send_to_smart_context_action_version } from './src/actions/lookup-list/send_to_smart_context.js';
 import { smart_contexts_create as smart_contexts_create_action, display_name as smart_contexts_create_action_display_name, display_description as smart_contexts_create_action_display_description, action_scope as smart_contexts_create_action_action_scope, tool as smart_contexts_create_action_tool, input_schema as smart_contexts_create_action_input_schema, output_schema as smart_contexts_create_action_output_schema } from './src/actions/smart-contexts/create.js';
+import { smart_contexts_difference as smart_contexts_difference_action, display_name as smart_contexts_difference_action_display_name, display_description as smart_contexts_difference_action_display_description, action_scope as smart_contexts_difference_action_action_scope, tool as smart_contexts_difference_action_tool, input_schema as smart_contexts_difference_action_input_schema, output_schema as smart_contexts_difference_action_output_schema } from './src/actions/smart-contexts/difference.js';
+import { smart_contexts_export_bundle as smart_contexts_export_bundle_action, display_name as smart_contexts_export_bundle_action_display_name, action_scope as smart_contexts_export_bundle_action_action_scope, commands as smart_contexts_export_bundle_action_commands, menus as smart_contexts_export_bundle_action_menus } from './src/actions/smart-contexts/export_bundle.js';
+import { smart_contexts_import_bundle as smart_contexts_import_bundle_action, display_name as smart_contexts_import_bundle_action_display_name, action_scope as smart_contexts_import_bundle_action_action_scope, commands as smart_contexts_import_bundle_action_commands, menus as smart_contexts_import_bundle_action_menus } from './src/actions/smart-contexts/import_bundle.js';
 import { smart_contexts_insert_codeblock as smart_contexts_insert_codeblock_action, commands as smart_contexts_insert_codeblock_action_commands } from './src/actions/smart-contexts/insert_codeblock.js';
+import { smart_contexts_intersection as smart_contexts_intersection_action, display_name as smart_contexts_intersection_action_display_name, display_description as smart_contexts_intersection_action_display_description, action_scope as smart_contexts_intersection_action_action_scope, tool as smart_contexts_intersection_action_tool, input_schema as smart_contexts_intersection_action_input_schema, output_schema as smart_contexts_intersection_action_output_schema } from './src/actions/smart-contexts/intersection.js';
 import { smart_contexts_list as smart_contexts_list_action, display_name as smart_contexts_list_action_display_name, display_description as smart_contexts_list_action_display_description, action_scope as smart_contexts_list_action_action_scope, tool as smart_contexts_list_action_tool, input_schema as smart_contexts_list_action_input_schema, output_schema as smart_contexts_list_action_output_schema } from './src/actions/smart-contexts/list.js';
 import { smart_contexts_open_dashboard as smart_contexts_open_dashboard_action, commands as smart_contexts_open_dashboard_action_commands, ribbon_icons as smart_contexts_open_dashboard_action_ribbon_icons, menus as smart_contexts_open_dashboard_action_menus } from './src/actions/smart-contexts/open_dashboard.js';
 import { smart_contexts_open_new as smart_contexts_open_new_action, commands as smart_contexts_open_new_action_commands, ribbon_icons as smart_contexts_open_new_action_ribbon_icons } from './src/actions/smart-contexts/open_new.js';
 import { smart_contexts_open_onboarding as smart_contexts_open_onboarding_action, commands as smart_contexts_open_onboarding_action_commands, menus as smart_contexts_open_onboarding_action_menus } from './src/actions/smart-contexts/open_onboarding.js';
+import { smart_contexts_union as smart_contexts_union_action, display_name as smart_contexts_union_action_display_name, display_description as smart_contexts_union_action_display_description, action_scope as smart_contexts_union_action_action_scope, tool as smart_contexts_union_action_tool, input_schema as smart_contexts_union_action_input_schema, output_schema as smart_contexts_union_action_output_schema } from './src/actions/smart-contexts/union.js';
 import { source_copy_current as source_copy_current_action, commands as source_copy_current_action_commands } from './src/actions/source/copy_current.js';
 import { source_get_context as source_get_context_action } from './src/actions/source/get_context.js';
 import { source_open_copy_current_menu as source_open_copy_current_menu_action, display_name as source_open_copy_current_menu_action_display_name, action_scope as source_open_copy_current_menu_action_action_scope, ribbon_icons as source_open_copy_current_menu_action_ribbon_icons } from './src/actions/source/open_copy_current_menu.js';
@@ -71,16 +82,22 @@ export const smart_env_config = {
     context_add: { action: context_add_action, display_name: context_add_action_display_name, display_description: context_add_action_display_description, action_scope: context_add_action_action_scope, tool: context_add_action_tool, input_schema: context_add_action_input_schema, output_schema: context_add_action_output_schema, version: "3.1.1" },
     context_convert_to_named: { action: context_convert_to_named_action, menus: context_convert_to_named_action_menus, version: "3.1.1" },
     context_copy_at_depth: { action: context_copy_at_depth_action, display_name: context_copy_at_depth_action_display_name, action_scope: context_copy_at_depth_action_action_scope, menus: context_copy_at_depth_action_menus, version: "3.1.1" },
+    context_copy_in_parts: { action: context_copy_in_parts_action, display_name: context_copy_in_parts_action_display_name, action_scope: context_copy_in_parts_action_action_scope, menus: context_copy_in_parts_action_menus, version: "3.1.1" },
+    context_copy_within_budget: { action: context_copy_within_budget_action, display_name: context_copy_within_budget_action_display_name, action_scope: context_copy_within_budget_action_action_scope, menus: context_copy_within_budget_action_menus, version: "3.1.1" },
     context_delete_context: { action: context_delete_context_action, menus: context_delete_context_action_menus, version: "3.1.1" },
+    context_export_bundle: { action: context_export_bundle_action, display_name: context_export_bundle_action_display_name, menus: context_export_bundle_action_menus, version: "3.1.1" },
+    context_export_to_file: { action: context_export_to_file_action, display_name: context_export_to_file_action_display_name, action_scope: context_export_to_file_action_action_scope, menus: context_export_to_file_action_menus, version: "3.1.1" },
     context_get: { action: context_get_action, display_name: context_get_action_display_name, display_description: context_get_action_display_description, action_scope: context_get_action_action_scope, tool: context_get_action_tool, input_schema: context_get_action_input_schema, output_schema: context_get_action_output_schema, version: "3.1.1" },
     context_make_copy: { action: context_make_copy_action, menus: context_make_copy_action_menus, version: "3.1.1" },
     context_open_builder: { action: context_open_builder_action, menus: context_open_builder_action_menus, version: "3.1.1" },
     context_open_codeblock_builder: { action: context_open_codeblock_builder_action, menus: context_open_codeblock_builder_action_menus, version: "3.1.1" },
     context_open_codeblock_help: { action: context_open_codeblock_help_action, menus: context_open_codeblock_help_action_menus, version: "3.1.1" },
     context_open_copy_depth_selector: { action: context_open_copy_depth_selector_action, display_name: context_open_copy_depth_selector_action_display_name, action_scope: context_open_copy_depth_selector_action_action_scope, menus: context_open_copy_depth_selector_action_menus, version: "3.1.1" },
+    context_open_history: { action: context_open_history_action, display_name: context_open_history_action_display_name, menus: context_open_history_action_menus, version: "3.1.1" },
     context_parse_codeblock: { action: context_parse_codeblock_action, version: "3.1.1" },
     context_read: { action: context_read_action, display_name: context_read_action_display_name, display_description: context_read_action_display_description, action_scope: context_read_action_action_scope, tool: context_read_action_tool, input_schema: context_read_action_input_schema, output_schema: context_read_action_output_schema, version: "3.1.1" },
     context_remove: { action: context_remove_action, display_name: context_remove_action_display_name, display_description: context_remove_action_display_description, action_scope: context_remove_action_action_scope, tool: context_remove_action_tool, input_schema: context_remove_action_input_schema, output_schema: context_remove_action_output_schema, version: "3.1.1" },
+    env_copy_folder_in_parts: { action: env_copy_folder_in_parts_action, menus: env_copy_folder_in_parts_action_menus, version: "3.1.1" },
     env_copy_folder_to_clipboard: { action: env_copy_folder_to_clipboard_action, commands: env_copy_folder_to_clipboard_action_commands, menus: env_copy_folder_to_clipboard_action_menus, version: "3.1.1" },
     env_copy_selected_folders_to_clipboard: { action: env_copy_selected_folders_to_clipboard_action, menus: env_copy_selected_folders_to_clipboard_action_menus, version: "3.1.1" },
     env_copy_selected_notes_to_clipboard: { action: env_copy_selected_notes_to_clipboard_action, menus: env_copy_selected_notes_to_clipboard_action_menus, version: "3.1.1" },
@@ -88,11 +105,16 @@ export const smart_env_config = {
     env_open_folder_in_context_builder: { action: env_open_folder_in_context_builder_action, menus: env_open_folder_in_context_builder_action_menus, version: "3.1.1" },
     lookup_list_send_to_smart_context: { action: lookup_list_send_to_smart_context_action, menus: lookup_list_send_to_smart_context_action_menus, version: lookup_list_send_to_smart_context_action_version },
     smart_contexts_create: { action: smart_contexts_create_action, display_name: smart_contexts_create_action_display_name, display_description: smart_contexts_create_action_display_description, action_scope: smart_contexts_create_action_action_scope, tool: smart_contexts_create_action_tool, input_schema: smart_contexts_create_action_input_schema, output_schema: smart_contexts_create_action_output_schema, version: "3.1.1" },
+    smart_contexts_difference: { action: smart_contexts_difference_action, display_name: smart_contexts_difference_action_display_name, display_description: smart_contexts_difference_action_display_description, action_scope: smart_contexts_difference_action_action_scope, tool: smart_contexts_difference_action_tool, input_schema: smart_contexts_difference_action_input_schema, output_schema: smart_contexts_difference_action_output_schema, version: "3.1.1" },
+    smart_contexts_export_bundle: { action: smart_contexts_export_bundle_action, display_name: smart_contexts_export_bundle_action_display_name, action_scope: smart_contexts_export_bundle_action_action_scope, commands: smart_contexts_export_bundle_action_commands, menus: smart_contexts_export_bundle_action_menus, version: "3.1.1" },
+    smart_contexts_import_bundle: { action: smart_contexts_import_bundle_action, display_name: smart_contexts_import_bundle_action_display_name, action_scope: smart_contexts_import_bundle_action_action_scope, commands: smart_contexts_import_bundle_action_commands, menus: smart_contexts_import_bundle_action_menus, version: "3.1.1" },
     smart_contexts_insert_codeblock: { action: smart_contexts_insert_codeblock_action, commands: smart_contexts_insert_codeblock_action_commands, version: "3.1.1" },
+    smart_contexts_intersection: { action: smart_contexts_intersection_action, display_name: smart_contexts_intersection_action_display_name, display_description: smart_contexts_intersection_action_display_description, action_scope: smart_contexts_intersection_action_action_scope, tool: smart_contexts_intersection_action_tool, input_schema: smart_contexts_intersection_action_input_schema, output_schema: smart_contexts_intersection_action_output_schema, version: "3.1.1" },
     smart_contexts_list: { action: smart_contexts_list_action, display_name: smart_contexts_list_action_display_name, display_description: smart_contexts_list_action_display_description, action_scope: smart_contexts_list_action_action_scope, tool: smart_contexts_list_action_tool, input_schema: smart_contexts_list_action_input_schema, output_schema: smart_contexts_list_action_output_schema, version: "3.1.1" },
     smart_contexts_open_dashboard: { action: smart_contexts_open_dashboard_action, commands: smart_contexts_open_dashboard_action_commands, ribbon_icons: smart_contexts_open_dashboard_action_ribbon_icons, menus: smart_contexts_open_dashboard_action_menus, version: "3.1.1" },
     smart_contexts_open_new: { action: smart_contexts_open_new_action, commands: smart_contexts_open_new_action_commands, ribbon_icons: smart_contexts_open_new_action_ribbon_icons, version: "3.1.1" },
     smart_contexts_open_onboarding: { action: smart_contexts_open_onboarding_action, commands: smart_contexts_open_onboarding_action_commands, menus: smart_contexts_open_onboarding_action_menus, version: "3.1.1" },
+    smart_contexts_union: { action: smart_contexts_union_action, display_name: smart_contexts_union_action_display_name, display_description: smart_contexts_union_action_display_description, action_scope: smart_contexts_union_action_action_scope, tool: smart_contexts_union_action_tool, input_schema: smart_contexts_union_action_input_schema, output_schema: smart_contexts_union_action_output_schema, version: "3.1.1" },
     source_copy_current: { action: source_copy_current_action, commands: source_copy_current_action_commands, version: "3.1.1" },
     source_get_context: { action: source_get_context_action, version: "3.1.1" },
     source_open_copy_current_menu: { action: source_open_copy_current_menu_action, display_name: source_open_copy_current_menu_action_display_name, action_scope: source_open_copy_current_menu_action_action_scope, ribbon_icons: source_open_copy_current_menu_action_ribbon_icons, version: "3.1.1" }
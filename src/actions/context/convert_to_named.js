@@ -1,4 +1,5 @@
 import { normalize_string, get_basename, format_ymd } from '../../utils/pure_utils.js';
+import { parse_context_codeblock_ctx_key } from '../../utils/context_codeblock_ranges.js';
 
 /**
  * @this {import('smart-contexts').SmartContext}
@@ -23,8 +24,9 @@ export function context_convert_to_named(params = {}) {
 
 
 export function finalize_named_context(params, named_ctx) {
-  const source_path = params.source_path || this?.key?.replace(/#codeblock$/, '') || '';
-  if (this.key.endsWith('#codeblock')) {
+  const codeblock_key = parse_context_codeblock_ctx_key(this?.key);
+  const source_path = params.source_path || codeblock_key?.source_path || this?.key || '';
+  if (codeblock_key) {
     named_ctx.data.codeblock_inclusions = { [source_path]: Date.now() };
   }
   const context_name = normalize_string(
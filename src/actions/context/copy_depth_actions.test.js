@@ -427,3 +427,196 @@ test('copy-at-depth placement composes its configured variants into a submenu',
     },
   ]);
 });
+
+test('copy-at-depth text output trims to a token budget and reports cut items', async (t) => {
+  const text_calls = [];
+  const events = [];
+  const ctx = build_context([
+    { key: 'root', size: 40, data: { d: 0, current: true } },
+    { key: 'out-1', size: 40, data: { d: 1 } },
+    { key: 'out-2', size: 400, data: { d: 2 } },
+  ]);
+  ctx.env.smart_contexts = {
+    settings: { tokenizer_encoding: 'heuristic' },
+  };
+  ctx.emit_event = (event_key, payload) => {
+    events.push({ event_key, payload });
+  };
+  ctx.actions.context_copy_to_clipboard = async (params) => {
+    text_calls.push(params);
+    return true;
+  };
+
+  t.true(await context_copy_at_depth.call(ctx, {
+    max_depth: 2,
+    token_budget: 50,
+  }));
+
+  const filter = text_calls[0].filter;
+  t.true(filter({ key: 'root', data: { d: 0 } }));
+  t.true(filter({ key: 'out-1', data: { d: 1 } }));
+  t.false(filter({ key: 'out-2', data: { d: 2 } }));
+  t.is(events.length, 1);
+  t.deepEqual(events[0].payload.dropped_keys, ['out-2']);
+});
+
+test('copy-at-depth menus add a budget copy when a token budget is configured', async (t) => {
+  const ctx = build_context([
+    { key: 'root', data: { d: 0 } },
+  ]);
+  ctx.env.smart_contexts = {
+    settings: { copy_token_budget: 32000 },
+  };
+  const spec = copy_at_depth_menus[copy_depth_menu_key];
+  const { items, runs } = build_depth_menu_items(spec, ctx);
+
+  t.deepEqual(
+    items[0].submenu.items.map((item) => item.title),
+    ['Copy text', 'Copy within 32K tokens', 'Copy link tree'],
+  );
+  await items[0].submenu.items[1].on_click();
+  t.deepEqual(runs, [{
+    max_depth: 0,
+    include_inlinks: false,
+    copy_type: 'text',
+    token_budget: 32000,
+  }]);
+});
+
+test('copy-at-depth asks for a one-off token budget from the depth menu', async (t) => {
+  const text_calls = [];
+  const prompts = [];
+  const ctx = build_context([
+    { key: 'root', size: 40, data: { d: 0, current: true } },
+    { key: 'out-1', size: 400, data: { d: 1 } },
+  ]);
+  ctx.env.smart_contexts = {
+    settings: { tokenizer_encoding: 'heuristic', copy_token_budget: 32000 },
+  };
+  let entered_budget = 50;
+  ctx.env.config.modals.token_budget_modal = {
+    class: class {
+      constructor(scope, params) {
+        prompts.push(params.token_budget);
+        this.params = params;
+      }
+      open() {
+        this.params.on_submit(entered_budget);
+      }
+    },
+  };
+  ctx.actions.context_copy_to_clipboard = async (params) => {
+    text_calls.push(params);
+    return true;
+  };
+
+  const spec = copy_at_depth_menus[copy_depth_menu_key];
+  const { items, runs } = build_depth_menu_items(spec, ctx);
+  const prompt_item = items[0].submenu.items.find((item) => item.title === 'Copy within token budget...');
+  t.truthy(prompt_item);
+  await prompt_item.on_click();
+  t.deepEqual(runs, [{
+    max_depth: 0,
+    include_inlinks: false,
+    copy_type: 'text',
+    prompt_token_budget: true,
+  }]);
+
+  t.true(await context_copy_at_depth.call(ctx, { max_depth: 1, prompt_token_budget: true }));
+  t.deepEqual(prompts, [32000]);
+  t.true(text_calls[0].filter({ key: 'root', data: { d: 0 } }));
+  t.false(text_calls[0].filter({ key: 'out-1', data: { d: 1 } }));
+
+  // dismissing the prompt copies nothing
+  entered_budget = 0;
+  t.false(await context_copy_at_depth.call(ctx, { max_depth: 1, prompt_token_budget: true }));
+  t.is(text_calls.length, 1);
+});
+
+test('copy-at-depth routes parts output through the copy-in-parts action', async (t) => {
+  const parts_calls = [];
+  const ctx = build_context([
+    { key: 'root', data: { d: 0 } },
+  ]);
+  ctx.actions.context_copy_in_parts = async (params) => {
+    parts_calls.push(params);
+    return true;
+  };
+
+  t.true(await context_copy_at_depth.call(ctx, {
+    max_depth: 1,
+    copy_type: 'parts',
+  }));
+  t.is(parts_calls.length, 1);
+  t.false(parts_calls[0].filter({ key: 'media', data: { d: 0 }, is_media: true }));
+  t.false(parts_calls[0].filter({ key: 'in', data: { d: 1, inlink: true } }));
+
+  const { items } = build_depth_menu_items(copy_at_depth_menus[copy_depth_menu_key], ctx);
+  t.deepEqual(
+    items[0].submenu.items.map((item) => item.title),
+    ['Copy text', 'Copy in parts', 'Copy link tree'],
+  );
+});
+
+test('copy-at-depth routes file output through the export-to-file action', async (t) => {
+  const file_calls = [];
+  const ctx = build_context([
+    { key: 'root', data: { d: 0 } },
+  ]);
+  ctx.actions.context_export_to_file = async (params) => {
+    file_calls.push(params);
+    return 'Smart Context/root.md';
+  };
+
+  t.is(await context_copy_at_depth.call(ctx, {
+    max_depth: 0,
+    copy_type: 'file',
+  }), 'Smart Context/root.md');
+  t.is(file_calls.length, 1);
+  t.false(file_calls[0].filter({ key: 'media', data: { d: 0 }, is_media: true }));
+
+  const { items, runs } = build_depth_menu_items(copy_at_depth_menus[copy_depth_menu_key], ctx);
+  t.deepEqual(
+    items[0].submenu.items.map((item) => item.title),
+    ['Copy text', 'Copy link tree', 'Export to file'],
+  );
+  await items[0].submenu.items[2].on_click();
+  t.deepEqual(runs, [{
+    max_depth: 0,
+    include_inlinks: false,
+    copy_type: 'file',
+  }]);
+});
+
+test('copy-at-depth keeps only the top ranked items per depth when top_k is set', async (t) => {
+  const copy_calls = [];
+  const events = [];
+  const ctx = build_context([
+    { key: 'root.md', data: { d: 0, current: true }, mtime: 1 },
+    { key: 'old.md', data: { d: 1 }, mtime: 10 },
+    { key: 'new.md', data: { d: 1 }, mtime: 30 },
+    { key: 'mid.md', data: { d: 1 }, mtime: 20 },
+  ]);
+  ctx.key = 'root.md';
+  ctx.emit_event = (key, payload) => events.push({ key, payload });
+  ctx.actions.context_copy_to_clipboard = async (params) => {
+    copy_calls.push(params);
+    return true;
+  };
+
+  t.true(await context_copy_at_depth.call(ctx, {
+    max_depth: 1,
+    top_k: 2,
+  }));
+  const kept = ctx.context_items.filter(copy_calls[0].filter).map((item) => item.key);
+  t.deepEqual(kept, ['root.md', 'new.md', 'mid.md']);
+  t.is(events[0].key, 'context:ranking_applied');
+  t.deepEqual(events[0].payload.cut_keys, ['old.md']);
+
+  ctx.env.smart_contexts = { settings: { rank_top_k: 2 } };
+  const { items } = build_depth_menu_items(copy_at_depth_menus[copy_depth_menu_key], ctx);
+  t.deepEqual(
+    items[1].submenu.items.map((item) => item.title),
+    ['Copy text', 'Copy top 2 per depth', 'Copy link tree'],
+  );
+});
@@ -0,0 +1,124 @@
+import { Notice } from 'obsidian';
+import { copy_to_clipboard } from 'obsidian-smart-env/src/utils/copy_to_clipboard.js';
+import { context_to_md_tree } from 'obsidian-smart-env/src/utils/smart-context/to_md_tree.js';
+import { build_context_parts } from '../../utils/context_copy_parts.js';
+import { smart_context_action_scope } from '../../utils/copy_context_depth.js';
+
+export const display_name = 'Copy in parts';
+export const action_scope = smart_context_action_scope;
+
+/**
+ * Copy the context as numbered parts. Part 1 is copied immediately and a
+ * persistent notice steps through the remaining parts.
+ *
+ * @this {import('smart-contexts').SmartContext}
+ * @param {object} [params={}]
+ * @param {(item:any)=>boolean} [params.filter]
+ * @param {number} [params.max_size] - Maximum characters per part.
+ * @param {string} [params.event_source]
+ * @returns {Promise<boolean>}
+ */
+export async function context_copy_in_parts(params = {}) {
+  const event_source = params.event_source || 'context_copy_in_parts';
+  const parts = await build_context_parts(this, {
+    filter: params.filter,
+    max_size: params.max_size,
+    build_file_tree: (ctx) => context_to_md_tree(ctx),
+  });
+  if (!parts.length) {
+    this.emit_event?.('context:copy_empty', {
+      level: 'warning',
+      message: 'No context items to copy.',
+      event_source,
+    });
+    return false;
+  }
+
+  const copy_part = async (part_index) => {
+    const copied = await copy_to_clipboard(parts[part_index], {
+      env: this.env,
+      event_source,
+      success_event_key: 'context:clipboard_raw_copied',
+      error_event_key: 'context:clipboard_raw_copy_failed',
+      unavailable_event_key: 'context:clipboard_copy_unavailable',
+    });
+    if (copied) {
+      this.emit_event?.('context:part_copied', {
+        part: part_index + 1,
+        part_count: parts.length,
+        event_source,
+      });
+    }
+    return copied;
+  };
+
+  const copied = await copy_part(0);
+  if (!copied) return false;
+  if (parts.length > 1) show_copy_parts_notice(parts.length, copy_part);
+  return true;
+}
+
+/**
+ * Persistent notice with a button that copies the next part.
+ *
+ * @param {number} part_count
+ * @param {(part_index:number)=>Promise<boolean>} copy_part
+ * @returns {void}
+ */
+function show_copy_parts_notice(part_count, copy_part) {
+  let next_index = 1;
+  const frag = activeDocument.createDocumentFragment();
+  const container = activeDocument.createElement('div');
+  container.className = 'sc-context-output-confirm sc-context-copy-parts';
+
+  const message_el = activeDocument.createElement('div');
+  container.appendChild(message_el);
+
+  const actions = activeDocument.createElement('div');
+  actions.className = 'sc-context-output-confirm-actions';
+
+  const close_button = activeDocument.createElement('button');
+  close_button.type = 'button';
+  close_button.textContent = 'Done';
+
+  const next_button = activeDocument.createElement('button');
+  next_button.type = 'button';
+  next_button.className = 'mod-cta';
+
+  actions.append(close_button, next_button);
+  container.appendChild(actions);
+  frag.appendChild(container);
+
+  const update = () => {
+    message_el.textContent = `Copied part ${next_index} of ${part_count}. Paste it before copying the next part.`;
+    next_button.textContent = `Copy part ${next_index + 1} of ${part_count}`;
+  };
+  update();
+
+  const notice = new Notice(frag, 0);
+  close_button.addEventListener('click', () => notice.hide());
+  next_button.addEventListener('click', async () => {
+    next_button.disabled = true;
+    const copied = await copy_part(next_index);
+    next_button.disabled = false;
+    if (!copied) return;
+    next_index += 1;
+    if (next_index >= part_count) {
+      notice.hide();
+      return;
+    }
+    update();
+  });
+  next_button.focus();
+}
+
+export const menus = {
+  'smart_context:copy_menu': {
+    title: 'Copy in parts',
+    icon: 'layers',
+    order: 0.3,
+    when() {
+      return Number(this.scope?.item_count || 0) > 0;
+    },
+  },
+};
@@ -0,0 +1,64 @@
+import {
+  apply_token_budget,
+  can_prompt_token_budget,
+  emit_token_budget_report,
+  get_token_budget_setting,
+  normalize_token_budget,
+  prompt_token_budget,
+} from '../../utils/context_token_budget.js';
+import { smart_context_action_scope } from '../../utils/copy_context_depth.js';
+
+export const display_name = 'Copy within token budget';
+export const action_scope = smart_context_action_scope;
+
+/**
+ * Copy the current Smart Context as text after dropping items that do not fit
+ * the token budget. Uses `params.token_budget` when given, otherwise asks for
+ * one prefilled with the `copy_token_budget` setting, or uses the setting
+ * where no prompt is available.
+ *
+ * @this {import('smart-contexts').SmartContext}
+ * @param {object} [params={}]
+ * @param {number} [params.token_budget]
+ * @param {(item:any)=>boolean} [params.filter]
+ * @param {string} [params.event_source]
+ * @returns {Promise<boolean>}
+ */
+export async function context_copy_within_budget(params = {}) {
+  const copy_action = this?.actions?.context_copy_to_clipboard;
+  if (typeof copy_action !== 'function') return false;
+
+  const token_budget = typeof params.token_budget === 'undefined' && can_prompt_token_budget(this)
+    ? await prompt_token_budget(this, { token_budget: get_token_budget_setting(this.env) })
+    : normalize_token_budget(params.token_budget ?? get_token_budget_setting(this.env))
+  ;
+  if (!token_budget) return false;
+
+  const event_source = params.event_source || 'context_copy_within_budget';
+  const { filter, report } = await apply_token_budget(this, {
+    filter: params.filter,
+    token_budget,
+  });
+  const copied = await copy_action({
+    filter,
+    with_media: false,
+    event_source,
+  });
+  if (copied !== false) {
+    emit_token_budget_report(this, report, { event_source });
+  }
+  return copied !== false;
+}
+
+export const menus = {
+  'smart_context:copy_menu': {
+    title: 'Copy within token budget...',
+    icon: 'gauge',
+    order: 0.1,
+    when() {
+      return Number(this.scope?.item_count || 0) > 0
+        && (get_token_budget_setting(this.scope?.env) > 0 || can_prompt_token_budget(this.scope))
+      ;
+    },
+  },
+};
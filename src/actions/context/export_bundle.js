@@ -0,0 +1,31 @@
+export const display_name = 'Export bundle';
+
+/**
+ * Export this named context, with the named contexts it references, to a
+ * JSON bundle.
+ *
+ * @this {import('smart-contexts').SmartContext}
+ * @param {object} [params={}]
+ * @param {string} [params.event_source]
+ * @returns {Promise<string|false>} Written vault path.
+ */
+export async function context_export_bundle(params = {}) {
+  const context_name = String(this?.data?.name ?? '').trim();
+  const export_bundle = this?.collection?.actions?.smart_contexts_export_bundle;
+  if (!context_name || typeof export_bundle !== 'function') return false;
+  return await export_bundle({
+    names: [context_name],
+    event_source: params.event_source || 'context_export_bundle',
+  });
+}
+
+export const menus = {
+  'smart_context:action_menu': {
+    title: 'Export bundle',
+    icon: 'package',
+    order: 900,
+    when() {
+      return String(this.scope?.data?.name ?? '').trim().length > 0;
+    },
+  },
+};
@@ -0,0 +1,100 @@
+import { normalizePath, TFile } from 'obsidian';
+import {
+  EXPORT_FILE_MODES,
+  get_export_context_name,
+  get_export_file_settings,
+  get_next_version_path,
+  resolve_export_file_path,
+} from '../../utils/context_export_file.js';
+import { create_items_context } from '../../utils/temp_context.js';
+import { ensure_parent_folder } from '../../utils/vault_folders.js';
+import { smart_context_action_scope } from '../../utils/copy_context_depth.js';
+
+export const display_name = 'Export to file';
+export const action_scope = smart_context_action_scope;
+
+/**
+ * Write the compiled context to a markdown file in the vault.
+ *
+ * The target path comes from the `export_file_path` setting unless
+ * `params.path` is given. Existing files are overwritten or versioned per the
+ * `export_file_mode` setting.
+ *
+ * @this {import('smart-contexts').SmartContext}
+ * @param {object} [params={}]
+ * @param {(item:any)=>boolean} [params.filter]
+ * @param {string} [params.path] - Path template override.
+ * @param {'overwrite'|'version'} [params.mode]
+ * @param {string} [params.event_source]
+ * @returns {Promise<string|false>} Written vault path.
+ */
+export async function context_export_to_file(params = {}) {
+  const event_source = params.event_source || 'context_export_to_file';
+  const app = this.env?.obsidian_app || this.env?.plugin?.app;
+  if (!app?.vault) return false;
+
+  const filter = typeof params.filter === 'function' ? params.filter : () => true;
+  const items = this.context_items.filter((item) => item?.is_media !== true && filter(item));
+  if (!items.length) {
+    this.emit_event?.('context:copy_empty', {
+      level: 'warning',
+      message: 'No context items to export.',
+      event_source,
+    });
+    return false;
+  }
+
+  const settings = get_export_file_settings(this.env);
+  const mode = params.mode || settings.mode;
+  let path = normalizePath(resolve_export_file_path(
+    params.path || settings.path_template,
+    { name: get_export_context_name(this) },
+  ));
+  if (mode === EXPORT_FILE_MODES.VERSION) {
+    path = get_next_version_path(path, (candidate) => {
+      return !!app.vault.getAbstractFileByPath(candidate);
+    });
+  }
+
+  const export_ctx = create_items_context(this, items, 'export_file');
+  const text = await export_ctx.get_text();
+
+  try {
+    await ensure_parent_folder(app, path);
+    const existing = app.vault.getAbstractFileByPath(path);
+    if (existing instanceof TFile) {
+      await app.vault.modify(existing, text || '');
+    } else if (existing) {
+      throw new Error(`Cannot export context: "${path}" is a folder.`);
+    } else {
+      await app.vault.create(path, text || '');
+    }
+  } catch (error) {
+    console.error('Smart Context: Failed to export context to file', error);
+    this.emit_event?.('context:export_file_failed', {
+      level: 'error',
+      message: error instanceof Error ? error.message : 'Failed to export context to file.',
+      event_source,
+    });
+    return false;
+  }
+
+  this.emit_event?.('context:exported_to_file', {
+    level: 'info',
+    message: `Exported ${items.length} item(s) to ${path}.`,
+    path,
+    event_source,
+  });
+  return path;
+}
+
+export const menus = {
+  'smart_context:copy_menu': {
+    title: 'Export to file',
+    icon: 'file-output',
+    order: 0.4,
+    when() {
+      return Number(this.scope?.item_count || 0) > 0;
+    },
+  },
+};
@@ -0,0 +1,30 @@
+import { ContextHistoryModal } from '../../modals/context_history_modal.js';
+import { get_context_history, is_history_context } from '../../utils/context_history.js';
+
+export const display_name = 'History';
+
+/**
+ * Open the version history of a named context.
+ *
+ * @this {import('smart-contexts').SmartContext}
+ * @param {object} [params={}]
+ * @param {import('obsidian').App} [params.app]
+ * @returns {boolean}
+ */
+export function context_open_history(params = {}) {
+  const app = params.app || this.env?.obsidian_app || this.env?.plugin?.app;
+  if (!app || !is_history_context(this)) return false;
+  new ContextHistoryModal(app, this).open();
+  return true;
+}
+
+export const menus = {
+  'smart_context:action_menu': {
+    title: 'History',
+    icon: 'history',
+    order: 850,
+    when() {
+      return is_history_context(this.scope) && get_context_history(this.scope?.data).length > 0;
+    },
+  },
+};
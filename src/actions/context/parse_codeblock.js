@@ -1,12 +1,47 @@
 import { murmur_hash_32_alphanumeric } from 'smart-utils/create_hash.js';
 import { normalize_context_item_data } from 'smart-contexts/context_items.js';
+import { split_codeblock_option_lines } from '../../utils/codeblock_options.js';
+import { is_codeblock_comment_line } from '../../utils/codeblock_sync.js';
+import {
+  is_codeblock_include_glob,
+  refresh_codeblock_globs,
+} from '../../utils/codeblock_globs.js';
+import {
+  is_codeblock_query_line,
+  refresh_codeblock_queries,
+} from '../../utils/codeblock_queries.js';
+import {
+  create_codeblock_depth_rule,
+  is_codeblock_depth_line,
+  refresh_codeblock_depth_rules,
+} from '../../utils/codeblock_depth_rules.js';
+import {
+  create_codeblock_link_resolver,
+  resolve_codeblock_link_key,
+} from '../../utils/codeblock_links.js';
+import {
+  create_note_context_rule,
+  is_note_context_line,
+  refresh_codeblock_note_contexts,
+} from '../../utils/codeblock_note_contexts.js';
+import { parse_context_codeblock_ctx_key } from '../../utils/context_codeblock_ranges.js';
+import { create_note_context_loader } from '../../utils/context_codeblock_utils.js';
 
 /**
  * Parse codeblock content into context items, named contexts, and passthrough lines.
+ * Leading `@name: value` lines are stored as `codeblock_options`; `# comment`
+ * lines are skipped, glob lines become `codeblock_globs` rules and query lines
+ * (`tag:#a modified:<14d`) become `codeblock_queries` rules. Link lines
+ * (`[[Note#Heading]]`, `[text](path.md)`) resolve relative to the host note.
+ * Depth lines (`Projects/Alpha.md >2 +backlinks`) become
+ * `codeblock_depth_rules` and `ctx-note:: Note.md` lines become
+ * `codeblock_note_contexts`; their items are added once resolved, followed by
+ * another `context:updated`.
  * 
  * @this {import('../items/smart_context.js').SmartContext}
  * @param {object} params
  * @param {string} params.cb_content
+ * @param {string} [params.host_path] - Note links resolve from; defaults to the note in the context key.
  * 
  */
 export function context_parse_codeblock(params = {}) {
@@ -22,21 +57,87 @@ export function context_parse_codeblock(params = {}) {
   this?._update_disposer?.();
   this._update_disposer = null;
   this._cb_hash = new_hash;
+  // base for the three-way merge when the context writes back
+  this._codeblock_base_lines = cb_content.split('\n');
   this.data.context_items = {};
-  const context_lines = cb_content.split('\n').map((line) => line.trim()).filter((line) => line);
+  const lines = cb_content
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line && !is_codeblock_comment_line(line))
+  ;
+  const { options, option_lines, entry_lines: context_lines } = split_codeblock_option_lines(lines);
+  // kept as written for the line diagnostics in the codeblock component
+  this.data.codeblock_lines = lines;
+  this.data.codeblock_options = options;
+  this.data.codeblock_option_lines = option_lines;
+  this.data.codeblock_globs = {};
+  this.data.codeblock_queries = {};
+  this.data.codeblock_depth_rules = {};
+  this.data.codeblock_note_contexts = {};
+  const host_path = params.host_path
+    ?? (parse_context_codeblock_ctx_key(this.key)?.source_path || '')
+  ;
+  const link_resolver = create_codeblock_link_resolver(this.env?.plugin?.app, host_path);
   for (let i = 0; i < context_lines.length; i += 1) {
     const line = context_lines[i];
-    const item_data = parse_codeblock_line(line);
+    if (is_note_context_line(line)) {
+      this.data.codeblock_note_contexts[line] = create_note_context_rule(line, { link_resolver });
+      continue;
+    }
+    if (is_codeblock_query_line(line)) {
+      this.data.codeblock_queries[line] = {};
+      continue;
+    }
+    if (is_codeblock_depth_line(line)) {
+      this.data.codeblock_depth_rules[line] = create_codeblock_depth_rule(line, { link_resolver });
+      continue;
+    }
+    if (is_codeblock_include_glob(line)) {
+      this.data.codeblock_globs[line] = {};
+      continue;
+    }
+    const item_data = parse_codeblock_line(line, { link_resolver });
     this.data.context_items[item_data.key] = item_data;
   }
+  refresh_codeblock_globs(this);
+  refresh_codeblock_queries(this);
   // console.log('context_parse_codeblock', { context_lines });
   this.emit_event('context:updated', {
     event_source: 'context_parse_codeblock',
     parsed_codeblock: true,
   });
+  Promise.all([
+    refresh_codeblock_depth_rules(this),
+    refresh_codeblock_note_contexts(this, {
+      load_context: create_note_context_loader(this.env?.plugin),
+      host_path,
+    }),
+  ])
+    .then((changed) => {
+      if (!changed.some(Boolean)) return;
+      this.emit_event('context:updated', {
+        event_source: 'context_parse_codeblock.async_rules',
+      });
+    })
+    .catch((error) => console.error('Failed to resolve codeblock depth rules and note references', error))
+  ;
 }
 
-export function parse_codeblock_line(line) {
+/**
+ * @param {string} line
+ * @param {object} [params={}]
+ * @param {ReturnType<typeof create_codeblock_link_resolver>} [params.link_resolver]
+ * @returns {object} Context item data.
+ */
+export function parse_codeblock_line(line, params = {}) {
+  const link_key = resolve_codeblock_link_key(line, params.link_resolver);
+  if (link_key) {
+    // written back as the link it was parsed from
+    return {
+      ...normalize_context_item_data(link_key, { key: link_key }),
+      link_line: line,
+    };
+  }
   const item_data = { key: line };
   if (item_data.key.startsWith('ctx:: ')) {
     item_data.key = `${item_data.key.slice(6).trim()}`;
@@ -0,0 +1,26 @@
+import { env_copy_folder_to_clipboard } from './copy_folder_to_clipboard.js';
+
+/**
+ * Copy the selected file-nav folder contents as numbered clipboard parts.
+ *
+ * @this {import('obsidian-smart-env').SmartEnv}
+ * @param {object} [params={}]
+ * @returns {Promise<boolean>}
+ */
+export async function env_copy_folder_in_parts(params = {}) {
+  return await env_copy_folder_to_clipboard.call(this, {
+    ...params,
+    copy_type: 'parts',
+  });
+}
+
+export const menus = {
+  'env:folder_menu': {
+    title: 'Copy folder contents in parts',
+    icon: 'layers',
+    order: 11,
+    when() {
+      return Boolean((this.params?.folder || this.params?.file)?.path);
+    },
+  },
+};
@@ -17,6 +17,7 @@ function get_folder(params = {}) {
  * @param {{ path?: string }} [params.folder]
  * @param {{ path?: string }} [params.file]
  * @param {import('obsidian').Plugin} [params.plugin]
+ * @param {'text'|'parts'} [params.copy_type='text'] - `parts` copies numbered parts.
  * @returns {Promise<boolean>}
  */
 export async function env_copy_folder_to_clipboard(params = {}) {
@@ -32,6 +33,7 @@ export async function env_copy_folder_to_clipboard(params = {}) {
       await env_copy_folder_to_clipboard.call(this, {
         folder: selected_folder,
         event_source: params.event_source,
+        copy_type: params.copy_type,
       });
     }).open();
     return true;
@@ -44,6 +46,11 @@ export async function env_copy_folder_to_clipboard(params = {}) {
   const ctx = this.smart_contexts.new_context({}, { add_items });
 
   ctx.emit_event?.('context:file_nav_copied');
+  if (params.copy_type === 'parts') {
+    return await ctx.actions.context_copy_in_parts({
+      event_source: params.event_source,
+    });
+  }
   return await ctx.actions.context_copy_to_clipboard();
 }
 
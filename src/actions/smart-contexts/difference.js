@@ -0,0 +1,54 @@
+import { context_result_schema } from '../../utils/tool_context.js';
+import {
+  context_set_operation_input_schema,
+  create_context_from_set_operation,
+} from '../../utils/context_set_operations.js';
+
+/**
+ * @this {import('smart-contexts').SmartContexts}
+ * @param {object} params
+ * @param {string[]} params.names
+ * @param {string} [params.name]
+ */
+export async function smart_contexts_difference(params = {}) {
+  return await create_context_from_set_operation(this, {
+    operation: 'difference',
+    names: params.names,
+    name: params.name,
+  });
+}
+
+export const display_name = 'Difference of Smart Contexts';
+export const display_description = 'Creates a named Smart Context with the items of the first Smart Context that are in none of the others.';
+export const input_schema = context_set_operation_input_schema;
+export const output_schema = {
+  ...context_result_schema,
+  properties: {
+    ...context_result_schema.properties,
+    operation: { type: 'string', enum: ['difference'] },
+    sources: {
+      type: 'array',
+      items: { type: 'string' },
+    },
+  },
+  required: [
+    ...context_result_schema.required,
+    'operation',
+    'sources',
+  ],
+};
+export const action_scope = {
+  type: 'collection',
+  collection_key: 'smart_contexts',
+};
+export const tool = {
+  name: 'smart_context_difference',
+  when({ env }) {
+    return Boolean(env.smart_contexts);
+  },
+  effects: {
+    read_only: false,
+    destructive: false,
+    idempotent: false,
+  },
+};
@@ -0,0 +1,109 @@
+import { normalizePath, TFile } from 'obsidian';
+import { murmur_hash_32_alphanumeric } from 'smart-utils/create_hash.js';
+import {
+  CONTEXT_BUNDLE_HASHED_EXTENSIONS,
+  DEFAULT_CONTEXT_BUNDLE_FOLDER,
+  build_context_bundle,
+  collect_bundle_contexts,
+} from '../../utils/context_bundle.js';
+import { get_next_version_path } from '../../utils/context_export_file.js';
+import { format_ymd } from '../../utils/pure_utils.js';
+import { get_collection_contexts, get_context_name } from '../../utils/tool_context.js';
+import { ensure_parent_folder } from '../../utils/vault_folders.js';
+
+export const display_name = 'Export named contexts bundle';
+export const action_scope = {
+  type: 'collection',
+  collection_key: 'smart_contexts',
+};
+
+/**
+ * Write named contexts, and the named contexts they reference, to a JSON
+ * bundle in the vault for import into another vault.
+ *
+ * @this {import('smart-contexts').SmartContexts}
+ * @param {object} [params={}]
+ * @param {string[]} [params.names] - Defaults to every named context.
+ * @param {string} [params.path] - Bundle path; defaults to a dated file in the bundles folder.
+ * @param {string} [params.event_source]
+ * @returns {Promise<string|false>} Written vault path.
+ */
+export async function smart_contexts_export_bundle(params = {}) {
+  const event_source = params.event_source || 'smart_contexts_export_bundle';
+  const app = this.env?.obsidian_app || this.env?.plugin?.app;
+  if (!app?.vault) return false;
+
+  const names = Array.isArray(params.names) && params.names.length
+    ? params.names
+    : get_collection_contexts(this).map(get_context_name)
+  ;
+  const { contexts, missing } = collect_bundle_contexts(this, names);
+  if (!contexts.length) {
+    this.env?.events?.emit?.('notification:warning', {
+      level: 'warning',
+      message: 'No named contexts to export.',
+      event_source,
+    });
+    return false;
+  }
+
+  const bundle = await build_context_bundle(contexts, {
+    get_file_info: async (path) => {
+      const file = app.vault.getAbstractFileByPath(path);
+      if (!(file instanceof TFile) || !CONTEXT_BUNDLE_HASHED_EXTENSIONS.includes(file.extension)) return null;
+      return { hash: murmur_hash_32_alphanumeric(await app.vault.cachedRead(file)) };
+    },
+  });
+
+  const bundle_name = (contexts.length === 1 ? contexts[0].data.name : `${contexts.length} contexts`)
+    .replace(/[\\/:*?"<>|#^[\]]+/g, '-')
+  ;
+  const path = get_next_version_path(
+    normalizePath(params.path || `${DEFAULT_CONTEXT_BUNDLE_FOLDER}/${bundle_name} ${format_ymd(new Date())}.json`),
+    (candidate) => !!app.vault.getAbstractFileByPath(candidate),
+  );
+
+  try {
+    await ensure_parent_folder(app, path);
+    await app.vault.create(path, JSON.stringify(bundle, null, 2));
+  } catch (error) {
+    console.error('Smart Context: Failed to export context bundle', error);
+    this.env?.events?.emit?.('notification:error', {
+      level: 'error',
+      message: error instanceof Error ? error.message : 'Failed to export context bundle.',
+      event_source,
+    });
+    return false;
+  }
+
+  const missing_note = missing.length ? ` Not found: ${missing.join(', ')}.` : '';
+  this.env?.events?.emit?.(missing.length ? 'notification:warning' : 'notification:info', {
+    level: missing.length ? 'warning' : 'info',
+    message: `Exported ${contexts.length} named context(s) to ${path}.${missing_note}`,
+    path,
+    event_source,
+  });
+  return path;
+}
+
+export const commands = {
+  'export-named-contexts-bundle': {
+    name: 'Export all named contexts to bundle',
+
+    register_when({ plugin }) {
+      return plugin.manifest.id === 'smart-context';
+    },
+
+    get_scope({ env }) {
+      return env.smart_contexts;
+    },
+  },
+};
+
+export const menus = {
+  'smart_contexts:menu': {
+    title: 'Export named contexts bundle',
+    icon: 'package',
+    order: 40,
+  },
+};
@@ -0,0 +1,122 @@
+import { TFile } from 'obsidian';
+import { murmur_hash_32_alphanumeric } from 'smart-utils/create_hash.js';
+import {
+  CONTEXT_BUNDLE_HASHED_EXTENSIONS,
+  import_context_bundle,
+  parse_context_bundle,
+  resolve_bundle_paths,
+} from '../../utils/context_bundle.js';
+import {
+  ContextBundleImportModal,
+  pick_context_bundle_file,
+} from '../../modals/context_bundle_import_modal.js';
+
+export const display_name = 'Import named contexts bundle';
+export const action_scope = {
+  type: 'collection',
+  collection_key: 'smart_contexts',
+};
+
+/**
+ * Import a JSON bundle made by Export named contexts bundle. Paths are mapped
+ * onto this vault by path, basename and content hash; the review modal lists
+ * files that were not found and asks how to handle names that already exist.
+ *
+ * @this {import('smart-contexts').SmartContexts}
+ * @param {object} [params={}]
+ * @param {string} [params.path] - Bundle path; asks for a vault JSON file when omitted.
+ * @param {string} [params.event_source]
+ * @returns {Promise<boolean>} Whether the review modal opened.
+ */
+export async function smart_contexts_import_bundle(params = {}) {
+  const event_source = params.event_source || 'smart_contexts_import_bundle';
+  const app = this.env?.obsidian_app || this.env?.plugin?.app;
+  if (!app?.vault) return false;
+
+  const file = params.path
+    ? app.vault.getAbstractFileByPath(params.path)
+    : await pick_context_bundle_file(app)
+  ;
+  if (!(file instanceof TFile)) return false;
+
+  let bundle;
+  try {
+    bundle = parse_context_bundle(await app.vault.read(file));
+  } catch (error) {
+    this.env?.events?.emit?.('notification:error', {
+      level: 'error',
+      message: error instanceof Error ? error.message : 'Failed to read context bundle.',
+      path: file.path,
+      event_source,
+    });
+    return false;
+  }
+
+  const resolution = await resolve_bundle_paths(bundle, {
+    paths: app.vault.getAllLoadedFiles()
+      .map((vault_file) => vault_file.path)
+      .filter((path) => path && path !== '/')
+    ,
+    get_hash: async (path) => {
+      const vault_file = app.vault.getAbstractFileByPath(path);
+      if (!(vault_file instanceof TFile) || !CONTEXT_BUNDLE_HASHED_EXTENSIONS.includes(vault_file.extension)) return null;
+      return murmur_hash_32_alphanumeric(await app.vault.cachedRead(vault_file));
+    },
+  });
+
+  new ContextBundleImportModal(app, {
+    bundle,
+    resolution,
+    collection: this,
+    on_import: async (collisions) => {
+      try {
+        const results = await import_context_bundle(this, bundle, {
+          path_map: resolution.path_map,
+          collisions,
+        });
+        const unresolved_total = results.reduce((total, result) => total + result.unresolved.length, 0);
+        this.env?.events?.emit?.(unresolved_total ? 'notification:warning' : 'notification:info', {
+          level: unresolved_total ? 'warning' : 'info',
+          message: unresolved_total
+            ? `Imported ${results.length} named context(s); ${unresolved_total} item(s) were not found.`
+            : `Imported ${results.length} named context(s).`,
+          path: file.path,
+          event_source,
+        });
+        return results;
+      } catch (error) {
+        console.error('Smart Context: Failed to import context bundle', error);
+        this.env?.events?.emit?.('notification:error', {
+          level: 'error',
+          message: error instanceof Error ? error.message : 'Failed to import context bundle.',
+          path: file.path,
+          event_source,
+        });
+        return null;
+      }
+    },
+  }).open();
+  return true;
+}
+
+export const commands = {
+  'import-named-contexts-bundle': {
+    name: 'Import named contexts bundle',
+
+    register_when({ plugin }) {
+      return plugin.manifest.id === 'smart-context';
+    },
+
+    get_scope({ env }) {
+      return env.smart_contexts;
+    },
+  },
+};
+
+export const menus = {
+  'smart_contexts:menu': {
+    title: 'Import named contexts bundle',
+    icon: 'package-open',
+    order: 41,
+  },
+};
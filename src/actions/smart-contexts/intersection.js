@@ -0,0 +1,54 @@
+import { context_result_schema } from '../../utils/tool_context.js';
+import {
+  context_set_operation_input_schema,
+  create_context_from_set_operation,
+} from '../../utils/context_set_operations.js';
+
+/**
+ * @this {import('smart-contexts').SmartContexts}
+ * @param {object} params
+ * @param {string[]} params.names
+ * @param {string} [params.name]
+ */
+export async function smart_contexts_intersection(params = {}) {
+  return await create_context_from_set_operation(this, {
+    operation: 'intersection',
+    names: params.names,
+    name: params.name,
+  });
+}
+
+export const display_name = 'Intersection of Smart Contexts';
+export const display_description = 'Creates a named Smart Context with the items shared by two or more Smart Contexts.';
+export const input_schema = context_set_operation_input_schema;
+export const output_schema = {
+  ...context_result_schema,
+  properties: {
+    ...context_result_schema.properties,
+    operation: { type: 'string', enum: ['intersection'] },
+    sources: {
+      type: 'array',
+      items: { type: 'string' },
+    },
+  },
+  required: [
+    ...context_result_schema.required,
+    'operation',
+    'sources',
+  ],
+};
+export const action_scope = {
+  type: 'collection',
+  collection_key: 'smart_contexts',
+};
+export const tool = {
+  name: 'smart_context_intersection',
+  when({ env }) {
+    return Boolean(env.smart_contexts);
+  },
+  effects: {
+    read_only: false,
+    destructive: false,
+    idempotent: false,
+  },
+};
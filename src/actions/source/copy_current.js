@@ -6,6 +6,8 @@ import {
   open_copy_current_modal,
   resolve_active_source_path,
 } from '../../utils/commands_helpers.js';
+import { list_note_context_codeblocks } from '../../utils/context_codeblock_utils.js';
+import { pick_context_codeblock } from '../../modals/context_codeblock_picker_modal.js';
 
 export const CORE_COPY_CURRENT_FILE_TYPES = [
   'md',
@@ -65,8 +67,12 @@ export async function source_copy_current(params = {}) {
   } = params;
   if (!plugin || !source_path) return false;
 
+  const codeblock_id = await resolve_copy_current_codeblock_id(plugin, params);
+  if (codeblock_id === null) return false;
+
   const copy_params = {
     ...params,
+    codeblock_id,
     source: this,
     modal_class:
       this.env.config?.modals?.copy_context_modal?.class,
@@ -92,6 +98,26 @@ export async function source_copy_current(params = {}) {
   );
 }
 
+/**
+ * Pick which context codeblock to merge when the note has more than one.
+ *
+ * @param {object} plugin
+ * @param {object} params
+ * @param {string} params.source_path
+ * @param {string} [params.markdown]
+ * @param {string} [params.codeblock_id] - Skips the picker when set.
+ * @returns {Promise<string|undefined|null>} Codeblock id, undefined for the default, or null when dismissed.
+ */
+async function resolve_copy_current_codeblock_id(plugin, params) {
+  if (typeof params.codeblock_id === 'string') return params.codeblock_id;
+  const codeblocks = await list_note_context_codeblocks(plugin, params.source_path, {
+    markdown: params.markdown,
+  });
+  if (codeblocks.length < 2) return undefined;
+  const codeblock = await pick_context_codeblock(plugin.app, codeblocks);
+  return codeblock ? codeblock.codeblock_id : null;
+}
+
 function register_when({ plugin }) {
   return plugin.manifest.id === 'smart-context';
 }
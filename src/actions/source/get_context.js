@@ -16,39 +16,259 @@ import {
   includes_outlinks,
   normalize_link_direction,
 } from '../../utils/link_graph_context_items.js';
+import {
+  get_link_depth_setting,
+  is_link_traversal_cached,
+  normalize_link_depth,
+} from '../../utils/link_traversal.js';
+import {
+  build_traversal_note,
+  create_frontmatter_key_usage,
+  get_traversal_rules,
+  get_traversal_rules_key,
+  has_traversal_rules,
+  normalize_traversal_rules,
+  resolve_active_traversal_rules,
+  walk_links_with_rules,
+} from '../../utils/link_traversal_rules.js';
+import {
+  create_property_link_resolver,
+  get_property_link_rules,
+  get_property_links_key,
+  parse_property_link_rules,
+} from '../../utils/property_links.js';
+import {
+  SECTION_LINK_MODES,
+  collect_link_targets,
+  drop_sections_of_whole_notes,
+  find_section_block,
+  get_block_lines,
+  get_section_link_mode,
+  narrow_neighbors_to_sections,
+} from '../../utils/section_links.js';
 
 export { build_context_items_from_graphs } from '../../utils/link_graph_context_items.js';
 
+/** @type {WeakMap<object, ReturnType<typeof create_frontmatter_key_usage>>} */
+const frontmatter_key_usage_by_plugin = new WeakMap();
+
+/**
+ * Frontmatter key usage for the plugin's vault, kept current from metadata
+ * cache events.
+ *
+ * @param {import('obsidian').Plugin} [plugin]
+ * @returns {ReturnType<typeof create_frontmatter_key_usage>}
+ */
+function get_frontmatter_key_usage(plugin) {
+  const app = plugin?.app;
+  const metadata_cache = app?.metadataCache;
+  const usage_params = {
+    list_paths: () => (app?.vault?.getMarkdownFiles?.() || []).map((file) => file.path),
+    get_frontmatter: (path) => metadata_cache?.getCache?.(path)?.frontmatter,
+  };
+  // without events to keep it current, scan per call
+  if (!plugin || typeof plugin.registerEvent !== 'function' || typeof metadata_cache?.on !== 'function') {
+    return create_frontmatter_key_usage(usage_params);
+  }
+  if (!frontmatter_key_usage_by_plugin.has(plugin)) {
+    const usage = create_frontmatter_key_usage(usage_params);
+    plugin.registerEvent(metadata_cache.on('changed', (file, data, cache) => {
+      usage.note_changed(file.path, cache?.frontmatter);
+    }));
+    plugin.registerEvent(metadata_cache.on('deleted', (file) => usage.note_deleted(file.path)));
+    if (typeof app.vault?.on === 'function') {
+      plugin.registerEvent(app.vault.on('rename', (file, old_path) => usage.note_renamed(file.path, old_path)));
+    }
+    frontmatter_key_usage_by_plugin.set(plugin, usage);
+  }
+  return frontmatter_key_usage_by_plugin.get(plugin);
+}
+
 /**
  * Build or update a SmartContext for a given source, including link graph
  * up to a given depth. The SmartContext key is equal to the source key.
  *
+ * An existing context already traversed at least as deep is reused until the
+ * next `sources:imported` event invalidates it, so asking for a deeper
+ * `link_depth` only re-walks the graph when more depth is needed.
+ *
+ * Traversal rules (folders, tags, a frontmatter flag, an outlink threshold)
+ * stop the walk at matching notes. Where it stopped is recorded on the items
+ * (`traversal_stop`) and on the context (`traversal_stops`).
+ *
+ * Frontmatter properties configured as property links are followed as extra
+ * edges with their own direction and depth weight; items reached that way
+ * carry `via_property`.
+ *
+ * Links to a heading or block (`[[Spec#Auth flow]]`) add the matching block
+ * instead of the whole note unless the `section_links` setting is `note`.
+ *
  * @param {object} [params={}]
+ * @param {number} [params.link_depth] - Traversal depth; defaults to the `link_depth` setting.
  * @param {'out'|'in'|'both'} [params.direction='both'] - Link direction(s).
  * @param {boolean} [params.include_self=true] - Include the root source.
+ * @param {boolean} [params.refresh=false] - Ignore a cached traversal.
+ * @param {object} [params.traversal_rules] - Overrides the traversal rule settings.
+ * @param {string|string[]} [params.property_links] - Overrides the property links setting.
+ * @param {'section'|'note'} [params.section_links] - Overrides the heading/block link setting.
  * @param {Record<string, Array<object>>} [params.outlinks_by_source] - Transient outlinks keyed by source key.
  * @returns {Promise<import('smart-contexts').SmartContext|null>}
  */
 export async function source_get_context(params = {}) {
-  const LINK_DEPTH = 5;
+  const link_depth = normalize_link_depth(
+    params.link_depth,
+    get_link_depth_setting(this.env),
+  );
   const direction = normalize_link_direction(params.direction);
   const include_self =
     typeof params.include_self === 'boolean' ? params.include_self : true
   ;
+  const app = this.env?.plugin?.app;
+  const metadata_cache = app?.metadataCache;
+  const rules = resolve_active_traversal_rules(
+    params.traversal_rules
+      ? normalize_traversal_rules(params.traversal_rules)
+      : get_traversal_rules(this.env),
+    (frontmatter_key) => get_frontmatter_key_usage(this.env?.plugin).is_used(frontmatter_key),
+  );
+  const property_rules = typeof params.property_links === 'undefined'
+    ? get_property_link_rules(this.env)
+    : parse_property_link_rules(params.property_links)
+  ;
+  const section_mode = params.section_links === SECTION_LINK_MODES.NOTE
+    || params.section_links === SECTION_LINK_MODES.SECTION
+    ? params.section_links
+    : get_section_link_mode(this.env)
+  ;
+  const rules_key = [
+    get_traversal_rules_key(rules),
+    get_property_links_key(property_rules),
+    section_mode === SECTION_LINK_MODES.SECTION ? 'sections' : '',
+  ].filter(Boolean).join('|');
 
-  const outlink_graph = includes_outlinks(direction)
-    ? await get_links_to_depth(this, LINK_DEPTH, {
-      direction: LINK_DIRECTIONS.OUT,
+  const smart_contexts = this.env.smart_contexts;
+  const context_key = this.key;
+  const cached_context = smart_contexts.items[context_key];
+  if (
+    cached_context
+    && params.refresh !== true
+    && !params.outlinks_by_source
+    && is_link_traversal_cached(cached_context.data, {
+      link_depth,
+      direction,
       include_self,
-      outlinks_by_source: params.outlinks_by_source,
+      rules_key,
     })
+  ) {
+    return cached_context;
+  }
+
+  const property_links = property_rules.length
+    ? create_property_link_resolver({
+      metadata_cache,
+      list_paths: () => (app?.vault?.getMarkdownFiles?.() || []).map((file) => file.path),
+      rules: property_rules,
+    })
+    : null
+  ;
+  const get_property_neighbors = (source, link_direction) => {
+    if (!property_links) return [];
+    const edges = link_direction === LINK_DIRECTIONS.OUT
+      ? property_links.get_outgoing(source.key)
+      : property_links.get_incoming(source.key)
+    ;
+    return edges
+      .map((edge) => ({
+        item: this.env.smart_sources?.get?.(edge.path),
+        weight: edge.weight,
+        via_property: edge.property,
+      }))
+      .filter((entry) => entry.item)
+    ;
+  };
+
+  const narrow_sections = section_mode === SECTION_LINK_MODES.SECTION
+    && typeof metadata_cache?.getCache === 'function'
+  ;
+  const get_link_neighbors = async (source, link_params) => {
+    const source_path = source.key.split('#')[0];
+    const is_block = source.key !== source_path;
+    const is_outgoing = link_params.direction === LINK_DIRECTIONS.OUT;
+    // section items only follow the links written inside their own lines
+    if (is_block && !is_outgoing) return [];
+
+    let neighbors = [];
+    if (!is_block) {
+      const graph = await get_links_to_depth(source, 1, {
+        ...link_params,
+        include_self: false,
+      });
+      neighbors = (graph || []).filter((entry) => {
+        return entry?.depth > 0 && entry?.item?.key !== source.key;
+      });
+      if (!narrow_sections || !is_outgoing) return neighbors;
+    }
+
+    const lines = is_block ? get_block_lines(source) : null;
+    const targets = collect_link_targets(
+      metadata_cache?.getCache?.(source_path),
+      (link_path) => metadata_cache?.getFirstLinkpathDest?.(link_path, source_path)?.path || '',
+      lines ? { line_range: [lines[0] - 1, lines[1] - 1] } : {},
+    );
+    if (is_block) {
+      neighbors = Array.from(targets.keys())
+        .filter((path) => path !== source_path)
+        .map((path) => ({ depth: 1, item: this.env.smart_sources?.get?.(path) }))
+        .filter((entry) => entry.item)
+      ;
+    }
+    return narrow_neighbors_to_sections(neighbors, targets, (item, subpath) => {
+      return find_section_block(item.blocks, subpath, metadata_cache.getCache(item.key));
+    });
+  };
+
+  const traversal_stops = [];
+  const get_graph = async (link_direction) => {
+    const link_params = {
+      direction: link_direction,
+      ...(link_direction === LINK_DIRECTIONS.OUT
+        ? { outlinks_by_source: params.outlinks_by_source }
+        : {}),
+    };
+    if (!has_traversal_rules(rules) && !property_links && !narrow_sections) {
+      return await get_links_to_depth(this, link_depth, {
+        ...link_params,
+        include_self,
+      });
+    }
+    const { graph, stops } = await walk_links_with_rules(this, {
+      depth: link_depth,
+      include_self,
+      rules: has_traversal_rules(rules) ? rules : null,
+      get_neighbors: async (source, remaining_depth) => {
+        const link_neighbors = remaining_depth > 0
+          ? await get_link_neighbors(source, link_params)
+          : []
+        ;
+        return [
+          ...link_neighbors,
+          ...get_property_neighbors(source, link_direction),
+        ];
+      },
+      get_note: (item) => build_traversal_note(item, metadata_cache?.getCache?.(item.key.split('#')[0])),
+    });
+    stops.forEach((stop) => {
+      if (!traversal_stops.some((existing) => existing.key === stop.key)) traversal_stops.push(stop);
+    });
+    return graph;
+  };
+
+  const outlink_graph = includes_outlinks(direction)
+    ? drop_sections_of_whole_notes(await get_graph(LINK_DIRECTIONS.OUT))
     : []
   ;
   const inlink_graph = includes_inlinks(direction)
-    ? await get_links_to_depth(this, LINK_DEPTH, {
-      direction: LINK_DIRECTIONS.IN,
-      include_self,
-    })
+    ? await get_graph(LINK_DIRECTIONS.IN)
     : []
   ;
 
@@ -59,22 +279,31 @@ export async function source_get_context(params = {}) {
     include_root: include_self,
   });
 
-  const smart_contexts = this.env.smart_contexts;
-  const context_key = this.key;
-
   if (context_items[this.key]) {
     context_items[this.key].current = true;
   }
+  traversal_stops.forEach((stop) => {
+    if (stop.mode !== 'stop' || !context_items[stop.key]) return;
+    context_items[stop.key].traversal_stop = { mode: stop.mode, reason: stop.reason };
+  });
 
   const smart_context = await smart_contexts.create_or_update({
     key: context_key,
     context_items,
+    // transient outlinks describe unsaved content, so never reuse that traversal
+    link_depth: params.outlinks_by_source ? null : link_depth,
+    link_direction: direction,
+    link_include_self: include_self,
+    link_rules_key: rules_key,
+    traversal_stops,
   });
 
-  this.once_event('sources:imported', () => {
-    if (smart_contexts.items[context_key]) delete smart_contexts.items[context_key];
-    // console.log(`Invalidated SmartContext cache for source ${context_key}`);
-  });
+  if (!cached_context) {
+    this.once_event('sources:imported', () => {
+      if (smart_contexts.items[context_key]) delete smart_contexts.items[context_key];
+      // console.log(`Invalidated SmartContext cache for source ${context_key}`);
+    });
+  }
 
   return smart_context || null;
 }
@@ -1,10 +1,46 @@
 import base, { SmartContexts as BaseClass } from 'obsidian-smart-env/src/collections/smart_contexts.js';
 import { is_codeblock_context_key } from '../utils/pure_utils.js';
+import { tokenizer_settings_config } from '../utils/tokenizer.js';
+import { token_budget_settings_config } from '../utils/context_token_budget.js';
+import { copy_parts_settings_config } from '../utils/context_copy_parts.js';
+import { export_file_settings_config } from '../utils/context_export_file.js';
+import { link_traversal_settings_config } from '../utils/link_traversal.js';
+import { traversal_rules_settings_config } from '../utils/link_traversal_rules.js';
+import { property_links_settings_config } from '../utils/property_links.js';
+import { section_links_settings_config } from '../utils/section_links.js';
+import { ranking_settings_config } from '../utils/context_ranking.js';
+import { codeblock_links_settings_config } from '../utils/codeblock_links.js';
+import { named_context_files_settings_config } from '../utils/named_context_files.js';
+import { context_history_settings_config } from '../utils/context_history.js';
 
 export class SmartContexts extends BaseClass {
   // Must outrank the environment base collection so Builder entry points use
   // this subclass.
   static version = '2.2.0';
+
+  /**
+   * Extend the environment settings with Smart Context output options.
+   *
+   * @returns {object}
+   */
+  get settings_config() {
+    return {
+      ...super.settings_config,
+      ...tokenizer_settings_config,
+      ...token_budget_settings_config,
+      ...copy_parts_settings_config,
+      ...export_file_settings_config,
+      ...link_traversal_settings_config,
+      ...traversal_rules_settings_config,
+      ...property_links_settings_config,
+      ...section_links_settings_config,
+      ...ranking_settings_config,
+      ...codeblock_links_settings_config,
+      ...named_context_files_settings_config,
+      ...context_history_settings_config,
+    };
+  }
+
   /**
    * Open the canonical Builder for a Smart Context.
    *
@@ -3,6 +3,29 @@ import { Menu, setIcon } from 'obsidian';
 import {
   open_context_builder_for_codeblock,
 } from '../../utils/context_codeblock_utils.js';
+import { copy_context_with_codeblock_options } from '../../utils/codeblock_options.js';
+import {
+  apply_codeblock_line_fix,
+  build_codeblock_line_fix,
+  CODEBLOCK_LINE_STATUS,
+  create_env_line_resolver,
+  lint_codeblock_lines,
+} from '../../utils/codeblock_diagnostics.js';
+import { parse_context_codeblock_ctx_key } from '../../utils/context_codeblock_ranges.js';
+import { update_context_codeblock_lines } from '../../utils/register_context_codeblock_processors.js';
+import { pick_codeblock_line_fix } from '../../modals/codeblock_line_fix_modal.js';
+
+const status_icons = {
+  [CODEBLOCK_LINE_STATUS.MISSING]: 'alert-triangle',
+  [CODEBLOCK_LINE_STATUS.AMBIGUOUS]: 'help-circle',
+  [CODEBLOCK_LINE_STATUS.MALFORMED]: 'x-circle',
+};
+
+const status_labels = {
+  [CODEBLOCK_LINE_STATUS.MISSING]: 'Missing',
+  [CODEBLOCK_LINE_STATUS.AMBIGUOUS]: 'Ambiguous',
+  [CODEBLOCK_LINE_STATUS.MALFORMED]: 'Malformed',
+};
 
 function build_html() {
   return `<div>
@@ -18,6 +41,7 @@ function build_html() {
           <div class="cb-meta"></div>
         </div>
       </div>
+      <div class="cb-diagnostics" hidden></div>
     </div>
   </div>`;
 }
@@ -59,6 +83,31 @@ function set_button_label(button, label) {
   button.setAttribute('aria-label', label);
 }
 
+/**
+ * Rewrite or remove one line of the rendered codeblock.
+ *
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @param {string} line - Trimmed line to fix.
+ * @param {string|null} next_line - Replacement, or null to remove the line.
+ * @returns {Promise<boolean>}
+ */
+async function fix_codeblock_line(ctx, line, next_line) {
+  const source_path = parse_context_codeblock_ctx_key(ctx?.key)?.source_path;
+  if (!source_path) return false;
+  const did_update = await update_context_codeblock_lines(
+    ctx.env?.plugin,
+    source_path,
+    (lines) => apply_codeblock_line_fix(lines, line, next_line),
+    { codeblock_id: ctx.data?.codeblock_id || '' },
+  );
+  if (!did_update) {
+    ctx.emit_error_event?.('context_codeblock:fix_line', {
+      message: 'Could not find the codeblock to fix.',
+    });
+  }
+  return did_update;
+}
+
 export async function render(ctx, opts = {}) {
   this.apply_style_sheet(styles);
   const html = build_html();
@@ -74,6 +123,7 @@ export async function post_process(ctx, container, params = {}) {
   const menu_btn = container.querySelector('.sc-codeblock-menu');
   const copy_btn = container.querySelector('.sc-copy-clipboard');
   const help_btn = container.querySelector('.sc-codeblock-help');
+  const diagnostics_container = container.querySelector('.cb-diagnostics');
   const app = ctx?.env?.plugin?.app || window.app || null;
 
   const render_ctx_meta = async () => {
@@ -82,6 +132,71 @@ export async function post_process(ctx, container, params = {}) {
     if (meta) meta_container.appendChild(meta);
   };
 
+  const render_diagnostics = () => {
+    this.empty(diagnostics_container);
+    const diagnostics = lint_codeblock_lines(
+      ctx?.data?.codeblock_lines || [],
+      create_env_line_resolver(ctx?.env, {
+        host_path: parse_context_codeblock_ctx_key(ctx?.key)?.source_path,
+      }),
+    );
+    const problems = diagnostics.filter((diagnostic) => diagnostic.status !== CODEBLOCK_LINE_STATUS.RESOLVED);
+    diagnostics_container.hidden = problems.length === 0;
+    if (!problems.length) return;
+
+    diagnostics_container.createDiv({
+      cls: 'cb-diagnostics-summary',
+      text: `${problems.length} of ${diagnostics.length} line${diagnostics.length === 1 ? '' : 's'} need${problems.length === 1 ? 's' : ''} attention`,
+    });
+    const list = diagnostics_container.createEl('ul', { cls: 'cb-diagnostics-list' });
+    problems.forEach((diagnostic) => {
+      const row = list.createEl('li', {
+        cls: `cb-diagnostic is-${diagnostic.status}`,
+      });
+      const icon = row.createSpan({
+        cls: 'cb-diagnostic-icon',
+        attr: { 'aria-label': status_labels[diagnostic.status] },
+      });
+      setIcon(icon, status_icons[diagnostic.status]);
+      const copy = row.createDiv({ cls: 'cb-diagnostic-copy' });
+      copy.createEl('code', { cls: 'cb-diagnostic-line', text: diagnostic.line });
+      copy.createDiv({
+        cls: 'cb-diagnostic-message',
+        text: `${status_labels[diagnostic.status]}: ${diagnostic.message}`,
+      });
+
+      const actions = row.createDiv({ cls: 'cb-diagnostic-actions' });
+      const candidates = diagnostic.candidates || [];
+      if (candidates.length === 1) {
+        const use_btn = actions.createEl('button', {
+          text: `Use ${candidates[0]}`,
+          attr: { type: 'button' },
+        });
+        use_btn.addEventListener('click', () => {
+          fix_codeblock_line(ctx, diagnostic.line, build_codeblock_line_fix(diagnostic.line, candidates[0]));
+        });
+      } else if (candidates.length > 1) {
+        const pick_btn = actions.createEl('button', {
+          text: diagnostic.kind === 'named_context' ? 'Pick context…' : 'Pick file…',
+          attr: { type: 'button' },
+        });
+        pick_btn.addEventListener('click', async () => {
+          if (!app) return;
+          const candidate = await pick_codeblock_line_fix(app, diagnostic.line, candidates);
+          if (!candidate) return;
+          await fix_codeblock_line(ctx, diagnostic.line, build_codeblock_line_fix(diagnostic.line, candidate));
+        });
+      }
+      const remove_btn = actions.createEl('button', {
+        text: 'Remove line',
+        attr: { type: 'button' },
+      });
+      remove_btn.addEventListener('click', () => {
+        fix_codeblock_line(ctx, diagnostic.line, null);
+      });
+    });
+  };
+
   const update_action_state = () => {
     const has_active_items = (ctx?.item_count || 0) > 0;
     const builder_label = has_active_items ? 'Open context builder' : 'Add context';
@@ -132,7 +247,10 @@ export async function post_process(ctx, container, params = {}) {
 
   copy_btn.addEventListener('click', async () => {
     if (copy_btn.disabled) return;
-    await ctx.actions.context_copy_to_clipboard({ with_media: false });
+    await copy_context_with_codeblock_options(ctx, {
+      with_media: false,
+      event_source: 'context_codeblock.copy',
+    });
   });
 
   setIcon(open_builder_btn, 'smart-context-builder');
@@ -145,10 +263,12 @@ export async function post_process(ctx, container, params = {}) {
 
   update_action_state();
   render_ctx_meta();
+  render_diagnostics();
 
   const disposers = [];
   disposers.push(ctx.on_event('context:updated', async () => {
     update_action_state();
+    render_diagnostics();
     await render_ctx_meta();
   }));
   this.attach_disposer(container, disposers);
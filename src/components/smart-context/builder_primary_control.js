@@ -3,6 +3,8 @@ import {
   render_btn_clear_context,
   render_btn_help,
 } from 'obsidian-smart-env/src/utils/smart-context/copy_actions.js';
+import { get_token_budget_setting } from '../../utils/context_token_budget.js';
+import { format_context_estimate } from '../../utils/context_suggestions.js';
 
 export const version = '3.1.3';
 
@@ -41,6 +43,7 @@ export function post_process(ctx, container, params = {}) {
       source_count,
       menu_params,
       copy_menu_key: params.copy_menu_key,
+      token_budget: get_token_budget_setting(ctx?.env),
     });
 
     container.replaceChildren();
@@ -56,9 +59,9 @@ export function post_process(ctx, container, params = {}) {
       button.addEventListener('click', () => params.on_add_sources?.());
       primary_group.appendChild(button);
     } else if (state.primary_action) {
-      const button = create_button('Copy context', 'copy', 'mod-cta sc-context-builder-ui-primary-main');
+      const button = create_button(state.label, state.icon, 'mod-cta sc-context-builder-ui-primary-main');
       button.addEventListener('click', () => {
-        void run_primary_action(ctx, button, state.primary_action, params);
+        void run_primary_action(ctx, button, state, params);
       });
       primary_group.appendChild(button);
 
@@ -122,6 +125,9 @@ export function post_process(ctx, container, params = {}) {
 /**
  * Translate visible copy actions into one primary control state.
  *
+ * When a token budget is configured, the budgeted copy action becomes the
+ * primary action so the main button copies within the budget.
+ *
  * @param {import('smart-contexts').SmartContext} ctx
  * @param {any} [params={}]
  * @returns {any}
@@ -144,20 +150,37 @@ export function resolve_primary_control(ctx, params = {}) {
   }
 
   const copy_actions = params.copy_actions || resolve_copy_actions(ctx, params);
-  const primary_action = copy_actions.find((action) => {
+  const runnable_actions = copy_actions.filter((action) => {
     return action.disabled !== true
       && action.menu_only !== true
       && typeof action.run === 'function'
     ;
-  }) || null;
+  });
+  const token_budget = Number(params.token_budget) > 0
+    ? Number(params.token_budget)
+    : 0
+  ;
+  const budget_action = token_budget
+    ? runnable_actions.find((action) => action.action_key === 'context_copy_within_budget')
+    : null
+  ;
+  // without a configured budget the budget action asks for one, so keep it in the menu
+  const primary_action = budget_action
+    || runnable_actions.find((action) => action.action_key !== 'context_copy_within_budget')
+    || null
+  ;
 
   if (primary_action) {
     return {
       intent: 'copy_context',
-      label: 'Copy context',
-      icon: 'copy',
+      label: budget_action
+        ? `Copy within ${format_context_estimate(token_budget)} tokens`
+        : 'Copy context',
+      icon: budget_action ? 'gauge' : 'copy',
       mode: copy_actions.length > 1 ? 'split' : 'direct',
       primary_action,
+      // the button copies within the configured budget without asking
+      primary_params: budget_action ? { token_budget } : {},
       copy_actions,
     };
   }
@@ -207,15 +230,16 @@ export function resolve_copy_actions(ctx, params = {}) {
 /**
  * @param {import('smart-contexts').SmartContext} ctx
  * @param {HTMLButtonElement} button
- * @param {any} action
+ * @param {any} state - From resolve_primary_control.
  * @param {any} params
  * @returns {Promise<void>}
  */
-async function run_primary_action(ctx, button, action, params) {
+async function run_primary_action(ctx, button, state, params) {
   button.disabled = true;
   button.setAttribute('aria-busy', 'true');
   try {
-    await action.run({
+    await state.primary_action.run({
+      ...(state.primary_params || {}),
       event_source: params.event_source || 'context_builder.primary',
     });
   } catch (error) {
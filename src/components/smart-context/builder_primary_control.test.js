@@ -80,3 +80,29 @@ test('resolved source count can mark an empty expanded selection', (t) => {
   t.is(state.intent, 'add_sources');
   t.is(state.mode, 'direct');
 });
+
+test('configured token budget promotes the budgeted copy action', (t) => {
+  const copy_text = action({ action_key: 'copy_text' });
+  const copy_budget = action({ action_key: 'context_copy_within_budget' });
+
+  const state = resolve_primary_control({ item_count: 1 }, {
+    copy_actions: [copy_text, copy_budget],
+    token_budget: 32000,
+  });
+  t.is(state.primary_action, copy_budget);
+  t.is(state.label, 'Copy within 32K tokens');
+  t.is(state.mode, 'split');
+  t.deepEqual(state.primary_params, { token_budget: 32000 });
+
+  const without_budget = resolve_primary_control({ item_count: 1 }, {
+    copy_actions: [copy_text, copy_budget],
+  });
+  t.is(without_budget.primary_action, copy_text);
+  t.deepEqual(without_budget.primary_params, {});
+
+  const budget_first = resolve_primary_control({ item_count: 1 }, {
+    copy_actions: [copy_budget, copy_text],
+  });
+  t.is(budget_first.primary_action, copy_text);
+  t.is(without_budget.label, 'Copy context');
+});
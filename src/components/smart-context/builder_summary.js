@@ -1,4 +1,10 @@
 import { get_truncated_context_selections } from '../../utils/context_output_guard.js';
+import {
+  estimate_item_tokens,
+  get_tokenizer_encoding,
+} from '../../utils/tokenizer.js';
+
+export { estimate_tokens } from '../../utils/tokenizer.js';
 
 export const version = '3.1.7';
 
@@ -132,11 +138,13 @@ export function get_context_summary(ctx, params = {}) {
     );
   }
 
+  const encoding = get_tokenizer_encoding(ctx?.env);
   const source_keys = new Set();
   const missing_keys = new Set();
   let source_count = 0;
   let source_count_known = true;
   let estimated_text_chars = 0;
+  let estimated_tokens = 0;
   let media_count = 0;
   let media_bytes = 0;
 
@@ -165,6 +173,7 @@ export function get_context_summary(ctx, params = {}) {
       media_bytes += item_size;
     } else {
       estimated_text_chars += item_size;
+      estimated_tokens += estimate_item_tokens({ ...item_data, key: item_key }, { encoding });
     }
   });
 
@@ -181,7 +190,7 @@ export function get_context_summary(ctx, params = {}) {
     source_count,
     source_count_known,
     estimated_text_chars,
-    estimated_tokens: estimate_tokens(estimated_text_chars),
+    estimated_tokens,
     media_count,
     media_bytes,
     exclusion_count: get_exclusion_count(ctx, params.exclusion_count),
@@ -201,10 +210,12 @@ export function get_context_summary(ctx, params = {}) {
  * @returns {any}
  */
 function build_hydrated_summary(ctx, context_items, selection_entries, params) {
+  const encoding = get_tokenizer_encoding(ctx?.env);
   const source_keys = new Set();
   const existing_keys = new Set();
   const missing_keys = new Set();
   let estimated_text_chars = 0;
+  let estimated_tokens = 0;
   let media_count = 0;
   let media_bytes = 0;
 
@@ -222,6 +233,7 @@ function build_hydrated_summary(ctx, context_items, selection_entries, params) {
       media_bytes += item_size;
     } else {
       estimated_text_chars += item_size;
+      estimated_tokens += estimate_item_tokens(item, { encoding });
     }
   });
 
@@ -238,7 +250,7 @@ function build_hydrated_summary(ctx, context_items, selection_entries, params) {
     source_count: source_keys.size,
     source_count_known: true,
     estimated_text_chars,
-    estimated_tokens: estimate_tokens(estimated_text_chars),
+    estimated_tokens,
     media_count,
     media_bytes,
     exclusion_count: get_exclusion_count(ctx, params.exclusion_count),
@@ -248,15 +260,6 @@ function build_hydrated_summary(ctx, context_items, selection_entries, params) {
   };
 }
 
-/**
- * @param {number} char_count
- * @returns {number}
- */
-export function estimate_tokens(char_count = 0) {
-  const value = Number(char_count);
-  return Number.isFinite(value) && value > 0 ? Math.ceil(value / 4) : 0;
-}
-
 /**
  * @param {number} value
  * @returns {string}
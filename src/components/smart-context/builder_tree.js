@@ -7,6 +7,14 @@ import { build_path_tree } from 'obsidian-smart-env/src/utils/smart-context/buil
 import { create_render_scheduler } from 'obsidian-smart-env/src/utils/render_utils.js';
 import { register_item_hover_popover } from 'obsidian-smart-env/src/utils/register_item_hover_popover.js';
 import { get_truncated_context_selections } from '../../utils/context_output_guard.js';
+import { remove_codeblock_glob_rule } from '../../utils/codeblock_globs.js';
+import { remove_codeblock_depth_rule } from '../../utils/codeblock_depth_rules.js';
+import { remove_codeblock_note_context_rule } from '../../utils/codeblock_note_contexts.js';
+import {
+  estimate_item_tokens,
+  get_tokenizer_encoding,
+  warm_item_token_counts,
+} from '../../utils/tokenizer.js';
 import './builder_tree.css';
 
 export const version = '3.1.7';
@@ -15,6 +23,42 @@ export const BUILDER_TREE_COLLAPSE_THRESHOLD = 50;
 export const BUILDER_TREE_CHILD_BATCH_SIZE = 100;
 const ROOT_LIST_PATH = '__root__';
 
+/**
+ * Codeblock rules whose items are grouped under a rule row.
+ */
+const RULE_TYPES = {
+  glob: {
+    name: 'glob',
+    rules_key: 'codeblock_globs',
+    origin_key: 'from_glob',
+    path_prefix: 'glob:',
+    icon: 'asterisk',
+    class_name: 'is-glob',
+    format_count: (count) => `${count.toLocaleString()} match${count === 1 ? '' : 'es'}`,
+    remove: remove_codeblock_glob_rule,
+  },
+  depth: {
+    name: 'depth',
+    rules_key: 'codeblock_depth_rules',
+    origin_key: 'from_depth_rule',
+    path_prefix: 'depth:',
+    icon: 'git-fork',
+    class_name: 'is-depth-rule',
+    format_count: (count) => `${count.toLocaleString()} note${count === 1 ? '' : 's'}`,
+    remove: remove_codeblock_depth_rule,
+  },
+  note: {
+    name: 'note',
+    rules_key: 'codeblock_note_contexts',
+    origin_key: 'from_note_context',
+    path_prefix: 'note:',
+    icon: 'file-symlink',
+    class_name: 'is-note-context-rule',
+    format_count: (count) => `${count.toLocaleString()} item${count === 1 ? '' : 's'}`,
+    remove: remove_codeblock_note_context_rule,
+  },
+};
+
 export function build_html() {
   return '<div class="sc-context-builder-tree"></div>';
 }
@@ -66,12 +110,16 @@ export function post_process(ctx, container, params = {}) {
     const all_expanded = folder_paths.size > 0
       && Array.from(folder_paths).every((path) => expanded_paths.has(path))
     ;
-    const list = tree_root && tree_render_params
-      ? render_tree_list(tree_root, {
-        ...tree_render_params,
-        expanded_paths,
-        visible_child_limits,
-      }, ROOT_LIST_PATH)
+    const list_params = tree_render_params
+      ? { ...tree_render_params, expanded_paths, visible_child_limits }
+      : null
+    ;
+    const list = tree_root && list_params
+      ? render_tree_list(tree_root, list_params, ROOT_LIST_PATH)
+      : null
+    ;
+    const rule_list = list_params
+      ? render_rule_list(list_params)
       : null
     ;
 
@@ -83,6 +131,7 @@ export function post_process(ctx, container, params = {}) {
       toggle_all_button.textContent = all_expanded ? 'Collapse all' : 'Expand all';
       container.appendChild(toggle_all_button);
     }
+    if (rule_list) container.appendChild(rule_list);
     if (list) container.appendChild(list);
   };
 
@@ -98,16 +147,22 @@ export function post_process(ctx, container, params = {}) {
       ctx?.data?.context_items || {},
     ).some((item_data) => item_data?.named_context === true);
 
-    tree_root = build_path_tree(context_items);
+    const rule_items_by_line = group_rule_items(context_items);
+    tree_root = build_path_tree(
+      context_items.filter((item) => !get_rule_row_path(item)),
+    );
     const size_totals = get_context_size_totals(context_items);
+    const encoding = get_tokenizer_encoding(ctx?.env);
     tree_render_params = {
       ctx,
+      encoding,
       context_item_by_key,
       named_context_cache: new WeakMap(),
       tree_stats_cache: new WeakMap(),
       text_total_size: size_totals.text_total_size,
       media_total_size: size_totals.media_total_size,
       truncated_selections: get_truncated_selection_map(ctx),
+      rule_items_by_line,
     };
 
     const next_folder_paths = get_tree_folder_paths(tree_root);
@@ -140,6 +195,15 @@ export function post_process(ctx, container, params = {}) {
     } catch (error) {
       console.error('Context Builder: Failed to report resolved tree items', error);
     }
+
+    warm_item_token_counts(context_items, { encoding })
+      .then((counted) => {
+        if (counted > 0 && !disposed) schedule_render?.();
+      })
+      .catch((error) => {
+        console.warn('Context Builder: Failed to count tokens', error);
+      })
+    ;
   };
 
   const render_tree_safely = () => {
@@ -242,6 +306,14 @@ export function post_process(ctx, container, params = {}) {
       return;
     }
 
+    const rule_remove_button = event.target?.closest?.('.sc-context-builder-tree-rule-remove');
+    if (rule_remove_button && container.contains(rule_remove_button)) {
+      event.preventDefault();
+      event.stopPropagation();
+      RULE_TYPES[rule_remove_button.dataset.ruleType]?.remove(ctx, rule_remove_button.dataset.rule);
+      return;
+    }
+
     const remove_button = event.target?.closest?.('.sc-context-builder-tree-remove');
     if (remove_button && container.contains(remove_button)) {
       event.preventDefault();
@@ -537,6 +609,9 @@ function render_tree_item(tree_item, params) {
     const size_label = format_size_label(
       get_item_size(context_item),
       total_size,
+      is_media_context_item(context_item)
+        ? 0
+        : estimate_item_tokens(context_item, { encoding: params.encoding }),
     );
     if (size_label) {
       const size = activeDocument.createElement('span');
@@ -579,6 +654,173 @@ function render_tree_item(tree_item, params) {
   return item;
 }
 
+/**
+ * One collapsible row per codeblock glob, depth or note-context rule, listed
+ * above the path tree. Items added by a rule render under it instead of in
+ * their folders.
+ *
+ * @param {object} params
+ * @returns {HTMLUListElement|null}
+ */
+function render_rule_list(params) {
+  const rule_rows = Object.values(RULE_TYPES).flatMap((rule_type) => {
+    const rules = params.ctx?.data?.[rule_type.rules_key] || {};
+    return Object.keys(rules).map((rule_line) => ({
+      rule_type,
+      rule_line,
+      rule: rules[rule_line] || {},
+      rule_items: params.rule_items_by_line?.get(`${rule_type.path_prefix}${rule_line}`) || [],
+    }));
+  });
+  if (!rule_rows.length) return null;
+
+  const list = activeDocument.createElement('ul');
+  list.className = 'sc-context-builder-tree-list sc-context-builder-tree-rules';
+  rule_rows.forEach((rule_row) => {
+    list.appendChild(render_rule_item(rule_row, params));
+  });
+  return list;
+}
+
+/**
+ * @param {object} rule_row
+ * @param {typeof RULE_TYPES[keyof typeof RULE_TYPES]} rule_row.rule_type
+ * @param {string} rule_row.rule_line
+ * @param {{ match_count?:number, truncated?:boolean, truncated_max_items?:number, missing?:boolean, cycle?:string[]|null }} rule_row.rule
+ * @param {any[]} rule_row.rule_items
+ * @param {object} params
+ * @returns {HTMLLIElement}
+ */
+function render_rule_item(rule_row, params) {
+  const { rule_type, rule_line, rule, rule_items } = rule_row;
+  const path = `${rule_type.path_prefix}${rule_line}`;
+  const has_children = rule_items.length > 0;
+  const is_expanded = has_children && params.expanded_paths.has(path);
+
+  const item = activeDocument.createElement('li');
+  item.className = `sc-context-builder-tree-item is-folder ${rule_type.class_name}`;
+  if (is_expanded) item.classList.add('is-expanded');
+
+  const row = activeDocument.createElement('div');
+  row.className = 'sc-context-builder-tree-row';
+  row.dataset.path = path;
+  if (rule.truncated) row.classList.add('is-truncated');
+  if (rule.missing || rule.cycle) row.classList.add('is-missing');
+  item.appendChild(row);
+
+  if (has_children) {
+    const toggle_button = activeDocument.createElement('button');
+    toggle_button.type = 'button';
+    toggle_button.className = 'clickable-icon sc-context-builder-tree-toggle';
+    toggle_button.dataset.path = path;
+    toggle_button.setAttribute('aria-expanded', String(is_expanded));
+    toggle_button.setAttribute(
+      'aria-label',
+      `${is_expanded ? 'Collapse' : 'Expand'} ${rule_line}`,
+    );
+    setIcon(toggle_button, is_expanded ? 'chevron-down' : 'chevron-right');
+    row.appendChild(toggle_button);
+  } else {
+    const toggle_spacer = activeDocument.createElement('span');
+    toggle_spacer.className = 'sc-context-builder-tree-toggle-spacer';
+    row.appendChild(toggle_spacer);
+  }
+
+  const remove_button = activeDocument.createElement('button');
+  remove_button.type = 'button';
+  remove_button.className = 'sc-context-builder-tree-remove sc-context-builder-tree-rule-remove';
+  remove_button.dataset.ruleType = rule_type.name;
+  remove_button.dataset.rule = rule_line;
+  remove_button.setAttribute('aria-label', `Remove rule ${rule_line}`);
+  remove_button.textContent = '×';
+  row.appendChild(remove_button);
+
+  const icon = activeDocument.createElement('span');
+  icon.className = 'sc-context-builder-tree-type-icon';
+  setIcon(icon, rule_type.icon);
+  row.appendChild(icon);
+
+  const name = activeDocument.createElement('span');
+  name.className = 'sc-context-builder-tree-name sc-context-builder-tree-rule-line';
+  name.textContent = rule_line;
+  row.appendChild(name);
+
+  const count = activeDocument.createElement('span');
+  count.className = 'sc-context-builder-tree-count';
+  count.textContent = rule_type.format_count(Number(rule.match_count) || 0);
+  row.appendChild(count);
+
+  if (rule.truncated) {
+    const truncated = activeDocument.createElement('span');
+    truncated.className = 'sc-context-builder-tree-truncated';
+    const max_items = Number(rule.truncated_max_items) || 0;
+    truncated.textContent = max_items
+      ? `First ${max_items.toLocaleString()} files`
+      : 'Truncated'
+    ;
+    truncated.setAttribute(
+      'aria-label',
+      'Glob matches were truncated while resolving context.',
+    );
+    truncated.setAttribute(
+      'title',
+      'This rule reached the context scan safety cap. Output requires confirmation because it will be incomplete.',
+    );
+    row.appendChild(truncated);
+  }
+
+  if (rule.missing || rule.cycle) {
+    const warning = activeDocument.createElement('span');
+    warning.className = 'sc-context-builder-tree-warning';
+    warning.setAttribute(
+      'aria-label',
+      rule.cycle
+        ? `Circular reference skipped: ${rule.cycle.join(' → ')}`
+        : 'Missing source',
+    );
+    setIcon(warning, 'alert-triangle');
+    row.appendChild(warning);
+  }
+
+  if (is_expanded) {
+    const child_list = render_tree_list(build_path_tree(rule_items), params, path);
+    if (child_list) item.appendChild(child_list);
+  }
+  return item;
+}
+
+/**
+ * Group items added by codeblock rules by their rule row path.
+ *
+ * @param {any[]} context_items
+ * @returns {Map<string, any[]>}
+ */
+function group_rule_items(context_items = []) {
+  const groups = new Map();
+  context_items.forEach((item) => {
+    const row_path = get_rule_row_path(item);
+    if (!row_path) return;
+    if (!groups.has(row_path)) groups.set(row_path, []);
+    groups.get(row_path).push(item);
+  });
+  return groups;
+}
+
+/**
+ * @param {any} context_item
+ * @returns {string} Empty when the item was not added by a rule.
+ */
+function get_rule_row_path(context_item) {
+  const data = context_item?.data || {};
+  for (const rule_type of Object.values(RULE_TYPES)) {
+    const rule_line = data[rule_type.origin_key];
+    if (typeof rule_line === 'string' && rule_line) {
+      return `${rule_type.path_prefix}${rule_line}`;
+    }
+  }
+  return '';
+}
+
 /**
  * @param {HTMLElement} row
  * @param {any} context_item
@@ -598,6 +840,22 @@ function render_origin_badges(row, context_item) {
     }));
   }
 
+  if (typeof data.from_query === 'string' && data.from_query) {
+    row.appendChild(create_origin_badge({
+      icon: 'search',
+      label: `Matched by query: ${data.from_query}`,
+      class_name: 'sc-context-builder-tree-origin-query',
+    }));
+  }
+
+  if (typeof data.via_property === 'string' && data.via_property) {
+    row.appendChild(create_origin_badge({
+      icon: 'list',
+      label: `Linked by property: ${data.via_property}`,
+      class_name: 'sc-context-builder-tree-origin-property',
+    }));
+  }
+
   const named_context = get_context_item_named_context(context_item);
   if (named_context) {
     const badge = create_origin_badge({
@@ -1145,9 +1403,10 @@ export function get_context_item_label(context_item, tree_item = null) {
 /**
  * @param {number} size
  * @param {number} total_size
+ * @param {number} [tokens=0] - Token estimate appended for text items.
  * @returns {string}
  */
-export function format_size_label(size, total_size) {
+export function format_size_label(size, total_size, tokens = 0) {
   const numeric_size = Number(size);
   if (!Number.isFinite(numeric_size) || numeric_size <= 0) return '';
 
@@ -1155,7 +1414,12 @@ export function format_size_label(size, total_size) {
     ? `${format_percent((numeric_size / total_size) * 100)}% `
     : ''
   ;
-  return `${percent}(${format_bytes(numeric_size)})`;
+  const numeric_tokens = Number(tokens);
+  const token_text = Number.isFinite(numeric_tokens) && numeric_tokens > 0
+    ? `, ~${numeric_tokens.toLocaleString()} tokens`
+    : ''
+  ;
+  return `${percent}(${format_bytes(numeric_size)}${token_text})`;
 }
 
 /**
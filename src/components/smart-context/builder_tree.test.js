@@ -16,6 +16,7 @@ test('Builder tree size labels show contribution and readable bytes', (t) => {
   t.is(format_size_label(1843, 25600), '7.2% (1.8 KB)');
   t.is(format_size_label(0, 25600), '');
   t.is(format_size_label(1, 2000), '<0.1% (1 B)');
+  t.is(format_size_label(6758, 25600, 1520), '26% (6.6 KB, ~1,520 tokens)');
 });
 
 test('Builder tree calculates text and media contribution totals independently', (t) => {
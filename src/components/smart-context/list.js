@@ -1,9 +1,28 @@
 import styles from './list.css';
-import { setIcon } from 'obsidian';
+import { Notice, setIcon } from 'obsidian';
 import { is_codeblock_context_key } from '../../utils/pure_utils.js';
 
 const DASHBOARD_CLASS = 'sc-contexts-dashboard';
 const DASHBOARD_LIST_CLASS = 'sc-contexts-dashboard-list';
+const DASHBOARD_SELECTION_CLASS = 'sc-contexts-dashboard-selection';
+
+const set_operations = [
+  {
+    operation: 'union',
+    label: 'Union',
+    title: 'New context with every item from the selected contexts',
+  },
+  {
+    operation: 'intersection',
+    label: 'Intersection',
+    title: 'New context with the items all selected contexts share',
+  },
+  {
+    operation: 'difference',
+    label: 'Difference',
+    title: 'New context with the items of the first selected context that are in none of the others',
+  },
+];
 
 /**
  * Normalize filter input.
@@ -52,6 +71,15 @@ export function build_html() {
       </div>
       <button class="help" type="button" aria-label="Help"></button>
     </div>
+    <div class="${DASHBOARD_SELECTION_CLASS}" hidden>
+      <span class="sc-contexts-dashboard-selection-label"></span>
+      <div class="sc-contexts-dashboard-selection-actions">
+        ${set_operations.map(({ operation, label, title }) => {
+          return `<button type="button" data-operation="${operation}" title="${title}">${label}</button>`;
+        }).join('')}
+        <button type="button" class="sc-contexts-dashboard-selection-clear">Clear</button>
+      </div>
+    </div>
     <div class="${DASHBOARD_LIST_CLASS}"></div>
   </div>`;
 }
@@ -103,6 +131,84 @@ export async function post_process(smart_contexts, container, params = {}) {
   let active_render_controller = null;
   let render_queued = false;
 
+  /** @type {string[]} context keys in the order they were selected */
+  let selected_keys = [];
+  const selection_el = container.querySelector(`.${DASHBOARD_SELECTION_CLASS}`);
+  const selection_label_el = selection_el?.querySelector('.sc-contexts-dashboard-selection-label');
+
+  /**
+   * Sync the selection bar and row highlights with the selected keys.
+   * @returns {void}
+   */
+  const update_selection = () => {
+    selected_keys = selected_keys.filter((key) => {
+      const ctx = smart_contexts.get?.(key);
+      return Boolean(ctx && !ctx.deleted);
+    });
+    const names = selected_keys.map((key) => smart_contexts.get(key).data.name);
+    if (selection_el) selection_el.hidden = names.length === 0;
+    if (selection_label_el) {
+      selection_label_el.textContent = names.length === 1
+        ? `${names[0]} selected. Ctrl/Cmd-click another context.`
+        : `${names.length} selected: ${names.join(', ')}`
+      ;
+    }
+    selection_el?.querySelectorAll('button[data-operation]').forEach((button_el) => {
+      button_el.disabled = names.length < 2;
+    });
+    list_el.querySelectorAll('[data-context-key]').forEach((row_el) => {
+      row_el.classList.toggle('is-selected', selected_keys.includes(row_el.dataset.contextKey));
+    });
+  };
+
+  const selection = {
+    /**
+     * @param {string} key
+     * @returns {boolean}
+     */
+    has: (key) => selected_keys.includes(key),
+    /**
+     * @param {string} key
+     * @returns {void}
+     */
+    toggle: (key) => {
+      selected_keys = selected_keys.includes(key)
+        ? selected_keys.filter((selected_key) => selected_key !== key)
+        : [...selected_keys, key]
+      ;
+      update_selection();
+    },
+  };
+  const row_params = { ...params, selection };
+
+  /**
+   * Create a context from the selected contexts.
+   * @param {string} operation
+   * @returns {Promise<void>}
+   */
+  const run_set_operation = async (operation) => {
+    const action = smart_contexts.actions?.[`smart_contexts_${operation}`];
+    if (typeof action !== 'function') return;
+    const names = selected_keys.map((key) => smart_contexts.get(key)?.data?.name).filter(Boolean);
+    try {
+      const result = await action({ names });
+      new Notice(`Created "${result.name}" with ${result.total} item${result.total === 1 ? '' : 's'}.`);
+      selected_keys = [];
+      update_selection();
+    } catch (error) {
+      console.error('Smart Context: set operation failed', error);
+      new Notice(error instanceof Error ? error.message : 'Failed to create context.');
+    }
+  };
+
+  selection_el?.querySelectorAll('button[data-operation]').forEach((button_el) => {
+    button_el.addEventListener('click', () => run_set_operation(button_el.dataset.operation));
+  });
+  selection_el?.querySelector('.sc-contexts-dashboard-selection-clear')?.addEventListener('click', () => {
+    selected_keys = [];
+    update_selection();
+  });
+
   /**
    * Create an abort error compatible with normal cancellation handling.
    * @returns {Error}
@@ -205,7 +311,7 @@ export async function post_process(smart_contexts, container, params = {}) {
           'smart_context_list_item',
           grouped_item.ctx,
           {
-            ...params,
+            ...row_params,
             display_name: grouped_item.display_name,
           }
         );
@@ -226,7 +332,7 @@ export async function post_process(smart_contexts, container, params = {}) {
       const row_el = await env.smart_components.render_component(
         'smart_context_list_item',
         item,
-        params
+        row_params
       );
       throw_if_aborted(signal);
       if (row_el) fragment.appendChild(row_el);
@@ -249,6 +355,7 @@ export async function post_process(smart_contexts, container, params = {}) {
       const fragment = await build_list_fragment(render_controller.signal);
       throw_if_aborted(render_controller.signal);
       list_el.replaceChildren(fragment);
+      update_selection();
     } catch (error) {
       if (error?.name !== 'AbortError') throw error;
     } finally {
@@ -2,7 +2,7 @@ import { Menu, Notice, setIcon } from 'obsidian';
 import { write_smart_drag_data } from 'obsidian-smart-env';
 import { resolve_dropped_context_item_keys } from '../../utils/resolve_dropped_context_item_keys.js';
 
-export const version = '3.1.4';
+export const version = '3.1.5';
 
 const DASHBOARD_ITEM_CLASS = 'sc-contexts-dashboard-item';
 const delete_confirm_state_class = 'is-delete-confirm';
@@ -238,7 +238,17 @@ async function post_process(ctx, container, opts = {}) {
     });
   });
 
+  if (opts.selection?.has(ctx?.data?.key)) container.classList.add('is-selected');
+
   header_el?.addEventListener('click', (ev) => {
+    // Ctrl/Cmd-click selects contexts for union, intersection and difference
+    if ((ev.ctrlKey || ev.metaKey) && opts.selection && !is_confirming_delete) {
+      // buttons and the item count (opens the Builder) keep their own click
+      if (ev.target?.closest?.('button, .sc-contexts-dashboard-count')) return;
+      ev.preventDefault();
+      opts.selection.toggle(ctx?.data?.key);
+      return;
+    }
     if (!is_confirming_delete) return;
     if (delete_confirm_el?.contains(ev.target)) return;
     set_confirming_delete(false);
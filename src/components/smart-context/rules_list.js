@@ -1,5 +1,9 @@
 import { setIcon } from 'obsidian';
 import styles from './rules_list.css';
+import {
+  parse_codeblock_query,
+  remove_codeblock_query_rule,
+} from '../../utils/codeblock_queries.js';
 
 export const version = '3.1.7';
 
@@ -21,6 +25,38 @@ export function get_named_context_rules(ctx) {
   ;
 }
 
+/**
+ * Return codeblock query rules (`tag:#a modified:<14d`) with their match stats.
+ *
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @returns {Array<{ storage_key:string, name:string, match_count:number, truncated:boolean, errors:string[] }>}
+ */
+export function get_codeblock_query_rules(ctx) {
+  return Object.entries(ctx?.data?.codeblock_queries || {})
+    .map(([line, rule]) => ({
+      storage_key: line,
+      name: line,
+      match_count: Number(rule?.match_count) || 0,
+      truncated: rule?.truncated === true,
+      errors: parse_codeblock_query(line).errors,
+    }))
+    .sort((left, right) => left.name.localeCompare(right.name))
+  ;
+}
+
+/**
+ * @param {{ match_count:number, truncated:boolean, errors:string[] }} rule
+ * @returns {string}
+ */
+export function format_query_rule_meta(rule) {
+  if (rule.errors.length) return `Query - cannot read ${rule.errors.join(' ')}`;
+  const count = `${rule.match_count.toLocaleString()} match${rule.match_count === 1 ? '' : 'es'}`;
+  return rule.truncated
+    ? `Query - ${count}, truncated`
+    : `Query - ${count}`
+  ;
+}
+
 /**
  * Remove one directly selected named-context rule from this build.
  *
@@ -83,6 +119,7 @@ export async function render(ctx, params = {}) {
 export function post_process(ctx, container, params = {}) {
   let compact_open = false;
   let rules = [];
+  let query_rules = [];
   let last_rule_count = -1;
 
   const focus_review = () => {
@@ -91,20 +128,22 @@ export function post_process(ctx, container, params = {}) {
 
   const render_rules = () => {
     rules = get_named_context_rules(ctx);
+    query_rules = get_codeblock_query_rules(ctx);
+    const rule_count = rules.length + query_rules.length;
     container.replaceChildren();
-    container.hidden = params.review_mode !== true && rules.length === 0;
-    container.dataset.ruleCount = String(rules.length);
+    container.hidden = params.review_mode !== true && rule_count === 0;
+    container.dataset.ruleCount = String(rule_count);
     container.dataset.exclusionCount = '0';
 
     if (params.review_mode === true) {
       render_review_surface(container, rules);
-    } else if (rules.length > 0) {
+    } else if (rule_count > 0) {
       render_compact_surface(container, rules);
     }
 
-    if (rules.length !== last_rule_count) {
-      last_rule_count = rules.length;
-      params.on_exclusion_count_change?.(rules.length);
+    if (rule_count !== last_rule_count) {
+      last_rule_count = rule_count;
+      params.on_exclusion_count_change?.(rule_count);
     }
   };
 
@@ -126,10 +165,11 @@ export function post_process(ctx, container, params = {}) {
     setIcon(back_icon, 'arrow-left');
     back_btn.append('Included context');
 
+    const rule_count = current_rules.length + query_rules.length;
     review.createEl('h3', {
       cls: 'sc-context-rules-title',
-      text: current_rules.length
-        ? `Context rules (${current_rules.length})`
+      text: rule_count
+        ? `Context rules (${rule_count})`
         : 'Context rules',
       attr: {
         tabindex: '-1',
@@ -138,13 +178,13 @@ export function post_process(ctx, container, params = {}) {
 
     review.createDiv({
       cls: 'sc-context-rules-description',
-      text: 'Named contexts dynamically include their current sources. Remove a rule to stop including that context in this build.',
+      text: 'Named contexts and codeblock queries dynamically include their current sources. Remove a rule to stop including its sources in this build.',
     });
 
-    if (!current_rules.length) {
+    if (!rule_count) {
       review.createDiv({
         cls: 'sc-context-rules-empty',
-        text: 'No named-context rules in this build.',
+        text: 'No context rules in this build.',
       });
       return;
     }
@@ -163,7 +203,7 @@ export function post_process(ctx, container, params = {}) {
 
     details.createEl('summary', {
       cls: 'sc-context-rules-summary',
-      text: `Rules (${current_rules.length})`,
+      text: `Rules (${current_rules.length + query_rules.length})`,
     });
     render_rule_list(details, current_rules);
   };
@@ -222,6 +262,42 @@ export function post_process(ctx, container, params = {}) {
         },
       });
     });
+
+    query_rules.forEach((rule) => {
+      const row = list.createEl('li', {
+        cls: 'sc-context-rules-item',
+      });
+
+      const icon = row.createSpan({
+        cls: 'sc-context-rules-icon',
+      });
+      setIcon(icon, 'search');
+
+      const copy = row.createDiv({
+        cls: 'sc-context-rules-copy',
+      });
+      copy.createDiv({
+        cls: 'sc-context-rules-label sc-context-rules-query',
+        text: rule.name,
+      });
+      copy.createDiv({
+        cls: 'sc-context-rules-meta',
+        text: format_query_rule_meta(rule),
+      });
+
+      const actions = row.createDiv({
+        cls: 'sc-context-rules-actions',
+      });
+      actions.createEl('button', {
+        text: 'Remove',
+        attr: {
+          type: 'button',
+          'data-rule-action': 'remove-query',
+          'data-rule-key': rule.storage_key,
+          'aria-label': `Remove query ${rule.name}`,
+        },
+      });
+    });
   };
 
   const on_click = (event) => {
@@ -240,6 +316,10 @@ export function post_process(ctx, container, params = {}) {
       remove_named_context_rule(ctx, action_btn.dataset.ruleKey);
       return;
     }
+    if (action === 'remove-query') {
+      remove_codeblock_query_rule(ctx, action_btn.dataset.ruleKey);
+      return;
+    }
     if (action === 'open') {
       open_named_context(ctx, action_btn.dataset.ruleName);
     }
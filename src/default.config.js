@@ -1,5 +1,6 @@
 import { CopyContextModal } from './modals/copy_context_modal';
 import { ContextBuilderModal } from './modals/context_builder.js';
+import { TokenBudgetModal } from './modals/token_budget_modal.js';
 import { merge_env_config } from 'obsidian-smart-env';
 import { smart_env_config as compiled_config } from '../smart_env.config.js';
 
@@ -12,6 +13,9 @@ const default_config = {
     copy_context_modal: {
       class: CopyContextModal,
     },
+    token_budget_modal: {
+      class: TokenBudgetModal,
+    },
   },
 };
 
@@ -20,6 +20,13 @@ import { ContextsDashboardView } from './views/contexts_dashboard_view.js';
 import { ReleaseNotesView } from './views/release_notes_view.js';
 import { smart_env_config } from './default.config.js';
 import { register_context_codeblock_processors } from './utils/register_context_codeblock_processors.js';
+import {
+  parse_context_codeblock_ctx_key,
+  rename_named_context_lines,
+} from './utils/context_codeblock_ranges.js';
+import { create_vault_path_change_queue } from './utils/vault_path_changes.js';
+import { create_named_context_file_sync } from './utils/named_context_file_sync.js';
+import { create_context_history_tracker } from './utils/context_history.js';
 
 /**
  * Smart Context (Obsidian) - copy and curate context for AI tools.
@@ -223,10 +230,50 @@ export default class SmartContextPlugin extends SmartPlugin {
   }
 
   showStatsNotice(stats, contextMsg, params = {}) {
-    show_stats_notice(stats, contextMsg, params);
+    return show_stats_notice(stats, contextMsg, {
+      env: this.env,
+      ...params,
+    });
   }
 
   register_event_listeners() {
+    /**
+     * Rewrite codeblock lines and context items when referenced files are
+     * renamed, moved or deleted.
+     */
+    const path_changes = create_vault_path_change_queue(this);
+    this.register(() => path_changes.dispose());
+    this.registerEvent(this.app.vault.on('rename', (file, old_path) => {
+      path_changes.push({
+        old_path,
+        new_path: file.path,
+        is_folder: file instanceof TFolder,
+      });
+    }));
+    this.registerEvent(this.app.vault.on('delete', (file) => {
+      path_changes.push({
+        old_path: file.path,
+        new_path: null,
+        is_folder: file instanceof TFolder,
+      });
+    }));
+
+    /**
+     * Record versions of named contexts for the history panel.
+     */
+    const context_history = create_context_history_tracker(this.env);
+    this.register(() => context_history.dispose());
+    context_history.start();
+
+    /**
+     * Keep named context notes and named contexts in sync when the setting is on.
+     */
+    const named_context_files = create_named_context_file_sync(this);
+    this.register(() => named_context_files.dispose());
+    this.registerEvent(this.app.vault.on('modify', (file) => named_context_files.handle_file_change(file)));
+    this.registerEvent(this.app.vault.on('create', (file) => named_context_files.handle_file_change(file)));
+    named_context_files.start();
+
     /**
      * Listen for context renames to update any codeblocks that reference the renamed context by name.
      */
@@ -239,7 +286,6 @@ export default class SmartContextPlugin extends SmartPlugin {
         }
         const old_name = payload.old_name;
         const new_name = payload.name;
-        const line_starts_with = `ctx:: ${old_name}`;
         const source_keys = Object.keys(ctx.data.codeblock_inclusions || {});
         for (let i = 0; i < source_keys.length; i++) {
           const source_key = source_keys[i];
@@ -249,25 +295,30 @@ export default class SmartContextPlugin extends SmartPlugin {
             continue;
           }
           const content = await this.app.vault.read(t_file);
-          const has_line = content.split('\n').some((line) => line.trim().startsWith(line_starts_with));
+          const has_line = rename_named_context_lines(content, { old_name, new_name }).count > 0;
           if (!has_line) {
-            console.warn(`Line starting with "${line_starts_with}" not found in file "${t_file.path}". Removing codeblock inclusion reference.`);
+            console.warn(`Line "ctx:: ${old_name}" not found in a context codeblock in file "${t_file.path}". Removing codeblock inclusion reference.`);
             // If the line isn't found, remove the codeblock inclusion reference to avoid future unnecessary checks.
             delete ctx.data.codeblock_inclusions[source_key];
             ctx.queue_save();
             continue;
           };
-          const new_content = content.replace(line_starts_with, `ctx:: ${new_name}`);
-          this.app.vault.modify(t_file, new_content);
-          const cb_ctx = this.env.smart_contexts.get(source_key + '#codeblock');
-          if (cb_ctx?.data?.context_items?.[old_name]) {
+          // a note can hold several codeblocks that include the same named context
+          await this.app.vault.process(t_file, (data) => {
+            return rename_named_context_lines(data, { old_name, new_name }).markdown;
+          });
+          const cb_ctxs = Object.values(this.env.smart_contexts.items || {}).filter((item) => {
+            return parse_context_codeblock_ctx_key(item?.key)?.source_path === source_key;
+          });
+          cb_ctxs.forEach((cb_ctx) => {
+            if (!cb_ctx?.data?.context_items?.[old_name]) return;
             delete cb_ctx.data.context_items[old_name];
             cb_ctx.data.context_items[new_name] = {
               key: new_name,
               kind: 'named_context',
               named_context: true,
             };
-          }
+          });
           ctx.emit_info_event('context:named_context_name_synced', {
             codeblock_source_key: source_key,
             old_name,
@@ -0,0 +1,60 @@
+import { SuggestModal } from 'obsidian';
+
+/**
+ * Modal that lists replacement targets for an unresolved codeblock line.
+ */
+export class CodeblockLineFixModal extends SuggestModal {
+  /**
+   * @param {import('obsidian').App} app
+   * @param {string} line - The line being fixed.
+   * @param {string[]} candidates
+   * @param {(candidate:string|null)=>void} on_choose
+   *   Called once with the chosen candidate, or null when the modal closes without a choice.
+   */
+  constructor(app, line, candidates, on_choose) {
+    super(app);
+    this.candidates = candidates;
+    this.on_choose = on_choose;
+    this.chosen = false;
+    this.setPlaceholder(`Replace ${line} with`);
+    this.setInstructions([
+      { command: 'Enter', purpose: 'Rewrite the codeblock line.' },
+    ]);
+  }
+
+  getSuggestions(query) {
+    const normalized_query = String(query || '').toLowerCase();
+    return this.candidates.filter((candidate) => candidate.toLowerCase().includes(normalized_query));
+  }
+
+  renderSuggestion(candidate, el) {
+    el.createEl('div', { text: candidate });
+  }
+
+  onChooseSuggestion(candidate) {
+    this.chosen = true;
+    this.on_choose(candidate);
+  }
+
+  onClose() {
+    super.onClose();
+    // onChooseSuggestion runs after onClose, so wait a tick before reporting a dismissal
+    setTimeout(() => {
+      if (!this.chosen) this.on_choose(null);
+    }, 0);
+  }
+}
+
+/**
+ * Ask the user which candidate should replace a codeblock line.
+ *
+ * @param {import('obsidian').App} app
+ * @param {string} line
+ * @param {string[]} candidates
+ * @returns {Promise<string|null>}
+ */
+export function pick_codeblock_line_fix(app, line, candidates) {
+  return new Promise((resolve) => {
+    new CodeblockLineFixModal(app, line, candidates, resolve).open();
+  });
+}
@@ -2,6 +2,7 @@ import { SmartFuzzySuggestModal } from 'obsidian-smart-env/src/modals/smart_fuzz
 import {
   dispose_unmounted_builder,
 } from '../components/smart-context/builder.js';
+import { parse_context_codeblock_ctx_key } from '../utils/context_codeblock_ranges.js';
 
 const suggest_menu_key = 'smart_context:suggest';
 const alpha_keys = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
@@ -605,10 +606,11 @@ function resolve_context_builder_origin(ctx, origin) {
   }
 
   const context_key = String(ctx?.key || '');
-  if (context_key.endsWith('#codeblock')) {
+  const codeblock_key = parse_context_codeblock_ctx_key(context_key);
+  if (codeblock_key) {
     return normalize_origin({
       kind: 'codeblock',
-      source_path: context_key.slice(0, -'#codeblock'.length),
+      source_path: codeblock_key.source_path,
     });
   }
 
@@ -0,0 +1,171 @@
+import { Modal, Setting, SuggestModal } from 'obsidian';
+import './context_bundle_import_modal.css';
+import { BUNDLE_COLLISION_MODES } from '../utils/context_bundle.js';
+import { find_named_context } from '../utils/tool_context.js';
+
+const collision_mode_labels = {
+  [BUNDLE_COLLISION_MODES.MERGE]: 'Merge into existing',
+  [BUNDLE_COLLISION_MODES.OVERWRITE]: 'Overwrite existing',
+  [BUNDLE_COLLISION_MODES.RENAME]: 'Import as new name',
+};
+
+/**
+ * Modal that lists JSON files in the vault so the user can pick a bundle.
+ */
+export class ContextBundlePickerModal extends SuggestModal {
+  /**
+   * @param {import('obsidian').App} app
+   * @param {(file:import('obsidian').TFile|null)=>void} on_choose
+   *   Called once with the chosen file, or null when the modal closes without a choice.
+   */
+  constructor(app, on_choose) {
+    super(app);
+    this.on_choose = on_choose;
+    this.chosen = false;
+    this.setPlaceholder('Choose a context bundle (.json)');
+    this.setInstructions([
+      { command: 'Enter', purpose: 'Review the bundle before importing.' },
+    ]);
+  }
+
+  getSuggestions(query) {
+    const normalized_query = String(query || '').toLowerCase();
+    return this.app.vault.getFiles()
+      .filter((file) => file.extension === 'json' && file.path.toLowerCase().includes(normalized_query))
+    ;
+  }
+
+  renderSuggestion(file, el) {
+    el.createEl('div', { text: file.basename });
+    el.createEl('small', { text: file.path });
+  }
+
+  onChooseSuggestion(file) {
+    this.chosen = true;
+    this.on_choose(file);
+  }
+
+  onClose() {
+    super.onClose();
+    // onChooseSuggestion runs after onClose, so wait a tick before reporting a dismissal
+    setTimeout(() => {
+      if (!this.chosen) this.on_choose(null);
+    }, 0);
+  }
+}
+
+/**
+ * @param {import('obsidian').App} app
+ * @returns {Promise<import('obsidian').TFile|null>}
+ */
+export function pick_context_bundle_file(app) {
+  return new Promise((resolve) => {
+    new ContextBundlePickerModal(app, resolve).open();
+  });
+}
+
+/**
+ * Review a bundle before importing: files that could not be found in this
+ * vault and, for names that already exist, whether to merge, overwrite or
+ * import under a new name. After importing, the modal shows what was added
+ * and which items were skipped.
+ */
+export class ContextBundleImportModal extends Modal {
+  /**
+   * @param {import('obsidian').App} app
+   * @param {object} params
+   * @param {import('../utils/context_bundle.js').ContextBundle} params.bundle
+   * @param {Awaited<ReturnType<typeof import('../utils/context_bundle.js').resolve_bundle_paths>>} params.resolution
+   * @param {import('smart-contexts').SmartContexts} params.collection
+   * @param {(collisions:Record<string, string>)=>Promise<Awaited<ReturnType<typeof import('../utils/context_bundle.js').import_context_bundle>>>} params.on_import
+   */
+  constructor(app, params) {
+    super(app);
+    this.params = params;
+    this.collisions = {};
+  }
+
+  onOpen() {
+    const { bundle, resolution, collection } = this.params;
+    this.titleEl.setText('Import context bundle');
+    this.contentEl.empty();
+    this.contentEl.addClass('sc-context-bundle-import');
+
+    const file_total = Object.keys(bundle.files || {}).length;
+    const found_total = file_total - resolution.unresolved.length;
+    this.contentEl.createEl('p', {
+      text: `${bundle.contexts.length} named context(s); ${found_total} of ${file_total} file(s) found in this vault.`,
+    });
+
+    bundle.contexts.forEach((entry) => {
+      const item_total = Object.keys(entry.context_items || {}).length;
+      const setting = new Setting(this.contentEl)
+        .setName(entry.name)
+        .setDesc(`${item_total} item(s)`)
+      ;
+      if (!find_named_context(collection, entry.name)) return;
+      setting.setDesc(`${item_total} item(s). A context with this name already exists.`);
+      this.collisions[entry.name] = BUNDLE_COLLISION_MODES.MERGE;
+      setting.addDropdown((dropdown) => {
+        dropdown
+          .addOptions(collision_mode_labels)
+          .setValue(BUNDLE_COLLISION_MODES.MERGE)
+          .onChange((value) => {
+            this.collisions[entry.name] = value;
+          })
+        ;
+      });
+    });
+
+    if (resolution.unresolved.length) {
+      const details = this.contentEl.createEl('details', { cls: 'sc-context-bundle-import-unresolved' });
+      details.createEl('summary', { text: `${resolution.unresolved.length} file(s) not found; their items are skipped` });
+      const list = details.createEl('ul');
+      resolution.unresolved.forEach(({ path, candidates }) => {
+        const text = candidates.length
+          ? `${path} (${candidates.length} notes share this name)`
+          : path
+        ;
+        list.createEl('li', { text });
+      });
+    }
+
+    new Setting(this.contentEl)
+      .addButton((button) => button.setButtonText('Cancel').onClick(() => this.close()))
+      .addButton((button) => button
+        .setButtonText('Import')
+        .setCta()
+        .onClick(async () => {
+          button.setDisabled(true);
+          const results = await this.params.on_import({ ...this.collisions });
+          if (results) this.render_report(results);
+          else button.setDisabled(false);
+        }))
+    ;
+  }
+
+  /**
+   * @param {Awaited<ReturnType<typeof import('../utils/context_bundle.js').import_context_bundle>>} results
+   */
+  render_report(results) {
+    this.contentEl.empty();
+    this.titleEl.setText('Context bundle imported');
+    results.forEach((result) => {
+      const name = result.target_name === result.name
+        ? result.name
+        : `${result.name} → ${result.target_name}`
+      ;
+      const row = this.contentEl.createDiv({ cls: 'sc-context-bundle-import-result' });
+      row.createEl('strong', { text: name });
+      row.createSpan({ text: ` (${result.mode}): ${result.added} item(s) added` });
+      if (!result.unresolved.length) return;
+      const list = row.createEl('ul', { cls: 'sc-context-bundle-import-unresolved' });
+      result.unresolved.forEach((key) => {
+        list.createEl('li', { text: `Not found: ${key}` });
+      });
+    });
+    new Setting(this.contentEl)
+      .addButton((button) => button.setButtonText('Done').setCta().onClick(() => this.close()))
+    ;
+  }
+}
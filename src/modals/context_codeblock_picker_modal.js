@@ -0,0 +1,63 @@
+import { SuggestModal } from 'obsidian';
+import { get_context_codeblock_label } from '../utils/context_codeblock_ranges.js';
+
+/**
+ * Modal that lists a note's context codeblocks so the user can pick which one
+ * to merge into the current-note copy.
+ */
+export class ContextCodeblockPickerModal extends SuggestModal {
+  /**
+   * @param {import('obsidian').App} app
+   * @param {import('../utils/context_codeblock_ranges.js').ContextCodeblockRange[]} codeblocks
+   * @param {(codeblock:import('../utils/context_codeblock_ranges.js').ContextCodeblockRange|null)=>void} on_choose
+   *   Called once with the chosen codeblock, or null when the modal closes without a choice.
+   */
+  constructor(app, codeblocks, on_choose) {
+    super(app);
+    this.codeblocks = codeblocks;
+    this.on_choose = on_choose;
+    this.chosen = false;
+    this.setPlaceholder('Choose the context codeblock to include');
+    this.setInstructions([
+      { command: 'Enter', purpose: 'Merge the selected codeblock into the current note context.' },
+    ]);
+  }
+
+  getSuggestions(query) {
+    const normalized_query = String(query || '').toLowerCase();
+    return this.codeblocks.filter((codeblock) => {
+      return get_context_codeblock_label(codeblock).toLowerCase().includes(normalized_query);
+    });
+  }
+
+  renderSuggestion(codeblock, el) {
+    el.createEl('div', { text: get_context_codeblock_label(codeblock) });
+    el.createEl('small', { text: `Line ${codeblock.start + 1}` });
+  }
+
+  onChooseSuggestion(codeblock) {
+    this.chosen = true;
+    this.on_choose(codeblock);
+  }
+
+  onClose() {
+    super.onClose();
+    // onChooseSuggestion runs after onClose, so wait a tick before reporting a dismissal
+    setTimeout(() => {
+      if (!this.chosen) this.on_choose(null);
+    }, 0);
+  }
+}
+
+/**
+ * Ask the user which codeblock to use.
+ *
+ * @param {import('obsidian').App} app
+ * @param {import('../utils/context_codeblock_ranges.js').ContextCodeblockRange[]} codeblocks
+ * @returns {Promise<import('../utils/context_codeblock_ranges.js').ContextCodeblockRange|null>}
+ */
+export function pick_context_codeblock(app, codeblocks) {
+  return new Promise((resolve) => {
+    new ContextCodeblockPickerModal(app, codeblocks, resolve).open();
+  });
+}
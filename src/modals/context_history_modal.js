@@ -0,0 +1,177 @@
+import { Modal, Setting } from 'obsidian';
+import './context_history_modal.css';
+import {
+  diff_context_snapshots,
+  get_context_history,
+  restore_context_snapshot,
+} from '../utils/context_history.js';
+
+const reason_labels = {
+  baseline: 'First recorded',
+  update: 'Edited',
+  restore: 'Restored',
+};
+
+const diff_sections = [
+  ['added', 'Added'],
+  ['removed', 'Removed'],
+  ['changed', 'Changed'],
+  ['excluded', 'Excluded'],
+  ['unexcluded', 'No longer excluded'],
+];
+
+/**
+ * Versions of a named context, newest first. Selecting a version shows what
+ * changed in it, or what changed since it, and restores it in one click.
+ */
+export class ContextHistoryModal extends Modal {
+  /**
+   * @param {import('obsidian').App} app
+   * @param {import('smart-contexts').SmartContext} ctx
+   */
+  constructor(app, ctx) {
+    super(app);
+    this.ctx = ctx;
+    this.selected_index = null;
+    this.compare_mode = 'previous';
+  }
+
+  onOpen() {
+    this.titleEl.setText(`History: ${this.ctx.data.name}`);
+    this.modalEl.addClass('sc-context-history-modal');
+    this.render();
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+
+  render() {
+    this.contentEl.empty();
+    const history = get_context_history(this.ctx.data);
+    if (!history.length) {
+      this.contentEl.createEl('p', { text: 'No versions recorded yet. Versions are added as the context changes.' });
+      return;
+    }
+    if (this.selected_index === null || !history[this.selected_index]) {
+      this.selected_index = history.length - 1;
+    }
+
+    const layout = this.contentEl.createDiv({ cls: 'sc-context-history' });
+    const list_el = layout.createDiv({ cls: 'sc-context-history-list' });
+    const detail_el = layout.createDiv({ cls: 'sc-context-history-detail' });
+
+    for (let index = history.length - 1; index >= 0; index -= 1) {
+      const snapshot = history[index];
+      const diff = diff_context_snapshots(history[index - 1] || null, snapshot);
+      const row = list_el.createDiv({ cls: 'sc-context-history-version' });
+      if (index === this.selected_index) row.addClass('is-selected');
+      row.createDiv({ cls: 'sc-context-history-version-date', text: format_snapshot_time(snapshot.at) });
+      const meta = [
+        index === history.length - 1 && is_same_state(snapshot, this.ctx.data)
+          ? 'Current'
+          : (reason_labels[snapshot.reason] || reason_labels.update),
+        `${Object.keys(snapshot.context_items || {}).length} item(s)`,
+      ];
+      if (index > 0) meta.push(`+${diff.added.length} −${diff.removed.length}`);
+      row.createDiv({ cls: 'sc-context-history-version-meta', text: meta.join(' · ') });
+      row.addEventListener('click', () => {
+        this.selected_index = index;
+        this.render();
+      });
+    }
+
+    this.render_detail(detail_el, history);
+  }
+
+  /**
+   * @param {HTMLElement} detail_el
+   * @param {import('../utils/context_history.js').ContextSnapshot[]} history
+   */
+  render_detail(detail_el, history) {
+    const snapshot = history[this.selected_index];
+    const current = {
+      context_items: this.ctx.data.context_items || {},
+      exclusions: this.ctx.data.exclusions || {},
+    };
+
+    new Setting(detail_el)
+      .setName('Compare')
+      .addDropdown((dropdown) => {
+        dropdown
+          .addOptions({
+            previous: 'Changes in this version',
+            current: 'Changes since this version',
+          })
+          .setValue(this.compare_mode)
+          .onChange((value) => {
+            this.compare_mode = value;
+            this.render();
+          })
+        ;
+      })
+    ;
+
+    const diff = this.compare_mode === 'current'
+      ? diff_context_snapshots(snapshot, current)
+      : diff_context_snapshots(history[this.selected_index - 1] || null, snapshot)
+    ;
+    const has_changes = diff_sections.some(([key]) => diff[key].length);
+    if (!has_changes) {
+      detail_el.createEl('p', {
+        cls: 'sc-context-history-empty',
+        text: this.compare_mode === 'current' ? 'Same as the current context.' : 'No changes.',
+      });
+    }
+    diff_sections.forEach(([key, label]) => {
+      if (!diff[key].length) return;
+      detail_el.createEl('h6', { text: `${label} (${diff[key].length})` });
+      const list = detail_el.createEl('ul', { cls: `sc-context-history-diff sc-context-history-diff-${key}` });
+      diff[key].forEach((item_key) => list.createEl('li', { text: item_key }));
+    });
+
+    const is_current = is_same_state(snapshot, current);
+    new Setting(detail_el)
+      .addButton((button) => {
+        button
+          .setButtonText(is_current ? 'This is the current version' : 'Restore this version')
+          .setDisabled(is_current)
+          .onClick(() => {
+            restore_context_snapshot(this.ctx, snapshot);
+            this.ctx.env?.events?.emit?.('notification:info', {
+              level: 'info',
+              message: `Restored "${this.ctx.data.name}" to ${format_snapshot_time(snapshot.at)}.`,
+              event_source: 'context_history_modal',
+            });
+            this.close();
+          })
+        ;
+        if (!is_current) button.setCta();
+      })
+    ;
+  }
+}
+
+/**
+ * @param {object} from
+ * @param {object} to
+ * @returns {boolean} Whether both have the same items and exclusions.
+ */
+function is_same_state(from, to) {
+  const diff = diff_context_snapshots(from, {
+    context_items: to?.context_items || {},
+    exclusions: to?.exclusions || {},
+  });
+  return !diff_sections.some(([key]) => diff[key].length);
+}
+
+/**
+ * @param {number} time
+ * @returns {string}
+ */
+function format_snapshot_time(time) {
+  return new Date(time).toLocaleString(undefined, {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  });
+}
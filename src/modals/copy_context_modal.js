@@ -6,6 +6,24 @@ import {
   estimate_tokens,
   format_context_estimate,
 } from '../utils/context_suggestions.js';
+import {
+  get_tokenizer_encoding,
+  warm_item_token_counts,
+} from '../utils/tokenizer.js';
+import {
+  can_expand_link_depth,
+  get_context_link_depth,
+} from '../utils/link_traversal.js';
+import {
+  get_top_k_setting,
+  rank_context_items,
+} from '../utils/context_ranking.js';
+import {
+  OTHER_BRANCH_KEY,
+  build_branch_tree,
+  select_branch_items,
+} from '../utils/branch_depths.js';
+import { copy_context_with_codeblock_options } from '../utils/codeblock_options.js';
 
 /**
  * Add grouping metadata to depth suggestions.
@@ -143,7 +161,11 @@ function build_suggestion_stats_text(item, params = {}) {
   }
 
   const char_text = `${format_context_estimate(item?.size || 0)} chars`;
-  const token_text = `${format_context_estimate(estimate_tokens(item?.size || 0))} tokens`;
+  const token_count = Number.isFinite(item?.tokens)
+    ? item.tokens
+    : estimate_tokens(item?.size || 0)
+  ;
+  const token_text = `${format_context_estimate(token_count)} tokens`;
   return `${char_text} | ${token_text} | ${item_text}`;
 }
 
@@ -157,8 +179,17 @@ export class CopyContextModal extends SuggestModal {
     env.create_env_getter(this);
     this.plugin = plugin;
     this.ctx = ctx;
-    this.params = params;
+    const { load_link_depth, ...copy_params } = params;
+    this.params = copy_params;
+    this.load_link_depth = typeof load_link_depth === 'function'
+      ? load_link_depth
+      : null
+    ;
     this.suggestions = [];
+    this.ranking_cut = [];
+    this.ranking_cut_keys = new Set();
+    this.pulled_back_keys = new Set();
+    this.branch_depths = new Map();
     this.use_mod_select = false;
     this.use_shift_select = false;
 
@@ -223,6 +254,235 @@ export class CopyContextModal extends SuggestModal {
   /* ------------------------------------------------------ */
 
   async onOpen() {
+    this.is_open = true;
+    await this.build_suggestions();
+    super.onOpen();
+    this.render_panels();
+  }
+
+  onClose() {
+    this.is_open = false;
+    super.onClose();
+  }
+
+  /**
+   * @returns {void}
+   */
+  render_panels() {
+    this.render_branch_depths();
+    this.render_traversal_stops();
+    this.render_ranking_cut();
+  }
+
+  /**
+   * Expandable tree of the root note's outlinks where each branch gets its own
+   * depth. Totals come from build_depth_suggestions over the selected items.
+   *
+   * @returns {void}
+   */
+  render_branch_depths() {
+    const was_open = this.branch_depths_el?.open === true;
+    this.branch_depths_el?.remove();
+    this.branch_depths_el = null;
+    if (this.params.with_media) return;
+
+    const items = this.ctx.context_items.filter((item) => {
+      return item?.is_media !== true && this.is_ranked_in(item);
+    });
+    const resolved_links = this.app?.metadataCache?.resolvedLinks || {};
+    const tree = build_branch_tree(items, {
+      get_links: (key) => Object.keys(resolved_links[String(key).split('#')[0]] || {}),
+    });
+    if (!tree.branches.length) return;
+    const branches = tree.other ? [...tree.branches, tree.other] : tree.branches;
+    branches.forEach((branch) => {
+      if (!this.branch_depths.has(branch.key)) {
+        this.branch_depths.set(branch.key, branch.key === OTHER_BRANCH_KEY ? 0 : 1);
+      }
+    });
+
+    const container = activeDocument.createElement('details');
+    container.className = 'sc-copy-modal__branches';
+    container.open = was_open;
+    container.createEl('summary', { text: 'Depth per branch' });
+    const list = container.createEl('ul', { cls: 'sc-copy-modal__branch-list' });
+    const totals_el = container.createDiv({ cls: 'sc-copy-modal__branch-totals' });
+    const encoding = get_tokenizer_encoding(this.env);
+
+    const get_selected_items = () => select_branch_items(items, tree, this.branch_depths);
+    const update_totals = () => {
+      const suggestions = build_depth_suggestions(get_selected_items(), { encoding })
+        .filter((suggestion) => !suggestion.include_inlinks && !suggestion.without_codeblock)
+      ;
+      const totals = suggestions[suggestions.length - 1];
+      totals_el.textContent = totals
+        ? build_suggestion_stats_text(totals)
+        : 'No items selected'
+      ;
+    };
+
+    branches.forEach((branch) => {
+      const row = list.createEl('li', { cls: 'sc-copy-modal__branch' });
+      const branch_el = row.createEl('details');
+      const summary = branch_el.createEl('summary');
+      summary.createSpan({
+        text: branch.key === OTHER_BRANCH_KEY ? 'Other linked items' : branch.key,
+        cls: 'sc-copy-modal__traversal-stop-key',
+      });
+      const select = summary.createEl('select', { cls: 'dropdown sc-copy-modal__branch-depth' });
+      for (let depth = 0; depth <= branch.max_depth; depth += 1) {
+        if (branch.key === OTHER_BRANCH_KEY && depth === 1) continue;
+        select.createEl('option', {
+          value: String(depth),
+          text: depth === 0 ? 'Leave out' : `Depth ${depth}`,
+        });
+      }
+      select.value = String(this.branch_depths.get(branch.key) || 0);
+      select.addEventListener('click', (event) => event.stopPropagation());
+      select.addEventListener('change', () => {
+        this.branch_depths.set(branch.key, Number(select.value) || 0);
+        update_totals();
+      });
+
+      const members = branch_el.createEl('ul');
+      Array.from(branch.members.entries())
+        .sort((left, right) => left[1] - right[1] || left[0].localeCompare(right[0]))
+        .forEach(([key, depth]) => {
+          members.createEl('li', { text: `Depth ${depth}: ${key}` });
+        })
+      ;
+    });
+
+    const actions = container.createDiv({ cls: 'sc-copy-modal__branch-actions' });
+    const open_button = actions.createEl('button', { text: 'Open in Builder' });
+    const copy_button = actions.createEl('button', { text: 'Copy', cls: 'mod-cta' });
+    open_button.addEventListener('click', () => {
+      const add_items = get_selected_items().map((item) => item.key);
+      this.close();
+      this.env.smart_contexts.actions.smart_contexts_open_new({
+        add_items,
+        event_source: 'copy_context_modal.branch_depths',
+      });
+    });
+    copy_button.addEventListener('click', async () => {
+      const selected_items = get_selected_items();
+      const selected_keys = new Set(selected_items.map((item) => item.key));
+      this.close();
+      await copy_context_with_codeblock_options(this.ctx, {
+        ...this.params,
+        with_media: false,
+        filter: (ctx_item) => selected_keys.has(ctx_item.key),
+        max_depth: Math.max(0, ...selected_items.map((item) => item?.data?.d || 0)), // for stats notification
+        event_source: 'copy_context_modal.branch_depths',
+      });
+    });
+
+    update_totals();
+    this.resultContainerEl.insertAdjacentElement('afterend', container);
+    this.branch_depths_el = container;
+  }
+
+  /**
+   * @param {any} ctx_item
+   * @returns {boolean}
+   */
+  is_ranked_in(ctx_item) {
+    return !this.ranking_cut_keys.has(ctx_item?.key)
+      || this.pulled_back_keys.has(ctx_item?.key)
+    ;
+  }
+
+  /**
+   * List items left out by the top-K ranking with a toggle to pull each back.
+   *
+   * @returns {void}
+   */
+  render_ranking_cut() {
+    this.ranking_cut_el?.remove();
+    this.ranking_cut_el = null;
+    if (!this.ranking_cut.length) return;
+
+    const container = activeDocument.createElement('details');
+    container.className = 'sc-copy-modal__ranking-cut';
+    const pulled_back_count = this.ranking_cut
+      .filter((entry) => this.pulled_back_keys.has(entry.key))
+      .length
+    ;
+    container.createEl('summary', {
+      text: `Top ${get_top_k_setting(this.env)} per depth left out ${this.ranking_cut.length - pulled_back_count} item(s)`
+        + (pulled_back_count ? `, ${pulled_back_count} added back` : ''),
+    });
+    const list = container.createEl('ul');
+    this.ranking_cut.forEach((entry) => {
+      const row = list.createEl('li');
+      const pulled_back = this.pulled_back_keys.has(entry.key);
+      const button = row.createEl('button', {
+        text: pulled_back ? 'Remove' : 'Add back',
+        cls: 'sc-copy-modal__ranking-toggle',
+      });
+      button.addEventListener('click', async (event) => {
+        event.preventDefault();
+        if (this.pulled_back_keys.has(entry.key)) this.pulled_back_keys.delete(entry.key);
+        else this.pulled_back_keys.add(entry.key);
+        await this.build_suggestions({ rerank: false });
+        this.render_panels();
+        if (this.ranking_cut_el) this.ranking_cut_el.open = true;
+        this.inputEl.dispatchEvent(new Event('input'));
+      });
+      row.createSpan({ text: ` ${entry.key}`, cls: 'sc-copy-modal__traversal-stop-key' });
+      row.createSpan({
+        text: ` depth ${entry.d}, score ${entry.score.toFixed(2)}`,
+        cls: 'sc-copy-modal__traversal-stop-reason',
+      });
+    });
+    const anchor = this.traversal_stops_el || this.branch_depths_el || this.resultContainerEl;
+    anchor.insertAdjacentElement('afterend', container);
+    this.ranking_cut_el = container;
+  }
+
+  /**
+   * List the notes where link traversal stopped and the rule that stopped it.
+   *
+   * @returns {void}
+   */
+  render_traversal_stops() {
+    this.traversal_stops_el?.remove();
+    this.traversal_stops_el = null;
+    const stops = Array.isArray(this.ctx?.data?.traversal_stops)
+      ? this.ctx.data.traversal_stops
+      : []
+    ;
+    if (!stops.length || this.params.with_media) return;
+
+    const container = activeDocument.createElement('details');
+    container.className = 'sc-copy-modal__traversal-stops';
+    const summary = container.createEl('summary', {
+      text: `Traversal stopped at ${stops.length} note(s)`,
+    });
+    summary.setAttribute('title', 'Configure traversal rules in the Smart Context settings.');
+    const list = container.createEl('ul');
+    stops.forEach((stop) => {
+      const row = list.createEl('li');
+      row.createSpan({ text: stop.key, cls: 'sc-copy-modal__traversal-stop-key' });
+      row.createSpan({
+        text: ` depth ${stop.d}, ${stop.mode === 'skip' ? 'left out' : 'included, not traversed'} (${stop.reason})`,
+        cls: 'sc-copy-modal__traversal-stop-reason',
+      });
+    });
+    const anchor = this.branch_depths_el || this.resultContainerEl;
+    anchor.insertAdjacentElement('afterend', container);
+    this.traversal_stops_el = container;
+  }
+
+  /**
+   * Compute depth rows for the current context, plus a row that loads the next
+   * link depth when the traversal stopped at its frontier.
+   *
+   * @param {object} [params={}]
+   * @param {boolean} [params.rerank=true] - Recompute the top-K ranking.
+   * @returns {Promise<void>}
+   */
+  async build_suggestions(params = {}) {
     // const ctx_items = Object.values(this.ctx.context_items.items);
     const ctx_items = this.ctx.context_items.filter((item) => {
       if (this.params.with_media) return item.is_media;
@@ -230,11 +490,99 @@ export class CopyContextModal extends SuggestModal {
       return true;
     });
     const raw_context_items = Object.values(this.ctx?.data?.context_items || {});
+    const encoding = get_tokenizer_encoding(this.env);
+    if (!this.params.with_media) this.warm_token_counts(ctx_items, encoding);
+
+    if (params.rerank !== false) {
+      const top_k = this.params.with_media ? 0 : get_top_k_setting(this.env);
+      this.ranking_cut = top_k
+        ? rank_context_items(this.ctx, {
+          top_k,
+          filter: (item) => item?.is_media !== true,
+        }).cut
+        : []
+      ;
+      this.ranking_cut_keys = new Set(this.ranking_cut.map((entry) => entry.key));
+    }
 
-    this.suggestions = decorate_depth_suggestions(build_depth_suggestions(ctx_items, {
+    const suggestions = build_depth_suggestions(ctx_items.filter((item) => this.is_ranked_in(item)), {
       raw_context_items,
-    }));
-    super.onOpen();
+      encoding,
+    });
+    if (
+      !this.params.with_media
+      && this.get_link_depth_loader()
+      && can_expand_link_depth(this.ctx)
+    ) {
+      suggestions.push({
+        d: get_context_link_depth(this.ctx) + 1,
+        expand_link_depth: true,
+      });
+    }
+    this.suggestions = decorate_depth_suggestions(suggestions);
+  }
+
+  /**
+   * Count tokens in the background; rows show size estimates until then and
+   * are rebuilt once new counts arrive.
+   *
+   * @param {Array<any>} ctx_items
+   * @param {string} encoding
+   * @returns {void}
+   */
+  warm_token_counts(ctx_items, encoding) {
+    const ctx = this.ctx;
+    warm_item_token_counts(ctx_items, { encoding })
+      .then(async (counted) => {
+        if (!counted || !this.is_open || this.ctx !== ctx) return;
+        await this.build_suggestions({ rerank: false });
+        this.render_panels();
+        this.inputEl.dispatchEvent(new Event('input'));
+      })
+      .catch((error) => {
+        console.warn('Copy modal: Failed to count tokens', error);
+      })
+    ;
+  }
+
+  /**
+   * @returns {((link_depth:number)=>Promise<import('smart-contexts').SmartContext|null>)|null}
+   */
+  get_link_depth_loader() {
+    if (this.load_link_depth) return this.load_link_depth;
+    const source = this.env?.smart_sources?.get?.(this.ctx?.key);
+    if (typeof source?.actions?.source_get_context !== 'function') return null;
+    return (link_depth) => source.actions.source_get_context({ link_depth });
+  }
+
+  /**
+   * Rebuild the context one link depth deeper and refresh the list in place.
+   *
+   * @param {number} link_depth
+   * @returns {Promise<void>}
+   */
+  async expand_link_depth(link_depth) {
+    const loader = this.get_link_depth_loader();
+    if (!loader || this.expanding_link_depth) return;
+    this.expanding_link_depth = true;
+    try {
+      const next_ctx = await loader(link_depth);
+      if (!next_ctx) return;
+      this.ctx = next_ctx;
+      await this.build_suggestions();
+      this.render_panels();
+      this.inputEl.dispatchEvent(new Event('input'));
+    } finally {
+      this.expanding_link_depth = false;
+    }
+  }
+
+  selectSuggestion(item, evt) {
+    if (item?.expand_link_depth) {
+      void this.expand_link_depth(item.d);
+      return;
+    }
+    super.selectSuggestion(item, evt);
   }
 
   /* SuggestModal overrides                                  */
@@ -246,6 +594,19 @@ export class CopyContextModal extends SuggestModal {
     el.textContent = '';
     el.classList.add('sc-copy-modal__suggestion');
 
+    if (item.expand_link_depth) {
+      el.classList.add('sc-copy-modal__suggestion--expand');
+      const expand_row = el.createDiv({ cls: 'sc-copy-modal__row' });
+      const expand_left = expand_row.createDiv({ cls: 'sc-copy-modal__left' });
+      expand_left.createSpan({ text: `Depth ${item.d}`, cls: 'sc-copy-modal__depth' });
+      const expand_badge = expand_left.createSpan({ cls: 'sc-copy-modal__badge' });
+      setIcon(expand_badge.createSpan({ cls: 'sc-copy-modal__badge-icon' }), 'plus-circle');
+      expand_badge.setAttribute('title', 'Follow links one level deeper than the configured traversal depth.');
+      expand_badge.createSpan({ text: 'Load deeper links' });
+      expand_row.createDiv({ cls: 'sc-copy-modal__right', text: 'Not loaded' });
+      return;
+    }
+
     if (item.without_codeblock) {
       el.classList.add('sc-copy-modal__suggestion--without-codeblock');
     } else if (item.include_inlinks) {
@@ -311,6 +672,7 @@ export class CopyContextModal extends SuggestModal {
 
     const filter = (ctx_item) => {
       if (ctx_item.data.d > item.d) return false;
+      if (!this.is_ranked_in(ctx_item)) return false;
       if (!item.include_inlinks && ctx_item.data.inlink) return false;
       if (copy_media && !ctx_item.is_media) return false;
       if (!copy_media && ctx_item.is_media) return false;
@@ -367,7 +729,8 @@ export class CopyContextModal extends SuggestModal {
       return;
     }
 
-    await this.ctx.actions.context_copy_to_clipboard({
+    // honors codeblock @template and @max_tokens; the chosen depth wins over @depth
+    await copy_context_with_codeblock_options(this.ctx, {
       ...this.params,
       with_media: copy_media,
       filter,
@@ -0,0 +1,70 @@
+import { Modal, Setting } from 'obsidian';
+import { normalize_token_budget } from '../utils/context_token_budget.js';
+
+/**
+ * Ask for the token budget of a single copy. Prefilled with the
+ * `copy_token_budget` setting when one is configured.
+ */
+export class TokenBudgetModal extends Modal {
+  /**
+   * @param {import('smart-contexts').SmartContext} ctx
+   * @param {object} params
+   * @param {number} [params.token_budget] - Prefilled budget.
+   * @param {(token_budget:number)=>void} params.on_submit
+   *   Called once with the entered budget, or 0 when the modal closes without one.
+   */
+  constructor(ctx, params) {
+    super(ctx.env?.obsidian_app || ctx.env?.plugin?.app || activeWindow?.app);
+    this.ctx = ctx;
+    this.params = params;
+    this.token_budget = normalize_token_budget(params.token_budget);
+    this.submitted = false;
+  }
+
+  onOpen() {
+    this.titleEl.setText('Copy within token budget');
+    this.contentEl.empty();
+
+    new Setting(this.contentEl)
+      .setName('Token budget')
+      .setDesc('Drops the deepest, backlinked, then largest items until the copy fits.')
+      .addText((text) => {
+        text.inputEl.type = 'number';
+        text.inputEl.min = '1';
+        text
+          .setPlaceholder('32000')
+          .setValue(this.token_budget ? String(this.token_budget) : '')
+          .onChange((value) => {
+            this.token_budget = normalize_token_budget(value);
+          })
+        ;
+        text.inputEl.addEventListener('keydown', (event) => {
+          if (event.key !== 'Enter') return;
+          event.preventDefault();
+          this.submit();
+        });
+        window.setTimeout(() => text.inputEl.focus(), 0);
+      })
+    ;
+
+    new Setting(this.contentEl)
+      .addButton((button) => button.setButtonText('Cancel').onClick(() => this.close()))
+      .addButton((button) => button
+        .setButtonText('Copy')
+        .setCta()
+        .onClick(() => this.submit()))
+    ;
+  }
+
+  submit() {
+    if (!this.token_budget) return;
+    this.submitted = true;
+    this.close();
+    this.params.on_submit(this.token_budget);
+  }
+
+  onClose() {
+    this.contentEl.empty();
+    if (!this.submitted) this.params.on_submit(0);
+  }
+}
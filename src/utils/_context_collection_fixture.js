@@ -0,0 +1,29 @@
+/**
+ * @file _context_collection_fixture.js
+ * @description
+ * In-memory SmartContexts stand-in shared by the named context tests.
+ */
+
+/**
+ * @param {Record<string, object>} contexts - Data by key.
+ * @returns {object}
+ */
+export function create_collection(contexts = {}) {
+  const collection = { items: {}, env: {} };
+  collection.env.smart_contexts = collection;
+  collection.get = (key) => collection.items[key] || null;
+  collection.new_context = (data) => {
+    const ctx = {
+      key: data.key,
+      data: { context_items: {}, ...data },
+      collection,
+      events: [],
+      emit_event(name, payload) { this.events.push({ name, payload }); },
+      queue_save() {},
+    };
+    collection.items[data.key] = ctx;
+    return ctx;
+  };
+  Object.entries(contexts).forEach(([key, data]) => collection.new_context({ key, ...data }));
+  return collection;
+}
@@ -0,0 +1,126 @@
+/**
+ * @file branch_depths.js
+ * @description
+ * Group a note context's outlink items into branches (one per depth-1
+ * outlink) so each branch can be copied to its own depth. Backlink items are
+ * not part of any branch.
+ */
+
+export const OTHER_BRANCH_KEY = '';
+
+/**
+ * @typedef {object} ContextBranch
+ * @property {string} key - Depth-1 item key, or OTHER_BRANCH_KEY for items no branch reaches.
+ * @property {number} max_depth - Deepest item depth in the branch.
+ * @property {Map<string, number>} members - Item key to depth, including the branch root.
+ */
+
+/**
+ * Attribute each outlink item deeper than 1 to the depth-1 branches that reach
+ * it through links between context items.
+ *
+ * @param {Array<any>} items - Resolved context items.
+ * @param {object} params
+ * @param {(key:string)=>Iterable<string>} params.get_links - Keys the item links to.
+ * @returns {{ branches:ContextBranch[], other:ContextBranch|null }}
+ */
+export function build_branch_tree(items = [], params) {
+  const outlink_items = items.filter((item) => item?.data?.inlink !== true);
+  const depth_of = new Map(outlink_items.map((item) => [item.key, get_item_depth(item)]));
+  const path_keys = new Map();
+  outlink_items.forEach((item) => {
+    const path = get_path(item.key);
+    if (!path_keys.has(path)) path_keys.set(path, []);
+    path_keys.get(path).push(item.key);
+  });
+
+  const attributed = new Set();
+  const branches = outlink_items
+    .filter((item) => depth_of.get(item.key) === 1)
+    .map((item) => {
+      const members = new Map([[item.key, 1]]);
+      let frontier = [item.key];
+      for (let depth = 2; frontier.length; depth += 1) {
+        const next = [];
+        frontier.forEach((key) => {
+          for (const link of params.get_links(key) || []) {
+            // links resolve to note paths; blocks of that note count too
+            const targets = depth_of.has(link) ? [link] : (path_keys.get(get_path(link)) || []);
+            targets.forEach((target) => {
+              if (depth_of.get(target) !== depth || members.has(target)) return;
+              members.set(target, depth);
+              next.push(target);
+            });
+          }
+        });
+        frontier = next;
+      }
+      members.forEach((_, key) => attributed.add(key));
+      return {
+        key: item.key,
+        max_depth: Math.max(...members.values()),
+        members,
+      };
+    })
+    .sort((left, right) => left.key.localeCompare(right.key))
+  ;
+
+  const other_members = new Map();
+  outlink_items.forEach((item) => {
+    const depth = depth_of.get(item.key);
+    if (depth > 1 && !attributed.has(item.key)) other_members.set(item.key, depth);
+  });
+
+  return {
+    branches,
+    other: other_members.size
+      ? {
+        key: OTHER_BRANCH_KEY,
+        max_depth: Math.max(...other_members.values()),
+        members: other_members,
+      }
+      : null,
+  };
+}
+
+/**
+ * Select items for per-branch depths. Depth 0 items are always included; a
+ * branch depth of 0 leaves the branch out, 1 includes only the linked note,
+ * 2 adds its links, and so on.
+ *
+ * @param {Array<any>} items
+ * @param {{ branches:ContextBranch[], other:ContextBranch|null }} tree
+ * @param {Map<string, number>} depth_by_branch - Branch key to selected depth.
+ * @returns {Array<any>}
+ */
+export function select_branch_items(items = [], tree, depth_by_branch) {
+  const selected = new Set();
+  const branches = tree.other ? [...tree.branches, tree.other] : tree.branches;
+  branches.forEach((branch) => {
+    const depth = Number(depth_by_branch.get(branch.key)) || 0;
+    branch.members.forEach((member_depth, key) => {
+      if (member_depth <= depth) selected.add(key);
+    });
+  });
+  return items.filter((item) => {
+    if (item?.data?.inlink === true) return false;
+    return get_item_depth(item) === 0 || selected.has(item.key);
+  });
+}
+
+/**
+ * @param {any} item
+ * @returns {number}
+ */
+function get_item_depth(item) {
+  const depth = item?.data?.d;
+  return Number.isFinite(depth) && depth >= 0 ? depth : 0;
+}
+
+/**
+ * @param {string} key
+ * @returns {string}
+ */
+function get_path(key) {
+  return String(key || '').split('#')[0];
+}
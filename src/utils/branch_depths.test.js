@@ -0,0 +1,86 @@
+import test from 'ava';
+import {
+  OTHER_BRANCH_KEY,
+  build_branch_tree,
+  select_branch_items,
+} from './branch_depths.js';
+
+const item = (key, d, data = {}) => ({ key, data: { key, d, ...data } });
+
+const items = [
+  item('Root.md', 0),
+  item('A.md', 1),
+  item('B.md', 1),
+  item('A1.md', 2),
+  item('A2.md#Part', 2),
+  item('A2.md#Other', 2),
+  item('A11.md', 3),
+  item('B1.md', 2),
+  item('Loose.md', 2),
+  item('Back.md', 1, { inlink: true }),
+];
+
+const links = {
+  'A.md': ['A1.md', 'A2.md'],
+  'A1.md': ['A11.md'],
+  'B.md': ['B1.md', 'A1.md'],
+};
+const get_links = (key) => links[key] || [];
+
+test('build_branch_tree groups deeper items under each depth-1 outlink', (t) => {
+  const tree = build_branch_tree(items, { get_links });
+  t.deepEqual(tree.branches.map((branch) => branch.key), ['A.md', 'B.md']);
+
+  const [branch_a, branch_b] = tree.branches;
+  t.is(branch_a.max_depth, 3);
+  t.deepEqual(Object.fromEntries(branch_a.members), {
+    'A.md': 1,
+    'A1.md': 2,
+    'A2.md#Part': 2,
+    'A2.md#Other': 2,
+    'A11.md': 3,
+  });
+  t.deepEqual(Object.fromEntries(branch_b.members), {
+    'B.md': 1,
+    'B1.md': 2,
+    'A1.md': 2,
+    'A11.md': 3,
+  });
+
+  t.is(tree.other.key, OTHER_BRANCH_KEY);
+  t.deepEqual(Object.fromEntries(tree.other.members), { 'Loose.md': 2 });
+});
+
+test('select_branch_items applies each branch depth and drops backlinks', (t) => {
+  const tree = build_branch_tree(items, { get_links });
+  const selected = select_branch_items(items, tree, new Map([
+    ['A.md', 2],
+    ['B.md', 0],
+    [OTHER_BRANCH_KEY, 0],
+  ]));
+  t.deepEqual(selected.map((entry) => entry.key), [
+    'Root.md',
+    'A.md',
+    'A1.md',
+    'A2.md#Part',
+    'A2.md#Other',
+  ]);
+});
+
+test('select_branch_items keeps items shared by branches when either includes them', (t) => {
+  const tree = build_branch_tree(items, { get_links });
+  const selected = select_branch_items(items, tree, new Map([
+    ['A.md', 1],
+    ['B.md', 3],
+    [OTHER_BRANCH_KEY, 2],
+  ]));
+  t.deepEqual(selected.map((entry) => entry.key), [
+    'Root.md',
+    'A.md',
+    'B.md',
+    'A1.md',
+    'A11.md',
+    'B1.md',
+    'Loose.md',
+  ]);
+});
@@ -1,10 +1,20 @@
 import { normalize_context_item_data } from 'smart-contexts/context_items.js';
+import { build_codeblock_option_lines } from './codeblock_options.js';
+import { format_codeblock_wikilink } from './codeblock_links.js';
 
 /**
  * @param {object} [params={}]
  * @param {Record<string, object>} [params.context_items]
  * @param {Record<string, object>} [params.exclusions]
  * @param {string} [params.named_context_line_prefix]
+ * @param {Record<string, unknown>} [params.codeblock_options]
+ * @param {string[]} [params.codeblock_option_lines]
+ * @param {Record<string, object>} [params.codeblock_globs]
+ * @param {Record<string, object>} [params.codeblock_queries]
+ * @param {Record<string, object>} [params.codeblock_depth_rules]
+ * @param {Record<string, object>} [params.codeblock_note_contexts]
+ * @param {boolean} [params.write_wikilinks=false] - Write note and section items as `[[wikilinks]]`.
+ * @param {(path:string)=>string} [params.to_linktext]
  * @returns {string[]}
  */
 export function build_codeblock_entries(params = {}) {
@@ -23,12 +33,40 @@ export function build_codeblock_entries(params = {}) {
   // add context lines
   Object.entries(context_items).forEach(([item_key, item_data]) => {
     if (!item_data || item_data.exclude === true) return;
+    // written once as its rule line below
+    if (
+      item_data.from_glob
+      || item_data.from_query
+      || item_data.from_depth_rule
+      || item_data.from_note_context
+    ) return;
     const normalized_data = normalize_context_item_data(item_key, item_data);
     if (normalized_data.kind === 'named_context') {
       entries.push(`ctx:: ${normalized_data.key || item_key}`);
       return;
     }
-    entries.push(get_codeblock_item_key(item_key, normalized_data));
+    if (typeof item_data.link_line === 'string' && item_data.link_line) {
+      entries.push(item_data.link_line);
+      return;
+    }
+    const codeblock_key = get_codeblock_item_key(item_key, normalized_data);
+    entries.push(
+      params.write_wikilinks === true && can_write_as_wikilink(normalized_data)
+        ? format_codeblock_wikilink(codeblock_key, params)
+        : codeblock_key
+    );
+  });
+
+  // add glob, query, depth and note-context rules
+  [
+    params.codeblock_globs,
+    params.codeblock_queries,
+    params.codeblock_depth_rules,
+    params.codeblock_note_contexts,
+  ].forEach((rules) => {
+    Object.keys(rules || {}).forEach((line) => {
+      entries.push(line);
+    });
   });
 
   // add exclusions
@@ -37,7 +75,7 @@ export function build_codeblock_entries(params = {}) {
     entries.push(`!${get_codeblock_item_key(exclusion_key, normalized_data)}`);
   });
 
-  return entries
+  const item_entries = entries
     .filter(Boolean)
     .filter((entry, index, arr) => arr.indexOf(entry) === index)
     // sort alphabetically, number of segments, and then separate exclude items to the end
@@ -52,6 +90,24 @@ export function build_codeblock_entries(params = {}) {
       return left.localeCompare(right);
     })
   ;
+
+  // option lines stay on top, as written
+  return [
+    ...build_codeblock_option_lines(params),
+    ...item_entries,
+  ];
+}
+
+/**
+ * Folders and paths outside the vault have no wikilink form.
+ *
+ * @param {object} item_data
+ * @returns {boolean}
+ */
+function can_write_as_wikilink(item_data = {}) {
+  if (item_data.kind === 'folder' || item_data.is_external) return false;
+  const key = String(item_data.source_path || item_data.key || '');
+  return Boolean(key) && !key.startsWith('external:') && !key.startsWith('../');
 }
 
 /**
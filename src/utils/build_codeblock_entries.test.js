@@ -135,4 +135,12 @@ test('build_codeblock_entries uses explicit identity for extensionless files, fo
   t.true(entries.includes('notes.md/'));
   t.true(entries.includes('notes/a.md#Heading'));
   t.true(entries.includes('!../../cache/'));
-});
\ No newline at end of file
+});
+test('build_codeblock_entries writes @template back above the items', (t) => {
+  const entries = build_codeblock_entries({
+    codeblock_options: { template: 'xml', depth: 1 },
+    codeblock_option_lines: ['@template: xml', '@depth: 1'],
+    context_items: { 'notes/a.md': { key: 'notes/a.md' } },
+  });
+  t.deepEqual(entries, ['@template: xml', '@depth: 1', 'notes/a.md']);
+});
@@ -0,0 +1,189 @@
+/**
+ * @file codeblock_depth_rules.js
+ * @description
+ * Depth lines in context codeblocks: `Projects/Alpha.md >2` adds the note and
+ * its outlinks two hops deep, `[[Alpha]] >1 +backlinks` follows backlinks
+ * too. Rules live in `ctx.data.codeblock_depth_rules`; the items they add
+ * carry `from_depth_rule` and the depth `d` from the same traversal as
+ * `source_get_context`, so link settings and traversal rules apply.
+ *
+ * Traversal is async, so the items are resolved after parsing and again
+ * before copying and when sources are re-imported.
+ */
+
+import { apply_codeblock_rule_items } from './codeblock_globs.js';
+import { resolve_codeblock_link_key } from './codeblock_links.js';
+import { normalize_link_depth } from './link_traversal.js';
+
+const depth_line_pattern = /^(.+?)\s+>(\d+)((?:\s+\+\S+)*)$/;
+
+/**
+ * @param {string} line
+ * @returns {boolean}
+ */
+export function is_codeblock_depth_line(line = '') {
+  const value = String(line || '').trim();
+  if (!value || value.startsWith('!') || value.includes('::')) return false;
+  return depth_line_pattern.test(value);
+}
+
+/**
+ * @param {string} line
+ * @returns {{ target:string, depth:number, include_backlinks:boolean, errors:string[] }|null}
+ *   Null when the line is not a depth line.
+ */
+export function parse_codeblock_depth_line(line = '') {
+  const value = String(line || '').trim();
+  if (!is_codeblock_depth_line(value)) return null;
+  const [, target, depth_value, modifiers_value] = value.match(depth_line_pattern);
+  const errors = [];
+  let include_backlinks = false;
+  modifiers_value.trim().split(/\s+/).filter(Boolean).forEach((modifier) => {
+    const name = modifier.slice(1).toLowerCase();
+    if (name === 'backlinks') include_backlinks = true;
+    else errors.push(`Unknown modifier "${modifier}". Use +backlinks.`);
+  });
+  const depth = normalize_link_depth(Number(depth_value), 0);
+  if (depth !== Number(depth_value)) {
+    errors.push(`Depth ${depth_value} is above the limit; ${depth} is used.`);
+  }
+  return { target: target.trim(), depth, include_backlinks, errors };
+}
+
+/**
+ * @param {object} rule
+ * @param {string} rule.target - Path or link as written.
+ * @param {number} rule.depth
+ * @param {boolean} [rule.include_backlinks=false]
+ * @returns {string}
+ */
+export function format_codeblock_depth_line(rule) {
+  const suffix = rule.include_backlinks ? ' +backlinks' : '';
+  return `${rule.target} >${rule.depth}${suffix}`;
+}
+
+/**
+ * Rule data stored under the line in `codeblock_depth_rules`.
+ *
+ * @param {string} line
+ * @param {object} [params={}]
+ * @param {object} [params.link_resolver] - From create_codeblock_link_resolver.
+ * @returns {{ target_key:string, depth:number, include_backlinks:boolean }|null}
+ */
+export function create_codeblock_depth_rule(line, params = {}) {
+  const parsed = parse_codeblock_depth_line(line);
+  if (!parsed) return null;
+  const target_key = resolve_codeblock_link_key(parsed.target, params.link_resolver)
+    || parsed.target
+  ;
+  return {
+    // traversal starts at the note, headings included
+    target_key: target_key.split('#')[0],
+    depth: parsed.depth,
+    include_backlinks: parsed.include_backlinks,
+  };
+}
+
+/**
+ * Replace the items added by each depth rule with its traversal result.
+ *
+ * @param {object} data - SmartContext data.
+ * @param {Record<string, Record<string, object>|null>} results - Traversal items by rule line; null when the target is missing.
+ * @returns {boolean} Whether context_items changed.
+ */
+export function apply_codeblock_depth_rules(data, results = {}) {
+  return apply_codeblock_rule_items(data, {
+    rules_key: 'codeblock_depth_rules',
+    origin_key: 'from_depth_rule',
+    expand: (line) => {
+      const items = results[line] || {};
+      const keys = Object.keys(items).sort((left, right) => {
+        const depth_diff = (items[left]?.d ?? 0) - (items[right]?.d ?? 0);
+        return depth_diff || left.localeCompare(right);
+      });
+      if (data.codeblock_depth_rules?.[line]) {
+        data.codeblock_depth_rules[line].missing = results[line] === null;
+      }
+      return { keys, items, match_count: keys.length, truncated: false };
+    },
+  });
+}
+
+/**
+ * Run the source traversal for one rule.
+ *
+ * @param {object} env
+ * @param {{ target_key:string, depth:number, include_backlinks:boolean }} rule
+ * @param {object} [params={}]
+ * @param {boolean} [params.refresh=false] - Ignore a cached traversal.
+ * @returns {Promise<Record<string, object>|null>} Null when the target is not a source.
+ */
+export async function resolve_codeblock_depth_rule(env, rule, params = {}) {
+  const source = env?.smart_sources?.get?.(rule?.target_key);
+  if (!source?.actions?.source_get_context) return null;
+  const source_ctx = await source.actions.source_get_context({
+    link_depth: rule.depth,
+    direction: rule.include_backlinks ? 'both' : 'out',
+    include_self: true,
+    refresh: params.refresh === true,
+  });
+  const items = {};
+  Object.entries(source_ctx?.data?.context_items || {}).forEach(([key, item_data]) => {
+    if (!item_data || item_data.exclude === true) return;
+    const { from_glob, from_query, from_depth_rule, ...rest } = item_data;
+    items[key] = { ...rest, d: item_data.d ?? 0 };
+  });
+  return items;
+}
+
+/**
+ * Resolve a context's depth rules against its Smart Sources.
+ *
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @param {object} [params={}]
+ * @param {boolean} [params.refresh=false] - Re-walk links instead of reusing cached source contexts.
+ * @returns {Promise<boolean>} Whether context_items changed.
+ */
+export async function refresh_codeblock_depth_rules(ctx, params = {}) {
+  const rules = ctx?.data?.codeblock_depth_rules || {};
+  const lines = Object.keys(rules);
+  if (!lines.length) return false;
+  const results = {};
+  for (const line of lines) {
+    try {
+      results[line] = await resolve_codeblock_depth_rule(ctx.env, rules[line], params);
+    } catch (error) {
+      console.warn('Failed to resolve codeblock depth rule', { line, error });
+      results[line] = null;
+    }
+  }
+  // the codeblock may have been re-parsed while traversing
+  if (ctx.data.codeblock_depth_rules !== rules) return false;
+  return apply_codeblock_depth_rules(ctx.data, results);
+}
+
+/**
+ * Remove one depth rule and the items it added.
+ *
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @param {string} line
+ * @returns {boolean}
+ */
+export function remove_codeblock_depth_rule(ctx, line = '') {
+  const rules = ctx?.data?.codeblock_depth_rules;
+  if (!line || !rules?.[line]) return false;
+  delete rules[line];
+  const removed_keys = [];
+  Object.entries(ctx.data.context_items || {}).forEach(([key, item_data]) => {
+    if (item_data?.from_depth_rule !== line) return;
+    delete ctx.data.context_items[key];
+    removed_keys.push(key);
+  });
+  ctx.queue_save?.();
+  ctx.emit_event?.('context:updated', {
+    removed_key: line,
+    removed_keys,
+    event_source: 'codeblock_depth_rules.remove_rule',
+  });
+  return true;
+}
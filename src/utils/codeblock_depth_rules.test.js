@@ -0,0 +1,147 @@
+import test from 'ava';
+import {
+  apply_codeblock_depth_rules,
+  create_codeblock_depth_rule,
+  format_codeblock_depth_line,
+  is_codeblock_depth_line,
+  parse_codeblock_depth_line,
+  refresh_codeblock_depth_rules,
+  remove_codeblock_depth_rule,
+} from './codeblock_depth_rules.js';
+
+test('is_codeblock_depth_line matches a target followed by >N', (t) => {
+  t.true(is_codeblock_depth_line('Projects/Alpha.md >2'));
+  t.true(is_codeblock_depth_line('[[Alpha]] >1 +backlinks'));
+  t.false(is_codeblock_depth_line('Projects/Alpha.md'));
+  t.false(is_codeblock_depth_line('!Projects/Alpha.md >2'));
+  t.false(is_codeblock_depth_line('ctx:: Weekly >2'));
+  t.false(is_codeblock_depth_line('>2'));
+});
+
+test('parse_codeblock_depth_line reads depth and modifiers', (t) => {
+  t.deepEqual(parse_codeblock_depth_line('Projects/Alpha.md >2'), {
+    target: 'Projects/Alpha.md',
+    depth: 2,
+    include_backlinks: false,
+    errors: [],
+  });
+  t.like(parse_codeblock_depth_line('Projects/Alpha.md >1 +backlinks'), {
+    depth: 1,
+    include_backlinks: true,
+  });
+  t.like(parse_codeblock_depth_line('Alpha.md >40'), { depth: 10 });
+  t.is(parse_codeblock_depth_line('Alpha.md >40').errors.length, 1);
+  t.deepEqual(parse_codeblock_depth_line('Alpha.md >1 +inlinks').errors, [
+    'Unknown modifier "+inlinks". Use +backlinks.',
+  ]);
+  t.is(parse_codeblock_depth_line('Alpha.md'), null);
+});
+
+test('format_codeblock_depth_line round-trips parsed lines', (t) => {
+  ['Projects/Alpha.md >2', '[[Alpha]] >1 +backlinks'].forEach((line) => {
+    t.is(format_codeblock_depth_line(parse_codeblock_depth_line(line)), line);
+  });
+});
+
+test('create_codeblock_depth_rule resolves links and starts at the note', (t) => {
+  const link_resolver = {
+    host_path: 'Home.md',
+    resolve_linkpath: (linkpath) => (linkpath === 'Alpha' ? 'Projects/Alpha.md' : null),
+  };
+  t.deepEqual(create_codeblock_depth_rule('[[Alpha#Plan]] >1 +backlinks', { link_resolver }), {
+    target_key: 'Projects/Alpha.md',
+    depth: 1,
+    include_backlinks: true,
+  });
+  t.like(create_codeblock_depth_rule('Projects/Beta.md >3'), { target_key: 'Projects/Beta.md', depth: 3 });
+});
+
+test('apply_codeblock_depth_rules keeps traversal depth and leaves direct items alone', (t) => {
+  const data = {
+    context_items: {
+      'Projects/Beta.md': { key: 'Projects/Beta.md', d: 0 },
+      'Old.md': { key: 'Old.md', d: 1, from_depth_rule: 'Gone.md >1' },
+    },
+    codeblock_depth_rules: {
+      'Projects/Alpha.md >2': { target_key: 'Projects/Alpha.md', depth: 2 },
+      'Missing.md >1': { target_key: 'Missing.md', depth: 1 },
+    },
+  };
+  const changed = apply_codeblock_depth_rules(data, {
+    'Projects/Alpha.md >2': {
+      'Projects/Alpha.md': { key: 'Projects/Alpha.md', d: 0 },
+      'Projects/Beta.md': { key: 'Projects/Beta.md', d: 1 },
+      'Projects/Gamma.md': { key: 'Projects/Gamma.md', d: 2, via_property: 'related' },
+    },
+    'Missing.md >1': null,
+  });
+  t.true(changed);
+  t.deepEqual(data.context_items['Projects/Gamma.md'], {
+    key: 'Projects/Gamma.md',
+    d: 2,
+    via_property: 'related',
+    from_depth_rule: 'Projects/Alpha.md >2',
+  });
+  t.deepEqual(data.context_items['Projects/Beta.md'], { key: 'Projects/Beta.md', d: 0 });
+  t.false('Old.md' in data.context_items);
+  t.like(data.codeblock_depth_rules['Projects/Alpha.md >2'], { match_count: 3, missing: false });
+  t.like(data.codeblock_depth_rules['Missing.md >1'], { match_count: 0, missing: true });
+});
+
+test('refresh_codeblock_depth_rules runs the source traversal per rule', async (t) => {
+  const calls = [];
+  const ctx = {
+    env: {
+      smart_sources: {
+        get: (key) => (key === 'Projects/Alpha.md'
+          ? {
+            actions: {
+              source_get_context: async (params) => {
+                calls.push(params);
+                return {
+                  data: {
+                    context_items: {
+                      'Projects/Alpha.md': { key: 'Projects/Alpha.md', d: 0 },
+                      'Inbox.md': { key: 'Inbox.md', d: 1, inlink: true },
+                    },
+                  },
+                };
+              },
+            },
+          }
+          : null),
+      },
+    },
+    data: {
+      context_items: {},
+      codeblock_depth_rules: {
+        'Projects/Alpha.md >1 +backlinks': { target_key: 'Projects/Alpha.md', depth: 1, include_backlinks: true },
+      },
+    },
+  };
+  t.true(await refresh_codeblock_depth_rules(ctx, { refresh: true }));
+  t.deepEqual(calls, [{ link_depth: 1, direction: 'both', include_self: true, refresh: true }]);
+  t.deepEqual(Object.keys(ctx.data.context_items), ['Projects/Alpha.md', 'Inbox.md']);
+  t.like(ctx.data.context_items['Inbox.md'], { d: 1, inlink: true, from_depth_rule: 'Projects/Alpha.md >1 +backlinks' });
+  t.false(await refresh_codeblock_depth_rules(ctx));
+});
+
+test('remove_codeblock_depth_rule drops the rule and its items', (t) => {
+  const events = [];
+  const ctx = {
+    data: {
+      context_items: {
+        'A.md': { key: 'A.md', d: 0, from_depth_rule: 'A.md >1' },
+        'B.md': { key: 'B.md', d: 1, from_depth_rule: 'A.md >1' },
+        'C.md': { key: 'C.md', d: 0 },
+      },
+      codeblock_depth_rules: { 'A.md >1': { target_key: 'A.md', depth: 1 } },
+    },
+    emit_event: (name, payload) => events.push({ name, payload }),
+  };
+  t.true(remove_codeblock_depth_rule(ctx, 'A.md >1'));
+  t.deepEqual(Object.keys(ctx.data.context_items), ['C.md']);
+  t.deepEqual(ctx.data.codeblock_depth_rules, {});
+  t.like(events[0].payload, { removed_keys: ['A.md', 'B.md'], event_source: 'codeblock_depth_rules.remove_rule' });
+  t.false(remove_codeblock_depth_rule(ctx, 'A.md >1'));
+});
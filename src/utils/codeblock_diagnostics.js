@@ -0,0 +1,475 @@
+/**
+ * @file codeblock_diagnostics.js
+ * @description
+ * Lint pass over context codeblock lines. Each entry line is classified as
+ * resolved, missing, ambiguous (a bare file name with several matches) or
+ * malformed, with candidates for quick fixes. Lookups go through a resolver
+ * so the classification stays testable without a vault.
+ */
+
+import {
+  CODEBLOCK_OPTION_TYPES,
+  is_known_codeblock_option,
+  parse_codeblock_option_line,
+} from './codeblock_options.js';
+import { is_codeblock_comment_line } from './codeblock_sync.js';
+import { build_include_glob_regex } from './codeblock_globs.js';
+import {
+  is_codeblock_query_line,
+  parse_codeblock_query,
+} from './codeblock_queries.js';
+import {
+  format_codeblock_depth_line,
+  parse_codeblock_depth_line,
+} from './codeblock_depth_rules.js';
+import {
+  format_note_context_line,
+  parse_note_context_line,
+} from './codeblock_note_contexts.js';
+import {
+  format_codeblock_wikilink,
+  parse_codeblock_link_line,
+} from './codeblock_links.js';
+
+export const CODEBLOCK_LINE_STATUS = Object.freeze({
+  RESOLVED: 'resolved',
+  MISSING: 'missing',
+  AMBIGUOUS: 'ambiguous',
+  MALFORMED: 'malformed',
+});
+
+const MAX_CANDIDATES = 20;
+
+/**
+ * @typedef {object} CodeblockLineResolver
+ * @property {(path:string)=>boolean} has_file
+ * @property {(path:string)=>boolean} has_folder
+ * @property {(path:string, subpath:string)=>boolean|undefined} has_subpath - Undefined when unknown.
+ * @property {(name:string)=>boolean} has_named_context
+ * @property {(linkpath:string)=>string|null} [resolve_link] - Obsidian link resolution from the host note.
+ * @property {string} [host_path] - Note holding the codeblock.
+ * @property {()=>string[]} list_files
+ * @property {()=>string[]} list_named_contexts
+ */
+
+/**
+ * @typedef {object} CodeblockLineDiagnostic
+ * @property {string} line - Trimmed line as written.
+ * @property {string} status - One of CODEBLOCK_LINE_STATUS.
+ * @property {'file'|'folder'|'block'|'named_context'|'glob'|'query'|'option'|'other'} kind
+ * @property {string} [message]
+ * @property {string[]} [candidates] - Replacement targets for the line's path or name.
+ */
+
+/**
+ * @param {string[]} lines - Codeblock lines (comments and blanks are skipped).
+ * @param {CodeblockLineResolver} resolver
+ * @returns {CodeblockLineDiagnostic[]}
+ */
+export function lint_codeblock_lines(lines = [], resolver) {
+  return lines
+    .map((line) => String(line ?? '').trim())
+    .filter((line) => line && !is_codeblock_comment_line(line))
+    .map((line) => lint_codeblock_line(line, resolver))
+  ;
+}
+
+/**
+ * @param {string} line - Trimmed codeblock line.
+ * @param {CodeblockLineResolver} resolver
+ * @returns {CodeblockLineDiagnostic}
+ */
+export function lint_codeblock_line(line, resolver) {
+  const resolved = (kind) => ({ line, status: CODEBLOCK_LINE_STATUS.RESOLVED, kind });
+  const malformed = (kind, message) => ({ line, status: CODEBLOCK_LINE_STATUS.MALFORMED, kind, message });
+
+  if (line.startsWith('@')) {
+    const option = parse_codeblock_option_line(line);
+    if (!option) return malformed('option', 'Options are written as @name: value at the top of the codeblock.');
+    if (!is_known_codeblock_option(option.name)) {
+      const supported = Object.keys(CODEBLOCK_OPTION_TYPES).map((name) => `@${name}`).join(', ');
+      return malformed('option', `Unknown option @${option.name}; it has no effect. Supported: ${supported}.`);
+    }
+    return resolved('option');
+  }
+  if (is_codeblock_query_line(line)) {
+    const { errors } = parse_codeblock_query(line);
+    return errors.length
+      ? malformed('query', `Cannot read ${errors.join(' ')}.`)
+      : resolved('query')
+    ;
+  }
+  if (/^ctx::/.test(line)) return lint_named_context_line(line, resolver);
+  const note_target = parse_note_context_line(line);
+  if (note_target !== null) return lint_note_context_line(line, note_target, resolver);
+  const depth_rule = parse_codeblock_depth_line(line);
+  if (depth_rule) return lint_depth_line(line, depth_rule, resolver);
+  const link = parse_codeblock_link_line(line);
+  if (link) return lint_link_line(line, link, resolver);
+
+  const body = line.startsWith('!') ? line.slice(1).trim() : line;
+  if (!body) return malformed('other', 'Exclusion is missing a path.');
+  if (/^\[\[|^\[[^\]]*\]\(/.test(body)) {
+    return malformed('other', 'Cannot read this link; use [[Note]] or [text](path.md).');
+  }
+  if (/[*?]/.test(body)) {
+    return build_include_glob_regex(body)
+      ? resolved('glob')
+      : malformed('glob', 'Invalid glob pattern.')
+    ;
+  }
+  if (body.startsWith('external:') || body.startsWith('../')) return resolved('other');
+  if (body.endsWith('/')) {
+    const folder = body.replace(/\/+$/, '');
+    return resolver.has_folder(folder)
+      ? resolved('folder')
+      : { line, status: CODEBLOCK_LINE_STATUS.MISSING, kind: 'folder', message: 'Folder not found.' }
+    ;
+  }
+
+  const hash_index = body.indexOf('#');
+  const path = hash_index === -1 ? body : body.slice(0, hash_index);
+  const subpath = hash_index === -1 ? '' : body.slice(hash_index + 1);
+  if (!path) return malformed('block', 'Block line is missing the note path.');
+
+  if (resolver.has_file(path)) {
+    if (!subpath || resolver.has_subpath(path, subpath) !== false) {
+      return resolved(subpath ? 'block' : 'file');
+    }
+    return {
+      line,
+      status: CODEBLOCK_LINE_STATUS.MISSING,
+      kind: 'block',
+      message: `#${subpath} not found in ${path}.`,
+      candidates: [path],
+    };
+  }
+
+  const candidates = find_path_candidates(path, resolver.list_files());
+  const suffix = subpath ? `#${subpath}` : '';
+  if (!path.includes('/') && candidates.length > 1) {
+    return {
+      line,
+      status: CODEBLOCK_LINE_STATUS.AMBIGUOUS,
+      kind: subpath ? 'block' : 'file',
+      message: `${candidates.length} files are named ${path}.`,
+      candidates: candidates.map((candidate) => `${candidate}${suffix}`),
+    };
+  }
+  return {
+    line,
+    status: CODEBLOCK_LINE_STATUS.MISSING,
+    kind: subpath ? 'block' : 'file',
+    message: 'File not found.',
+    candidates: candidates.map((candidate) => `${candidate}${suffix}`),
+  };
+}
+
+/**
+ * Depth lines (`Projects/Alpha.md >2`) are checked through their target; the
+ * diagnostic keeps the whole line so fixes rewrite only the target.
+ *
+ * @param {string} line
+ * @param {ReturnType<typeof parse_codeblock_depth_line>} depth_rule
+ * @param {CodeblockLineResolver} resolver
+ * @returns {CodeblockLineDiagnostic}
+ */
+function lint_depth_line(line, depth_rule, resolver) {
+  if (depth_rule.errors.length) {
+    return { line, status: CODEBLOCK_LINE_STATUS.MALFORMED, kind: 'file', message: depth_rule.errors.join(' ') };
+  }
+  const target_diagnostic = lint_codeblock_line(depth_rule.target, resolver);
+  if (!['file', 'block'].includes(target_diagnostic.kind)) {
+    return { line, status: CODEBLOCK_LINE_STATUS.MALFORMED, kind: 'other', message: 'Depth lines start from a note, like Note.md >2.' };
+  }
+  return { ...target_diagnostic, line };
+}
+
+/**
+ * `ctx-note::` lines are checked through their target note.
+ *
+ * @param {string} line
+ * @param {string} target
+ * @param {CodeblockLineResolver} resolver
+ * @returns {CodeblockLineDiagnostic}
+ */
+function lint_note_context_line(line, target, resolver) {
+  if (!target) {
+    return { line, status: CODEBLOCK_LINE_STATUS.MALFORMED, kind: 'file', message: 'Note reference is missing the note path.' };
+  }
+  const { note } = split_note_context_codeblock(target);
+  const target_diagnostic = lint_codeblock_line(note, resolver);
+  if (target_diagnostic.kind !== 'file') {
+    return {
+      line,
+      status: CODEBLOCK_LINE_STATUS.MALFORMED,
+      kind: 'other',
+      message: 'ctx-note:: takes a note, like ctx-note:: Projects/Alpha.md or ctx-note:: Projects/Alpha.md#codeblock:id.',
+    };
+  }
+  return { ...target_diagnostic, line };
+}
+
+/**
+ * Separate a `#codeblock` or `#codeblock:id` suffix from a `ctx-note::`
+ * target, inside a link when the target is one.
+ *
+ * @param {string} target
+ * @returns {{ note:string, suffix:string }}
+ */
+function split_note_context_codeblock(target) {
+  const match = String(target).match(/#codeblock(?::[^#\s\]|)]+)?(?=\|[^\]]*\]\]$|\]\]$|\)$|$)/);
+  if (!match) return { note: target, suffix: '' };
+  return {
+    note: target.slice(0, match.index) + target.slice(match.index + match[0].length),
+    suffix: match[0],
+  };
+}
+
+/**
+ * Files whose name matches the line's file name, with or without extension.
+ *
+ * @param {string} path
+ * @param {string[]} files
+ * @returns {string[]}
+ */
+export function find_path_candidates(path, files = []) {
+  const name = get_file_name(path).toLowerCase();
+  if (!name) return [];
+  const bare_name = strip_extension(name);
+  return files
+    .filter((file) => {
+      const file_name = get_file_name(file).toLowerCase();
+      return file_name === name || strip_extension(file_name) === bare_name;
+    })
+    .sort((left, right) => left.localeCompare(right))
+    .slice(0, MAX_CANDIDATES)
+  ;
+}
+
+/**
+ * Named contexts that differ only by case or a small typo.
+ *
+ * @param {string} name
+ * @param {string[]} names
+ * @returns {string[]}
+ */
+export function find_named_context_candidates(name, names = []) {
+  const target = String(name || '').toLowerCase();
+  if (!target) return [];
+  const max_distance = target.length > 6 ? 2 : 1;
+  return names
+    .filter((candidate) => get_edit_distance(candidate.toLowerCase(), target) <= max_distance)
+    .sort((left, right) => left.localeCompare(right))
+    .slice(0, MAX_CANDIDATES)
+  ;
+}
+
+/**
+ * Replace the path or name of a codeblock line with a candidate, keeping an
+ * exclusion `!` and the `ctx::` prefix. Link lines stay links.
+ *
+ * @param {string} line
+ * @param {string} candidate
+ * @returns {string}
+ */
+export function build_codeblock_line_fix(line, candidate) {
+  const value = String(line || '').trim();
+  if (/^ctx::/.test(value)) return `ctx:: ${candidate}`;
+  const note_target = parse_note_context_line(value);
+  if (note_target !== null) {
+    // keep the codeblock the reference picks
+    const { note, suffix } = split_note_context_codeblock(note_target);
+    return format_note_context_line(parse_codeblock_link_line(note)
+      ? build_codeblock_line_fix(note, `${candidate}${suffix}`)
+      : `${build_codeblock_line_fix(note, candidate)}${suffix}`
+    );
+  }
+  const depth_rule = parse_codeblock_depth_line(value);
+  if (depth_rule) {
+    return format_codeblock_depth_line({
+      ...depth_rule,
+      target: build_codeblock_line_fix(depth_rule.target, candidate),
+    });
+  }
+  const link = parse_codeblock_link_line(value);
+  if (link) return `${link.embed ? '!' : ''}${format_codeblock_wikilink(candidate)}`;
+  return `${value.startsWith('!') ? '!' : ''}${candidate}`;
+}
+
+/**
+ * Apply a quick fix to the first codeblock line matching `line`.
+ *
+ * @param {string[]} lines - Current codeblock lines.
+ * @param {string} line - Trimmed line to fix.
+ * @param {string|null} next_line - Replacement, or null to remove the line.
+ * @returns {string[]}
+ */
+export function apply_codeblock_line_fix(lines = [], line, next_line) {
+  const index = lines.findIndex((current) => String(current ?? '').trim() === line);
+  if (index === -1) return lines;
+  const next_lines = lines.slice();
+  if (next_line === null) {
+    next_lines.splice(index, 1);
+    return next_lines;
+  }
+  const raw_line = String(lines[index] ?? '');
+  const indent = raw_line.slice(0, raw_line.length - raw_line.trimStart().length);
+  next_lines[index] = `${indent}${next_line}`;
+  return next_lines;
+}
+
+/**
+ * Resolver backed by the vault, metadata cache and Smart Environment.
+ *
+ * @param {any} env
+ * @param {object} [params={}]
+ * @param {string} [params.host_path] - Note holding the codeblock, for link resolution.
+ * @returns {CodeblockLineResolver}
+ */
+export function create_env_line_resolver(env, params = {}) {
+  const app = env?.plugin?.app;
+  const host_path = params.host_path || '';
+  const get_entry = (path) => app?.vault?.getAbstractFileByPath?.(path) || null;
+  let files = null;
+  return {
+    has_file: (path) => Boolean(env?.smart_sources?.get?.(path))
+      || typeof get_entry(path)?.extension === 'string',
+    has_folder: (path) => Array.isArray(get_entry(path)?.children),
+    has_subpath: (path, subpath) => {
+      if (env?.smart_blocks?.get?.(`${path}#${subpath}`)) return true;
+      const cache = app?.metadataCache?.getCache?.(path);
+      if (!cache) return undefined;
+      return has_cached_subpath(cache, subpath);
+    },
+    has_named_context: (name) => Boolean(env?.smart_contexts?.get_named_context?.(name)),
+    resolve_link: (linkpath) => app?.metadataCache?.getFirstLinkpathDest?.(linkpath, host_path)?.path || null,
+    host_path,
+    list_files: () => {
+      if (!files) {
+        files = typeof app?.vault?.getFiles === 'function'
+          ? app.vault.getFiles().map((file) => file.path)
+          : Object.keys(env?.smart_sources?.items || {})
+        ;
+      }
+      return files;
+    },
+    list_named_contexts: () => Object.values(env?.smart_contexts?.items || {})
+      .map((ctx) => String(ctx?.data?.name || '').trim())
+      .filter(Boolean)
+    ,
+  };
+}
+
+/**
+ * @param {string} line
+ * @param {CodeblockLineResolver} resolver
+ * @returns {CodeblockLineDiagnostic}
+ */
+function lint_named_context_line(line, resolver) {
+  const name = line.replace(/^ctx::/, '').trim();
+  if (!name) {
+    return {
+      line,
+      status: CODEBLOCK_LINE_STATUS.MALFORMED,
+      kind: 'named_context',
+      message: 'Named context line is missing a name.',
+    };
+  }
+  if (resolver.has_named_context(name)) {
+    return { line, status: CODEBLOCK_LINE_STATUS.RESOLVED, kind: 'named_context' };
+  }
+  return {
+    line,
+    status: CODEBLOCK_LINE_STATUS.MISSING,
+    kind: 'named_context',
+    message: `No named context called ${name}.`,
+    candidates: find_named_context_candidates(name, resolver.list_named_contexts()),
+  };
+}
+
+/**
+ * @param {string} line
+ * @param {{ linkpath:string, subpath:string }} link
+ * @param {CodeblockLineResolver} resolver
+ * @returns {CodeblockLineDiagnostic}
+ */
+function lint_link_line(line, link, resolver) {
+  const kind = link.subpath ? 'block' : 'file';
+  const path = link.linkpath
+    ? resolver.resolve_link?.(link.linkpath)
+    : resolver.host_path
+  ;
+  if (path) {
+    const subpath = link.subpath.replace(/^#/, '');
+    if (!subpath || resolver.has_subpath(path, subpath) !== false) {
+      return { line, status: CODEBLOCK_LINE_STATUS.RESOLVED, kind };
+    }
+    return {
+      line,
+      status: CODEBLOCK_LINE_STATUS.MISSING,
+      kind,
+      message: `${link.subpath} not found in ${path}.`,
+      candidates: [path],
+    };
+  }
+  return {
+    line,
+    status: CODEBLOCK_LINE_STATUS.MISSING,
+    kind,
+    message: 'Link does not resolve to a file.',
+    candidates: find_path_candidates(link.linkpath, resolver.list_files())
+      .map((candidate) => `${candidate}${link.subpath}`),
+  };
+}
+
+/**
+ * Check a `Heading`, `Heading#Sub` or `^block-id` subpath against an Obsidian
+ * file cache.
+ *
+ * @param {any} cache
+ * @param {string} subpath
+ * @returns {boolean}
+ */
+function has_cached_subpath(cache, subpath) {
+  if (subpath.startsWith('^')) return Boolean(cache?.blocks?.[subpath.slice(1)]);
+  const heading = subpath.split('#').filter(Boolean).pop() || '';
+  return (cache?.headings || []).some((entry) => entry?.heading === heading);
+}
+
+/**
+ * @param {string} path
+ * @returns {string}
+ */
+function get_file_name(path) {
+  return String(path || '').split('/').filter(Boolean).pop() || '';
+}
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+function strip_extension(name) {
+  return name.replace(/\.[^./]+$/, '');
+}
+
+/**
+ * @param {string} left
+ * @param {string} right
+ * @returns {number}
+ */
+function get_edit_distance(left, right) {
+  let previous = Array.from({ length: right.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= left.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= right.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (left[i - 1] === right[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[right.length];
+}
@@ -0,0 +1,150 @@
+import test from 'ava';
+import {
+  apply_codeblock_line_fix,
+  build_codeblock_line_fix,
+  find_named_context_candidates,
+  lint_codeblock_lines,
+} from './codeblock_diagnostics.js';
+
+const files = ['Specs/auth.md', 'Old/auth.md', 'Notes/plan.md', 'Docs/guide.pdf'];
+const resolver = {
+  has_file: (path) => files.includes(path),
+  has_folder: (path) => ['Specs', 'Old', 'Notes'].includes(path),
+  has_subpath: (path, subpath) => (path === 'Notes/plan.md' ? subpath === 'Goals' : undefined),
+  has_named_context: (name) => name === 'Weekly Review',
+  list_files: () => files,
+  list_named_contexts: () => ['Weekly Review', 'Research'],
+};
+
+const lint = (line) => lint_codeblock_lines([line], resolver)[0];
+
+test('lint_codeblock_lines skips comments and blank lines', (t) => {
+  t.deepEqual(
+    lint_codeblock_lines(['# note', '', 'Specs/auth.md'], resolver).map((item) => item.line),
+    ['Specs/auth.md'],
+  );
+});
+
+test('resolved lines cover files, blocks, folders, options, globs, queries and named contexts', (t) => {
+  [
+    'Specs/auth.md',
+    'Notes/plan.md#Goals',
+    'Specs/auth.md#Unknown',
+    'Specs/',
+    '!Old/auth.md',
+    '@depth: 2',
+    'Specs/**/*.md',
+    'tag:#client modified:<14d',
+    'ctx:: Weekly Review',
+    'external:../../shared/readme.md',
+  ].forEach((line) => {
+    t.is(lint(line).status, 'resolved', line);
+  });
+});
+
+test('missing lines suggest files by name and stale subpaths suggest the note', (t) => {
+  t.like(lint('Archive/plan.md'), {
+    status: 'missing',
+    kind: 'file',
+    candidates: ['Notes/plan.md'],
+  });
+  t.like(lint('Notes/plan.md#Old heading'), {
+    status: 'missing',
+    kind: 'block',
+    candidates: ['Notes/plan.md'],
+  });
+  t.like(lint('Archive/'), { status: 'missing', kind: 'folder' });
+  t.like(lint('Archive/none.md'), { status: 'missing', candidates: [] });
+});
+
+test('bare names with several matches are ambiguous', (t) => {
+  t.like(lint('auth.md'), {
+    status: 'ambiguous',
+    candidates: ['Old/auth.md', 'Specs/auth.md'],
+  });
+  t.like(lint('auth#Tokens'), {
+    status: 'ambiguous',
+    kind: 'block',
+    candidates: ['Old/auth.md#Tokens', 'Specs/auth.md#Tokens'],
+  });
+});
+
+test('malformed lines explain what is wrong', (t) => {
+  t.like(lint('@depth: lots'), { status: 'malformed', kind: 'option' });
+  t.like(lint('@format: xml'), { status: 'malformed', kind: 'option' });
+  t.regex(lint('@format: xml').message, /Unknown option @format/);
+  t.like(lint('@template: xml'), { status: 'resolved', kind: 'option' });
+  t.like(lint('tag:#a modified:soon'), { status: 'malformed', kind: 'query' });
+  t.like(lint('ctx::'), { status: 'malformed', kind: 'named_context' });
+  t.like(lint('!'), { status: 'malformed' });
+  t.like(lint('#Heading'), { status: 'malformed', kind: 'block' });
+});
+
+test('misspelled named contexts suggest close names', (t) => {
+  t.like(lint('ctx:: Weekly Reveiw'), {
+    status: 'missing',
+    kind: 'named_context',
+    candidates: ['Weekly Review'],
+  });
+  t.deepEqual(find_named_context_candidates('research', ['Research', 'Recipes']), ['Research']);
+});
+
+test('quick fixes keep prefixes and indentation', (t) => {
+  t.is(build_codeblock_line_fix('!auth.md', 'Specs/auth.md'), '!Specs/auth.md');
+  t.is(build_codeblock_line_fix('ctx:: Weekly Reveiw', 'Weekly Review'), 'ctx:: Weekly Review');
+  const lines = ['# keep', '  auth.md', 'Notes/plan.md'];
+  t.deepEqual(apply_codeblock_line_fix(lines, 'auth.md', 'Specs/auth.md'), ['# keep', '  Specs/auth.md', 'Notes/plan.md']);
+  t.deepEqual(apply_codeblock_line_fix(lines, 'Notes/plan.md', null), ['# keep', '  auth.md']);
+  t.is(apply_codeblock_line_fix(lines, 'gone.md', null), lines);
+});
+
+test('link lines resolve from the host note and stay links when fixed', (t) => {
+  const link_resolver = {
+    ...resolver,
+    host_path: 'Notes/plan.md',
+    resolve_link: (linkpath) => (linkpath === 'plan' ? 'Notes/plan.md' : null),
+  };
+  const lint_link = (line) => lint_codeblock_lines([line], link_resolver)[0];
+  t.like(lint_link('[[plan#Goals]]'), { status: 'resolved', kind: 'block' });
+  t.like(lint_link('[[#Goals]]'), { status: 'resolved', kind: 'block' });
+  t.like(lint_link('[[plan#Gone]]'), { status: 'missing', candidates: ['Notes/plan.md'] });
+  t.like(lint_link('![[auth]]'), { status: 'missing', candidates: ['Old/auth.md', 'Specs/auth.md'] });
+  t.like(lint_link('[[]]'), { status: 'malformed' });
+  t.is(build_codeblock_line_fix('![[auth]]', 'Specs/auth.md'), '![[Specs/auth]]');
+});
+
+test('depth lines are checked and fixed through their target', (t) => {
+  t.like(lint('Notes/plan.md >2 +backlinks'), { status: 'resolved', kind: 'file' });
+  t.like(lint('auth.md >1'), {
+    line: 'auth.md >1',
+    status: 'ambiguous',
+    candidates: ['Old/auth.md', 'Specs/auth.md'],
+  });
+  t.like(lint('Specs/ >1'), { status: 'malformed' });
+  t.like(lint('Notes/plan.md >1 +sideways'), { status: 'malformed' });
+  t.is(build_codeblock_line_fix('auth.md >1 +backlinks', 'Specs/auth.md'), 'Specs/auth.md >1 +backlinks');
+});
+
+test('note references are checked and fixed through their target note', (t) => {
+  t.like(lint('ctx-note:: Notes/plan.md'), { status: 'resolved', kind: 'file' });
+  t.like(lint('ctx-note:: auth.md'), { status: 'ambiguous', line: 'ctx-note:: auth.md' });
+  t.like(lint('ctx-note::'), { status: 'malformed' });
+  t.like(lint('ctx-note:: Specs/'), { status: 'malformed' });
+  t.is(build_codeblock_line_fix('ctx-note:: auth.md', 'Specs/auth.md'), 'ctx-note:: Specs/auth.md');
+});
+
+test('note references may pick a codeblock of the target note', (t) => {
+  t.like(lint('ctx-note:: Notes/plan.md#codeblock:review'), { status: 'resolved', kind: 'file' });
+  t.like(lint('ctx-note:: Notes/plan.md#codeblock'), { status: 'resolved', kind: 'file' });
+  const heading = lint('ctx-note:: Notes/plan.md#Heading');
+  t.is(heading.status, 'malformed');
+  t.regex(heading.message, /#codeblock:id/);
+  t.is(
+    build_codeblock_line_fix('ctx-note:: auth.md#codeblock:review', 'Specs/auth.md'),
+    'ctx-note:: Specs/auth.md#codeblock:review',
+  );
+  t.is(
+    build_codeblock_line_fix('ctx-note:: [[auth#codeblock:review]]', 'Specs/auth.md'),
+    'ctx-note:: [[Specs/auth#codeblock:review]]',
+  );
+});
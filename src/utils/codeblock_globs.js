@@ -0,0 +1,224 @@
+/**
+ * @file codeblock_globs.js
+ * @description
+ * Positive glob lines in context codeblocks (`Projects/Alpha/**\/*.md`,
+ * `Research/*-notes.md`). Rules live in `ctx.data.codeblock_globs`; matching
+ * sources are added to `context_items` with `from_glob` and re-expanded
+ * against `smart_sources` before copying, so new notes are picked up.
+ *
+ * Expansion stops at a safety cap like folder selections do. A capped rule is
+ * marked truncated and goes through the same output confirmation.
+ */
+
+export const CODEBLOCK_GLOB_MAX_ITEMS = 1000;
+
+/**
+ * Include lines with `*` or `?`. Exclusions (`!pattern`) and named-context
+ * lines are handled elsewhere.
+ *
+ * @param {string} line
+ * @returns {boolean}
+ */
+export function is_codeblock_include_glob(line = '') {
+  const value = String(line || '').trim();
+  if (!value || value.startsWith('!') || value.includes('::')) return false;
+  return /[*?]/.test(value);
+}
+
+/**
+ * Compile an include glob. `**` spans folders (`**\/` also matches none),
+ * `*` and `?` stay within one path segment.
+ *
+ * @param {string} pattern
+ * @returns {RegExp|null}
+ */
+export function build_include_glob_regex(pattern = '') {
+  const value = String(pattern || '').trim().replace(/\\+/g, '/').replace(/^\/+/, '');
+  if (!value) return null;
+
+  let regex_body = '^';
+  for (let i = 0; i < value.length; i += 1) {
+    const char = value[i];
+    if (char === '*' && value[i + 1] === '*') {
+      if (value[i + 2] === '/') {
+        regex_body += '(?:.*/)?';
+        i += 2;
+      } else {
+        regex_body += '.*';
+        i += 1;
+      }
+      continue;
+    }
+    if (char === '*') {
+      regex_body += '[^/]*';
+      continue;
+    }
+    if (char === '?') {
+      regex_body += '[^/]';
+      continue;
+    }
+    regex_body += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`${regex_body}$`);
+}
+
+/**
+ * @param {string} pattern
+ * @param {Iterable<string>} source_keys
+ * @param {object} [params={}]
+ * @param {number} [params.max_items=CODEBLOCK_GLOB_MAX_ITEMS]
+ * @returns {{ keys:string[], match_count:number, truncated:boolean }}
+ */
+export function expand_codeblock_glob(pattern, source_keys, params = {}) {
+  const regex = build_include_glob_regex(pattern);
+  if (!regex) return { keys: [], match_count: 0, truncated: false };
+  const max_items = Number.isFinite(params.max_items) && params.max_items > 0
+    ? params.max_items
+    : CODEBLOCK_GLOB_MAX_ITEMS
+  ;
+  const matches = [];
+  for (const key of source_keys || []) {
+    if (typeof key === 'string' && !key.includes('#') && regex.test(key)) matches.push(key);
+  }
+  matches.sort((left, right) => left.localeCompare(right));
+  return {
+    keys: matches.slice(0, max_items),
+    match_count: matches.length,
+    truncated: matches.length > max_items,
+  };
+}
+
+/**
+ * Re-expand every glob rule in context data. Items added by a rule are
+ * replaced; items selected directly are left alone.
+ *
+ * @param {object} data - SmartContext data.
+ * @param {Iterable<string>} source_keys
+ * @param {object} [params={}]
+ * @param {number} [params.max_items]
+ * @returns {boolean} Whether context_items changed.
+ */
+export function apply_codeblock_globs(data, source_keys, params = {}) {
+  const keys = Array.from(source_keys || []);
+  return apply_codeblock_rule_items(data, {
+    rules_key: 'codeblock_globs',
+    origin_key: 'from_glob',
+    expand: (pattern) => expand_codeblock_glob(pattern, keys, params),
+  });
+}
+
+/**
+ * Shared by glob, query and depth rules: store each rule's match stats and
+ * replace the items it added (`data[origin_key] === rule`) with its current
+ * matches. When `expand` also returns `items`, their data (depth, traversal
+ * markers) is copied onto the context items.
+ *
+ * @param {object} data - SmartContext data.
+ * @param {object} params
+ * @param {string} params.rules_key - e.g. `codeblock_globs`.
+ * @param {string} params.origin_key - e.g. `from_glob`.
+ * @param {(rule:string)=>{ keys:string[], match_count:number, truncated:boolean, items?:Record<string, object> }} params.expand
+ * @returns {boolean} Whether context_items changed.
+ */
+export function apply_codeblock_rule_items(data, params) {
+  if (!data || typeof data !== 'object') return false;
+  const { rules_key, origin_key, expand } = params;
+  const rules = data[rules_key] && typeof data[rules_key] === 'object'
+    ? data[rules_key]
+    : {}
+  ;
+  if (!data.context_items || typeof data.context_items !== 'object') data.context_items = {};
+  const context_items = data.context_items;
+  const before = new Set(
+    Object.keys(context_items).filter((key) => context_items[key]?.[origin_key]),
+  );
+
+  Object.keys(context_items).forEach((key) => {
+    const origin = context_items[key]?.[origin_key];
+    if (origin && !rules[origin]) delete context_items[key];
+  });
+
+  const next = new Set();
+  Object.keys(rules).forEach((rule_key) => {
+    const result = expand(rule_key);
+    rules[rule_key] = {
+      ...rules[rule_key],
+      match_count: result.match_count,
+      truncated: result.truncated,
+      truncated_max_items: result.truncated ? result.keys.length : 0,
+    };
+    result.keys.forEach((key) => {
+      const existing = context_items[key];
+      if (existing && !existing[origin_key]) return;
+      if (existing?.[origin_key] && next.has(key)) return;
+      if (result.items?.[key]) {
+        context_items[key] = { ...result.items[key], key, [origin_key]: rule_key };
+      } else if (existing?.[origin_key] !== rule_key) {
+        context_items[key] = { key, d: 0, [origin_key]: rule_key };
+      }
+      next.add(key);
+    });
+  });
+
+  Object.keys(context_items).forEach((key) => {
+    if (context_items[key]?.[origin_key] && !next.has(key)) delete context_items[key];
+  });
+
+  if (before.size !== next.size) return true;
+  for (const key of next) if (!before.has(key)) return true;
+  return false;
+}
+
+/**
+ * Glob rules whose expansion reached the safety cap.
+ *
+ * @param {object} data - SmartContext data.
+ * @returns {Array<{ key:string, max_items:number }>}
+ */
+export function get_truncated_codeblock_globs(data) {
+  return Object.entries(data?.codeblock_globs || {})
+    .filter(([, rule]) => rule?.truncated === true)
+    .map(([pattern, rule]) => ({
+      key: pattern,
+      max_items: Number(rule.truncated_max_items) || 0,
+    }))
+  ;
+}
+
+/**
+ * Re-expand a context's glob rules against its Smart Sources.
+ *
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @returns {boolean} Whether context_items changed.
+ */
+export function refresh_codeblock_globs(ctx) {
+  if (!Object.keys(ctx?.data?.codeblock_globs || {}).length) return false;
+  const source_keys = Object.keys(ctx?.env?.smart_sources?.items || {});
+  return apply_codeblock_globs(ctx.data, source_keys);
+}
+
+/**
+ * Remove one glob rule and the items it added.
+ *
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function remove_codeblock_glob_rule(ctx, pattern = '') {
+  const rules = ctx?.data?.codeblock_globs;
+  if (!pattern || !rules?.[pattern]) return false;
+  delete rules[pattern];
+  const removed_keys = [];
+  Object.entries(ctx.data.context_items || {}).forEach(([key, item_data]) => {
+    if (item_data?.from_glob !== pattern) return;
+    delete ctx.data.context_items[key];
+    removed_keys.push(key);
+  });
+  ctx.queue_save?.();
+  ctx.emit_event?.('context:updated', {
+    removed_key: pattern,
+    removed_keys,
+    event_source: 'codeblock_globs.remove_rule',
+  });
+  return true;
+}
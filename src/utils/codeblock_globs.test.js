@@ -0,0 +1,74 @@
+import test from 'ava';
+import {
+  apply_codeblock_globs,
+  build_include_glob_regex,
+  expand_codeblock_glob,
+  get_truncated_codeblock_globs,
+  is_codeblock_include_glob,
+} from './codeblock_globs.js';
+
+test('is_codeblock_include_glob only matches include lines with wildcards', (t) => {
+  t.true(is_codeblock_include_glob('Projects/Alpha/**/*.md'));
+  t.true(is_codeblock_include_glob('Research/*-notes.md'));
+  t.false(is_codeblock_include_glob('!Archive/**'));
+  t.false(is_codeblock_include_glob('ctx:: Weekly*'));
+  t.false(is_codeblock_include_glob('notes/a.md'));
+});
+
+test('build_include_glob_regex keeps * within a segment and lets **/ match no folders', (t) => {
+  const deep = build_include_glob_regex('Projects/Alpha/**/*.md');
+  t.true(deep.test('Projects/Alpha/plan.md'));
+  t.true(deep.test('Projects/Alpha/a/b/plan.md'));
+  t.false(deep.test('Projects/Beta/plan.md'));
+
+  const flat = build_include_glob_regex('Research/*-notes.md');
+  t.true(flat.test('Research/llm-notes.md'));
+  t.false(flat.test('Research/sub/llm-notes.md'));
+  t.false(flat.test('Research/llm-notes.mdx'));
+
+  t.true(build_include_glob_regex('Daily/2024-0?-01.md').test('Daily/2024-03-01.md'));
+  t.is(build_include_glob_regex('  '), null);
+});
+
+test('expand_codeblock_glob sorts matches, skips block keys and applies the cap', (t) => {
+  const keys = ['R/b.md', 'R/a.md', 'R/a.md#Heading', 'S/c.md', 'R/c.md'];
+  t.deepEqual(expand_codeblock_glob('R/*.md', keys), {
+    keys: ['R/a.md', 'R/b.md', 'R/c.md'],
+    match_count: 3,
+    truncated: false,
+  });
+  t.deepEqual(expand_codeblock_glob('R/*.md', keys, { max_items: 2 }), {
+    keys: ['R/a.md', 'R/b.md'],
+    match_count: 3,
+    truncated: true,
+  });
+});
+
+test('apply_codeblock_globs replaces glob items and leaves direct selections alone', (t) => {
+  const data = {
+    codeblock_globs: { 'R/*.md': {} },
+    context_items: {
+      'R/a.md': { key: 'R/a.md', d: 0 },
+      'R/old.md': { key: 'R/old.md', d: 0, from_glob: 'R/*.md' },
+      'S/x.md': { key: 'S/x.md', d: 0, from_glob: 'S/*.md' },
+    },
+  };
+  t.true(apply_codeblock_globs(data, ['R/a.md', 'R/b.md', 'S/x.md']));
+  t.deepEqual(data.context_items, {
+    'R/a.md': { key: 'R/a.md', d: 0 },
+    'R/b.md': { key: 'R/b.md', d: 0, from_glob: 'R/*.md' },
+  });
+  t.deepEqual(data.codeblock_globs['R/*.md'], {
+    match_count: 2,
+    truncated: false,
+    truncated_max_items: 0,
+  });
+  t.false(apply_codeblock_globs(data, ['R/a.md', 'R/b.md']));
+});
+
+test('get_truncated_codeblock_globs lists capped rules', (t) => {
+  const data = { codeblock_globs: { '**/*.md': {} }, context_items: {} };
+  apply_codeblock_globs(data, ['a.md', 'b.md', 'c.md'], { max_items: 2 });
+  t.deepEqual(get_truncated_codeblock_globs(data), [{ key: '**/*.md', max_items: 2 }]);
+  t.deepEqual(get_truncated_codeblock_globs({}), []);
+});
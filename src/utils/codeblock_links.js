@@ -0,0 +1,144 @@
+/**
+ * @file codeblock_links.js
+ * @description
+ * Link-style lines in context codeblocks: `[[Note name]]`, `[[Note#Heading]]`,
+ * `![[embed]]` and `[text](path.md)`. Links resolve like Obsidian links,
+ * relative to the note holding the codeblock. Items parsed from a link keep
+ * their line so sync writes it back unchanged, and new items can be written
+ * as wikilinks (`@wikilinks: true` or the plugin setting).
+ *
+ * A leading `!` on a wikilink is an embed, not an exclusion.
+ */
+
+import { split_link_subpath } from './section_links.js';
+
+/**
+ * Settings rows merged into the SmartContexts settings config.
+ */
+export const codeblock_links_settings_config = {
+  codeblock_wikilinks: {
+    name: 'Write codeblock items as wikilinks',
+    type: 'toggle',
+    description: 'When a ctx codeblock is updated, new notes and sections are written as [[wikilinks]] instead of vault paths. Add @wikilinks: true or false to a codeblock to override.',
+    default: false,
+  },
+};
+
+/**
+ * @param {any} env
+ * @returns {boolean}
+ */
+export function get_codeblock_wikilinks_setting(env) {
+  return (env?.smart_contexts?.settings?.codeblock_wikilinks
+    ?? env?.settings?.smart_contexts?.codeblock_wikilinks) === true
+  ;
+}
+
+const wikilink_pattern = /^(!?)\[\[([^\]|]+)(?:\|[^\]]*)?\]\]$/;
+const markdown_link_pattern = /^(!?)\[[^\]]*\]\((?:<([^>]+)>|([^)\s]+))\)$/;
+
+/**
+ * @param {string} line
+ * @returns {boolean}
+ */
+export function is_codeblock_link_line(line = '') {
+  return Boolean(parse_codeblock_link_line(line));
+}
+
+/**
+ * @param {string} line
+ * @returns {{ linkpath:string, subpath:string, embed:boolean }|null}
+ *   `subpath` keeps its leading `#` (`#Heading`, `#^block`).
+ */
+export function parse_codeblock_link_line(line = '') {
+  const value = String(line || '').trim();
+  const wikilink = value.match(wikilink_pattern);
+  if (wikilink) {
+    const { path, subpath } = split_link_subpath(wikilink[2]);
+    return { linkpath: path, subpath, embed: wikilink[1] === '!' };
+  }
+  const markdown_link = value.match(markdown_link_pattern);
+  if (!markdown_link) return null;
+  const target = markdown_link[2] || markdown_link[3];
+  if (/^[a-z][a-z0-9+.-]*:/i.test(target)) return null;
+  const { path, subpath } = split_link_subpath(safe_decode(target));
+  return { linkpath: path, subpath, embed: markdown_link[1] === '!' };
+}
+
+/**
+ * Resolve a link line to a context item key (`path` or `path#Heading`).
+ * Unresolved links fall back to the link path (with `.md` when it has no
+ * extension) so they show up as missing items.
+ *
+ * @param {string} line
+ * @param {object} [params={}]
+ * @param {string} [params.host_path] - Target of same-note links (`[[#Heading]]`).
+ * @param {(linkpath:string)=>string|null} [params.resolve_linkpath]
+ * @returns {string|null} Null when the line is not a link.
+ */
+export function resolve_codeblock_link_key(line, params = {}) {
+  const link = parse_codeblock_link_line(line);
+  if (!link) return null;
+  const resolved_path = link.linkpath
+    ? params.resolve_linkpath?.(link.linkpath)
+    : params.host_path
+  ;
+  const path = resolved_path || add_default_extension(link.linkpath);
+  return `${path}${link.subpath}`;
+}
+
+/**
+ * @param {string} key - Context item key (`path` or `path#Heading`).
+ * @param {object} [params={}]
+ * @param {(path:string)=>string} [params.to_linktext] - Shortest link text for a path.
+ * @returns {string}
+ */
+export function format_codeblock_wikilink(key, params = {}) {
+  const { path, subpath } = split_link_subpath(key);
+  const linktext = params.to_linktext?.(path) || path.replace(/\.md$/i, '');
+  return `[[${linktext}${subpath}]]`;
+}
+
+/**
+ * Link helpers bound to the note that holds the codeblock.
+ *
+ * @param {any} app - Obsidian App.
+ * @param {string} host_path
+ * @returns {{ host_path:string, resolve_linkpath:(linkpath:string)=>string|null, to_linktext:(path:string)=>string }}
+ */
+export function create_codeblock_link_resolver(app, host_path = '') {
+  const metadata_cache = app?.metadataCache;
+  return {
+    host_path,
+    resolve_linkpath: (linkpath) => metadata_cache?.getFirstLinkpathDest?.(linkpath, host_path)?.path || null,
+    to_linktext: (path) => {
+      const file = app?.vault?.getFileByPath?.(path) || app?.vault?.getAbstractFileByPath?.(path);
+      if (file && typeof metadata_cache?.fileToLinktext === 'function') {
+        return metadata_cache.fileToLinktext(file, host_path, true);
+      }
+      return path.replace(/\.md$/i, '');
+    },
+  };
+}
+
+/**
+ * @param {string} linkpath
+ * @returns {string}
+ */
+function add_default_extension(linkpath) {
+  const value = String(linkpath || '');
+  const name = value.split('/').pop() || '';
+  return name.includes('.') ? value : `${value}.md`;
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function safe_decode(value) {
+  try {
+    return decodeURI(value);
+  } catch {
+    return value;
+  }
+}
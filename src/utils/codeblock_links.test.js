@@ -0,0 +1,45 @@
+import test from 'ava';
+import {
+  format_codeblock_wikilink,
+  get_codeblock_wikilinks_setting,
+  parse_codeblock_link_line,
+  resolve_codeblock_link_key,
+} from './codeblock_links.js';
+
+test('parse_codeblock_link_line reads wikilinks, embeds and markdown links', (t) => {
+  t.deepEqual(parse_codeblock_link_line('[[Note name]]'), { linkpath: 'Note name', subpath: '', embed: false });
+  t.deepEqual(parse_codeblock_link_line('[[Spec#Auth flow|auth]]'), { linkpath: 'Spec', subpath: '#Auth flow', embed: false });
+  t.deepEqual(parse_codeblock_link_line('![[diagram.png]]'), { linkpath: 'diagram.png', subpath: '', embed: true });
+  t.deepEqual(parse_codeblock_link_line('[Plan](Projects/My%20Plan.md#^goals)'), {
+    linkpath: 'Projects/My Plan.md',
+    subpath: '#^goals',
+    embed: false,
+  });
+  t.deepEqual(parse_codeblock_link_line('[Plan](<Projects/My Plan.md>)').linkpath, 'Projects/My Plan.md');
+  t.is(parse_codeblock_link_line('[Site](https://example.com)'), null);
+  t.is(parse_codeblock_link_line('notes/a.md'), null);
+  t.is(parse_codeblock_link_line('!notes/a.md'), null);
+});
+
+test('resolve_codeblock_link_key uses link resolution and falls back to the link path', (t) => {
+  const params = {
+    host_path: 'Hub.md',
+    resolve_linkpath: (linkpath) => (linkpath === 'Spec' ? 'Specs/Spec.md' : null),
+  };
+  t.is(resolve_codeblock_link_key('[[Spec#Auth flow]]', params), 'Specs/Spec.md#Auth flow');
+  t.is(resolve_codeblock_link_key('[[#Today]]', params), 'Hub.md#Today');
+  t.is(resolve_codeblock_link_key('[[Missing]]', params), 'Missing.md');
+  t.is(resolve_codeblock_link_key('![[photo.png]]', params), 'photo.png');
+  t.is(resolve_codeblock_link_key('Specs/Spec.md', params), null);
+});
+
+test('format_codeblock_wikilink keeps the section and prefers short link text', (t) => {
+  t.is(format_codeblock_wikilink('Specs/Spec.md#Auth flow'), '[[Specs/Spec#Auth flow]]');
+  t.is(format_codeblock_wikilink('Specs/Spec.md', { to_linktext: () => 'Spec' }), '[[Spec]]');
+  t.is(format_codeblock_wikilink('docs/guide.pdf'), '[[docs/guide.pdf]]');
+});
+
+test('get_codeblock_wikilinks_setting defaults to paths', (t) => {
+  t.false(get_codeblock_wikilinks_setting({}));
+  t.true(get_codeblock_wikilinks_setting({ smart_contexts: { settings: { codeblock_wikilinks: true } } }));
+});
@@ -0,0 +1,266 @@
+/**
+ * @file codeblock_note_contexts.js
+ * @description
+ * `ctx-note:: Path/To/Note.md` lines include the codeblock context of another
+ * note; `ctx-note:: Path/To/Note.md#codeblock:id` picks one of its codeblocks
+ * instead of the first. Rules live in `ctx.data.codeblock_note_contexts`; the referenced
+ * note's items (its own lines, glob, query and depth matches) are added with
+ * `from_note_context`. References inside the referenced note are followed
+ * too, and a reference back to a note already on the path is reported as a
+ * cycle instead of being followed.
+ *
+ * Notes are loaded through `params.load_context` so resolution stays
+ * testable without a vault. Parsing passes a loader that reads the note; other
+ * callers fall back to codeblock contexts already in `smart_contexts`.
+ */
+
+import { apply_codeblock_rule_items } from './codeblock_globs.js';
+import { resolve_codeblock_link_key } from './codeblock_links.js';
+import {
+  get_context_codeblock_ctx_key,
+  parse_context_codeblock_ctx_key,
+} from './context_codeblock_ranges.js';
+
+export const NOTE_CONTEXT_LINE_PREFIX = 'ctx-note::';
+
+/**
+ * @param {string} line
+ * @returns {boolean}
+ */
+export function is_note_context_line(line = '') {
+  return String(line || '').trim().startsWith(NOTE_CONTEXT_LINE_PREFIX);
+}
+
+/**
+ * @param {string} line
+ * @returns {string|null} The target as written (path or link), null when the line is not a note reference.
+ */
+export function parse_note_context_line(line = '') {
+  if (!is_note_context_line(line)) return null;
+  return String(line).trim().slice(NOTE_CONTEXT_LINE_PREFIX.length).trim();
+}
+
+/**
+ * @param {string} target - Path or link.
+ * @returns {string}
+ */
+export function format_note_context_line(target) {
+  return `${NOTE_CONTEXT_LINE_PREFIX} ${target}`;
+}
+
+/**
+ * Split a resolved target into its note path and the codeblock it names.
+ *
+ * @param {string} target - Path, optionally with `#codeblock` or `#codeblock:id`.
+ * @returns {{ path:string, subpath:string, codeblock_id?:string }} `codeblock_id` is '' for `#codeblock`.
+ */
+export function split_note_context_target(target = '') {
+  const value = String(target || '');
+  const hash_index = value.indexOf('#');
+  if (hash_index === -1) return { path: value, subpath: '' };
+  const path = value.slice(0, hash_index);
+  const subpath = value.slice(hash_index + 1);
+  const match = subpath.match(/^codeblock(?::([^#\s]+))?$/);
+  return match
+    ? { path, subpath, codeblock_id: match[1] || '' }
+    : { path, subpath }
+  ;
+}
+
+/**
+ * Rule data stored under the line in `codeblock_note_contexts`.
+ *
+ * @param {string} line
+ * @param {object} [params={}]
+ * @param {object} [params.link_resolver] - From create_codeblock_link_resolver.
+ * @returns {{ target_path:string, codeblock_id?:string }|null}
+ */
+export function create_note_context_rule(line, params = {}) {
+  const target = parse_note_context_line(line);
+  if (target === null) return null;
+  const resolved = resolve_codeblock_link_key(target, params.link_resolver) || target;
+  const { path, codeblock_id } = split_note_context_target(resolved);
+  return codeblock_id
+    ? { target_path: path, codeblock_id }
+    : { target_path: path }
+  ;
+}
+
+/**
+ * How a referenced codeblock shows up in `missing` and `cycle`: the note path,
+ * with `#codeblock:id` when the reference names a codeblock.
+ *
+ * @param {string} path
+ * @param {string} [codeblock_id]
+ * @returns {string}
+ */
+export function get_note_context_label(path, codeblock_id) {
+  return codeblock_id ? `${path}#codeblock:${codeblock_id}` : path;
+}
+
+/**
+ * Collect the items of a note's codeblock context and of the notes it
+ * references in turn.
+ *
+ * @param {string} target_path
+ * @param {object} params
+ * @param {(path:string, codeblock_id?:string)=>Promise<{ data?:object }|null>} params.load_context - Codeblock context of a note (its first codeblock without an id), null when it has none.
+ * @param {string} [params.codeblock_id] - Codeblock of the target note to include.
+ * @param {string} [params.host_path] - Note holding the reference; a path back to it is a cycle.
+ * @param {string} [params.host_codeblock_id] - Codeblock holding the reference.
+ * @returns {Promise<{ items:Record<string, object>, note_paths:string[], missing:string[], cycle:string[]|null }>}
+ */
+export async function resolve_note_context(target_path, params) {
+  const items = {};
+  const note_paths = [];
+  const visited = new Set();
+  const missing = [];
+  let cycle = null;
+
+  const visit = async (path, codeblock_id, chain) => {
+    const label = get_note_context_label(path, codeblock_id);
+    if (chain.includes(label)) {
+      if (!cycle) cycle = [...chain.slice(chain.indexOf(label)), label];
+      return;
+    }
+    if (visited.has(label)) return;
+    visited.add(label);
+    if (!note_paths.includes(path)) note_paths.push(path);
+
+    const data = (await params.load_context(path, codeblock_id))?.data;
+    if (!data) {
+      missing.push(label);
+      return;
+    }
+    const exclusions = data.exclusions || {};
+    Object.entries(data.context_items || {}).forEach(([key, item_data]) => {
+      if (!item_data || item_data.exclude === true || exclusions[key]) return;
+      // nested references are resolved from their rules below
+      if (item_data.from_note_context || items[key]) return;
+      const { from_glob, from_query, from_depth_rule, link_line, ...rest } = item_data;
+      items[key] = rest;
+    });
+    for (const rule of Object.values(data.codeblock_note_contexts || {})) {
+      if (rule?.target_path) await visit(rule.target_path, rule.codeblock_id, [...chain, label]);
+    }
+  };
+
+  await visit(
+    target_path,
+    params.codeblock_id,
+    params.host_path ? [get_note_context_label(params.host_path, params.host_codeblock_id)] : [],
+  );
+  return { items, note_paths, missing, cycle };
+}
+
+/**
+ * Replace the items added by each note reference with its resolved items.
+ *
+ * @param {object} data - SmartContext data.
+ * @param {Record<string, Awaited<ReturnType<typeof resolve_note_context>>>} results - By rule line.
+ * @returns {boolean} Whether context_items changed.
+ */
+export function apply_note_context_rules(data, results = {}) {
+  return apply_codeblock_rule_items(data, {
+    rules_key: 'codeblock_note_contexts',
+    origin_key: 'from_note_context',
+    expand: (line) => {
+      const result = results[line];
+      const items = result?.items || {};
+      const keys = Object.keys(items);
+      const rule = data.codeblock_note_contexts?.[line];
+      if (rule) {
+        Object.assign(rule, {
+          note_paths: result?.note_paths || [],
+          missing: Boolean(result?.missing?.includes(get_note_context_label(rule.target_path, rule.codeblock_id))),
+          cycle: result?.cycle || null,
+        });
+      }
+      return { keys, items, match_count: keys.length, truncated: false };
+    },
+  });
+}
+
+/**
+ * Resolve a context's note references.
+ *
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @param {object} [params={}]
+ * @param {(path:string, codeblock_id?:string)=>Promise<{ data?:object }|null>} [params.load_context] - Defaults to loaded codeblock contexts.
+ * @param {string} [params.host_path] - Defaults to the note in the context key.
+ * @returns {Promise<boolean>} Whether context_items changed.
+ */
+export async function refresh_codeblock_note_contexts(ctx, params = {}) {
+  const rules = ctx?.data?.codeblock_note_contexts || {};
+  const lines = Object.keys(rules);
+  if (!lines.length) return false;
+  const host = parse_context_codeblock_ctx_key(ctx.key);
+  const resolve_params = {
+    load_context: params.load_context
+      || (async (path, codeblock_id) => ctx.env?.smart_contexts?.get?.(get_context_codeblock_ctx_key(path, codeblock_id)) || null),
+    host_path: params.host_path ?? (host?.source_path || ''),
+    host_codeblock_id: host?.codeblock_id || undefined,
+  };
+  const results = {};
+  for (const line of lines) {
+    const rule = rules[line];
+    try {
+      results[line] = await resolve_note_context(rule.target_path, {
+        ...resolve_params,
+        codeblock_id: rule.codeblock_id,
+      });
+    } catch (error) {
+      console.warn('Failed to resolve codeblock note context', { line, error });
+      results[line] = {
+        items: {},
+        note_paths: [],
+        missing: [get_note_context_label(rule.target_path, rule.codeblock_id)],
+        cycle: null,
+      };
+    }
+  }
+  // the codeblock may have been re-parsed while loading
+  if (ctx.data.codeblock_note_contexts !== rules) return false;
+  return apply_note_context_rules(ctx.data, results);
+}
+
+/**
+ * Notes whose codeblock changes affect this context's note references.
+ *
+ * @param {object} data - SmartContext data.
+ * @returns {Set<string>}
+ */
+export function get_note_context_watch_paths(data) {
+  const paths = new Set();
+  Object.values(data?.codeblock_note_contexts || {}).forEach((rule) => {
+    if (rule?.target_path) paths.add(rule.target_path);
+    (rule?.note_paths || []).forEach((path) => paths.add(path));
+  });
+  return paths;
+}
+
+/**
+ * Remove one note reference and the items it added.
+ *
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @param {string} line
+ * @returns {boolean}
+ */
+export function remove_codeblock_note_context_rule(ctx, line = '') {
+  const rules = ctx?.data?.codeblock_note_contexts;
+  if (!line || !rules?.[line]) return false;
+  delete rules[line];
+  const removed_keys = [];
+  Object.entries(ctx.data.context_items || {}).forEach(([key, item_data]) => {
+    if (item_data?.from_note_context !== line) return;
+    delete ctx.data.context_items[key];
+    removed_keys.push(key);
+  });
+  ctx.queue_save?.();
+  ctx.emit_event?.('context:updated', {
+    removed_key: line,
+    removed_keys,
+    event_source: 'codeblock_note_contexts.remove_rule',
+  });
+  return true;
+}
@@ -0,0 +1,197 @@
+import test from 'ava';
+import {
+  apply_note_context_rules,
+  create_note_context_rule,
+  get_note_context_watch_paths,
+  is_note_context_line,
+  parse_note_context_line,
+  refresh_codeblock_note_contexts,
+  remove_codeblock_note_context_rule,
+  resolve_note_context,
+  split_note_context_target,
+} from './codeblock_note_contexts.js';
+
+const note_contexts = {
+  'Projects/Alpha.md': {
+    data: {
+      context_items: {
+        'Specs/auth.md': { key: 'Specs/auth.md', d: 0 },
+        'Specs/old.md': { key: 'Specs/old.md', d: 0 },
+        'Research/a.md': { key: 'Research/a.md', d: 0, from_glob: 'Research/*.md' },
+        'Hub.md': { key: 'Hub.md', d: 0, from_note_context: 'ctx-note:: Projects/Beta.md' },
+      },
+      exclusions: { 'Specs/old.md': { key: 'Specs/old.md' } },
+      codeblock_note_contexts: {
+        'ctx-note:: Projects/Beta.md': { target_path: 'Projects/Beta.md' },
+      },
+    },
+  },
+  'Projects/Beta.md': {
+    data: {
+      context_items: {
+        'Hub.md': { key: 'Hub.md', d: 0, link_line: '[[Hub]]' },
+      },
+      codeblock_note_contexts: {
+        'ctx-note:: Home.md': { target_path: 'Home.md' },
+      },
+    },
+  },
+  'Home.md': {
+    data: {
+      context_items: { 'Inbox.md': { key: 'Inbox.md', d: 0 } },
+      codeblock_note_contexts: {
+        'ctx-note:: Projects/Alpha.md': { target_path: 'Projects/Alpha.md' },
+      },
+    },
+  },
+};
+const load_context = async (path) => note_contexts[path] || null;
+
+test('parse_note_context_line reads the target after ctx-note::', (t) => {
+  t.true(is_note_context_line('ctx-note:: Projects/Alpha.md'));
+  t.false(is_note_context_line('ctx:: Weekly Review'));
+  t.is(parse_note_context_line('  ctx-note::   [[Alpha]] '), '[[Alpha]]');
+  t.is(parse_note_context_line('Projects/Alpha.md'), null);
+});
+
+test('create_note_context_rule resolves links from the host note', (t) => {
+  const link_resolver = {
+    host_path: 'Home.md',
+    resolve_linkpath: (linkpath) => (linkpath === 'Alpha' ? 'Projects/Alpha.md' : null),
+  };
+  t.deepEqual(create_note_context_rule('ctx-note:: [[Alpha]]', { link_resolver }), { target_path: 'Projects/Alpha.md' });
+  t.deepEqual(create_note_context_rule('ctx-note:: Projects/Beta.md'), { target_path: 'Projects/Beta.md' });
+});
+
+test('create_note_context_rule keeps the codeblock a reference picks', (t) => {
+  const link_resolver = {
+    host_path: 'Home.md',
+    resolve_linkpath: (linkpath) => (linkpath === 'Alpha' ? 'Projects/Alpha.md' : null),
+  };
+  t.deepEqual(
+    create_note_context_rule('ctx-note:: [[Alpha#codeblock:review]]', { link_resolver }),
+    { target_path: 'Projects/Alpha.md', codeblock_id: 'review' },
+  );
+  t.deepEqual(
+    create_note_context_rule('ctx-note:: Projects/Beta.md#codeblock'),
+    { target_path: 'Projects/Beta.md' },
+  );
+  t.deepEqual(split_note_context_target('Projects/Beta.md#Goals'), { path: 'Projects/Beta.md', subpath: 'Goals' });
+});
+
+test('resolve_note_context loads the codeblock named by the reference', async (t) => {
+  const blocks = {
+    'Projects/Alpha.md#codeblock': { data: { context_items: { 'First.md': { key: 'First.md', d: 0 } } } },
+    'Projects/Alpha.md#codeblock:review': {
+      data: {
+        context_items: { 'Review.md': { key: 'Review.md', d: 0 } },
+        codeblock_note_contexts: {
+          'ctx-note:: Projects/Alpha.md': { target_path: 'Projects/Alpha.md' },
+          'ctx-note:: Projects/Alpha.md#codeblock:gone': { target_path: 'Projects/Alpha.md', codeblock_id: 'gone' },
+        },
+      },
+    },
+  };
+  const loaded = [];
+  const load_block = async (path, codeblock_id) => {
+    loaded.push([path, codeblock_id]);
+    return blocks[`${path}#codeblock${codeblock_id ? `:${codeblock_id}` : ''}`] || null;
+  };
+  const result = await resolve_note_context('Projects/Alpha.md', {
+    load_context: load_block,
+    codeblock_id: 'review',
+    host_path: 'Daily.md',
+  });
+  t.deepEqual(Object.keys(result.items), ['Review.md', 'First.md']);
+  t.deepEqual(result.note_paths, ['Projects/Alpha.md']);
+  t.deepEqual(result.missing, ['Projects/Alpha.md#codeblock:gone']);
+  t.is(result.cycle, null);
+  t.deepEqual(loaded[0], ['Projects/Alpha.md', 'review']);
+
+  const from_host = await resolve_note_context('Projects/Alpha.md', {
+    load_context: load_block,
+    codeblock_id: 'review',
+    host_path: 'Projects/Alpha.md',
+  });
+  t.deepEqual(from_host.cycle, ['Projects/Alpha.md', 'Projects/Alpha.md#codeblock:review', 'Projects/Alpha.md']);
+});
+
+test('resolve_note_context follows references transitively and honors exclusions', async (t) => {
+  const result = await resolve_note_context('Projects/Alpha.md', { load_context, host_path: 'Daily.md' });
+  t.deepEqual(Object.keys(result.items), ['Specs/auth.md', 'Research/a.md', 'Hub.md', 'Inbox.md']);
+  t.deepEqual(result.items['Hub.md'], { key: 'Hub.md', d: 0 });
+  t.deepEqual(result.note_paths, ['Projects/Alpha.md', 'Projects/Beta.md', 'Home.md']);
+  t.deepEqual(result.cycle, ['Projects/Alpha.md', 'Projects/Beta.md', 'Home.md', 'Projects/Alpha.md']);
+  t.deepEqual(result.missing, []);
+});
+
+test('resolve_note_context reports a reference back to the host as a cycle', async (t) => {
+  const result = await resolve_note_context('Projects/Alpha.md', { load_context, host_path: 'Home.md' });
+  t.deepEqual(result.cycle, ['Home.md', 'Projects/Alpha.md', 'Projects/Beta.md', 'Home.md']);
+  t.false('Inbox.md' in result.items);
+});
+
+test('apply_note_context_rules adds items under the rule and records status', (t) => {
+  const data = {
+    context_items: { 'Specs/auth.md': { key: 'Specs/auth.md', d: 0 } },
+    codeblock_note_contexts: {
+      'ctx-note:: Projects/Alpha.md': { target_path: 'Projects/Alpha.md' },
+      'ctx-note:: Gone.md': { target_path: 'Gone.md' },
+    },
+  };
+  t.true(apply_note_context_rules(data, {
+    'ctx-note:: Projects/Alpha.md': {
+      items: { 'Specs/auth.md': { key: 'Specs/auth.md' }, 'Hub.md': { key: 'Hub.md', d: 0 } },
+      note_paths: ['Projects/Alpha.md'],
+      missing: [],
+      cycle: null,
+    },
+    'ctx-note:: Gone.md': { items: {}, note_paths: ['Gone.md'], missing: ['Gone.md'], cycle: null },
+  }));
+  t.deepEqual(data.context_items['Specs/auth.md'], { key: 'Specs/auth.md', d: 0 });
+  t.deepEqual(data.context_items['Hub.md'], { key: 'Hub.md', d: 0, from_note_context: 'ctx-note:: Projects/Alpha.md' });
+  t.like(data.codeblock_note_contexts['ctx-note:: Projects/Alpha.md'], { match_count: 2, missing: false });
+  t.like(data.codeblock_note_contexts['ctx-note:: Gone.md'], { match_count: 0, missing: true });
+  t.deepEqual(
+    Array.from(get_note_context_watch_paths(data)),
+    ['Projects/Alpha.md', 'Gone.md'],
+  );
+});
+
+test('refresh_codeblock_note_contexts falls back to loaded codeblock contexts', async (t) => {
+  const ctx = {
+    key: 'Daily.md#codeblock',
+    env: {
+      smart_contexts: {
+        get: (key) => (key === 'Projects/Beta.md#codeblock' ? note_contexts['Projects/Beta.md'] : null),
+      },
+    },
+    data: {
+      context_items: {},
+      codeblock_note_contexts: {
+        'ctx-note:: Projects/Beta.md': { target_path: 'Projects/Beta.md' },
+      },
+    },
+  };
+  t.true(await refresh_codeblock_note_contexts(ctx));
+  t.deepEqual(Object.keys(ctx.data.context_items), ['Hub.md']);
+  t.deepEqual(ctx.data.codeblock_note_contexts['ctx-note:: Projects/Beta.md'].note_paths, ['Projects/Beta.md', 'Home.md']);
+  t.false(await refresh_codeblock_note_contexts(ctx));
+});
+
+test('remove_codeblock_note_context_rule drops the rule and its items', (t) => {
+  const events = [];
+  const ctx = {
+    data: {
+      context_items: {
+        'Hub.md': { key: 'Hub.md', from_note_context: 'ctx-note:: Projects/Beta.md' },
+        'Notes/a.md': { key: 'Notes/a.md' },
+      },
+      codeblock_note_contexts: { 'ctx-note:: Projects/Beta.md': { target_path: 'Projects/Beta.md' } },
+    },
+    emit_event: (name, payload) => events.push(payload),
+  };
+  t.true(remove_codeblock_note_context_rule(ctx, 'ctx-note:: Projects/Beta.md'));
+  t.deepEqual(Object.keys(ctx.data.context_items), ['Notes/a.md']);
+  t.like(events[0], { removed_keys: ['Hub.md'], event_source: 'codeblock_note_contexts.remove_rule' });
+});
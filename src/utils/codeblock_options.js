@@ -0,0 +1,232 @@
+/**
+ * @file codeblock_options.js
+ * @description
+ * Option header lines at the top of a context codeblock:
+ *
+ * ```ctx
+ * @depth: 1
+ * @template: xml
+ * @max_tokens: 20000
+ * @include_backlinks: true
+ * @wikilinks: true
+ * notes/a.md
+ * ```
+ *
+ * Options are stored on the context (`codeblock_options`) alongside the raw
+ * lines (`codeblock_option_lines`) so sync-back writes them unchanged.
+ */
+
+import { build_copy_context_depth_filter } from './copy_context_depth.js';
+import {
+  apply_token_budget,
+  emit_token_budget_report,
+  normalize_token_budget,
+} from './context_token_budget.js';
+import { normalize_link_depth } from './link_traversal.js';
+import { refresh_codeblock_globs } from './codeblock_globs.js';
+import { refresh_codeblock_queries } from './codeblock_queries.js';
+import { refresh_codeblock_depth_rules } from './codeblock_depth_rules.js';
+import { refresh_codeblock_note_contexts } from './codeblock_note_contexts.js';
+
+/**
+ * Known options and how their values are read. Unknown options are kept as
+ * strings so they survive a round-trip.
+ */
+export const CODEBLOCK_OPTION_TYPES = Object.freeze({
+  depth: 'depth',
+  template: 'string',
+  max_tokens: 'count',
+  include_backlinks: 'boolean',
+  wikilinks: 'boolean',
+});
+
+/**
+ * @param {string} name
+ * @returns {boolean} Whether the option changes how the codeblock is copied or synced.
+ */
+export function is_known_codeblock_option(name) {
+  return Object.prototype.hasOwnProperty.call(CODEBLOCK_OPTION_TYPES, String(name || '').toLowerCase());
+}
+
+const option_line_pattern = /^@([A-Za-z][\w-]*)\s*:\s*(.*)$/;
+
+/**
+ * @param {string} line
+ * @returns {{ name:string, value:unknown }|null}
+ */
+export function parse_codeblock_option_line(line = '') {
+  const match = String(line || '').trim().match(option_line_pattern);
+  if (!match) return null;
+  const name = match[1].toLowerCase();
+  const value = parse_option_value(CODEBLOCK_OPTION_TYPES[name], match[2].trim());
+  if (typeof value === 'undefined') return null;
+  return { name, value };
+}
+
+/**
+ * Split codeblock lines into the leading option lines and the entry lines.
+ * Only lines before the first entry count as options.
+ *
+ * @param {string[]} lines - Trimmed, non-empty codeblock lines.
+ * @returns {{ options:Record<string, unknown>, option_lines:string[], entry_lines:string[] }}
+ */
+export function split_codeblock_option_lines(lines = []) {
+  const options = {};
+  const option_lines = [];
+  let index = 0;
+  for (; index < lines.length; index += 1) {
+    const option = parse_codeblock_option_line(lines[index]);
+    if (!option) break;
+    options[option.name] = option.value;
+    option_lines.push(lines[index]);
+  }
+  return {
+    options,
+    option_lines,
+    entry_lines: lines.slice(index),
+  };
+}
+
+/**
+ * Option lines to write back at the top of the codeblock: the parsed lines
+ * as written, then any option set since without a line of its own.
+ *
+ * @param {object} [data={}]
+ * @param {Record<string, unknown>} [data.codeblock_options]
+ * @param {string[]} [data.codeblock_option_lines]
+ * @returns {string[]}
+ */
+export function build_codeblock_option_lines(data = {}) {
+  const options = data.codeblock_options && typeof data.codeblock_options === 'object'
+    ? data.codeblock_options
+    : {}
+  ;
+  const lines = [];
+  const written = new Set();
+  (Array.isArray(data.codeblock_option_lines) ? data.codeblock_option_lines : []).forEach((line) => {
+    const option = parse_codeblock_option_line(line);
+    if (!option || !Object.prototype.hasOwnProperty.call(options, option.name)) return;
+    if (written.has(option.name)) return;
+    written.add(option.name);
+    lines.push(
+      option.value === options[option.name]
+        ? String(line).trim()
+        : format_codeblock_option_line(option.name, options[option.name])
+    );
+  });
+  Object.entries(options).forEach(([name, value]) => {
+    if (written.has(name) || value === null || typeof value === 'undefined') return;
+    lines.push(format_codeblock_option_line(name, value));
+  });
+  return lines;
+}
+
+/**
+ * @param {string} name
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function format_codeblock_option_line(name, value) {
+  return `@${name}: ${value}`;
+}
+
+/**
+ * Fill copy params the caller left unset from codeblock options.
+ *
+ * @param {Record<string, unknown>} [options={}]
+ * @param {object} [params={}]
+ * @param {number} [params.max_depth]
+ * @param {boolean} [params.include_inlinks]
+ * @param {number} [params.token_budget]
+ * @param {string} [params.template]
+ * @returns {object}
+ */
+export function resolve_codeblock_copy_params(options = {}, params = {}) {
+  const resolved = { ...params };
+  if (typeof resolved.max_depth === 'undefined' && Number.isFinite(options?.depth)) {
+    resolved.max_depth = options.depth;
+  }
+  if (typeof resolved.include_inlinks !== 'boolean' && typeof options?.include_backlinks === 'boolean') {
+    resolved.include_inlinks = options.include_backlinks;
+  }
+  if (typeof resolved.token_budget === 'undefined' && options?.max_tokens) {
+    resolved.token_budget = options.max_tokens;
+  }
+  if (typeof resolved.template === 'undefined' && options?.template) {
+    resolved.template = options.template;
+  }
+  return resolved;
+}
+
+/**
+ * Copy a context as text honoring its codeblock options. Explicit params win;
+ * `@depth` and `@include_backlinks` only narrow the copy when the caller set no
+ * depth, `@max_tokens` trims to fit, and `@template` is forwarded to
+ * `context_copy_to_clipboard` as `template`. Glob, query and depth rules and
+ * `ctx-note::` references are re-resolved first.
+ *
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @param {object} [params={}]
+ * @param {Record<string, unknown>} [params.codeblock_options] - Defaults to `ctx.data.codeblock_options`.
+ * @param {(item:any)=>boolean} [params.filter]
+ * @param {string} [params.event_source]
+ * @returns {Promise<boolean>}
+ */
+export async function copy_context_with_codeblock_options(ctx, params = {}) {
+  const copy_action = ctx?.actions?.context_copy_to_clipboard;
+  if (typeof copy_action !== 'function') return false;
+
+  refresh_codeblock_globs(ctx);
+  refresh_codeblock_queries(ctx);
+  await refresh_codeblock_depth_rules(ctx);
+  await refresh_codeblock_note_contexts(ctx);
+  const { codeblock_options, ...rest } = params;
+  const options = codeblock_options || ctx?.data?.codeblock_options || {};
+  if (rest.with_media === true) return await copy_action(rest);
+
+  const { token_budget, ...copy_params } = resolve_codeblock_copy_params(options, rest);
+  if (typeof rest.max_depth === 'undefined' && Number.isFinite(copy_params.max_depth)) {
+    copy_params.filter = build_copy_context_depth_filter({
+      max_depth: copy_params.max_depth,
+      include_inlinks: copy_params.include_inlinks === true,
+      filter: copy_params.filter,
+    });
+  }
+  copy_params.with_media = false;
+
+  const budget = normalize_token_budget(token_budget);
+  if (!budget) return await copy_action(copy_params);
+
+  const { filter, report } = await apply_token_budget(ctx, {
+    filter: copy_params.filter,
+    token_budget: budget,
+  });
+  const copied = await copy_action({ ...copy_params, filter });
+  if (copied !== false) {
+    emit_token_budget_report(ctx, report, { event_source: params.event_source });
+  }
+  return copied;
+}
+
+/**
+ * @param {string|undefined} type
+ * @param {string} raw_value
+ * @returns {unknown}
+ */
+function parse_option_value(type, raw_value) {
+  if (type === 'depth') {
+    const depth = normalize_link_depth(raw_value, null);
+    return depth === null ? undefined : depth;
+  }
+  if (type === 'count') {
+    const count = normalize_token_budget(raw_value);
+    return count || undefined;
+  }
+  if (type === 'boolean') {
+    const lower = raw_value.toLowerCase();
+    if (['true', 'yes', 'on', '1'].includes(lower)) return true;
+    if (['false', 'no', 'off', '0'].includes(lower)) return false;
+    return undefined;
+  }
+  return raw_value || undefined;
+}
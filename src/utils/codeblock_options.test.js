@@ -0,0 +1,92 @@
+import test from 'ava';
+import {
+  build_codeblock_option_lines,
+  copy_context_with_codeblock_options,
+  parse_codeblock_option_line,
+  resolve_codeblock_copy_params,
+  split_codeblock_option_lines,
+} from './codeblock_options.js';
+
+test('parse_codeblock_option_line reads typed option values', (t) => {
+  t.deepEqual(parse_codeblock_option_line('@depth: 1'), { name: 'depth', value: 1 });
+  t.deepEqual(parse_codeblock_option_line('@template: xml'), { name: 'template', value: 'xml' });
+  t.deepEqual(parse_codeblock_option_line('@max_tokens:20000'), { name: 'max_tokens', value: 20000 });
+  t.deepEqual(parse_codeblock_option_line('@include_backlinks: yes'), { name: 'include_backlinks', value: true });
+  // unknown options are kept as strings so sync writes them back unchanged
+  t.deepEqual(parse_codeblock_option_line('@Custom: value'), { name: 'custom', value: 'value' });
+  t.is(parse_codeblock_option_line('@depth: deep'), null);
+  t.is(parse_codeblock_option_line('@include_backlinks: maybe'), null);
+  t.is(parse_codeblock_option_line('notes/a.md'), null);
+});
+
+test('split_codeblock_option_lines only reads options before the first entry', (t) => {
+  const result = split_codeblock_option_lines([
+    '@depth: 1',
+    '@template: xml',
+    'notes/a.md',
+    '@max_tokens: 100',
+  ]);
+  t.deepEqual(result.options, { depth: 1, template: 'xml' });
+  t.deepEqual(result.option_lines, ['@depth: 1', '@template: xml']);
+  t.deepEqual(result.entry_lines, ['notes/a.md', '@max_tokens: 100']);
+});
+
+test('build_codeblock_option_lines keeps written lines and adds new options', (t) => {
+  t.deepEqual(build_codeblock_option_lines({
+    codeblock_options: { depth: 2, template: 'xml', max_tokens: 500 },
+    codeblock_option_lines: ['@template:xml', '@depth: 1', '@include_backlinks: true'],
+  }), [
+    '@template:xml',
+    '@depth: 2',
+    '@max_tokens: 500',
+  ]);
+  t.deepEqual(build_codeblock_option_lines({}), []);
+});
+
+test('resolve_codeblock_copy_params fills only unset params', (t) => {
+  const options = { depth: 1, include_backlinks: true, max_tokens: 300, template: 'xml' };
+  t.deepEqual(resolve_codeblock_copy_params(options, {}), {
+    max_depth: 1,
+    include_inlinks: true,
+    token_budget: 300,
+    template: 'xml',
+  });
+  t.deepEqual(resolve_codeblock_copy_params(options, {
+    max_depth: 0,
+    include_inlinks: false,
+    token_budget: 50,
+    template: 'md',
+  }), {
+    max_depth: 0,
+    include_inlinks: false,
+    token_budget: 50,
+    template: 'md',
+  });
+});
+
+test('copy_context_with_codeblock_options applies depth, backlinks, and template', async (t) => {
+  const items = [
+    { key: 'root.md', data: { d: 0 } },
+    { key: 'a.md', data: { d: 1 } },
+    { key: 'back.md', data: { d: 1, inlink: true } },
+    { key: 'deep.md', data: { d: 2 } },
+  ];
+  let copy_params = null;
+  const ctx = {
+    data: { codeblock_options: { depth: 1, template: 'xml' } },
+    actions: {
+      async context_copy_to_clipboard(params) {
+        copy_params = params;
+        return true;
+      },
+    },
+  };
+
+  t.true(await copy_context_with_codeblock_options(ctx));
+  t.is(copy_params.template, 'xml');
+  t.false(copy_params.with_media);
+  t.deepEqual(items.filter(copy_params.filter).map((item) => item.key), ['root.md', 'a.md']);
+
+  await copy_context_with_codeblock_options(ctx, { max_depth: 2, filter: () => true });
+  t.deepEqual(items.filter(copy_params.filter).map((item) => item.key), items.map((item) => item.key));
+});
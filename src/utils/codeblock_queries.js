@@ -0,0 +1,280 @@
+/**
+ * @file codeblock_queries.js
+ * @description
+ * Query lines in context codeblocks select notes by metadata:
+ *
+ * ```ctx
+ * tag:#client/acme modified:<14d
+ * prop:status=active
+ * ```
+ *
+ * Terms on one line must all match. Rules live in `ctx.data.codeblock_queries`;
+ * matching sources are added to `context_items` with `from_query` and
+ * re-resolved at copy/build time and whenever sources are re-imported.
+ */
+
+import {
+  apply_codeblock_rule_items,
+  CODEBLOCK_GLOB_MAX_ITEMS,
+} from './codeblock_globs.js';
+import {
+  build_traversal_note,
+  has_tag,
+  normalize_tag,
+} from './link_traversal_rules.js';
+
+export const CODEBLOCK_QUERY_MAX_ITEMS = CODEBLOCK_GLOB_MAX_ITEMS;
+
+const query_term_pattern = /^(tag|prop|modified):/i;
+const duration_units = Object.freeze({
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+});
+
+/**
+ * A query line starts with a `tag:`, `prop:` or `modified:` term.
+ *
+ * @param {string} line
+ * @returns {boolean}
+ */
+export function is_codeblock_query_line(line = '') {
+  return query_term_pattern.test(String(line || '').trim());
+}
+
+/**
+ * @typedef {object} CodeblockQueryTerm
+ * @property {'tag'|'prop'|'modified'} type
+ * @property {string} [tag] - Normalized tag (`#client/acme`).
+ * @property {string} [name] - Property name.
+ * @property {string|null} [value] - Expected property value; null checks presence.
+ * @property {'<'|'>'} [op] - `<` modified within, `>` modified before.
+ * @property {number} [ms] - Duration in milliseconds.
+ */
+
+/**
+ * Parse a query line into terms. Terms that cannot be read are reported in
+ * `errors` and the query then matches nothing.
+ *
+ * @param {string} line
+ * @returns {{ terms:CodeblockQueryTerm[], errors:string[] }}
+ */
+export function parse_codeblock_query(line = '') {
+  const terms = [];
+  const errors = [];
+  String(line || '').trim().split(/\s+/).filter(Boolean).forEach((token) => {
+    const term = parse_query_term(token);
+    if (term) terms.push(term);
+    else errors.push(token);
+  });
+  if (!terms.length && !errors.length) errors.push(String(line || ''));
+  return { terms, errors };
+}
+
+/**
+ * @param {{ terms:CodeblockQueryTerm[], errors?:string[] }} query
+ * @param {{ tags?:string[], frontmatter?:object, mtime?:number }} note
+ * @param {object} [params={}]
+ * @param {number} [params.now=Date.now()]
+ * @returns {boolean}
+ */
+export function matches_codeblock_query(query, note, params = {}) {
+  if (!query?.terms?.length || query.errors?.length) return false;
+  const now = Number.isFinite(params.now) ? params.now : Date.now();
+  const tags = Array.isArray(note?.tags) ? note.tags : [];
+  const frontmatter = note?.frontmatter && typeof note.frontmatter === 'object'
+    ? note.frontmatter
+    : {}
+  ;
+  return query.terms.every((term) => {
+    if (term.type === 'tag') return has_tag(tags, term.tag);
+    if (term.type === 'prop') return matches_property(frontmatter, term);
+    const mtime = Number(note?.mtime) || 0;
+    if (!mtime) return false;
+    return term.op === '<'
+      ? now - mtime <= term.ms
+      : now - mtime > term.ms
+    ;
+  });
+}
+
+/**
+ * @param {string} line
+ * @param {Array<{ key:string, tags?:string[], frontmatter?:object, mtime?:number }>} notes
+ * @param {object} [params={}]
+ * @param {number} [params.max_items=CODEBLOCK_QUERY_MAX_ITEMS]
+ * @param {number} [params.now]
+ * @returns {{ keys:string[], match_count:number, truncated:boolean }}
+ */
+export function expand_codeblock_query(line, notes, params = {}) {
+  const query = parse_codeblock_query(line);
+  const max_items = Number.isFinite(params.max_items) && params.max_items > 0
+    ? params.max_items
+    : CODEBLOCK_QUERY_MAX_ITEMS
+  ;
+  const matches = (notes || [])
+    .filter((note) => typeof note?.key === 'string' && !note.key.includes('#'))
+    .filter((note) => matches_codeblock_query(query, note, params))
+    .map((note) => note.key)
+    .sort((left, right) => left.localeCompare(right))
+  ;
+  return {
+    keys: matches.slice(0, max_items),
+    match_count: matches.length,
+    truncated: matches.length > max_items,
+  };
+}
+
+/**
+ * Re-resolve every query rule in context data. Items added by a rule are
+ * replaced; items selected directly are left alone.
+ *
+ * @param {object} data - SmartContext data.
+ * @param {Array<{ key:string, tags?:string[], frontmatter?:object, mtime?:number }>} notes
+ * @param {object} [params={}]
+ * @returns {boolean} Whether context_items changed.
+ */
+export function apply_codeblock_queries(data, notes, params = {}) {
+  return apply_codeblock_rule_items(data, {
+    rules_key: 'codeblock_queries',
+    origin_key: 'from_query',
+    expand: (line) => expand_codeblock_query(line, notes, params),
+  });
+}
+
+/**
+ * Query rules whose matches reached the safety cap.
+ *
+ * @param {object} data - SmartContext data.
+ * @returns {Array<{ key:string, max_items:number }>}
+ */
+export function get_truncated_codeblock_queries(data) {
+  return Object.entries(data?.codeblock_queries || {})
+    .filter(([, rule]) => rule?.truncated === true)
+    .map(([line, rule]) => ({
+      key: line,
+      max_items: Number(rule.truncated_max_items) || 0,
+    }))
+  ;
+}
+
+/**
+ * Query notes for every Smart Source, from the Obsidian metadata cache with
+ * the source's own metadata as fallback.
+ *
+ * @param {any} env
+ * @returns {Array<{ key:string, tags:string[], frontmatter:object, mtime:number }>}
+ */
+export function collect_query_notes(env) {
+  const metadata_cache = env?.plugin?.app?.metadataCache;
+  return Object.values(env?.smart_sources?.items || {}).map((source) => {
+    const key = String(source?.key || '');
+    const file_cache = metadata_cache?.getCache?.(key)
+      || { frontmatter: source?.data?.metadata }
+    ;
+    return {
+      ...build_traversal_note(source, file_cache),
+      mtime: Number(source?.mtime ?? source?.data?.mtime) || 0,
+    };
+  });
+}
+
+/**
+ * Re-resolve a context's query rules against its Smart Sources.
+ *
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @returns {boolean} Whether context_items changed.
+ */
+export function refresh_codeblock_queries(ctx) {
+  if (!Object.keys(ctx?.data?.codeblock_queries || {}).length) return false;
+  return apply_codeblock_queries(ctx.data, collect_query_notes(ctx.env));
+}
+
+/**
+ * Remove one query rule and the items it added.
+ *
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @param {string} line
+ * @returns {boolean}
+ */
+export function remove_codeblock_query_rule(ctx, line = '') {
+  const rules = ctx?.data?.codeblock_queries;
+  if (!line || !rules?.[line]) return false;
+  delete rules[line];
+  const removed_keys = [];
+  Object.entries(ctx.data.context_items || {}).forEach(([key, item_data]) => {
+    if (item_data?.from_query !== line) return;
+    delete ctx.data.context_items[key];
+    removed_keys.push(key);
+  });
+  ctx.queue_save?.();
+  ctx.emit_event?.('context:updated', {
+    removed_key: line,
+    removed_keys,
+    event_source: 'codeblock_queries.remove_rule',
+  });
+  return true;
+}
+
+/**
+ * @param {string} token
+ * @returns {CodeblockQueryTerm|null}
+ */
+function parse_query_term(token) {
+  const match = token.match(/^(tag|prop|modified):(.*)$/i);
+  if (!match) return null;
+  const type = match[1].toLowerCase();
+  const raw_value = match[2];
+  if (type === 'tag') {
+    const tag = normalize_tag(raw_value);
+    return tag && tag !== '#' ? { type, tag } : null;
+  }
+  if (type === 'prop') {
+    const [name, ...rest] = raw_value.split('=');
+    if (!name) return null;
+    return {
+      type,
+      name,
+      value: rest.length ? rest.join('=') : null,
+    };
+  }
+  const duration = raw_value.match(/^([<>])(\d+)([hdw])$/i);
+  if (!duration) return null;
+  return {
+    type,
+    op: duration[1],
+    ms: Number(duration[2]) * duration_units[duration[3].toLowerCase()],
+  };
+}
+
+/**
+ * List properties match when any entry equals the value. Comparison ignores
+ * case and `[[ ]]` around links.
+ *
+ * @param {object} frontmatter
+ * @param {CodeblockQueryTerm} term
+ * @returns {boolean}
+ */
+function matches_property(frontmatter, term) {
+  const key = Object.keys(frontmatter)
+    .find((candidate) => candidate.toLowerCase() === term.name.toLowerCase())
+  ;
+  if (!key) return false;
+  const actual = frontmatter[key];
+  if (term.value === null) return actual !== null && typeof actual !== 'undefined' && actual !== '';
+  const expected = normalize_property_value(term.value);
+  const values = Array.isArray(actual) ? actual : [actual];
+  return values.some((value) => normalize_property_value(value) === expected);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function normalize_property_value(value) {
+  return String(value ?? '')
+    .trim()
+    .replace(/^\[\[(.*)\]\]$/, '$1')
+    .toLowerCase()
+  ;
+}
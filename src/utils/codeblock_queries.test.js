@@ -0,0 +1,104 @@
+import test from 'ava';
+import {
+  apply_codeblock_queries,
+  collect_query_notes,
+  expand_codeblock_query,
+  get_truncated_codeblock_queries,
+  is_codeblock_query_line,
+  matches_codeblock_query,
+  parse_codeblock_query,
+} from './codeblock_queries.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = Date.UTC(2024, 5, 30);
+const notes = [
+  { key: 'acme/plan.md', tags: ['#client/acme/q3'], frontmatter: { status: 'Active' }, mtime: now - 2 * DAY },
+  { key: 'acme/old.md', tags: ['#client/acme'], frontmatter: { status: 'done' }, mtime: now - 40 * DAY },
+  { key: 'beta/a.md', tags: ['#client/beta'], frontmatter: { status: ['active', 'review'] }, mtime: now - DAY },
+  { key: 'acme/plan.md#Tasks', tags: ['#client/acme'], frontmatter: {}, mtime: now },
+];
+
+test('is_codeblock_query_line matches tag, prop and modified terms', (t) => {
+  t.true(is_codeblock_query_line('tag:#client/acme'));
+  t.true(is_codeblock_query_line('prop:status=active modified:<14d'));
+  t.true(is_codeblock_query_line('Modified:>30d'));
+  t.false(is_codeblock_query_line('notes/tag:x.md'));
+  t.false(is_codeblock_query_line('ctx:: Weekly'));
+});
+
+test('parse_codeblock_query reads terms and reports unreadable ones', (t) => {
+  t.deepEqual(parse_codeblock_query('tag:Client/Acme prop:status=active prop:due modified:<2w'), {
+    terms: [
+      { type: 'tag', tag: '#client/acme' },
+      { type: 'prop', name: 'status', value: 'active' },
+      { type: 'prop', name: 'due', value: null },
+      { type: 'modified', op: '<', ms: 14 * DAY },
+    ],
+    errors: [],
+  });
+  t.deepEqual(parse_codeblock_query('tag:#a modified:soon').errors, ['modified:soon']);
+  t.deepEqual(parse_codeblock_query('tag:').errors, ['tag:']);
+});
+
+test('matches_codeblock_query requires every term', (t) => {
+  const query = parse_codeblock_query('tag:#client/acme modified:<14d');
+  t.true(matches_codeblock_query(query, notes[0], { now }));
+  t.false(matches_codeblock_query(query, notes[1], { now }));
+  t.true(matches_codeblock_query(parse_codeblock_query('modified:>30d'), notes[1], { now }));
+  t.true(matches_codeblock_query(parse_codeblock_query('prop:status=active'), notes[2], { now }));
+  t.false(matches_codeblock_query(parse_codeblock_query('tag:#a nope'), notes[0], { now }));
+});
+
+test('expand_codeblock_query skips blocks, sorts and caps matches', (t) => {
+  t.deepEqual(expand_codeblock_query('prop:status=active', notes, { now }), {
+    keys: ['acme/plan.md', 'beta/a.md'],
+    match_count: 2,
+    truncated: false,
+  });
+  t.deepEqual(expand_codeblock_query('tag:#client', notes, { now, max_items: 2 }), {
+    keys: ['acme/old.md', 'acme/plan.md'],
+    match_count: 3,
+    truncated: true,
+  });
+});
+
+test('apply_codeblock_queries replaces query items and reports truncation', (t) => {
+  const data = {
+    codeblock_queries: { 'tag:#client/acme': {}, 'tag:#client': {} },
+    context_items: {
+      'beta/a.md': { key: 'beta/a.md', d: 0 },
+      'gone.md': { key: 'gone.md', d: 0, from_query: 'tag:#client/acme' },
+    },
+  };
+  t.true(apply_codeblock_queries(data, notes, { now, max_items: 2 }));
+  t.deepEqual(data.context_items, {
+    'beta/a.md': { key: 'beta/a.md', d: 0 },
+    'acme/old.md': { key: 'acme/old.md', d: 0, from_query: 'tag:#client/acme' },
+    'acme/plan.md': { key: 'acme/plan.md', d: 0, from_query: 'tag:#client/acme' },
+  });
+  t.deepEqual(get_truncated_codeblock_queries(data), [{ key: 'tag:#client', max_items: 2 }]);
+});
+
+test('collect_query_notes prefers the metadata cache and falls back to source metadata', (t) => {
+  const env = {
+    plugin: {
+      app: {
+        metadataCache: {
+          getCache: (path) => (path === 'a.md'
+            ? { tags: [{ tag: '#Work' }], frontmatter: { status: 'active' } }
+            : null),
+        },
+      },
+    },
+    smart_sources: {
+      items: {
+        'a.md': { key: 'a.md', mtime: 5 },
+        'b.md': { key: 'b.md', data: { metadata: { tags: ['home'] }, mtime: 7 } },
+      },
+    },
+  };
+  t.deepEqual(collect_query_notes(env), [
+    { key: 'a.md', tags: ['#work'], frontmatter: { status: 'active' }, outlink_count: 0, mtime: 5 },
+    { key: 'b.md', tags: ['#home'], frontmatter: { tags: ['home'] }, outlink_count: 0, mtime: 7 },
+  ]);
+});
@@ -0,0 +1,216 @@
+/**
+ * @file codeblock_sync.js
+ * @description
+ * Minimal-diff sync of context codeblock content. Existing lines keep their
+ * order and formatting, `# comment` and blank lines stay where they are, lines
+ * for removed items are dropped, and new items are appended at the end (new
+ * option lines join the option header). Given the lines from the last sync,
+ * the merge is three-way so edits made in the note meanwhile survive.
+ */
+
+import { parse_codeblock_option_line } from './codeblock_options.js';
+
+const CODEBLOCK_CONFLICT_PREFIX = '# sync conflict: Builder has ';
+
+/**
+ * @param {string} line
+ * @returns {boolean}
+ */
+export function is_codeblock_comment_line(line = '') {
+  return /^#(\s|$)/.test(String(line || '').trim());
+}
+
+/**
+ * Merge freshly built codeblock entries into the lines already in the note.
+ *
+ * @param {string[]} current_lines - Lines currently inside the codeblock fences.
+ * @param {string[]} next_entries - Entries from build_codeblock_entries.
+ * @returns {string[]}
+ */
+export function merge_codeblock_lines(current_lines = [], next_entries = []) {
+  return merge_lines(current_lines, next_entries, null).lines;
+}
+
+/**
+ * Three-way variant of merge_codeblock_lines. `base_lines` is the codeblock
+ * as it was when the context last parsed or wrote it, so lines typed in the
+ * editor since then are kept and lines deleted there are not re-added. An
+ * option changed on both sides to different values keeps the editor's line
+ * and gets a `# sync conflict:` comment with the context's value. Conflict
+ * comments from earlier syncs are dropped once the option no longer conflicts.
+ *
+ * @param {string[]} base_lines - Codeblock lines at the last sync.
+ * @param {string[]} current_lines - Lines currently inside the codeblock fences.
+ * @param {string[]} next_entries - Entries from build_codeblock_entries.
+ * @returns {{ lines:string[], conflicts:Array<{ current_line:string, next_line:string }> }}
+ */
+export function merge_codeblock_lines_with_base(base_lines = [], current_lines = [], next_entries = []) {
+  return merge_lines(current_lines, next_entries, base_lines);
+}
+
+/**
+ * @param {string} line - Context line written into a conflict comment.
+ * @returns {string}
+ */
+export function format_codeblock_conflict_line(line) {
+  return `${CODEBLOCK_CONFLICT_PREFIX}${line}`;
+}
+
+/**
+ * @param {string} line
+ * @returns {string|null} The context line in a conflict comment, null for other lines.
+ */
+export function parse_codeblock_conflict_line(line = '') {
+  const value = String(line || '').trim();
+  return value.startsWith(CODEBLOCK_CONFLICT_PREFIX)
+    ? value.slice(CODEBLOCK_CONFLICT_PREFIX.length).trim()
+    : null
+  ;
+}
+
+/**
+ * @param {string[]} current_lines
+ * @param {string[]} next_entries
+ * @param {string[]|null} base_lines - Null for a two-way merge.
+ * @returns {{ lines:string[], conflicts:Array<{ current_line:string, next_line:string }> }}
+ */
+function merge_lines(current_lines, next_entries, base_lines) {
+  const base = base_lines ? index_base_lines(base_lines) : null;
+  const remaining = new Map();
+  const next_options = new Map();
+  next_entries.forEach((entry) => {
+    const line = String(entry || '').trim();
+    if (!line) return;
+    const option = parse_codeblock_option_line(line);
+    if (option) {
+      next_options.set(option.name, line);
+      return;
+    }
+    const key = get_line_key(line);
+    if (!remaining.has(key)) remaining.set(key, { line, count: 0 });
+    remaining.get(key).count += 1;
+  });
+
+  const merged = [];
+  const conflicts = [];
+  let last_option_index = -1;
+  let removed_since_blank = false;
+  current_lines.forEach((raw_line) => {
+    const line = String(raw_line ?? '').trim();
+    if (!line) {
+      // a removed line between two blank lines would leave a double gap
+      if (removed_since_blank && merged.length && !String(merged[merged.length - 1]).trim()) return;
+      removed_since_blank = false;
+      merged.push(raw_line);
+      return;
+    }
+    if (parse_codeblock_conflict_line(line) !== null) {
+      // written again below while the option still conflicts
+      removed_since_blank = true;
+      return;
+    }
+    if (is_codeblock_comment_line(line)) {
+      merged.push(raw_line);
+      return;
+    }
+    const option = parse_codeblock_option_line(line);
+    if (option) {
+      if (!next_options.has(option.name)) {
+        // typed since the last sync
+        if (base && !base.options.has(option.name)) {
+          merged.push(raw_line);
+          last_option_index = merged.length - 1;
+          return;
+        }
+        removed_since_blank = true;
+        return;
+      }
+      const next_line = next_options.get(option.name);
+      next_options.delete(option.name);
+      const base_value = base?.options.get(option.name);
+      if (same_option_value(line, next_line)) {
+        merged.push(raw_line);
+      } else if (!base || base_value === option.value) {
+        merged.push(next_line);
+      } else if (base_value === parse_codeblock_option_line(next_line)?.value) {
+        merged.push(raw_line);
+      } else {
+        merged.push(raw_line, format_codeblock_conflict_line(next_line));
+        conflicts.push({ current_line: line, next_line });
+      }
+      last_option_index = merged.length - 1;
+      return;
+    }
+    const entry = remaining.get(get_line_key(line));
+    if (!entry) {
+      // typed since the last sync
+      if (base && !base.keys.has(get_line_key(line))) {
+        merged.push(raw_line);
+        return;
+      }
+      removed_since_blank = true;
+      return;
+    }
+    // duplicates of a kept line stay too
+    if (entry.count > 0) entry.count -= 1;
+    merged.push(raw_line);
+  });
+
+  // lines deleted in the editor since the last sync stay deleted
+  const new_options = Array.from(next_options.entries())
+    .filter(([name]) => !base?.options.has(name))
+    .map(([, line]) => line)
+  ;
+  if (new_options.length) {
+    merged.splice(last_option_index + 1, 0, ...new_options);
+  }
+
+  const appended = [];
+  remaining.forEach(({ line, count }) => {
+    if (base?.keys.has(get_line_key(line))) return;
+    for (let i = 0; i < count; i += 1) appended.push(line);
+  });
+  if (appended.length) {
+    let insert_at = merged.length;
+    // keep trailing blank lines after the appended items
+    while (insert_at > 0 && !String(merged[insert_at - 1] ?? '').trim()) insert_at -= 1;
+    merged.splice(insert_at, 0, ...appended);
+  }
+  return { lines: merged, conflicts };
+}
+
+/**
+ * @param {string[]} base_lines
+ * @returns {{ keys:Set<string>, options:Map<string, unknown> }}
+ */
+function index_base_lines(base_lines) {
+  const keys = new Set();
+  const options = new Map();
+  base_lines.forEach((raw_line) => {
+    const line = String(raw_line ?? '').trim();
+    if (!line || is_codeblock_comment_line(line)) return;
+    const option = parse_codeblock_option_line(line);
+    if (option) options.set(option.name, option.value);
+    else keys.add(get_line_key(line));
+  });
+  return { keys, options };
+}
+
+/**
+ * Folder entries are written with a trailing slash; match them either way.
+ *
+ * @param {string} line
+ * @returns {string}
+ */
+function get_line_key(line) {
+  return line.replace(/\/+$/, '');
+}
+
+/**
+ * @param {string} left
+ * @param {string} right
+ * @returns {boolean}
+ */
+function same_option_value(left, right) {
+  return parse_codeblock_option_line(left)?.value === parse_codeblock_option_line(right)?.value;
+}
@@ -0,0 +1,116 @@
+import test from 'ava';
+import {
+  format_codeblock_conflict_line,
+  is_codeblock_comment_line,
+  merge_codeblock_lines,
+  merge_codeblock_lines_with_base,
+  parse_codeblock_conflict_line,
+} from './codeblock_sync.js';
+
+test('is_codeblock_comment_line matches hash comments but not keys', (t) => {
+  t.true(is_codeblock_comment_line('# Background reading'));
+  t.true(is_codeblock_comment_line('#'));
+  t.false(is_codeblock_comment_line('#tag'));
+  t.false(is_codeblock_comment_line('notes/a.md#Heading'));
+});
+
+test('merge_codeblock_lines keeps order, comments and blank lines', (t) => {
+  const current = [
+    '# Read first',
+    'z/last.md',
+    'a/first.md',
+    '',
+    '# Then',
+    'b.md',
+  ];
+  const merged = merge_codeblock_lines(current, ['a/first.md', 'b.md', 'z/last.md']);
+  t.deepEqual(merged, current);
+});
+
+test('merge_codeblock_lines drops removed items and appends new ones', (t) => {
+  const merged = merge_codeblock_lines([
+    '# Sources',
+    'z.md',
+    '',
+    'removed.md',
+    '',
+    'a.md',
+    '',
+  ], ['a.md', 'z.md', 'new.md', '!private.md']);
+  t.deepEqual(merged, [
+    '# Sources',
+    'z.md',
+    '',
+    'a.md',
+    'new.md',
+    '!private.md',
+    '',
+  ]);
+});
+
+test('merge_codeblock_lines updates option lines in place and adds new options on top', (t) => {
+  const merged = merge_codeblock_lines([
+    '@depth: 1',
+    '@template:  xml',
+    'a.md',
+  ], ['@depth: 2', '@template: xml', '@max_tokens: 500', 'a.md']);
+  t.deepEqual(merged, [
+    '@depth: 2',
+    '@template:  xml',
+    '@max_tokens: 500',
+    'a.md',
+  ]);
+});
+
+test('merge_codeblock_lines matches folders with or without a trailing slash', (t) => {
+  t.deepEqual(merge_codeblock_lines(['docs', 'a.md'], ['a.md', 'docs/']), ['docs', 'a.md']);
+});
+
+test('merge_codeblock_lines_with_base keeps lines typed since the last sync', (t) => {
+  const base = ['a.md', 'b.md'];
+  const current = ['a.md', 'b.md', 'notes/typing'];
+  const { lines, conflicts } = merge_codeblock_lines_with_base(base, current, ['a.md', 'c.md']);
+  t.deepEqual(lines, ['a.md', 'notes/typing', 'c.md']);
+  t.deepEqual(conflicts, []);
+});
+
+test('merge_codeblock_lines_with_base does not re-add lines deleted in the note', (t) => {
+  const base = ['@depth: 1', 'a.md', 'b.md'];
+  const current = ['a.md'];
+  const { lines } = merge_codeblock_lines_with_base(base, current, ['@depth: 1', 'a.md', 'b.md', 'new.md']);
+  t.deepEqual(lines, ['a.md', 'new.md']);
+});
+
+test('merge_codeblock_lines_with_base takes whichever side changed an option', (t) => {
+  const base = ['@depth: 1', '@template: xml', 'a.md'];
+  const current = ['@depth: 3', '@template: xml', 'a.md'];
+  const { lines, conflicts } = merge_codeblock_lines_with_base(base, current, ['@depth: 1', '@template: md', 'a.md']);
+  t.deepEqual(lines, ['@depth: 3', '@template: md', 'a.md']);
+  t.deepEqual(conflicts, []);
+});
+
+test('merge_codeblock_lines_with_base marks options changed on both sides', (t) => {
+  const base = ['@depth: 1', 'a.md'];
+  const current = ['@depth: 3', 'a.md'];
+  const { lines, conflicts } = merge_codeblock_lines_with_base(base, current, ['@depth: 2', 'a.md']);
+  t.deepEqual(lines, ['@depth: 3', format_codeblock_conflict_line('@depth: 2'), 'a.md']);
+  t.deepEqual(conflicts, [{ current_line: '@depth: 3', next_line: '@depth: 2' }]);
+  t.true(is_codeblock_comment_line(lines[1]));
+});
+
+test('merge_codeblock_lines_with_base drops conflict comments once the option agrees', (t) => {
+  const base = ['@depth: 1', 'a.md'];
+  const current = ['@depth: 3', format_codeblock_conflict_line('@depth: 2'), 'a.md'];
+  t.is(parse_codeblock_conflict_line(current[1]), '@depth: 2');
+  t.is(parse_codeblock_conflict_line('# Background reading'), null);
+
+  const resolved = merge_codeblock_lines_with_base(base, current, ['@depth: 3', 'a.md']);
+  t.deepEqual(resolved.lines, ['@depth: 3', 'a.md']);
+  t.deepEqual(resolved.conflicts, []);
+
+  const removed = merge_codeblock_lines_with_base(['a.md'], [format_codeblock_conflict_line('@depth: 2'), '', 'a.md'], ['a.md']);
+  t.deepEqual(removed.lines, ['', 'a.md']);
+
+  const still = merge_codeblock_lines_with_base(base, current, ['@depth: 4', 'a.md']);
+  t.deepEqual(still.lines, ['@depth: 3', format_codeblock_conflict_line('@depth: 4'), 'a.md']);
+});
@@ -1,8 +1,14 @@
 import { copy_to_clipboard } from 'obsidian-smart-env/src/utils/copy_to_clipboard.js';
 import { context_to_md_tree } from 'obsidian-smart-env/src/utils/smart-context/to_md_tree.js';
 import {
+  create_note_context_loader,
   get_or_create_codeblock_context_from_note,
 } from './context_codeblock_utils.js';
+import { copy_context_with_codeblock_options } from './codeblock_options.js';
+import { refresh_codeblock_globs } from './codeblock_globs.js';
+import { refresh_codeblock_queries } from './codeblock_queries.js';
+import { refresh_codeblock_depth_rules } from './codeblock_depth_rules.js';
+import { refresh_codeblock_note_contexts } from './codeblock_note_contexts.js';
 
 /**
  * Resolve the current active source path from a Markdown view or active file.
@@ -112,7 +118,9 @@ function emit_copy_current_build_failed(plugin, params = {}) {
 
 /**
  * Build the current-note copy context, merging hydrated codeblock items and
- * direct codeblock exclusions when present.
+ * direct codeblock exclusions when present. Codeblock options are kept on the
+ * merged context and `@depth` sets the traversal depth unless `link_depth` is
+ * given.
  *
  * @param {object} plugin
  * @param {object} [params={}]
@@ -120,6 +128,8 @@ function emit_copy_current_build_failed(plugin, params = {}) {
  * @param {object} params.source
  * @param {string} [params.markdown]
  * @param {string} [params.key]
+ * @param {number} [params.link_depth] - Traversal depth override.
+ * @param {string} [params.codeblock_id] - Codeblock to merge; defaults to the first in the note.
  * @returns {Promise<import('smart-contexts').SmartContext|null>}
  */
 export async function build_current_copy_context(plugin, params = {}) {
@@ -149,7 +159,22 @@ export async function build_current_copy_context(plugin, params = {}) {
       await plugin.env.run_re_import();
     }
 
-    const ctx = await source.actions.source_get_context();
+    const codeblock_ctx = await get_or_create_codeblock_context_from_note(plugin, source_path, {
+      markdown,
+      codeblock_id: params.codeblock_id,
+    });
+    const codeblock_options = codeblock_ctx?.data?.codeblock_options || {};
+    // rules pick up sources and referenced notes changed since the codeblock was parsed
+    refresh_codeblock_globs(codeblock_ctx);
+    refresh_codeblock_queries(codeblock_ctx);
+    await refresh_codeblock_depth_rules(codeblock_ctx);
+    await refresh_codeblock_note_contexts(codeblock_ctx, {
+      load_context: create_note_context_loader(plugin),
+    });
+
+    const ctx = await source.actions.source_get_context({
+      link_depth: params.link_depth ?? codeblock_options.depth,
+    });
     if (!ctx) {
       emit_copy_current_build_failed(plugin, {
         event_source: 'build_current_copy_context',
@@ -157,14 +182,12 @@ export async function build_current_copy_context(plugin, params = {}) {
       return null;
     }
 
-    const codeblock_ctx = await get_or_create_codeblock_context_from_note(plugin, source_path, {
-      markdown,
-    });
     const codeblock_context_items = codeblock_ctx?.data?.context_items || {};
     const codeblock_exclusions = codeblock_ctx?.data?.exclusions || {};
     const has_codeblock_context_items = Object.keys(codeblock_context_items).length > 0;
     const has_codeblock_exclusions = Object.keys(codeblock_exclusions).length > 0;
-    if (!has_codeblock_context_items && !has_codeblock_exclusions) return ctx;
+    const has_codeblock_options = Object.keys(codeblock_options).length > 0;
+    if (!has_codeblock_context_items && !has_codeblock_exclusions && !has_codeblock_options) return ctx;
 
     const merged_ctx_items_data = {};
     // rebuild to preserve original ctx.data.context_items
@@ -230,6 +253,11 @@ export async function build_current_copy_context(plugin, params = {}) {
       key: `${ctx.key}#temp_copy_current`,
       context_items: merged_ctx_items_data,
       exclusions: merged_ctx_exclusions_data,
+      link_depth: ctx.data?.link_depth,
+      traversal_stops: ctx.data?.traversal_stops,
+      codeblock_options,
+      codeblock_globs: codeblock_ctx?.data?.codeblock_globs,
+      codeblock_queries: codeblock_ctx?.data?.codeblock_queries,
     });
     if (!temp_ctx) {
       emit_copy_current_build_failed(plugin, {
@@ -282,6 +310,9 @@ export async function open_copy_current_modal(plugin, params = {}) {
   if (!copy_ctx) return false;
 
   const modal_params = should_copy_media(params) ? { with_media: true } : {};
+  modal_params.load_link_depth = (link_depth) => {
+    return build_current_copy_context(plugin, { ...params, link_depth });
+  };
   const modal = new modal_class(copy_ctx, modal_params);
   modal.open();
   return true;
@@ -289,7 +320,7 @@ export async function open_copy_current_modal(plugin, params = {}) {
 
 /**
  * Copy the current-note context directly to the clipboard using a fixed-depth
- * filter.
+ * filter. Codeblock options fill in what the command leaves unset.
  *
  * @param {object} plugin
  * @param {object} [params={}]
@@ -307,7 +338,7 @@ export async function copy_current_to_clipboard(plugin, params = {}) {
   const with_media = should_copy_media(params);
   const filter = build_copy_current_filter(params);
 
-  return await copy_ctx.actions.context_copy_to_clipboard({
+  return await copy_context_with_codeblock_options(copy_ctx, {
     ...params,
     with_media,
     filter,
@@ -0,0 +1,352 @@
+/**
+ * @file context_bundle.js
+ * @description
+ * Named contexts as a portable JSON bundle. Export collects the chosen
+ * contexts with the named contexts they reference (`ctx::` items) and records
+ * each file's basename and content hash. Import maps those paths onto the
+ * receiving vault (same path, then unique basename, then content hash),
+ * reports what could not be found and creates the contexts through
+ * `create_named_context`, merging, overwriting or renaming on name
+ * collisions.
+ *
+ * Vault access is passed in (`get_file_info`, `paths`, `get_hash`) so bundles
+ * can be built and resolved without Obsidian.
+ */
+
+import {
+  create_named_context,
+  find_named_context,
+  save_context,
+  to_trimmed_string,
+} from './tool_context.js';
+
+export const CONTEXT_BUNDLE_FORMAT = 'smart-context-bundle';
+export const CONTEXT_BUNDLE_VERSION = 1;
+export const DEFAULT_CONTEXT_BUNDLE_FOLDER = 'Smart Context Bundles';
+// text files whose content hash can find them after a rename
+export const CONTEXT_BUNDLE_HASHED_EXTENSIONS = ['md', 'canvas', 'txt'];
+
+export const BUNDLE_COLLISION_MODES = Object.freeze({
+  MERGE: 'merge',
+  OVERWRITE: 'overwrite',
+  RENAME: 'rename',
+});
+
+// rule origins only mean something next to the rule line that added the item
+const bundle_item_omit_fields = ['from_glob', 'from_query', 'from_depth_rule', 'from_note_context', 'link_line'];
+
+/**
+ * @typedef {object} ContextBundle
+ * @property {string} format
+ * @property {number} version
+ * @property {number} exported_at
+ * @property {Array<{ name:string, context_items:Record<string, object>, exclusions:Record<string, object> }>} contexts
+ * @property {Record<string, { basename:string, hash?:string }>} files - By exported path.
+ */
+
+/**
+ * The named contexts to export: the given ones followed by every named
+ * context they reference, each once.
+ *
+ * @param {any} collection - SmartContexts.
+ * @param {string[]} names
+ * @returns {{ contexts:any[], missing:string[] }} `missing` lists referenced names with no context.
+ */
+export function collect_bundle_contexts(collection, names = []) {
+  const contexts = [];
+  const missing = [];
+  const seen = new Set();
+  const queue = names.map((name) => to_trimmed_string(name)).filter(Boolean);
+  while (queue.length) {
+    const name = queue.shift();
+    if (seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    const context = find_named_context(collection, name);
+    if (!context) {
+      missing.push(name);
+      continue;
+    }
+    seen.add(context.data.name.toLowerCase());
+    contexts.push(context);
+    Object.entries(context.data.context_items || {}).forEach(([key, item_data]) => {
+      if (item_data?.named_context) queue.push(key);
+    });
+  }
+  return { contexts, missing };
+}
+
+/**
+ * @param {any[]} contexts - From collect_bundle_contexts.
+ * @param {object} [params={}]
+ * @param {(path:string)=>{ hash?:string }|null|Promise<{ hash?:string }|null>} [params.get_file_info]
+ * @param {number} [params.now]
+ * @returns {Promise<ContextBundle>}
+ */
+export async function build_context_bundle(contexts, params = {}) {
+  const files = {};
+  const bundle_contexts = contexts.map((context) => ({
+    name: context.data.name,
+    context_items: clone_bundle_items(context.data.context_items),
+    exclusions: clone_bundle_items(context.data.exclusions),
+  }));
+
+  for (const entry of bundle_contexts) {
+    const keys = [...Object.keys(entry.context_items), ...Object.keys(entry.exclusions)];
+    for (const key of keys) {
+      if (entry.context_items[key]?.named_context) continue;
+      const path = get_bundle_item_path(key);
+      if (!path || files[path]) continue;
+      const info = await params.get_file_info?.(path);
+      files[path] = {
+        basename: get_path_name(path),
+        ...(info?.hash ? { hash: info.hash } : {}),
+      };
+    }
+  }
+
+  return {
+    format: CONTEXT_BUNDLE_FORMAT,
+    version: CONTEXT_BUNDLE_VERSION,
+    exported_at: params.now ?? Date.now(),
+    contexts: bundle_contexts,
+    files,
+  };
+}
+
+/**
+ * @param {unknown} value - Parsed JSON or JSON text.
+ * @returns {ContextBundle}
+ * @throws {Error} When the value is not a context bundle.
+ */
+export function parse_context_bundle(value) {
+  let bundle = value;
+  if (typeof value === 'string') {
+    try {
+      bundle = JSON.parse(value);
+    } catch {
+      throw new Error('The bundle is not valid JSON.');
+    }
+  }
+  if (bundle?.format !== CONTEXT_BUNDLE_FORMAT || !Array.isArray(bundle.contexts)) {
+    throw new Error('The file is not a Smart Context bundle.');
+  }
+  if (Number(bundle.version) > CONTEXT_BUNDLE_VERSION) {
+    throw new Error(`The bundle was made by a newer version (format ${bundle.version}).`);
+  }
+  return {
+    ...bundle,
+    contexts: bundle.contexts.filter((entry) => to_trimmed_string(entry?.name)),
+    files: bundle.files && typeof bundle.files === 'object' ? bundle.files : {},
+  };
+}
+
+/**
+ * Map the bundle's file paths onto this vault.
+ *
+ * @param {ContextBundle} bundle
+ * @param {object} params
+ * @param {string[]} params.paths - Vault file and folder paths.
+ * @param {(path:string)=>Promise<string|null>} [params.get_hash] - Content hash of a vault file.
+ * @returns {Promise<{ path_map:Record<string, string>, unresolved:Array<{ path:string, candidates:string[] }> }>}
+ */
+export async function resolve_bundle_paths(bundle, params) {
+  const paths = params.paths || [];
+  const path_set = new Set(paths);
+  const by_name = new Map();
+  paths.forEach((path) => {
+    const name = get_path_name(path);
+    if (!by_name.has(name)) by_name.set(name, []);
+    by_name.get(name).push(path);
+  });
+  const hashes = new Map();
+  const get_hash = async (path) => {
+    if (!params.get_hash) return null;
+    if (!hashes.has(path)) hashes.set(path, await params.get_hash(path));
+    return hashes.get(path);
+  };
+  const find_by_hash = async (candidates, hash) => {
+    const matches = [];
+    for (const candidate of candidates) {
+      if (await get_hash(candidate) === hash) matches.push(candidate);
+    }
+    return matches;
+  };
+
+  const path_map = {};
+  const unresolved = [];
+  for (const [path, info] of Object.entries(bundle.files || {})) {
+    if (path_set.has(path)) {
+      path_map[path] = path;
+      continue;
+    }
+    const candidates = by_name.get(info?.basename || get_path_name(path)) || [];
+    if (candidates.length === 1) {
+      path_map[path] = candidates[0];
+      continue;
+    }
+    let matches = [];
+    if (info?.hash) {
+      matches = await find_by_hash(candidates, info.hash);
+      if (!candidates.length) {
+        // renamed as well as moved
+        const extension = get_extension(path);
+        matches = await find_by_hash(paths.filter((candidate) => get_extension(candidate) === extension), info.hash);
+      }
+    }
+    if (matches.length === 1) path_map[path] = matches[0];
+    else unresolved.push({ path, candidates: matches.length ? matches : candidates });
+  }
+  return { path_map, unresolved };
+}
+
+/**
+ * @param {string} key - Item key from the bundle.
+ * @param {Record<string, string>} path_map
+ * @returns {string|null} Key in this vault, null when its file was not found.
+ */
+export function remap_bundle_item_key(key, path_map) {
+  const path = get_bundle_item_path(key);
+  if (!path) return key;
+  const next_path = path_map[path];
+  if (!next_path) return null;
+  return `${next_path}${key.slice(path.length)}`;
+}
+
+/**
+ * Import bundle contexts. Names that already exist use `params.collisions`
+ * (merge by default); renamed contexts get a numbered name and `ctx::` items
+ * pointing at them follow.
+ *
+ * @param {any} collection - SmartContexts.
+ * @param {ContextBundle} bundle
+ * @param {object} [params={}]
+ * @param {Record<string, string>} [params.path_map] - From resolve_bundle_paths.
+ * @param {Record<string, 'merge'|'overwrite'|'rename'>} [params.collisions] - By bundle context name.
+ * @returns {Promise<Array<{ name:string, target_name:string, mode:string, key:string, added:number, unresolved:string[] }>>}
+ */
+export async function import_context_bundle(collection, bundle, params = {}) {
+  const path_map = params.path_map || {};
+  const collisions = params.collisions || {};
+  const taken_names = new Set(
+    Object.values(collection?.items || {})
+      .map((context) => to_trimmed_string(context?.data?.name).toLowerCase())
+      .filter(Boolean),
+  );
+
+  const plans = bundle.contexts.map((entry) => {
+    const name = to_trimmed_string(entry.name);
+    const existing = find_named_context(collection, name);
+    if (!existing) {
+      taken_names.add(name.toLowerCase());
+      return { entry, name, target_name: name, mode: 'create' };
+    }
+    const mode = Object.values(BUNDLE_COLLISION_MODES).includes(collisions[name])
+      ? collisions[name]
+      : BUNDLE_COLLISION_MODES.MERGE
+    ;
+    if (mode !== BUNDLE_COLLISION_MODES.RENAME) {
+      return { entry, name, target_name: existing.data.name, mode };
+    }
+    const target_name = get_unique_context_name(name, taken_names);
+    taken_names.add(target_name.toLowerCase());
+    return { entry, name, target_name, mode };
+  });
+  const name_map = Object.fromEntries(plans.map((plan) => [plan.name, plan.target_name]));
+
+  const results = [];
+  for (const plan of plans) {
+    const unresolved = [];
+    const remap = (items) => {
+      const next_items = {};
+      Object.entries(items || {}).forEach(([key, item_data]) => {
+        const next_key = item_data?.named_context
+          ? (name_map[key] || key)
+          : remap_bundle_item_key(key, path_map)
+        ;
+        if (!next_key) {
+          unresolved.push(key);
+          return;
+        }
+        next_items[next_key] = { ...item_data, key: next_key };
+      });
+      return next_items;
+    };
+    const context_items = remap(plan.entry.context_items);
+    const exclusions = remap(plan.entry.exclusions);
+
+    const { context } = await create_named_context(collection, plan.target_name);
+    const before = Object.keys(context.data.context_items || {}).length;
+    if (plan.mode === BUNDLE_COLLISION_MODES.OVERWRITE) {
+      context.data.context_items = context_items;
+      context.data.exclusions = exclusions;
+    } else {
+      context.data.context_items = { ...context_items, ...(context.data.context_items || {}) };
+      context.data.exclusions = { ...exclusions, ...(context.data.exclusions || {}) };
+    }
+    const after = Object.keys(context.data.context_items).length;
+    context.emit_event?.('context:updated', { event_source: 'import_context_bundle' });
+    await save_context(context);
+
+    results.push({
+      name: plan.name,
+      target_name: plan.target_name,
+      mode: plan.mode,
+      key: context.key,
+      added: plan.mode === BUNDLE_COLLISION_MODES.OVERWRITE ? after : after - before,
+      unresolved,
+    });
+  }
+  return results;
+}
+
+/**
+ * @param {string} key
+ * @returns {string} Vault path the key points into, empty for named contexts and external items.
+ */
+export function get_bundle_item_path(key = '') {
+  const value = String(key || '');
+  if (!value || /^(external|selection):/.test(value)) return '';
+  return value.split('#')[0];
+}
+
+/**
+ * @param {string} name
+ * @param {Set<string>} taken_names - Lowercased.
+ * @returns {string}
+ */
+function get_unique_context_name(name, taken_names) {
+  let suffix = 2;
+  while (taken_names.has(`${name} ${suffix}`.toLowerCase())) suffix += 1;
+  return `${name} ${suffix}`;
+}
+
+/**
+ * @param {Record<string, object>|undefined} items
+ * @returns {Record<string, object>}
+ */
+function clone_bundle_items(items) {
+  const cloned = {};
+  Object.entries(items || {}).forEach(([key, item_data]) => {
+    const next_data = JSON.parse(JSON.stringify(item_data || {}));
+    bundle_item_omit_fields.forEach((field) => delete next_data[field]);
+    cloned[key] = next_data;
+  });
+  return cloned;
+}
+
+/**
+ * @param {string} path
+ * @returns {string} Last path segment, extension included.
+ */
+function get_path_name(path) {
+  return String(path || '').replace(/\/+$/, '').split('/').pop() || '';
+}
+
+/**
+ * @param {string} path
+ * @returns {string}
+ */
+function get_extension(path) {
+  const name = get_path_name(path);
+  return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+}
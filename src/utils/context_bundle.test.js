@@ -0,0 +1,140 @@
+import test from 'ava';
+import {
+  build_context_bundle,
+  collect_bundle_contexts,
+  import_context_bundle,
+  parse_context_bundle,
+  remap_bundle_item_key,
+  resolve_bundle_paths,
+} from './context_bundle.js';
+import { create_collection } from './_context_collection_fixture.js';
+
+const source_contexts = () => create_collection({
+  handoff: {
+    name: 'Client handoff',
+    context_items: {
+      'Clients/Acme/brief.md': { key: 'Clients/Acme/brief.md', d: 0 },
+      'Clients/Acme/plan.md#Scope': { key: 'Clients/Acme/plan.md#Scope', d: 0, link_line: '[[plan#Scope]]' },
+      'Research/a.md': { key: 'Research/a.md', d: 0, from_glob: 'Research/*.md' },
+      'Acme research': { key: 'Acme research', named_context: true },
+      'external:../shared/api.md': { key: 'external:../shared/api.md' },
+    },
+    exclusions: { 'Clients/Acme/old.md': { key: 'Clients/Acme/old.md' } },
+  },
+  research: {
+    name: 'Acme research',
+    context_items: {
+      'Research/a.md': { key: 'Research/a.md', d: 0 },
+      'Client handoff': { key: 'Client handoff', named_context: true },
+    },
+  },
+});
+
+test('collect_bundle_contexts follows ctx:: references once', (t) => {
+  const { contexts, missing } = collect_bundle_contexts(source_contexts(), ['client handoff', 'Gone']);
+  t.deepEqual(contexts.map((ctx) => ctx.data.name), ['Client handoff', 'Acme research']);
+  t.deepEqual(missing, ['Gone']);
+});
+
+test('build_context_bundle records files with basenames and hashes', async (t) => {
+  const { contexts } = collect_bundle_contexts(source_contexts(), ['Client handoff']);
+  const bundle = await build_context_bundle(contexts, {
+    now: 1,
+    get_file_info: (path) => (path === 'Clients/Acme/brief.md' ? { hash: 'h-brief' } : null),
+  });
+  t.is(bundle.format, 'smart-context-bundle');
+  t.deepEqual(bundle.contexts[0].context_items['Research/a.md'], { key: 'Research/a.md', d: 0 });
+  t.deepEqual(bundle.contexts[0].context_items['Clients/Acme/plan.md#Scope'], { key: 'Clients/Acme/plan.md#Scope', d: 0 });
+  t.deepEqual(bundle.files, {
+    'Clients/Acme/brief.md': { basename: 'brief.md', hash: 'h-brief' },
+    'Clients/Acme/plan.md': { basename: 'plan.md' },
+    'Research/a.md': { basename: 'a.md' },
+    'Clients/Acme/old.md': { basename: 'old.md' },
+  });
+  t.deepEqual(parse_context_bundle(JSON.stringify(bundle)), bundle);
+});
+
+test('parse_context_bundle rejects other JSON', (t) => {
+  t.throws(() => parse_context_bundle('{'), { message: 'The bundle is not valid JSON.' });
+  t.throws(() => parse_context_bundle({ contexts: [] }), { message: 'The file is not a Smart Context bundle.' });
+});
+
+test('resolve_bundle_paths matches by path, unique basename, then hash', async (t) => {
+  const bundle = {
+    files: {
+      'Notes/same.md': { basename: 'same.md' },
+      'Clients/Acme/brief.md': { basename: 'brief.md', hash: 'h-brief' },
+      'Clients/Acme/plan.md': { basename: 'plan.md', hash: 'h-plan' },
+      'Clients/Acme/renamed.md': { basename: 'renamed.md', hash: 'h-renamed' },
+      'Clients/Acme/old.md': { basename: 'old.md' },
+    },
+  };
+  const hashes = {
+    'Work/plan.md': 'h-plan',
+    'Archive/plan.md': 'h-other',
+    'Work/Acme brief.md': 'h-renamed',
+  };
+  const { path_map, unresolved } = await resolve_bundle_paths(bundle, {
+    paths: ['Notes/same.md', 'Work/brief.md', 'Work/plan.md', 'Archive/plan.md', 'Work/Acme brief.md', 'A/old.md', 'B/old.md'],
+    get_hash: async (path) => hashes[path] || null,
+  });
+  t.deepEqual(path_map, {
+    'Notes/same.md': 'Notes/same.md',
+    'Clients/Acme/brief.md': 'Work/brief.md',
+    'Clients/Acme/plan.md': 'Work/plan.md',
+    'Clients/Acme/renamed.md': 'Work/Acme brief.md',
+  });
+  t.deepEqual(unresolved, [{ path: 'Clients/Acme/old.md', candidates: ['A/old.md', 'B/old.md'] }]);
+  t.is(remap_bundle_item_key('Clients/Acme/plan.md#Scope', path_map), 'Work/plan.md#Scope');
+  t.is(remap_bundle_item_key('Clients/Acme/old.md', path_map), null);
+  t.is(remap_bundle_item_key('external:../x.md', path_map), 'external:../x.md');
+});
+
+test('import_context_bundle creates, merges, overwrites and renames', async (t) => {
+  const bundle = {
+    contexts: [
+      {
+        name: 'Client handoff',
+        context_items: {
+          'Clients/brief.md': { key: 'Clients/brief.md', d: 0 },
+          'Clients/gone.md': { key: 'Clients/gone.md', d: 0 },
+          'Acme research': { key: 'Acme research', named_context: true },
+        },
+        exclusions: {},
+      },
+      { name: 'Acme research', context_items: { 'R/a.md': { key: 'R/a.md' } }, exclusions: {} },
+      { name: 'Fresh', context_items: { 'R/a.md': { key: 'R/a.md' } }, exclusions: {} },
+    ],
+  };
+  const path_map = { 'Clients/brief.md': 'Work/brief.md', 'R/a.md': 'R/a.md' };
+
+  const collection = create_collection({
+    handoff: { name: 'Client handoff', context_items: { 'Mine.md': { key: 'Mine.md' } } },
+    research: { name: 'Acme research', context_items: { 'Mine.md': { key: 'Mine.md' } } },
+  });
+  const results = await import_context_bundle(collection, bundle, {
+    path_map,
+    collisions: { 'Acme research': 'rename' },
+  });
+  t.deepEqual(results.map(({ target_name, mode, added }) => ({ target_name, mode, added })), [
+    { target_name: 'Client handoff', mode: 'merge', added: 2 },
+    { target_name: 'Acme research 2', mode: 'rename', added: 1 },
+    { target_name: 'Fresh', mode: 'create', added: 1 },
+  ]);
+  t.deepEqual(results[0].unresolved, ['Clients/gone.md']);
+  t.deepEqual(
+    Object.keys(collection.get('handoff').data.context_items),
+    ['Work/brief.md', 'Acme research 2', 'Mine.md'],
+  );
+  t.deepEqual(Object.keys(collection.get('research').data.context_items), ['Mine.md']);
+
+  const overwrite_results = await import_context_bundle(collection, bundle, {
+    path_map,
+    collisions: { 'Client handoff': 'overwrite', 'Acme research': 'overwrite', Fresh: 'overwrite' },
+  });
+  t.is(overwrite_results[0].mode, 'overwrite');
+  t.deepEqual(
+    Object.keys(collection.get('handoff').data.context_items),
+    ['Work/brief.md', 'Acme research'],
+  );
+});
@@ -0,0 +1,167 @@
+/**
+ * @file context_codeblock_ranges.js
+ * @description
+ * Locate context codeblocks in note markdown. A note can hold several blocks,
+ * each identified by an optional id after the fence type (```` ```ctx research ````).
+ * The block without an id keeps the `<path>#codeblock` context key; blocks with
+ * an id use `<path>#codeblock:<id>`.
+ */
+
+import {
+  context_codeblock_types,
+  default_context_codeblock_type,
+} from './context_codeblock_constants.js';
+import { escape_regex } from './pure_utils.js';
+
+const CODEBLOCK_KEY_SUFFIX = '#codeblock';
+
+/**
+ * @typedef {object} ContextCodeblockRange
+ * @property {number} start - Line index of the opening fence.
+ * @property {number} end - Line index of the closing fence.
+ * @property {string} codeblock_type
+ * @property {string} codeblock_id - Empty for the block without an id.
+ */
+
+/**
+ * Parse an opening fence line.
+ *
+ * @param {string} line
+ * @returns {{ codeblock_type:string, codeblock_id:string }|null}
+ */
+export function parse_context_codeblock_fence(line = '') {
+  const normalized_line = String(line || '').trim();
+  const pattern = context_codeblock_types
+    .map((type) => escape_regex(type))
+    .join('|')
+  ;
+  const match = normalized_line.match(new RegExp(`^\`\`\`(${pattern})(?:\\s+([^\\s]+))?\\s*$`));
+  if (!match) return null;
+  return {
+    codeblock_type: match[1] || default_context_codeblock_type,
+    codeblock_id: normalize_codeblock_id(match[2]),
+  };
+}
+
+/**
+ * Find every context codeblock in note markdown, in document order.
+ *
+ * @param {string|string[]} markdown - Markdown text or its lines.
+ * @returns {ContextCodeblockRange[]}
+ */
+export function find_context_codeblock_ranges(markdown = '') {
+  const lines = Array.isArray(markdown)
+    ? markdown
+    : String(markdown || '').replace(/\r\n/g, '\n').split('\n')
+  ;
+  const ranges = [];
+  let open = null;
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = String(lines[i] || '').trim();
+
+    if (!open) {
+      const fence = parse_context_codeblock_fence(line);
+      if (fence) open = { start: i, ...fence };
+      continue;
+    }
+
+    if (/^```\s*$/.test(line)) {
+      ranges.push({
+        start: open.start,
+        end: i,
+        codeblock_type: open.codeblock_type,
+        codeblock_id: open.codeblock_id,
+      });
+      open = null;
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Find one context codeblock. Without `codeblock_id` the first block in the
+ * note is returned; otherwise the first block with that id ('' for the block
+ * without an id).
+ *
+ * @param {string|string[]} markdown
+ * @param {object} [params={}]
+ * @param {string} [params.codeblock_id]
+ * @returns {ContextCodeblockRange|null}
+ */
+export function find_context_codeblock_range(markdown = '', params = {}) {
+  const ranges = find_context_codeblock_ranges(markdown);
+  if (typeof params.codeblock_id !== 'string') return ranges[0] || null;
+  const codeblock_id = normalize_codeblock_id(params.codeblock_id);
+  return ranges.find((range) => range.codeblock_id === codeblock_id) || null;
+}
+
+/**
+ * Rename `ctx::` references to a named context inside context codeblocks.
+ * Only lines naming exactly `old_name` change, so renaming "Alpha" leaves
+ * `ctx:: Alpha Notes` and lines outside context codeblocks alone.
+ *
+ * @param {string} markdown
+ * @param {object} params
+ * @param {string} params.old_name
+ * @param {string} params.new_name
+ * @returns {{ markdown:string, count:number }} Updated markdown and lines renamed.
+ */
+export function rename_named_context_lines(markdown = '', params) {
+  const old_name = String(params?.old_name || '').trim();
+  const new_name = String(params?.new_name || '').trim();
+  const lines = String(markdown || '').split('\n');
+  if (!old_name || !new_name) return { markdown: lines.join('\n'), count: 0 };
+
+  const pattern = new RegExp(`^(\\s*ctx::\\s*)${escape_regex(old_name)}(\\s*)$`);
+  let count = 0;
+  find_context_codeblock_ranges(lines).forEach((range) => {
+    for (let i = range.start + 1; i < range.end; i += 1) {
+      if (!pattern.test(lines[i])) continue;
+      lines[i] = lines[i].replace(pattern, (line, prefix, suffix) => `${prefix}${new_name}${suffix}`);
+      count += 1;
+    }
+  });
+  return { markdown: lines.join('\n'), count };
+}
+
+/**
+ * @param {string} source_path
+ * @param {string} [codeblock_id='']
+ * @returns {string}
+ */
+export function get_context_codeblock_ctx_key(source_path = '', codeblock_id = '') {
+  const id = normalize_codeblock_id(codeblock_id);
+  const key = `${String(source_path || '').trim()}${CODEBLOCK_KEY_SUFFIX}`;
+  return id ? `${key}:${id}` : key;
+}
+
+/**
+ * @param {string} key
+ * @returns {{ source_path:string, codeblock_id:string }|null}
+ */
+export function parse_context_codeblock_ctx_key(key = '') {
+  const match = String(key || '').match(/^(.*)#codeblock(?::([^#\s]+))?$/);
+  if (!match) return null;
+  return {
+    source_path: match[1],
+    codeblock_id: normalize_codeblock_id(match[2]),
+  };
+}
+
+/**
+ * @param {ContextCodeblockRange} range
+ * @returns {string}
+ */
+export function get_context_codeblock_label(range) {
+  return range?.codeblock_id ? range.codeblock_id : 'Default codeblock';
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function normalize_codeblock_id(value) {
+  return String(value || '').trim();
+}
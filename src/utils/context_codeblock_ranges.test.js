@@ -0,0 +1,113 @@
+import test from 'ava';
+import {
+  find_context_codeblock_range,
+  find_context_codeblock_ranges,
+  get_context_codeblock_ctx_key,
+  parse_context_codeblock_ctx_key,
+  parse_context_codeblock_fence,
+  rename_named_context_lines,
+} from './context_codeblock_ranges.js';
+
+const markdown = [
+  '# Meeting',
+  '```ctx',
+  'Notes/Background.md',
+  '```',
+  'Text',
+  '```smart-context research',
+  'Notes/Paper.md',
+  '```',
+  '```js',
+  'const x = 1;',
+  '```',
+  '```ctx actions',
+  'Tasks/Follow up.md',
+  '```',
+].join('\n');
+
+test('parse_context_codeblock_fence reads the type and optional id', (t) => {
+  t.deepEqual(parse_context_codeblock_fence('```ctx'), { codeblock_type: 'ctx', codeblock_id: '' });
+  t.deepEqual(parse_context_codeblock_fence('  ```context research  '), {
+    codeblock_type: 'context',
+    codeblock_id: 'research',
+  });
+  t.is(parse_context_codeblock_fence('```ctx research extra'), null);
+  t.is(parse_context_codeblock_fence('```ctxs'), null);
+  t.is(parse_context_codeblock_fence('```js'), null);
+});
+
+test('find_context_codeblock_ranges lists every context codeblock in order', (t) => {
+  const ranges = find_context_codeblock_ranges(markdown);
+  t.deepEqual(ranges, [
+    { start: 1, end: 3, codeblock_type: 'ctx', codeblock_id: '' },
+    { start: 5, end: 7, codeblock_type: 'smart-context', codeblock_id: 'research' },
+    { start: 11, end: 13, codeblock_type: 'ctx', codeblock_id: 'actions' },
+  ]);
+});
+
+test('find_context_codeblock_range finds the first block or the block with an id', (t) => {
+  t.is(find_context_codeblock_range(markdown).start, 1);
+  t.is(find_context_codeblock_range(markdown, { codeblock_id: '' }).start, 1);
+  t.is(find_context_codeblock_range(markdown, { codeblock_id: 'actions' }).start, 11);
+  t.is(find_context_codeblock_range(markdown, { codeblock_id: 'missing' }), null);
+
+  const without_default = '```ctx research\nA.md\n```';
+  t.is(find_context_codeblock_range(without_default).codeblock_id, 'research');
+  t.is(find_context_codeblock_range(without_default, { codeblock_id: '' }), null);
+});
+
+test('codeblock context keys round-trip the source path and id', (t) => {
+  t.is(get_context_codeblock_ctx_key('Meeting.md'), 'Meeting.md#codeblock');
+  t.is(get_context_codeblock_ctx_key('Meeting.md', 'research'), 'Meeting.md#codeblock:research');
+  t.deepEqual(parse_context_codeblock_ctx_key('Meeting.md#codeblock'), {
+    source_path: 'Meeting.md',
+    codeblock_id: '',
+  });
+  t.deepEqual(parse_context_codeblock_ctx_key('Meeting.md#codeblock:research'), {
+    source_path: 'Meeting.md',
+    codeblock_id: 'research',
+  });
+  t.is(parse_context_codeblock_ctx_key('Meeting.md'), null);
+  t.is(parse_context_codeblock_ctx_key('Named context'), null);
+});
+
+test('rename_named_context_lines renames whole ctx lines inside context codeblocks only', (t) => {
+  const note = [
+    'ctx:: Alpha',
+    '```ctx',
+    'ctx:: Alpha',
+    '  ctx::Alpha  ',
+    'ctx:: Alpha Notes',
+    'Notes/Alpha.md',
+    '```',
+    '```smart-context research',
+    'ctx:: Alpha',
+    '```',
+    '```js',
+    'ctx:: Alpha',
+    '```',
+  ].join('\n');
+
+  const { markdown: renamed, count } = rename_named_context_lines(note, {
+    old_name: 'Alpha',
+    new_name: 'Beta $1',
+  });
+
+  t.is(count, 3);
+  t.deepEqual(renamed.split('\n'), [
+    'ctx:: Alpha',
+    '```ctx',
+    'ctx:: Beta $1',
+    '  ctx::Beta $1  ',
+    'ctx:: Alpha Notes',
+    'Notes/Alpha.md',
+    '```',
+    '```smart-context research',
+    'ctx:: Beta $1',
+    '```',
+    '```js',
+    'ctx:: Alpha',
+    '```',
+  ]);
+  t.is(rename_named_context_lines('```ctx\nctx:: Alpha Notes\n```', { old_name: 'Alpha', new_name: 'Beta' }).count, 0);
+});
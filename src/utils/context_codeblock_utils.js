@@ -1,26 +1,50 @@
 import { MarkdownView } from 'obsidian';
+import { default_context_codeblock_type } from './context_codeblock_constants.js';
 import {
-  context_codeblock_types,
-  default_context_codeblock_type,
-} from './context_codeblock_constants.js';
-import { escape_regex } from './pure_utils.js';
+  find_context_codeblock_range,
+  find_context_codeblock_ranges,
+  get_context_codeblock_ctx_key,
+} from './context_codeblock_ranges.js';
+import { refresh_codeblock_depth_rules } from './codeblock_depth_rules.js';
 
+export { get_context_codeblock_ctx_key };
 
 /**
  * @param {string} markdown
- * @returns {{ codeblock_type: string, cb_content: string } | null}
+ * @param {object} [params={}]
+ * @param {string} [params.codeblock_id] - Defaults to the first codeblock in the note.
+ * @returns {{ codeblock_type: string, codeblock_id: string, cb_content: string } | null}
  */
-export function get_context_codeblock_snapshot(markdown = '') {
+export function get_context_codeblock_snapshot(markdown = '', params = {}) {
   const lines = String(markdown || '').replace(/\r\n/g, '\n').split('\n');
-  const range = find_context_codeblock_range(lines);
+  const range = find_context_codeblock_range(lines, params);
   if (!range) return null;
 
   return {
     codeblock_type: range.codeblock_type || default_context_codeblock_type,
+    codeblock_id: range.codeblock_id,
     cb_content: lines.slice(range.start + 1, range.end).join('\n'),
   };
 }
 
+/**
+ * List the context codeblocks of a note.
+ *
+ * @param {import('obsidian').Plugin} plugin
+ * @param {string} source_path
+ * @param {object} [params={}]
+ * @param {string} [params.markdown]
+ * @returns {Promise<import('./context_codeblock_ranges.js').ContextCodeblockRange[]>}
+ */
+export async function list_note_context_codeblocks(plugin, source_path, params = {}) {
+  if (!source_path) return [];
+  const markdown = typeof params.markdown === 'string'
+    ? params.markdown
+    : await read_note_markdown(plugin?.app, source_path)
+  ;
+  return find_context_codeblock_ranges(markdown);
+}
+
 /**
  * @param {import('obsidian').App} app
  * @param {string} source_path
@@ -38,13 +62,6 @@ async function read_note_markdown(app, source_path) {
 }
 
 
-/**
- * @param {string} source_path
- * @returns {string}
- */
-export function get_context_codeblock_ctx_key(source_path = '') {
-  return `${String(source_path || '').trim()}#codeblock`;
-}
 /**
  * Hydrate a codeblock context on demand from note contents.
  *
@@ -52,6 +69,7 @@ export function get_context_codeblock_ctx_key(source_path = '') {
  * @param {string} source_path
  * @param {object} [params={}]
  * @param {string} [params.markdown]
+ * @param {string} [params.codeblock_id] - Defaults to the first codeblock in the note.
  * @returns {Promise<import('smart-contexts').SmartContext|null>}
  */
 export async function get_or_create_codeblock_context_from_note(plugin, source_path, params = {}) {
@@ -64,11 +82,14 @@ export async function get_or_create_codeblock_context_from_note(plugin, source_p
   ;
   if (!markdown) return null;
 
-  const snapshot = get_context_codeblock_snapshot(markdown);
+  const snapshot = get_context_codeblock_snapshot(markdown, {
+    codeblock_id: params.codeblock_id,
+  });
   if (!snapshot) return null;
 
-  const ctx_key = get_context_codeblock_ctx_key(source_path);
+  const ctx_key = get_context_codeblock_ctx_key(source_path, snapshot.codeblock_id);
   const smart_context = smart_contexts.get(ctx_key) || smart_contexts.new_context({ key: ctx_key });
+  smart_context.data.codeblock_id = snapshot.codeblock_id;
   smart_context.actions.context_parse_codeblock({ cb_content: snapshot.cb_content });
 
 
@@ -76,47 +97,22 @@ export async function get_or_create_codeblock_context_from_note(plugin, source_p
 }
 
 /**
- * @param {string} line
- * @returns {boolean}
- */
-function is_context_codeblock_fence(line = '') {
-  const normalized_line = String(line || '').trim();
-  const pattern = context_codeblock_types
-    .map((type) => escape_regex(type))
-    .join('|')
-  ;
-  return new RegExp(`^\`\`\`(?:${pattern})\\s*$`).test(normalized_line);
-}
-
-/**
- * @param {string[]} lines
- * @returns {{ start: number, end: number, codeblock_type: string } | null}
+ * Loader for `ctx-note::` references: the codeblock context of a note (the
+ * codeblock with `codeblock_id`, else the first), with its depth rules resolved.
+ *
+ * @param {import('obsidian').Plugin} plugin
+ * @returns {(source_path:string, codeblock_id?:string)=>Promise<import('smart-contexts').SmartContext|null>}
  */
-function find_context_codeblock_range(lines = []) {
-  let start = -1;
-  let codeblock_type = default_context_codeblock_type;
-
-  for (let i = 0; i < lines.length; i += 1) {
-    const line = String(lines[i] || '').trim();
-
-    if (start === -1) {
-      if (!is_context_codeblock_fence(line)) continue;
-      start = i;
-      const match = line.match(/^```([^\s]+)\s*$/);
-      codeblock_type = match?.[1] || default_context_codeblock_type;
-      continue;
-    }
-
-    if (/^```\s*$/.test(line)) {
-      return {
-        start,
-        end: i,
-        codeblock_type,
-      };
-    }
-  }
-
-  return null;
+export function create_note_context_loader(plugin) {
+  return async (source_path, codeblock_id) => {
+    const smart_context = await get_or_create_codeblock_context_from_note(
+      plugin,
+      source_path,
+      typeof codeblock_id === 'string' ? { codeblock_id } : {},
+    );
+    if (smart_context) await refresh_codeblock_depth_rules(smart_context);
+    return smart_context;
+  };
 }
 
 /**
@@ -124,8 +120,7 @@ function find_context_codeblock_range(lines = []) {
  * @returns {boolean}
  */
 export function has_context_codeblock(markdown = '') {
-  const lines = String(markdown || '').split('\n');
-  return Boolean(find_context_codeblock_range(lines));
+  return Boolean(find_context_codeblock_range(markdown));
 }
 
 /**
@@ -0,0 +1,167 @@
+/**
+ * @file context_copy_parts.js
+ * @description
+ * Split a compiled context into numbered clipboard parts at item boundaries.
+ * Every part repeats the shared file tree so each paste stands on its own.
+ * Item sizes leave out the wrapper each item gets when compiled, so every
+ * part is measured after compiling and split again while it runs over.
+ */
+
+import { create_items_context } from './temp_context.js';
+
+export const DEFAULT_COPY_PART_MAX_CHARS = 100000;
+
+/**
+ * Settings rows merged into the SmartContexts settings config.
+ */
+export const copy_parts_settings_config = {
+  copy_part_max_chars: {
+    name: 'Copy in parts size',
+    type: 'number',
+    description: 'Maximum characters per part when copying a context in parts. Items are never split across parts.',
+    default: DEFAULT_COPY_PART_MAX_CHARS,
+  },
+};
+
+/**
+ * Resolve the configured part size.
+ *
+ * @param {any} env
+ * @returns {number}
+ */
+export function get_copy_part_max_chars(env) {
+  const value = Number(
+    env?.smart_contexts?.settings?.copy_part_max_chars
+    ?? env?.settings?.smart_contexts?.copy_part_max_chars,
+  );
+  return Number.isFinite(value) && value > 0
+    ? Math.floor(value)
+    : DEFAULT_COPY_PART_MAX_CHARS
+  ;
+}
+
+/**
+ * Greedily group items in order so each group stays under `max_size`,
+ * less the `overhead` every part carries. An item larger than what is left
+ * gets a part of its own.
+ *
+ * @param {Array<any>} items
+ * @param {object} [params={}]
+ * @param {number} [params.max_size]
+ * @param {number} [params.overhead=0] - Characters of wrapper and file tree repeated in each part.
+ * @returns {Array<Array<any>>}
+ */
+export function partition_context_items(items = [], params = {}) {
+  const overhead = Number(params.overhead) > 0 ? Number(params.overhead) : 0;
+  const max_size = (Number(params.max_size) > 0
+    ? Number(params.max_size)
+    : DEFAULT_COPY_PART_MAX_CHARS
+  ) - overhead;
+  const parts = [];
+  let current = [];
+  let current_size = 0;
+
+  (Array.isArray(items) ? items : []).forEach((item) => {
+    const size = get_item_size(item);
+    if (current.length && current_size + size > max_size) {
+      parts.push(current);
+      current = [];
+      current_size = 0;
+    }
+    current.push(item);
+    current_size += size;
+  });
+  if (current.length) parts.push(current);
+
+  return parts;
+}
+
+/**
+ * Wrap one part with its "part i of N" header, shared file tree and footer.
+ *
+ * @param {object} params
+ * @param {number} params.part_index - Zero-based part index.
+ * @param {number} params.part_count
+ * @param {string} params.text
+ * @param {string} [params.file_tree='']
+ * @returns {string}
+ */
+export function build_context_part_text(params) {
+  const part_number = params.part_index + 1;
+  const part_count = params.part_count;
+  const lines = [
+    `<context_part part="${part_number}" of="${part_count}">`,
+    `This is part ${part_number} of ${part_count} of the context.`
+      + (part_number < part_count
+        ? ' Wait for every part before responding.'
+        : ' All parts have now been provided.'),
+  ];
+  const file_tree = String(params.file_tree || '').trim();
+  if (file_tree) {
+    lines.push('', '<file_tree>', file_tree, '</file_tree>');
+  }
+  lines.push('', String(params.text || '').trim(), '', `</context_part>`);
+  return lines.join('\n');
+}
+
+/**
+ * Compile each part of a context. A part holding a single item may still run
+ * over `max_size`, since items are never split.
+ *
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @param {object} [params={}]
+ * @param {(item:any)=>boolean} [params.filter]
+ * @param {number} [params.max_size]
+ * @param {(ctx:any)=>string} [params.build_file_tree]
+ * @returns {Promise<string[]>}
+ */
+export async function build_context_parts(ctx, params = {}) {
+  const filter = typeof params.filter === 'function' ? params.filter : () => true;
+  const items = typeof ctx?.context_items?.filter === 'function'
+    ? ctx.context_items.filter((item) => item?.is_media !== true && filter(item))
+    : []
+  ;
+  if (!items.length) return [];
+
+  const file_tree = typeof params.build_file_tree === 'function'
+    ? params.build_file_tree(create_items_context(ctx, items, 'copy_parts_tree'))
+    : ''
+  ;
+  // at most one part per item; size the wrapper for the longest numbering and note
+  const overhead = Math.max(
+    build_context_part_text({ part_index: 0, part_count: items.length, text: '', file_tree }).length,
+    build_context_part_text({ part_index: items.length - 1, part_count: items.length, text: '', file_tree }).length,
+  );
+  const max_size = params.max_size ?? get_copy_part_max_chars(ctx.env);
+  const pending = partition_context_items(items, { max_size, overhead });
+
+  const texts = [];
+  while (pending.length) {
+    const group = pending.shift();
+    const part_ctx = create_items_context(ctx, group, `copy_part_${texts.length + 1}`);
+    const compiled = await part_ctx.get_text();
+    const text = typeof compiled === 'string' ? compiled : '';
+    if (group.length > 1 && overhead + text.length > max_size) {
+      const half = Math.ceil(group.length / 2);
+      pending.unshift(group.slice(0, half), group.slice(half));
+      continue;
+    }
+    texts.push(text);
+  }
+
+  return texts.map((text, i) => build_context_part_text({
+    part_index: i,
+    part_count: texts.length,
+    text,
+    file_tree,
+  }));
+}
+
+/**
+ * @param {any} item
+ * @returns {number}
+ */
+function get_item_size(item) {
+  const size = Number(item?.size ?? item?.data?.size);
+  return Number.isFinite(size) && size > 0 ? size : 0;
+}
@@ -0,0 +1,167 @@
+import test from 'ava';
+import {
+  DEFAULT_COPY_PART_MAX_CHARS,
+  build_context_part_text,
+  build_context_parts,
+  get_copy_part_max_chars,
+  partition_context_items,
+} from './context_copy_parts.js';
+
+test('partition_context_items splits at item boundaries under the size limit', (t) => {
+  const items = [
+    { key: 'a.md', size: 40 },
+    { key: 'b.md', size: 50 },
+    { key: 'c.md', size: 30 },
+    { key: 'huge.md', size: 500 },
+    { key: 'd.md', size: 10 },
+  ];
+
+  const parts = partition_context_items(items, { max_size: 100 });
+
+  t.deepEqual(
+    parts.map((part) => part.map((item) => item.key)),
+    [['a.md', 'b.md'], ['c.md'], ['huge.md'], ['d.md']],
+  );
+  t.deepEqual(partition_context_items([], { max_size: 100 }), []);
+});
+
+test('get_copy_part_max_chars falls back to the default', (t) => {
+  t.is(get_copy_part_max_chars({
+    smart_contexts: { settings: { copy_part_max_chars: 2500 } },
+  }), 2500);
+  t.is(get_copy_part_max_chars({}), DEFAULT_COPY_PART_MAX_CHARS);
+});
+
+test('build_context_part_text wraps each part with numbering and the shared tree', (t) => {
+  const first = build_context_part_text({
+    part_index: 0,
+    part_count: 2,
+    text: 'alpha',
+    file_tree: '- a.md\n- b.md',
+  });
+  t.true(first.startsWith('<context_part part="1" of="2">'));
+  t.true(first.includes('This is part 1 of 2 of the context. Wait for every part before responding.'));
+  t.true(first.includes('<file_tree>\n- a.md\n- b.md\n</file_tree>'));
+  t.true(first.endsWith('alpha\n\n</context_part>'));
+
+  const last = build_context_part_text({ part_index: 1, part_count: 2, text: 'beta' });
+  t.true(last.includes('All parts have now been provided.'));
+  t.false(last.includes('<file_tree>'));
+});
+
+test('build_context_parts compiles each group through a temporary context', async (t) => {
+  const items = [
+    { key: 'a.md', size: 60, data: { d: 0 } },
+    { key: 'b.md', size: 60, data: { d: 1 } },
+    { key: 'image.png', size: 60, is_media: true, data: { d: 0 } },
+  ];
+  class FakeContext {
+    constructor(env, data) {
+      this.env = env;
+      this.data = data;
+      this.key = data.key;
+    }
+
+    async get_text() {
+      return Object.keys(this.data.context_items).map((key) => `# ${key}`).join('\n');
+    }
+  }
+  const ctx = new FakeContext({}, { key: 'root', context_items: {} });
+  ctx.context_items = {
+    filter: (fn) => items.filter(fn),
+  };
+
+  const trees = [];
+  const parts = await build_context_parts(ctx, {
+    max_size: 100,
+    build_file_tree(tree_ctx) {
+      trees.push(Object.keys(tree_ctx.data.context_items));
+      return 'TREE';
+    },
+  });
+
+  t.deepEqual(trees, [['a.md', 'b.md']]);
+  t.is(parts.length, 2);
+  t.true(parts[0].includes('# a.md'));
+  t.false(parts[0].includes('# b.md'));
+  t.true(parts[1].includes('# b.md'));
+  t.true(parts.every((part) => part.includes('<file_tree>\nTREE\n</file_tree>')));
+});
+
+test('partition_context_items leaves room for the per-part overhead', (t) => {
+  const items = [
+    { key: 'a.md', size: 40 },
+    { key: 'b.md', size: 40 },
+    { key: 'c.md', size: 40 },
+  ];
+  t.is(partition_context_items(items, { max_size: 100 }).length, 2);
+  t.deepEqual(
+    partition_context_items(items, { max_size: 100, overhead: 30 }).map((part) => part.length),
+    [1, 1, 1],
+  );
+});
+
+test('build_context_parts keeps parts under the limit when the tree is large', async (t) => {
+  const items = ['a.md', 'b.md', 'c.md', 'd.md'].map((key) => ({ key, size: 40, data: { d: 0 } }));
+  class FakeContext {
+    constructor(env, data) {
+      this.env = env;
+      this.data = data;
+      this.key = data.key;
+    }
+
+    async get_text() {
+      return Object.keys(this.data.context_items)
+        .map((key) => `# ${key}\n${'x'.repeat(33)}`)
+        .join('\n')
+      ;
+    }
+  }
+  const ctx = new FakeContext({}, { key: 'root', context_items: {} });
+  ctx.context_items = {
+    filter: (fn) => items.filter(fn),
+  };
+
+  const max_size = 400;
+  const parts = await build_context_parts(ctx, {
+    max_size,
+    build_file_tree: () => items.map((item) => `- ${item.key} ${'.'.repeat(40)}`).join('\n'),
+  });
+
+  // items alone would fit in one part; the repeated tree forces a split
+  t.true(parts.length > 1);
+  t.true(parts.every((part) => part.length <= max_size));
+});
+
+test('build_context_parts splits a part again when item wrappers push it over the limit', async (t) => {
+  const items = ['a.md', 'b.md', 'c.md'].map((key) => ({ key, size: 100, data: { d: 0 } }));
+  class FakeContext {
+    constructor(env, data) {
+      this.env = env;
+      this.data = data;
+      this.key = data.key;
+    }
+
+    // each item compiles to far more than its size
+    async get_text() {
+      return Object.keys(this.data.context_items)
+        .map((key) => `<item path="${key}">\n${'x'.repeat(300)}\n</item>`)
+        .join('\n')
+      ;
+    }
+  }
+  const ctx = new FakeContext({}, { key: 'root', context_items: {} });
+  ctx.context_items = {
+    filter: (fn) => items.filter(fn),
+  };
+  const max_size = 1000;
+
+  const parts = await build_context_parts(ctx, { max_size });
+
+  // sizes alone put all three items in one part
+  t.is(parts.length, 2);
+  t.true(parts[0].includes('<item path="a.md">') && parts[0].includes('<item path="b.md">'));
+  t.true(parts[1].includes('<item path="c.md">'));
+  t.true(parts[1].startsWith('<context_part part="2" of="2">'));
+  t.true(parts.every((part) => part.length <= max_size));
+});
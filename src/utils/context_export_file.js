@@ -0,0 +1,139 @@
+/**
+ * @file context_export_file.js
+ * @description
+ * Resolve vault paths for writing compiled context to a file instead of the
+ * clipboard. No Obsidian dependencies; vault access is injected.
+ */
+
+import { format_ymd, get_basename } from './pure_utils.js';
+
+export const DEFAULT_EXPORT_FILE_PATH = 'Smart Context/{{name}}.md';
+
+export const EXPORT_FILE_MODES = Object.freeze({
+  OVERWRITE: 'overwrite',
+  VERSION: 'version',
+});
+
+/**
+ * Settings rows merged into the SmartContexts settings config.
+ */
+export const export_file_settings_config = {
+  export_file_path: {
+    name: 'Export file path',
+    type: 'text',
+    description: 'Vault path used by "Export to file". Supports {{name}} and {{date}} placeholders.',
+    default: DEFAULT_EXPORT_FILE_PATH,
+  },
+  export_file_mode: {
+    name: 'Existing export file',
+    type: 'dropdown',
+    description: 'Overwrite the existing file or write a new numbered version next to it.',
+    default: EXPORT_FILE_MODES.OVERWRITE,
+    options_callback() {
+      return [
+        { value: EXPORT_FILE_MODES.OVERWRITE, name: 'Overwrite' },
+        { value: EXPORT_FILE_MODES.VERSION, name: 'Create a new version' },
+      ];
+    },
+  },
+};
+
+/**
+ * @param {any} env
+ * @returns {{ path_template:string, mode:'overwrite'|'version' }}
+ */
+export function get_export_file_settings(env) {
+  const settings = env?.smart_contexts?.settings
+    ?? env?.settings?.smart_contexts
+    ?? {}
+  ;
+  const path_template = String(settings.export_file_path || '').trim()
+    || DEFAULT_EXPORT_FILE_PATH
+  ;
+  return {
+    path_template,
+    mode: normalize_export_file_mode(settings.export_file_mode),
+  };
+}
+
+/**
+ * @param {unknown} mode
+ * @returns {'overwrite'|'version'}
+ */
+export function normalize_export_file_mode(mode) {
+  return mode === EXPORT_FILE_MODES.VERSION
+    ? EXPORT_FILE_MODES.VERSION
+    : EXPORT_FILE_MODES.OVERWRITE
+  ;
+}
+
+/**
+ * Derive the `{{name}}` value for a context.
+ *
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @returns {string}
+ */
+export function get_export_context_name(ctx) {
+  const name = String(ctx?.data?.name || '').trim();
+  if (name) return name;
+  const key = String(ctx?.key || '').split('#')[0];
+  return get_basename(key) || 'context';
+}
+
+/**
+ * Fill placeholders and normalize the result into a vault-relative markdown path.
+ *
+ * @param {string} path_template
+ * @param {object} [params={}]
+ * @param {string} [params.name]
+ * @param {Date|number|string} [params.date]
+ * @returns {string}
+ */
+export function resolve_export_file_path(path_template = DEFAULT_EXPORT_FILE_PATH, params = {}) {
+  const name = sanitize_path_segment(params.name) || 'context';
+  const date = format_ymd(params.date ?? Date.now());
+  const filled = String(path_template || DEFAULT_EXPORT_FILE_PATH)
+    .replace(/\{\{\s*name\s*\}\}/g, name)
+    .replace(/\{\{\s*date\s*\}\}/g, date)
+  ;
+  const segments = filled
+    .replace(/\\+/g, '/')
+    .split('/')
+    .map((segment) => segment.trim())
+    .filter((segment) => segment && segment !== '.' && segment !== '..')
+  ;
+  if (!segments.length) segments.push(name);
+  const last = segments.length - 1;
+  if (!/\.[^./]+$/.test(segments[last])) segments[last] += '.md';
+  return segments.join('/');
+}
+
+/**
+ * Return the first `path (n).ext` that does not exist yet.
+ *
+ * @param {string} path
+ * @param {(path:string)=>boolean} exists
+ * @returns {string}
+ */
+export function get_next_version_path(path, exists) {
+  if (!exists(path)) return path;
+  const ext_idx = path.lastIndexOf('.');
+  const base = ext_idx > path.lastIndexOf('/') ? path.slice(0, ext_idx) : path;
+  const ext = ext_idx > path.lastIndexOf('/') ? path.slice(ext_idx) : '';
+  for (let version = 2; ; version += 1) {
+    const candidate = `${base} (${version})${ext}`;
+    if (!exists(candidate)) return candidate;
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function sanitize_path_segment(value) {
+  return String(value || '')
+    .replace(/[\\/:*?"<>|#^[\]]+/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+  ;
+}
@@ -0,0 +1,52 @@
+import test from 'ava';
+import {
+  DEFAULT_EXPORT_FILE_PATH,
+  get_export_context_name,
+  get_export_file_settings,
+  get_next_version_path,
+  resolve_export_file_path,
+} from './context_export_file.js';
+
+test('resolve_export_file_path fills name and date placeholders', (t) => {
+  t.is(
+    resolve_export_file_path('Exports/{{date}} {{name}}', {
+      name: 'Project: Alpha',
+      date: new Date(2026, 0, 5),
+    }),
+    'Exports/2026-01-05 Project- Alpha.md',
+  );
+  t.is(
+    resolve_export_file_path(DEFAULT_EXPORT_FILE_PATH, { name: 'notes' }),
+    'Smart Context/notes.md',
+  );
+});
+
+test('resolve_export_file_path keeps explicit extensions and drops traversal segments', (t) => {
+  t.is(resolve_export_file_path('../out/./{{name}}.txt', { name: 'a' }), 'out/a.txt');
+  t.is(resolve_export_file_path('', { name: '' }), 'Smart Context/context.md');
+});
+
+test('get_next_version_path appends the first free version number', (t) => {
+  const existing = new Set(['Smart Context/a.md', 'Smart Context/a (2).md']);
+  const exists = (path) => existing.has(path);
+  t.is(get_next_version_path('Smart Context/b.md', exists), 'Smart Context/b.md');
+  t.is(get_next_version_path('Smart Context/a.md', exists), 'Smart Context/a (3).md');
+});
+
+test('get_export_context_name prefers the context name then the source basename', (t) => {
+  t.is(get_export_context_name({ key: 'x', data: { name: 'Research' } }), 'Research');
+  t.is(get_export_context_name({ key: 'Folder/Note.md#codeblock', data: {} }), 'Note');
+});
+
+test('get_export_file_settings falls back to defaults', (t) => {
+  t.deepEqual(get_export_file_settings({}), {
+    path_template: DEFAULT_EXPORT_FILE_PATH,
+    mode: 'overwrite',
+  });
+  t.deepEqual(get_export_file_settings({
+    smart_contexts: { settings: { export_file_path: 'Out/{{name}}', export_file_mode: 'version' } },
+  }), {
+    path_template: 'Out/{{name}}',
+    mode: 'version',
+  });
+});
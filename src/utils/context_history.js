@@ -0,0 +1,359 @@
+/**
+ * @file context_history.js
+ * @description
+ * Version history for named contexts. Each change to `context_items` or
+ * `exclusions` is kept as a version in `ctx.data.history` (oldest first).
+ * Only the oldest version is stored whole; each later one stores the entries
+ * that changed since the version before it, so the history stays small in the
+ * collection data. get_context_history() rebuilds full snapshots. Changes within the coalesce window update the newest snapshot instead of
+ * adding one, so a burst of Builder edits is a single version; the oldest
+ * snapshots are dropped past the limit. Restoring writes a snapshot back and
+ * is recorded as a version of its own, so it can be undone the same way.
+ */
+
+import { parse_context_codeblock_ctx_key } from './context_codeblock_ranges.js';
+
+export const DEFAULT_CONTEXT_HISTORY_LIMIT = 20;
+export const DEFAULT_CONTEXT_HISTORY_COALESCE_MINUTES = 10;
+export const CONTEXT_HISTORY_RECORD_DELAY_MS = 1000;
+export const CONTEXT_HISTORY_RESTORE_EVENT_SOURCE = 'context_history.restore';
+
+/**
+ * Settings rows merged into the SmartContexts settings config.
+ */
+export const context_history_settings_config = {
+  context_history_limit: {
+    name: 'Named context history',
+    type: 'number',
+    description: 'Versions kept per named context for viewing changes and restoring. Use 0 to turn off.',
+    default: DEFAULT_CONTEXT_HISTORY_LIMIT,
+  },
+  context_history_coalesce_minutes: {
+    name: 'History grouping (minutes)',
+    type: 'number',
+    description: 'Changes made within this many minutes of the last version update it instead of adding a new one.',
+    default: DEFAULT_CONTEXT_HISTORY_COALESCE_MINUTES,
+  },
+};
+
+/**
+ * @typedef {object} ContextSnapshot
+ * @property {number} created_at - When the version started.
+ * @property {number} at - Last change folded into the version.
+ * @property {'baseline'|'update'|'restore'} reason
+ * @property {Record<string, object>} context_items
+ * @property {Record<string, object>} exclusions
+ */
+
+/**
+ * @typedef {object} ContextHistoryChanges
+ * @property {Record<string, object>} [set] - Entries added or changed.
+ * @property {string[]} [removed]
+ */
+
+/**
+ * Stored form of a version: the first is a full snapshot, later ones hold
+ * `changes` against the version before.
+ *
+ * @typedef {object} StoredContextVersion
+ * @property {number} created_at
+ * @property {number} at
+ * @property {'baseline'|'update'|'restore'} reason
+ * @property {Record<string, object>} [context_items]
+ * @property {Record<string, object>} [exclusions]
+ * @property {{ context_items?:ContextHistoryChanges, exclusions?:ContextHistoryChanges }} [changes]
+ */
+
+/** @type {WeakMap<StoredContextVersion[], ContextSnapshot[]>} */
+const expanded_histories = new WeakMap();
+
+/**
+ * @param {any} env
+ * @returns {{ limit:number, coalesce_ms:number }}
+ */
+export function get_context_history_settings(env) {
+  const settings = env?.smart_contexts?.settings
+    ?? env?.settings?.smart_contexts
+    ?? {}
+  ;
+  const limit = Number(settings.context_history_limit ?? DEFAULT_CONTEXT_HISTORY_LIMIT);
+  const minutes = Number(settings.context_history_coalesce_minutes ?? DEFAULT_CONTEXT_HISTORY_COALESCE_MINUTES);
+  return {
+    limit: Number.isFinite(limit) && limit > 0 ? Math.floor(limit) : 0,
+    coalesce_ms: Number.isFinite(minutes) && minutes > 0 ? minutes * 60 * 1000 : 0,
+  };
+}
+
+/**
+ * @param {object} data - SmartContext data.
+ * @returns {ContextSnapshot[]} Full snapshots, oldest first.
+ */
+export function get_context_history(data) {
+  const stored = data?.history;
+  if (!Array.isArray(stored)) return [];
+  if (!expanded_histories.has(stored)) expanded_histories.set(stored, expand_history(stored));
+  return expanded_histories.get(stored);
+}
+
+/**
+ * Add or update the newest snapshot when the items differ from it.
+ *
+ * @param {object} data - SmartContext data.
+ * @param {object} [params={}]
+ * @param {number} [params.now]
+ * @param {number} [params.limit]
+ * @param {number} [params.coalesce_ms=0]
+ * @param {'baseline'|'update'|'restore'} [params.reason='update']
+ * @returns {boolean} Whether the history changed.
+ */
+export function record_context_snapshot(data, params = {}) {
+  const now = params.now ?? Date.now();
+  const limit = params.limit ?? DEFAULT_CONTEXT_HISTORY_LIMIT;
+  const reason = params.reason || 'update';
+  if (!data || !(limit > 0)) return false;
+
+  const history = get_context_history(data).slice();
+  const latest = history[history.length - 1];
+  const state = {
+    context_items: clone_items(data.context_items),
+    exclusions: clone_items(data.exclusions),
+  };
+  if (latest && stable_stringify(get_snapshot_state(latest)) === stable_stringify(state)) return false;
+
+  const can_coalesce = latest
+    && reason === 'update'
+    && latest.reason === 'update'
+    // keep the version the burst started from
+    && history.length > 1
+    && now - latest.created_at < (params.coalesce_ms || 0)
+  ;
+  if (can_coalesce) {
+    history[history.length - 1] = { ...latest, at: now, ...state };
+  } else {
+    history.push({ created_at: now, at: now, reason, ...state });
+  }
+  const snapshots = history.slice(-limit);
+  data.history = compact_history(snapshots);
+  expanded_histories.set(data.history, snapshots);
+  return true;
+}
+
+/**
+ * Keys added, removed or with changed data between two snapshots.
+ *
+ * @param {Pick<ContextSnapshot, 'context_items'|'exclusions'>|null} from
+ * @param {Pick<ContextSnapshot, 'context_items'|'exclusions'>} to
+ * @returns {{ added:string[], removed:string[], changed:string[], excluded:string[], unexcluded:string[] }}
+ */
+export function diff_context_snapshots(from, to) {
+  const diff_keys = (before = {}, after = {}) => ({
+    added: Object.keys(after).filter((key) => !(key in before)).sort(),
+    removed: Object.keys(before).filter((key) => !(key in after)).sort(),
+  });
+  const items = diff_keys(from?.context_items, to?.context_items);
+  const exclusions = diff_keys(from?.exclusions, to?.exclusions);
+  const changed = Object.keys(to?.context_items || {})
+    .filter((key) => key in (from?.context_items || {}))
+    .filter((key) => stable_stringify(from.context_items[key]) !== stable_stringify(to.context_items[key]))
+    .sort()
+  ;
+  return {
+    added: items.added,
+    removed: items.removed,
+    changed,
+    excluded: exclusions.added,
+    unexcluded: exclusions.removed,
+  };
+}
+
+/**
+ * Write a snapshot's items back to the context.
+ *
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @param {ContextSnapshot} snapshot
+ * @returns {boolean}
+ */
+export function restore_context_snapshot(ctx, snapshot) {
+  if (!ctx?.data || !snapshot) return false;
+  ctx.data.context_items = clone_items(snapshot.context_items);
+  ctx.data.exclusions = clone_items(snapshot.exclusions);
+  ctx.queue_save?.();
+  ctx.emit_event?.('context:updated', {
+    event_source: CONTEXT_HISTORY_RESTORE_EVENT_SOURCE,
+    restored_at: snapshot.at,
+  });
+  return true;
+}
+
+/**
+ * @param {any} ctx
+ * @returns {boolean} Whether the context keeps history.
+ */
+export function is_history_context(ctx) {
+  if (!ctx?.key || parse_context_codeblock_ctx_key(ctx.key)) return false;
+  return String(ctx?.data?.name || '').trim().length > 0;
+}
+
+/**
+ * Record snapshots for named contexts as they change. Named contexts without
+ * history get their current state as a baseline on start.
+ *
+ * @param {any} env
+ * @param {object} [params={}]
+ * @param {number} [params.delay_ms]
+ * @param {()=>number} [params.now]
+ * @returns {{ start:()=>void, flush:()=>void, dispose:()=>void }}
+ */
+export function create_context_history_tracker(env, params = {}) {
+  const delay_ms = Number.isFinite(params.delay_ms) ? params.delay_ms : CONTEXT_HISTORY_RECORD_DELAY_MS;
+  const now = params.now || (() => Date.now());
+  /** @type {Map<string, 'update'|'restore'>} */
+  const pending = new Map();
+  let timer = null;
+  let dispose_listener = null;
+
+  const record = (ctx, reason) => {
+    const settings = get_context_history_settings(env);
+    if (!settings.limit || !is_history_context(ctx)) return false;
+    const changed = record_context_snapshot(ctx.data, { ...settings, reason, now: now() });
+    if (changed) ctx.queue_save?.();
+    return changed;
+  };
+
+  const flush = () => {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    const entries = Array.from(pending.entries());
+    pending.clear();
+    let changed = false;
+    entries.forEach(([key, reason]) => {
+      changed = record(env?.smart_contexts?.get?.(key), reason) || changed;
+    });
+    if (changed) env?.smart_contexts?.process_save_queue?.();
+  };
+
+  return {
+    start() {
+      let changed = false;
+      Object.values(env?.smart_contexts?.items || {}).forEach((ctx) => {
+        if (get_context_history(ctx?.data).length) return;
+        changed = record(ctx, 'baseline') || changed;
+      });
+      if (changed) env?.smart_contexts?.process_save_queue?.();
+      dispose_listener = env?.events?.on?.('context:updated', (payload = {}) => {
+        if (!payload.item_key || parse_context_codeblock_ctx_key(payload.item_key)) return;
+        const reason = payload.event_source === CONTEXT_HISTORY_RESTORE_EVENT_SOURCE ? 'restore' : 'update';
+        if (pending.get(payload.item_key) !== 'restore') pending.set(payload.item_key, reason);
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(flush, delay_ms);
+      }) || null;
+    },
+    flush,
+    dispose() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      pending.clear();
+      dispose_listener?.();
+      dispose_listener = null;
+    },
+  };
+}
+
+/**
+ * @param {ContextSnapshot} snapshot
+ * @returns {{ context_items:Record<string, object>, exclusions:Record<string, object> }}
+ */
+function get_snapshot_state(snapshot) {
+  return {
+    context_items: snapshot.context_items || {},
+    exclusions: snapshot.exclusions || {},
+  };
+}
+
+/**
+ * @param {StoredContextVersion[]} stored
+ * @returns {ContextSnapshot[]}
+ */
+function expand_history(stored) {
+  let previous = null;
+  return stored.map((version) => {
+    const { changes, ...meta } = version;
+    const snapshot = changes && previous
+      ? {
+        ...meta,
+        context_items: apply_item_changes(previous.context_items, changes.context_items),
+        exclusions: apply_item_changes(previous.exclusions, changes.exclusions),
+      }
+      : { ...meta, ...get_snapshot_state(version) }
+    ;
+    previous = snapshot;
+    return snapshot;
+  });
+}
+
+/**
+ * @param {ContextSnapshot[]} snapshots
+ * @returns {StoredContextVersion[]}
+ */
+function compact_history(snapshots) {
+  return snapshots.map((snapshot, i) => {
+    const { context_items, exclusions, ...meta } = snapshot;
+    if (i === 0) return { ...meta, context_items, exclusions };
+    const previous = snapshots[i - 1];
+    const changes = {};
+    const item_changes = get_item_changes(previous.context_items, context_items);
+    const exclusion_changes = get_item_changes(previous.exclusions, exclusions);
+    if (Object.keys(item_changes).length) changes.context_items = item_changes;
+    if (Object.keys(exclusion_changes).length) changes.exclusions = exclusion_changes;
+    return { ...meta, changes };
+  });
+}
+
+/**
+ * @param {Record<string, object>} [before={}]
+ * @param {Record<string, object>} [after={}]
+ * @returns {ContextHistoryChanges}
+ */
+function get_item_changes(before = {}, after = {}) {
+  const changes = {};
+  const set = Object.keys(after)
+    .filter((key) => !(key in before) || stable_stringify(before[key]) !== stable_stringify(after[key]))
+  ;
+  const removed = Object.keys(before).filter((key) => !(key in after));
+  if (set.length) changes.set = Object.fromEntries(set.map((key) => [key, after[key]]));
+  if (removed.length) changes.removed = removed;
+  return changes;
+}
+
+/**
+ * @param {Record<string, object>} [items={}]
+ * @param {ContextHistoryChanges} [changes={}]
+ * @returns {Record<string, object>}
+ */
+function apply_item_changes(items = {}, changes = {}) {
+  const next = { ...items };
+  (changes.removed || []).forEach((key) => delete next[key]);
+  return { ...next, ...(changes.set || {}) };
+}
+
+/**
+ * @param {Record<string, object>|undefined} items
+ * @returns {Record<string, object>}
+ */
+function clone_items(items) {
+  return JSON.parse(JSON.stringify(items || {}));
+}
+
+/**
+ * JSON with object keys sorted, so key order does not count as a change.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+function stable_stringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stable_stringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stable_stringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
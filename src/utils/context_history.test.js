@@ -0,0 +1,133 @@
+import test from 'ava';
+import {
+  create_context_history_tracker,
+  diff_context_snapshots,
+  get_context_history,
+  get_context_history_settings,
+  record_context_snapshot,
+  restore_context_snapshot,
+} from './context_history.js';
+
+const minute = 60 * 1000;
+
+test('get_context_history_settings reads limit and grouping window', (t) => {
+  t.deepEqual(get_context_history_settings({}), { limit: 20, coalesce_ms: 10 * minute });
+  t.deepEqual(
+    get_context_history_settings({ smart_contexts: { settings: { context_history_limit: 0, context_history_coalesce_minutes: 'x' } } }),
+    { limit: 0, coalesce_ms: 0 },
+  );
+});
+
+test('record_context_snapshot skips unchanged state and coalesces bursts', (t) => {
+  const data = { context_items: { 'A.md': { key: 'A.md' } } };
+  t.true(record_context_snapshot(data, { now: 0, reason: 'baseline', coalesce_ms: 10 * minute }));
+  t.false(record_context_snapshot(data, { now: minute, coalesce_ms: 10 * minute }));
+
+  data.context_items['B.md'] = { key: 'B.md' };
+  t.true(record_context_snapshot(data, { now: 2 * minute, coalesce_ms: 10 * minute }));
+  data.context_items['C.md'] = { key: 'C.md' };
+  t.true(record_context_snapshot(data, { now: 5 * minute, coalesce_ms: 10 * minute }));
+  const history = get_context_history(data);
+  t.is(history.length, 2);
+  t.deepEqual(Object.keys(history[0].context_items), ['A.md']);
+  t.like(history[1], { created_at: 2 * minute, at: 5 * minute, reason: 'update' });
+  t.deepEqual(Object.keys(history[1].context_items), ['A.md', 'B.md', 'C.md']);
+
+  delete data.context_items['A.md'];
+  t.true(record_context_snapshot(data, { now: 20 * minute, coalesce_ms: 10 * minute }));
+  t.is(data.history.length, 3);
+});
+
+test('record_context_snapshot drops the oldest versions past the limit', (t) => {
+  const data = { context_items: {} };
+  for (let i = 0; i < 5; i += 1) {
+    data.context_items[`${i}.md`] = { key: `${i}.md` };
+    record_context_snapshot(data, { now: i, limit: 3 });
+  }
+  t.is(data.history.length, 3);
+  t.deepEqual(Object.keys(get_context_history(data)[0].context_items), ['0.md', '1.md', '2.md']);
+});
+
+test('record_context_snapshot stores later versions as changes to the one before', (t) => {
+  const data = {
+    context_items: { 'A.md': { key: 'A.md', d: 0 }, 'B.md': { key: 'B.md', d: 0 } },
+    exclusions: { 'X.md': { key: 'X.md' } },
+  };
+  record_context_snapshot(data, { now: 0, reason: 'baseline' });
+  delete data.context_items['A.md'];
+  data.context_items['B.md'] = { key: 'B.md', d: 1 };
+  record_context_snapshot(data, { now: 1 });
+  data.context_items['C.md'] = { key: 'C.md', d: 0 };
+  record_context_snapshot(data, { now: 2 });
+
+  t.deepEqual(Object.keys(data.history[0].context_items), ['A.md', 'B.md']);
+  t.deepEqual(data.history[1].changes, {
+    context_items: { set: { 'B.md': { key: 'B.md', d: 1 } }, removed: ['A.md'] },
+  });
+  t.deepEqual(data.history[2].changes, {
+    context_items: { set: { 'C.md': { key: 'C.md', d: 0 } } },
+  });
+  t.false('context_items' in data.history[2]);
+
+  // stored data reads back the same after a save and load
+  const loaded = JSON.parse(JSON.stringify(data));
+  t.deepEqual(get_context_history(loaded), get_context_history(data));
+  t.deepEqual(get_context_history(loaded)[2].context_items, data.context_items);
+  t.deepEqual(get_context_history(loaded)[2].exclusions, { 'X.md': { key: 'X.md' } });
+
+  // dropping the oldest version makes the next one whole
+  data.context_items['D.md'] = { key: 'D.md', d: 0 };
+  record_context_snapshot(data, { now: 4, limit: 2 });
+  t.deepEqual(Object.keys(data.history[0].context_items), ['B.md', 'C.md']);
+  t.deepEqual(Object.keys(get_context_history(data)[1].context_items), ['B.md', 'C.md', 'D.md']);
+});
+
+test('diff_context_snapshots lists added, removed, changed and exclusion keys', (t) => {
+  t.deepEqual(
+    diff_context_snapshots(
+      { context_items: { 'A.md': { d: 0 }, 'B.md': { d: 0 } }, exclusions: { 'X.md': {} } },
+      { context_items: { 'A.md': { d: 1 }, 'C.md': { d: 0 } }, exclusions: { 'Y.md': {} } },
+    ),
+    { added: ['C.md'], removed: ['B.md'], changed: ['A.md'], excluded: ['Y.md'], unexcluded: ['X.md'] },
+  );
+});
+
+test('restore is recorded as its own version', (t) => {
+  const listeners = [];
+  const ctx = {
+    key: 'review',
+    data: { name: 'Review', context_items: { 'A.md': { key: 'A.md' } } },
+    saves: 0,
+    queue_save() { this.saves += 1; },
+    emit_event(name, payload) {
+      listeners.forEach((listener) => listener({ ...payload, item_key: 'review' }));
+    },
+  };
+  const env = {
+    smart_contexts: { items: { review: ctx }, get: (key) => (key === 'review' ? ctx : null) },
+    events: {
+      on(name, listener) {
+        listeners.push(listener);
+        return () => listeners.splice(listeners.indexOf(listener), 1);
+      },
+    },
+  };
+  let now = 0;
+  const tracker = create_context_history_tracker(env, { delay_ms: 10, now: () => now });
+  tracker.start();
+  t.is(ctx.data.history.length, 1);
+
+  now = minute;
+  ctx.data.context_items = {};
+  ctx.emit_event('context:updated', { event_source: 'context_remove' });
+  tracker.flush();
+  t.is(ctx.data.history.length, 2);
+
+  now = 2 * minute;
+  t.true(restore_context_snapshot(ctx, get_context_history(ctx.data)[0]));
+  tracker.flush();
+  t.deepEqual(Object.keys(ctx.data.context_items), ['A.md']);
+  t.deepEqual(ctx.data.history.map((snapshot) => snapshot.reason), ['baseline', 'update', 'restore']);
+  tracker.dispose();
+  t.is(listeners.length, 0);
+});
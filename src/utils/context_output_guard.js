@@ -1,4 +1,6 @@
 import { Notice } from 'obsidian';
+import { get_truncated_codeblock_globs } from './codeblock_globs.js';
+import { get_truncated_codeblock_queries } from './codeblock_queries.js';
 
 /**
  * Show a persistent inline confirmation notice.
@@ -113,7 +115,8 @@ export function get_context_output_limit_error(context_items = [], params = {})
 }
 
 /**
- * Return durable folder selections whose hydration stopped at a safety cap.
+ * Return durable folder selections and codeblock glob or query rules whose hydration
+ * stopped at a safety cap.
  *
  * @param {import('smart-contexts').SmartContext} ctx
  * @returns {Array<{ key:string, max_items:number }>}
@@ -142,6 +145,12 @@ export function get_truncated_context_selections(ctx) {
         ;
         collect(named_ctx);
       });
+    [
+      ...get_truncated_codeblock_globs(source_ctx.data),
+      ...get_truncated_codeblock_queries(source_ctx.data),
+    ].forEach((rule) => {
+      truncated.set(rule.key, rule);
+    });
 
     const named_contexts = Array.isArray(source_ctx.named_contexts)
       ? source_ctx.named_contexts
@@ -181,7 +190,7 @@ export async function confirm_truncated_context(ctx, params = {}) {
     : paths
   ;
   const action_label = params.action_label || 'continue';
-  const message = `Some selected folders were truncated while resolving context: ${path_text}. `
+  const message = `Some selected folders or rules were truncated while resolving context: ${path_text}. `
     + `The output will be incomplete. Continue and ${action_label}?`
   ;
   try {
@@ -196,7 +205,7 @@ export async function confirm_truncated_context(ctx, params = {}) {
 
   ctx?.emit_event?.('context:truncated_output_blocked', {
     level: 'warning',
-    message: 'Output cancelled because one or more selected folders were truncated.',
+    message: 'Output cancelled because one or more selected folders or rules were truncated.',
     truncated_keys: truncated.map((item) => item.key),
     event_source: params.event_source || 'context_output_guard',
   });
@@ -0,0 +1,293 @@
+/**
+ * @file context_ranking.js
+ * @description
+ * Rank linked items within each depth level and keep the top K. Scores mix
+ * link multiplicity, tags shared with the root note, recency, and embedding
+ * similarity to the root when vectors are available. Depth 0 is never cut.
+ */
+
+import { build_traversal_note } from './link_traversal_rules.js';
+
+/**
+ * Relative weight of each signal. Signals missing for a whole depth level
+ * drop out and the remaining weights are rescaled.
+ */
+export const RANKING_WEIGHTS = Object.freeze({
+  links: 0.35,
+  tags: 0.2,
+  recency: 0.15,
+  similarity: 0.3,
+});
+
+/**
+ * Settings rows merged into the SmartContexts settings config.
+ */
+export const ranking_settings_config = {
+  rank_top_k: {
+    name: 'Top items per depth',
+    type: 'number',
+    description: 'When set, copy by depth can keep only the highest ranked items at each link depth (links, shared tags, recency, similarity). Use 0 to turn off.',
+    default: 0,
+  },
+};
+
+/**
+ * @param {unknown} value
+ * @returns {number}
+ */
+export function normalize_top_k(value) {
+  const top_k = Number(value);
+  return Number.isFinite(top_k) && top_k > 0 ? Math.floor(top_k) : 0;
+}
+
+/**
+ * @param {any} env
+ * @returns {number}
+ */
+export function get_top_k_setting(env) {
+  return normalize_top_k(
+    env?.smart_contexts?.settings?.rank_top_k
+    ?? env?.settings?.smart_contexts?.rank_top_k,
+  );
+}
+
+/**
+ * @typedef {object} RankingSignals
+ * @property {string} key
+ * @property {number} d
+ * @property {number} [links] - Link count from other context items.
+ * @property {number} [shared_tags] - Tags shared with the root note.
+ * @property {number} [mtime]
+ * @property {number|null} [similarity] - Cosine similarity to the root, or null.
+ */
+
+/**
+ * Score entries against the other entries at the same depth. Each signal is
+ * scaled to 0..1 within the depth level before weighting.
+ *
+ * @param {RankingSignals[]} entries
+ * @returns {Array<RankingSignals & { score:number }>}
+ */
+export function score_ranking_entries(entries = []) {
+  const by_depth = new Map();
+  entries.forEach((entry) => {
+    if (!by_depth.has(entry.d)) by_depth.set(entry.d, []);
+    by_depth.get(entry.d).push(entry);
+  });
+
+  const scored = [];
+  by_depth.forEach((level) => {
+    const scales = {
+      links: build_scale(level.map((entry) => entry.links)),
+      tags: build_scale(level.map((entry) => entry.shared_tags)),
+      recency: build_scale(level.map((entry) => entry.mtime)),
+      similarity: build_scale(level.map((entry) => entry.similarity)),
+    };
+    const active = Object.keys(RANKING_WEIGHTS).filter((signal) => scales[signal]);
+    const weight_total = active.reduce((sum, signal) => sum + RANKING_WEIGHTS[signal], 0);
+
+    level.forEach((entry) => {
+      const values = {
+        links: entry.links,
+        tags: entry.shared_tags,
+        recency: entry.mtime,
+        similarity: entry.similarity,
+      };
+      const score = weight_total
+        ? active.reduce((sum, signal) => {
+          return sum + RANKING_WEIGHTS[signal] * scales[signal](values[signal]);
+        }, 0) / weight_total
+        : 0
+      ;
+      scored.push({ ...entry, score });
+    });
+  });
+  return scored;
+}
+
+/**
+ * Keep the top K entries per depth level (depth 0 is always kept).
+ *
+ * @param {Array<RankingSignals & { score:number }>} scored
+ * @param {number} top_k
+ * @returns {{ kept:Array<RankingSignals & { score:number }>, cut:Array<RankingSignals & { score:number }> }}
+ */
+export function select_top_k_per_depth(scored = [], top_k = 0) {
+  const limit = normalize_top_k(top_k);
+  if (!limit) return { kept: scored.slice(), cut: [] };
+
+  const by_depth = new Map();
+  scored.forEach((entry) => {
+    if (!by_depth.has(entry.d)) by_depth.set(entry.d, []);
+    by_depth.get(entry.d).push(entry);
+  });
+
+  const kept = [];
+  const cut = [];
+  Array.from(by_depth.keys()).sort((left, right) => left - right).forEach((depth) => {
+    const level = by_depth.get(depth).slice().sort(compare_scores);
+    if (depth === 0) {
+      kept.push(...level);
+      return;
+    }
+    kept.push(...level.slice(0, limit));
+    cut.push(...level.slice(limit));
+  });
+  return { kept, cut };
+}
+
+/**
+ * Gather ranking signals for context items.
+ *
+ * @param {Array<any>} items - Resolved context items.
+ * @param {object} params
+ * @param {string} params.root_key
+ * @param {any} [params.metadata_cache] - Obsidian MetadataCache.
+ * @param {(key:string)=>any} [params.get_source] - SmartSource (or block) lookup.
+ * @returns {RankingSignals[]}
+ */
+export function collect_ranking_signals(items = [], params = {}) {
+  const metadata_cache = params.metadata_cache;
+  const resolved_links = metadata_cache?.resolvedLinks || {};
+  const get_path = (key) => String(key || '').split('#')[0];
+  const root_path = get_path(params.root_key);
+  const root_source = params.get_source?.(params.root_key);
+  const root_tags = new Set(
+    build_traversal_note(root_source, metadata_cache?.getCache?.(root_path)).tags,
+  );
+  const root_vec = get_vec(root_source);
+  const item_paths = new Set(items.map((item) => get_path(item?.key)));
+
+  return items.map((item) => {
+    const key = String(item?.key || '');
+    const path = get_path(key);
+    let links = 0;
+    item_paths.forEach((from_path) => {
+      if (from_path === path) return;
+      links += Number(resolved_links[from_path]?.[path]) || 0;
+      links += Number(resolved_links[path]?.[from_path]) || 0;
+    });
+    const source = params.get_source?.(key);
+    const tags = build_traversal_note(source, metadata_cache?.getCache?.(path)).tags;
+    const vec = get_vec(source);
+    return {
+      key,
+      d: Number.isFinite(item?.data?.d) ? item.data.d : 0,
+      links,
+      shared_tags: tags.filter((tag) => root_tags.has(tag)).length,
+      mtime: Number(item?.mtime ?? item?.data?.mtime ?? source?.mtime) || 0,
+      similarity: root_vec && vec ? cos_sim(root_vec, vec) : null,
+    };
+  });
+}
+
+/**
+ * Rank a context's items and return the keys cut by the top-K limit.
+ *
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @param {object} [params={}]
+ * @param {number} params.top_k
+ * @param {(item:any)=>boolean} [params.filter]
+ * @param {string} [params.root_key] - Defaults to the current item or the context key.
+ * @returns {{ cut:Array<RankingSignals & { score:number }>, cut_keys:Set<string> }}
+ */
+export function rank_context_items(ctx, params = {}) {
+  const filter = typeof params.filter === 'function' ? params.filter : () => true;
+  const items = typeof ctx?.context_items?.filter === 'function'
+    ? ctx.context_items.filter((item) => filter(item))
+    : []
+  ;
+  const root_key = params.root_key
+    || items.find((item) => item?.data?.current === true)?.key
+    || String(ctx?.key || '').split('#temp')[0]
+  ;
+  const env = ctx?.env;
+  const signals = collect_ranking_signals(items, {
+    root_key,
+    metadata_cache: env?.plugin?.app?.metadataCache,
+    get_source: (key) => (key.includes('#') ? env?.smart_blocks?.get?.(key) : env?.smart_sources?.get?.(key)),
+  });
+  const { cut } = select_top_k_per_depth(score_ranking_entries(signals), params.top_k);
+  return {
+    cut,
+    cut_keys: new Set(cut.map((entry) => entry.key)),
+  };
+}
+
+/**
+ * Tell the user which items the top-K limit left out.
+ *
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @param {Array<{ key:string, d:number, score:number }>} cut
+ * @param {object} [params={}]
+ * @param {number} params.top_k
+ * @param {string} [params.event_source]
+ * @returns {void}
+ */
+export function emit_ranking_report(ctx, cut, params = {}) {
+  if (!cut?.length) return;
+  ctx?.emit_event?.('context:ranking_applied', {
+    level: 'info',
+    message: `Kept the top ${params.top_k} item(s) per depth: left out ${cut.length} lower ranked item(s).`,
+    details: cut
+      .map((entry) => `${entry.key} (depth ${entry.d}, score ${entry.score.toFixed(2)})`)
+      .join('\n')
+    ,
+    cut_keys: cut.map((entry) => entry.key),
+    event_source: params.event_source || 'context_ranking',
+  });
+}
+
+/**
+ * @param {ArrayLike<number>} left
+ * @param {ArrayLike<number>} right
+ * @returns {number}
+ */
+export function cos_sim(left, right) {
+  const length = Math.min(left.length, right.length);
+  let dot = 0;
+  let left_norm = 0;
+  let right_norm = 0;
+  for (let i = 0; i < length; i += 1) {
+    dot += left[i] * right[i];
+    left_norm += left[i] * left[i];
+    right_norm += right[i] * right[i];
+  }
+  if (!left_norm || !right_norm) return 0;
+  return dot / (Math.sqrt(left_norm) * Math.sqrt(right_norm));
+}
+
+/**
+ * Min-max scale over defined values; null when the signal is missing or flat.
+ *
+ * @param {Array<number|null|undefined>} values
+ * @returns {((value:number|null|undefined)=>number)|null}
+ */
+function build_scale(values) {
+  const numbers = values.filter((value) => Number.isFinite(value));
+  if (!numbers.length) return null;
+  const min = Math.min(...numbers);
+  const max = Math.max(...numbers);
+  if (max === min) return null;
+  return (value) => (Number.isFinite(value) ? (value - min) / (max - min) : 0);
+}
+
+/**
+ * @param {{ score:number, key:string }} left
+ * @param {{ score:number, key:string }} right
+ * @returns {number}
+ */
+function compare_scores(left, right) {
+  if (left.score !== right.score) return right.score - left.score;
+  return left.key.localeCompare(right.key);
+}
+
+/**
+ * @param {any} source
+ * @returns {ArrayLike<number>|null}
+ */
+function get_vec(source) {
+  const vec = source?.vec;
+  if (!vec || !(Array.isArray(vec) || ArrayBuffer.isView(vec))) return null;
+  return vec.length ? vec : null;
+}
@@ -0,0 +1,72 @@
+import test from 'ava';
+import {
+  collect_ranking_signals,
+  cos_sim,
+  score_ranking_entries,
+  select_top_k_per_depth,
+} from './context_ranking.js';
+
+test('score_ranking_entries scales signals within each depth level', (t) => {
+  const scored = score_ranking_entries([
+    { key: 'a', d: 1, links: 3, shared_tags: 0, mtime: 1, similarity: null },
+    { key: 'b', d: 1, links: 1, shared_tags: 2, mtime: 2, similarity: null },
+    { key: 'c', d: 2, links: 0, shared_tags: 0, mtime: 5, similarity: null },
+  ]);
+  const by_key = Object.fromEntries(scored.map((entry) => [entry.key, entry.score]));
+  // links 0.35 vs tags 0.2 + recency 0.15, rescaled without similarity
+  t.is(by_key.a.toFixed(3), (0.35 / 0.7).toFixed(3));
+  t.is(by_key.b.toFixed(3), (0.35 / 0.7).toFixed(3));
+  t.is(by_key.c, 0);
+});
+
+test('select_top_k_per_depth never cuts depth 0 and reports cut items', (t) => {
+  const { kept, cut } = select_top_k_per_depth([
+    { key: 'root', d: 0, score: 0 },
+    { key: 'x', d: 0, score: 0 },
+    { key: 'a', d: 1, score: 0.2 },
+    { key: 'b', d: 1, score: 0.9 },
+    { key: 'c', d: 2, score: 0.5 },
+  ], 1);
+  t.deepEqual(kept.map((entry) => entry.key), ['root', 'x', 'b', 'c']);
+  t.deepEqual(cut.map((entry) => entry.key), ['a']);
+  t.is(select_top_k_per_depth([{ key: 'a', d: 1, score: 0 }], 0).cut.length, 0);
+});
+
+test('collect_ranking_signals reads links, shared tags, and similarity', (t) => {
+  const sources = {
+    'root.md': { key: 'root.md', vec: [1, 0] },
+    'a.md': { key: 'a.md', vec: [1, 0], mtime: 5 },
+    'b.md': { key: 'b.md', vec: [0, 1], mtime: 9 },
+  };
+  const caches = {
+    'root.md': { tags: [{ tag: '#project' }] },
+    'a.md': { frontmatter: { tags: ['project'] } },
+    'b.md': {},
+  };
+  const signals = collect_ranking_signals([
+    { key: 'root.md', data: { d: 0 } },
+    { key: 'a.md', data: { d: 1 } },
+    { key: 'b.md', data: { d: 1 } },
+  ], {
+    root_key: 'root.md',
+    metadata_cache: {
+      resolvedLinks: { 'root.md': { 'a.md': 2, 'b.md': 1 }, 'b.md': { 'a.md': 1 } },
+      getCache: (path) => caches[path],
+    },
+    get_source: (key) => sources[key],
+  });
+  const a = signals.find((entry) => entry.key === 'a.md');
+  const b = signals.find((entry) => entry.key === 'b.md');
+  t.is(a.links, 3);
+  t.is(b.links, 2);
+  t.is(a.shared_tags, 1);
+  t.is(b.shared_tags, 0);
+  t.is(a.similarity, 1);
+  t.is(b.similarity, 0);
+  t.is(b.mtime, 9);
+});
+
+test('cos_sim handles typed arrays and zero vectors', (t) => {
+  t.is(cos_sim(new Float32Array([1, 1]), [1, 1]).toFixed(5), '1.00000');
+  t.is(cos_sim([0, 0], [1, 0]), 0);
+});
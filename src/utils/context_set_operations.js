@@ -0,0 +1,200 @@
+/**
+ * @file context_set_operations.js
+ * @description
+ * Build a new named context from the union, intersection or difference of
+ * two or more contexts. Each input is flattened first: `ctx::` items are
+ * replaced by the items of the context they name (recursively, each context
+ * once) and folder items by the sources inside the folder, minus the input's
+ * exclusions. The result holds plain item keys, so it no longer changes with
+ * its inputs.
+ */
+
+import {
+  expand_folders_to_item_keys,
+  normalize_folder_prefix,
+} from './folder_selection.js';
+import {
+  build_context_result,
+  create_named_context,
+  find_named_context,
+  save_context,
+  to_trimmed_string,
+} from './tool_context.js';
+
+export const CONTEXT_SET_OPERATIONS = Object.freeze({
+  UNION: 'union',
+  INTERSECTION: 'intersection',
+  DIFFERENCE: 'difference',
+});
+
+const operation_separators = {
+  [CONTEXT_SET_OPERATIONS.UNION]: ' + ',
+  [CONTEXT_SET_OPERATIONS.INTERSECTION]: ' & ',
+  [CONTEXT_SET_OPERATIONS.DIFFERENCE]: ' - ',
+};
+
+const item_origin_fields = [
+  'from_codeblock',
+  'from_depth_rule',
+  'from_glob',
+  'from_named_context',
+  'from_note_context',
+  'from_query',
+  'link_line',
+];
+
+/**
+ * Input schema shared by the set operation tool actions.
+ */
+export const context_set_operation_input_schema = {
+  type: 'object',
+  properties: {
+    names: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 },
+      minItems: 2,
+      description: 'Smart Context names, in order. Difference keeps items of the first that are in none of the others.',
+    },
+    name: {
+      type: 'string',
+      description: 'Name for the new Smart Context. Defaults to the input names joined by the operation.',
+    },
+  },
+  required: ['names'],
+  additionalProperties: false,
+};
+
+/**
+ * Flatten a context into the items it stands for.
+ *
+ * @param {any} collection - SmartContexts.
+ * @param {any} ctx
+ * @param {object} [params={}]
+ * @param {(folder_path:string)=>string[]} [params.list_folder_keys] - Defaults to Smart Sources under the folder.
+ * @param {Set<string>} [params.visited] - Context keys already being resolved.
+ * @returns {Map<string, object>} Item data by key, in context order.
+ */
+export function resolve_context_item_map(collection, ctx, params = {}) {
+  const list_folder_keys = params.list_folder_keys
+    || ((folder_path) => expand_folders_to_item_keys([folder_path], collection?.env?.smart_sources))
+  ;
+  const visited = params.visited || new Set();
+  const items = new Map();
+  if (!ctx?.data || visited.has(ctx.key)) return items;
+  visited.add(ctx.key);
+
+  const exclusions = Object.entries(ctx.data.exclusions || {});
+  const is_excluded = (key) => exclusions.some(([excluded_key, excluded_data]) => {
+    if (excluded_key === key) return true;
+    return excluded_data?.folder === true && key.startsWith(normalize_folder_prefix(excluded_key));
+  });
+  const add = (key, item_data) => {
+    if (items.has(key) || is_excluded(key)) return;
+    items.set(key, { ...item_data, key });
+  };
+
+  Object.entries(ctx.data.context_items || {}).forEach(([key, item_data]) => {
+    if (!item_data || item_data.exclude === true) return;
+    if (item_data.named_context) {
+      const nested = find_named_context(collection, key);
+      resolve_context_item_map(collection, nested, { list_folder_keys, visited })
+        .forEach((nested_data, nested_key) => add(nested_key, nested_data))
+      ;
+      return;
+    }
+    if (item_data.folder === true) {
+      list_folder_keys(key).forEach((file_key) => add(file_key, { key: file_key, d: item_data.d ?? 0 }));
+      return;
+    }
+    // rule origins do not carry over: the result has no rule lines
+    const rest = { ...item_data };
+    item_origin_fields.forEach((field) => delete rest[field]);
+    add(key, rest);
+  });
+  return items;
+}
+
+/**
+ * @param {'union'|'intersection'|'difference'} operation
+ * @param {Map<string, object>[]} item_maps - Flattened inputs, in order.
+ * @returns {Map<string, object>}
+ */
+export function apply_context_set_operation(operation, item_maps = []) {
+  const [first = new Map(), ...rest] = item_maps;
+  const result = new Map();
+  if (operation === CONTEXT_SET_OPERATIONS.UNION) {
+    item_maps.forEach((items) => items.forEach((item_data, key) => {
+      if (!result.has(key)) result.set(key, item_data);
+    }));
+    return result;
+  }
+  if (operation === CONTEXT_SET_OPERATIONS.INTERSECTION) {
+    first.forEach((item_data, key) => {
+      if (rest.every((items) => items.has(key))) result.set(key, item_data);
+    });
+    return result;
+  }
+  if (operation === CONTEXT_SET_OPERATIONS.DIFFERENCE) {
+    first.forEach((item_data, key) => {
+      if (!rest.some((items) => items.has(key))) result.set(key, item_data);
+    });
+    return result;
+  }
+  throw new Error(`Unknown set operation "${operation}".`);
+}
+
+/**
+ * @param {'union'|'intersection'|'difference'} operation
+ * @param {string[]} names
+ * @returns {string}
+ */
+export function build_set_operation_context_name(operation, names) {
+  return names.join(operation_separators[operation] || ' + ');
+}
+
+/**
+ * Create a named context from a set operation over named contexts.
+ *
+ * @param {any} collection - SmartContexts.
+ * @param {object} params
+ * @param {'union'|'intersection'|'difference'} params.operation
+ * @param {string[]} params.names - At least two context names, in order.
+ * @param {string} [params.name] - Result name; taken names get a number.
+ * @param {(folder_path:string)=>string[]} [params.list_folder_keys]
+ * @returns {Promise<ReturnType<typeof build_context_result> & { operation:string, sources:string[] }>}
+ */
+export async function create_context_from_set_operation(collection, params) {
+  const names = (params.names || []).map(to_trimmed_string).filter(Boolean);
+  if (names.length < 2) throw new Error('Choose at least two Smart Contexts.');
+  const contexts = names.map((name) => {
+    const ctx = find_named_context(collection, name);
+    if (!ctx) throw new Error(`Smart Context not found: ${name}`);
+    return ctx;
+  });
+  const sources = contexts.map((ctx) => ctx.data.name);
+
+  const item_maps = contexts.map((ctx) => resolve_context_item_map(collection, ctx, {
+    list_folder_keys: params.list_folder_keys,
+  }));
+  const result_items = apply_context_set_operation(params.operation, item_maps);
+
+  const base_name = to_trimmed_string(params.name)
+    || build_set_operation_context_name(params.operation, sources)
+  ;
+  let name = base_name;
+  for (let suffix = 2; find_named_context(collection, name); suffix += 1) {
+    name = `${base_name} ${suffix}`;
+  }
+  const { context } = await create_named_context(collection, name);
+  context.data.context_items = Object.fromEntries(result_items);
+  context.emit_event?.('context:updated', {
+    event_source: `context_set_operation.${params.operation}`,
+  });
+  await save_context(context);
+
+  return {
+    ...build_context_result(context),
+    operation: params.operation,
+    sources,
+  };
+}
@@ -0,0 +1,90 @@
+import test from 'ava';
+import {
+  apply_context_set_operation,
+  create_context_from_set_operation,
+  resolve_context_item_map,
+} from './context_set_operations.js';
+import { create_collection } from './_context_collection_fixture.js';
+
+const list_folder_keys = (folder_path) => ({
+  Research: ['Research/a.md', 'Research/b.md', 'Research/old/c.md'],
+})[folder_path] || [];
+
+const sample_contexts = () => create_collection({
+  launch: {
+    name: 'Launch',
+    context_items: {
+      'Plan.md': { key: 'Plan.md', d: 0, from_glob: '*.md' },
+      Research: { key: 'Research', folder: true },
+      Shared: { key: 'Shared', named_context: true },
+    },
+    exclusions: { 'Research/old': { key: 'Research/old', folder: true } },
+  },
+  shared: {
+    name: 'Shared',
+    context_items: {
+      'Style.md': { key: 'Style.md', d: 0 },
+      'Research/a.md': { key: 'Research/a.md', d: 0 },
+      Launch: { key: 'Launch', named_context: true },
+    },
+  },
+  review: {
+    name: 'Review',
+    context_items: {
+      'Research/b.md': { key: 'Research/b.md', d: 0 },
+      'Style.md': { key: 'Style.md', d: 0 },
+      'Notes.md': { key: 'Notes.md', d: 0 },
+    },
+    exclusions: { 'Notes.md': { key: 'Notes.md' } },
+  },
+});
+
+test('resolve_context_item_map expands folders and nested contexts, minus exclusions', (t) => {
+  const collection = sample_contexts();
+  const items = resolve_context_item_map(collection, collection.get('launch'), { list_folder_keys });
+  t.deepEqual(Array.from(items.keys()), ['Plan.md', 'Research/a.md', 'Research/b.md', 'Style.md']);
+  t.deepEqual(items.get('Plan.md'), { key: 'Plan.md', d: 0 });
+});
+
+test('apply_context_set_operation keeps the order of the first context', (t) => {
+  const a = new Map([['x', { key: 'x' }], ['y', { key: 'y' }], ['z', { key: 'z' }]]);
+  const b = new Map([['z', { key: 'z' }], ['w', { key: 'w' }], ['x', { key: 'x' }]]);
+  const c = new Map([['x', { key: 'x' }]]);
+  t.deepEqual(Array.from(apply_context_set_operation('union', [a, b]).keys()), ['x', 'y', 'z', 'w']);
+  t.deepEqual(Array.from(apply_context_set_operation('intersection', [a, b, c]).keys()), ['x']);
+  t.deepEqual(Array.from(apply_context_set_operation('difference', [a, b]).keys()), ['y']);
+  t.throws(() => apply_context_set_operation('xor', [a, b]), { message: /Unknown set operation/ });
+});
+
+test('create_context_from_set_operation saves a new named context with plain items', async (t) => {
+  const collection = sample_contexts();
+  const result = await create_context_from_set_operation(collection, {
+    operation: 'intersection',
+    names: ['launch', 'Review'],
+    list_folder_keys,
+  });
+  t.is(result.name, 'Launch & Review');
+  t.deepEqual(result.sources, ['Launch', 'Review']);
+  const ctx = Object.values(collection.items).find((item) => item.data.name === 'Launch & Review');
+  t.deepEqual(Object.keys(ctx.data.context_items), ['Research/b.md', 'Style.md']);
+  t.is(ctx.events[0].payload.event_source, 'context_set_operation.intersection');
+
+  const again = await create_context_from_set_operation(collection, {
+    operation: 'intersection',
+    names: ['Launch', 'Review'],
+    list_folder_keys,
+  });
+  t.is(again.name, 'Launch & Review 2');
+});
+
+test('create_context_from_set_operation rejects missing or too few contexts', async (t) => {
+  const collection = sample_contexts();
+  await t.throwsAsync(
+    create_context_from_set_operation(collection, { operation: 'union', names: ['Launch'] }),
+    { message: /at least two/ },
+  );
+  await t.throwsAsync(
+    create_context_from_set_operation(collection, { operation: 'union', names: ['Launch', 'Gone'] }),
+    { message: /not found: Gone/ },
+  );
+});
@@ -1,3 +1,7 @@
+import { estimate_item_tokens } from './tokenizer.js';
+
+export { estimate_tokens } from './tokenizer.js';
+
 /**
  * Build suggestion entries for each depth.
  *
@@ -10,7 +14,8 @@
  * @param {Array<{ data?: { d?: number, inlink?: boolean }, size?: number }>} ctx_items
  * @param {object} [params={}]
  * @param {Array<object>} [params.raw_context_items]
- * @returns {Array<{ d:number, count:number, size:number, sizes:number, include_inlinks:boolean, without_codeblock?: boolean, variant:string }>}
+ * @param {string} [params.encoding] - Tokenizer encoding for per-item token estimates.
+ * @returns {Array<{ d:number, count:number, size:number, sizes:number, tokens:number, include_inlinks:boolean, without_codeblock?: boolean, variant:string }>}
  */
 export function build_depth_suggestions(ctx_items = [], params = {}) {
   if (!Array.isArray(ctx_items) || !ctx_items.length) {
@@ -43,17 +48,18 @@ export function build_depth_suggestions(ctx_items = [], params = {}) {
       }
 
       if (!is_item_inlink(entry.item)) {
-        add_item_to_suggestion(bucket.outlinks_only, entry.item);
+        add_item_to_suggestion(bucket.outlinks_only, entry.item, params);
       }
 
       if (bucket.include_inlinks) {
-        add_item_to_suggestion(bucket.include_inlinks, entry.item);
+        add_item_to_suggestion(bucket.include_inlinks, entry.item, params);
       }
     }
   }
 
   const without_codeblock_depth_zero = build_without_codeblock_depth_zero_suggestion(
     params.raw_context_items,
+    params,
   );
 
   const suggestions = [];
@@ -120,21 +126,6 @@ export function build_without_codeblock_depth_zero_context_items(raw_context_ite
   }, {});
 }
 
-/**
- * Estimate tokens from characters using the same rough 4-char heuristic used
- * elsewhere in Smart Context.
- *
- * @param {number} char_count
- * @returns {number}
- */
-export function estimate_tokens(char_count = 0) {
-  const numeric_value = Number(char_count);
-  if (!Number.isFinite(numeric_value) || numeric_value <= 0) {
-    return 0;
-  }
-  return Math.ceil(numeric_value / 4);
-}
-
 /**
  * Round an estimate up to the nearest user-facing step.
  *
@@ -253,7 +244,7 @@ function get_base_item_inlink(raw_item) {
 /**
  * @param {number} depth
  * @param {string} variant
- * @returns {{ d:number, count:number, size:number, sizes:number, include_inlinks:boolean, without_codeblock:boolean, variant:string }}
+ * @returns {{ d:number, count:number, size:number, sizes:number, tokens:number, include_inlinks:boolean, without_codeblock:boolean, variant:string }}
  */
 function create_suggestion_entry(depth, variant) {
   return {
@@ -261,6 +252,7 @@ function create_suggestion_entry(depth, variant) {
     count: 0,
     size: 0,
     sizes: 0,
+    tokens: 0,
     include_inlinks: variant === 'include_inlinks',
     without_codeblock: variant === 'without_codeblock',
     variant,
@@ -268,16 +260,18 @@ function create_suggestion_entry(depth, variant) {
 }
 
 /**
- * @param {{ count:number, size:number, sizes:number }} suggestion
+ * @param {{ count:number, size:number, sizes:number, tokens:number }} suggestion
  * @param {{ size?: number }} item
+ * @param {{ encoding?: string }} [params={}]
  * @returns {void}
  */
-function add_item_to_suggestion(suggestion, item) {
+function add_item_to_suggestion(suggestion, item, params = {}) {
   suggestion.count += 1;
   const item_size = get_item_size(item);
   if (item_size > 0) {
     suggestion.size += item_size;
     suggestion.sizes += 1;
+    suggestion.tokens += estimate_item_tokens(item, params);
   }
 }
 
@@ -316,9 +310,10 @@ function should_include_without_codeblock_depth_zero(raw_item) {
 
 /**
  * @param {Array<object>} raw_context_items
- * @returns {{ d:number, count:number, size:number, sizes:number, include_inlinks:boolean, without_codeblock:boolean, variant:string }|null}
+ * @param {{ encoding?: string }} [params={}]
+ * @returns {{ d:number, count:number, size:number, sizes:number, tokens:number, include_inlinks:boolean, without_codeblock:boolean, variant:string }|null}
  */
-function build_without_codeblock_depth_zero_suggestion(raw_context_items = []) {
+function build_without_codeblock_depth_zero_suggestion(raw_context_items = [], params = {}) {
   if (!has_codeblock_raw_items(raw_context_items)) {
     return null;
   }
@@ -331,7 +326,7 @@ function build_without_codeblock_depth_zero_suggestion(raw_context_items = []) {
 
   const suggestion = create_suggestion_entry(0, 'without_codeblock');
   context_items.forEach((item_data) => {
-    add_item_to_suggestion(suggestion, item_data);
+    add_item_to_suggestion(suggestion, item_data, params);
   });
 
   return suggestion;
@@ -127,3 +127,13 @@ test('context estimate rounding always rounds up to 500 or 1000', (t) => {
   t.is(round_up_context_estimate(10001), 11000);
   t.is(format_context_estimate(10001), '11K');
 });
+
+test('build_depth_suggestions sums per-item token estimates', (t) => {
+  const suggestions = build_depth_suggestions([
+    { key: 'root.md', data: { d: 0 }, size: 10 },
+    { key: 'linked.md', data: { d: 1 }, size: 7 },
+  ], { encoding: 'heuristic' });
+
+  t.is(suggestions.find((item) => item.d === 0).tokens, 3);
+  t.is(suggestions.find((item) => item.d === 1 && item.variant === 'outlinks_only').tokens, 5);
+});
@@ -0,0 +1,285 @@
+/**
+ * @file context_token_budget.js
+ * @description
+ * Fit a resolved copy selection inside a token budget by dropping items in a
+ * fixed priority: deepest link depth first, then inlinks, then the largest
+ * items. The current note is never dropped; when it alone exceeds the budget the
+ * report is flagged `over_budget`. Item bodies leave out the file tree and
+ * per-item wrappers, so the kept items are compiled and measured, and the
+ * difference is spread over the items on the next pass.
+ */
+
+import {
+  count_tokens,
+  estimate_item_tokens,
+  get_tokenizer_encoding,
+  warm_item_token_counts,
+} from './tokenizer.js';
+import { format_context_estimate } from './context_suggestions.js';
+import { create_items_context } from './temp_context.js';
+
+/** Compile-and-measure passes before settling on a fit. */
+const MAX_FIT_PASSES = 3;
+
+/**
+ * Settings rows merged into the SmartContexts settings config.
+ */
+export const token_budget_settings_config = {
+  copy_token_budget: {
+    name: 'Copy token budget',
+    type: 'number',
+    description: 'When set, "Copy within budget" drops the deepest, backlinked, then largest items until the copy fits. Use 0 to turn off.',
+    default: 0,
+  },
+};
+
+/**
+ * @param {unknown} value
+ * @returns {number}
+ */
+export function normalize_token_budget(value) {
+  const budget = Number(value);
+  return Number.isFinite(budget) && budget > 0 ? Math.floor(budget) : 0;
+}
+
+/**
+ * Resolve the configured default token budget.
+ *
+ * @param {any} env
+ * @returns {number}
+ */
+export function get_token_budget_setting(env) {
+  return normalize_token_budget(
+    env?.smart_contexts?.settings?.copy_token_budget
+    ?? env?.settings?.smart_contexts?.copy_token_budget,
+  );
+}
+
+/**
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @returns {boolean} Whether a budget can be asked for in this environment.
+ */
+export function can_prompt_token_budget(ctx) {
+  return typeof ctx?.env?.config?.modals?.token_budget_modal?.class === 'function';
+}
+
+/**
+ * Ask for a one-off token budget through the configured modal.
+ *
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @param {object} [params={}]
+ * @param {number} [params.token_budget] - Prefilled budget.
+ * @returns {Promise<number>} The entered budget, or 0 when dismissed.
+ */
+export function prompt_token_budget(ctx, params = {}) {
+  if (!can_prompt_token_budget(ctx)) return Promise.resolve(0);
+  const modal_class = ctx.env.config.modals.token_budget_modal.class;
+  return new Promise((resolve) => {
+    new modal_class(ctx, {
+      token_budget: params.token_budget,
+      on_submit: resolve,
+    }).open();
+  });
+}
+
+/**
+ * Select items to keep so the estimated total stays within `token_budget`.
+ *
+ * @param {Array<any>} items
+ * @param {object} [params={}]
+ * @param {number} params.token_budget
+ * @param {string} [params.encoding]
+ * @param {number} [params.item_overhead=0] - Tokens of file tree line and wrapper each item adds.
+ * @returns {{
+ *   token_budget:number,
+ *   item_overhead:number,
+ *   total_tokens:number,
+ *   kept_tokens:number,
+ *   kept:Array<any>,
+ *   dropped:Array<{ key:string, tokens:number, d:number, inlink:boolean }>,
+ *   over_budget:boolean,
+ * }}
+ */
+export function fit_context_items_to_token_budget(items = [], params = {}) {
+  const token_budget = normalize_token_budget(params.token_budget);
+  const item_overhead = Number(params.item_overhead) > 0 ? Number(params.item_overhead) : 0;
+  const entries = (Array.isArray(items) ? items : []).map((item) => ({
+    item,
+    key: get_item_key(item),
+    tokens: Math.ceil(estimate_item_tokens(item, { encoding: params.encoding }) + item_overhead),
+    d: get_item_depth(item),
+    inlink: item?.data?.inlink === true,
+    current: item?.data?.current === true,
+  }));
+  const total_tokens = entries.reduce((sum, entry) => sum + entry.tokens, 0);
+
+  if (!token_budget || total_tokens <= token_budget) {
+    return {
+      token_budget,
+      item_overhead,
+      total_tokens,
+      kept_tokens: total_tokens,
+      kept: entries.map((entry) => entry.item),
+      dropped: [],
+      over_budget: false,
+    };
+  }
+
+  const dropped_entries = new Set();
+  let kept_tokens = total_tokens;
+  const candidates = entries.slice().sort(compare_drop_priority);
+  for (const entry of candidates) {
+    if (kept_tokens <= token_budget) break;
+    if (entry.current || entry.tokens <= 0) continue;
+    dropped_entries.add(entry);
+    kept_tokens -= entry.tokens;
+  }
+
+  return {
+    token_budget,
+    item_overhead,
+    total_tokens,
+    kept_tokens,
+    kept: entries
+      .filter((entry) => !dropped_entries.has(entry))
+      .map((entry) => entry.item)
+    ,
+    dropped: candidates
+      .filter((entry) => dropped_entries.has(entry))
+      .map((entry) => ({
+        key: entry.key,
+        tokens: entry.tokens,
+        d: entry.d,
+        inlink: entry.inlink,
+      }))
+    ,
+    over_budget: kept_tokens > token_budget,
+  };
+}
+
+/**
+ * Resolve the items a copy filter selects and narrow the filter so the copy
+ * fits the budget.
+ *
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @param {object} [params={}]
+ * @param {number} params.token_budget
+ * @param {(item:any)=>boolean} [params.filter]
+ * @param {(items:Array<any>)=>Promise<string|null>} [params.compile] - Compiled copy text for the kept items; defaults to a temp context's get_text().
+ * @returns {Promise<{ filter:(item:any)=>boolean, report:ReturnType<typeof fit_context_items_to_token_budget> }>}
+ */
+export async function apply_token_budget(ctx, params = {}) {
+  const base_filter = typeof params.filter === 'function'
+    ? params.filter
+    : () => true
+  ;
+  const encoding = get_tokenizer_encoding(ctx?.env);
+  const items = typeof ctx?.context_items?.filter === 'function'
+    ? ctx.context_items.filter((item) => item?.is_media !== true && base_filter(item))
+    : []
+  ;
+  await warm_item_token_counts(items, { encoding });
+
+  const compile = typeof params.compile === 'function'
+    ? params.compile
+    : (kept) => compile_items_text(ctx, kept)
+  ;
+
+  let report = fit_context_items_to_token_budget(items, {
+    token_budget: params.token_budget,
+    encoding,
+  });
+  for (let pass = 0; pass < MAX_FIT_PASSES && report.token_budget && report.kept.length; pass += 1) {
+    const text = await compile(report.kept);
+    if (typeof text !== 'string') break;
+    const measured_tokens = await count_tokens(text, { encoding });
+    const item_overhead = report.item_overhead + (measured_tokens - report.kept_tokens) / report.kept.length;
+    if (measured_tokens <= report.token_budget || item_overhead <= report.item_overhead) {
+      report = { ...report, kept_tokens: measured_tokens, over_budget: measured_tokens > report.token_budget };
+      break;
+    }
+    report = fit_context_items_to_token_budget(items, {
+      token_budget: params.token_budget,
+      encoding,
+      item_overhead,
+    });
+  }
+  const dropped_keys = new Set(report.dropped.map((entry) => entry.key));
+
+  return {
+    filter: (item) => base_filter(item) && !dropped_keys.has(get_item_key(item)),
+    report,
+  };
+}
+
+/**
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @param {Array<any>} items
+ * @returns {Promise<string|null>} Null when the context cannot be compiled.
+ */
+async function compile_items_text(ctx, items) {
+  if (typeof ctx?.get_text !== 'function') return null;
+  const text = await create_items_context(ctx, items, 'token_budget').get_text();
+  return typeof text === 'string' ? text : null;
+}
+
+/**
+ * Tell the user exactly which items were cut to fit the budget.
+ *
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @param {ReturnType<typeof fit_context_items_to_token_budget>} report
+ * @param {object} [params={}]
+ * @param {string} [params.event_source]
+ * @returns {void}
+ */
+export function emit_token_budget_report(ctx, report, params = {}) {
+  if (!report?.dropped?.length && !report?.over_budget) return;
+
+  const budget_text = format_context_estimate(report.token_budget);
+  const cut_tokens = report.total_tokens - report.kept_tokens;
+  const message = report.over_budget
+    ? `Could not fit within ${budget_text} tokens: cut ${report.dropped.length} item(s) and the remaining context is still ~${format_context_estimate(report.kept_tokens)} tokens.`
+    : `Fit within ${budget_text} tokens: cut ${report.dropped.length} item(s) (~${format_context_estimate(cut_tokens)} tokens).`
+  ;
+
+  ctx?.emit_event?.('context:token_budget_applied', {
+    level: report.over_budget ? 'warning' : 'info',
+    message,
+    details: report.dropped
+      .map((entry) => `${entry.key} (depth ${entry.d}${entry.inlink ? ', backlink' : ''}, ~${entry.tokens.toLocaleString()} tokens)`)
+      .join('\n')
+    ,
+    dropped_keys: report.dropped.map((entry) => entry.key),
+    token_budget: report.token_budget,
+    event_source: params.event_source || 'context_token_budget',
+  });
+}
+
+/**
+ * @param {{ d:number, inlink:boolean, tokens:number, key:string }} left
+ * @param {{ d:number, inlink:boolean, tokens:number, key:string }} right
+ * @returns {number}
+ */
+function compare_drop_priority(left, right) {
+  if (left.d !== right.d) return right.d - left.d;
+  if (left.inlink !== right.inlink) return left.inlink ? -1 : 1;
+  if (left.tokens !== right.tokens) return right.tokens - left.tokens;
+  return left.key.localeCompare(right.key);
+}
+
+/**
+ * @param {any} item
+ * @returns {string}
+ */
+function get_item_key(item) {
+  return String(item?.key || item?.data?.key || '').trim();
+}
+
+/**
+ * @param {any} item
+ * @returns {number}
+ */
+function get_item_depth(item) {
+  const depth = item?.data?.d;
+  return Number.isFinite(depth) && depth >= 0 ? depth : 0;
+}
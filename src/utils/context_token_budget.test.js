@@ -0,0 +1,163 @@
+import test from 'ava';
+import {
+  apply_token_budget,
+  emit_token_budget_report,
+  fit_context_items_to_token_budget,
+  get_token_budget_setting,
+  normalize_token_budget,
+} from './context_token_budget.js';
+
+const item = (key, size, data = {}) => ({ key, size, data: { d: 0, ...data } });
+
+test('normalize_token_budget keeps positive integers only', (t) => {
+  t.is(normalize_token_budget(32000), 32000);
+  t.is(normalize_token_budget('1500.7'), 1500);
+  t.is(normalize_token_budget(0), 0);
+  t.is(normalize_token_budget(-10), 0);
+  t.is(normalize_token_budget('abc'), 0);
+});
+
+test('get_token_budget_setting reads the smart_contexts settings', (t) => {
+  t.is(get_token_budget_setting({
+    smart_contexts: { settings: { copy_token_budget: 8000 } },
+  }), 8000);
+  t.is(get_token_budget_setting({}), 0);
+});
+
+test('fit keeps everything when the selection is within budget', (t) => {
+  const items = [item('root.md', 40, { current: true }), item('a.md', 40, { d: 1 })];
+  const report = fit_context_items_to_token_budget(items, {
+    token_budget: 100,
+    encoding: 'heuristic',
+  });
+
+  t.is(report.total_tokens, 20);
+  t.deepEqual(report.kept, items);
+  t.deepEqual(report.dropped, []);
+  t.false(report.over_budget);
+});
+
+test('fit drops deepest depth first, then inlinks, then largest items', (t) => {
+  const items = [
+    item('root.md', 400, { current: true }),
+    item('out-1-small.md', 40, { d: 1 }),
+    item('out-1-large.md', 400, { d: 1 }),
+    item('in-1.md', 40, { d: 1, inlink: true }),
+    item('out-2.md', 40, { d: 2 }),
+  ];
+
+  const report = fit_context_items_to_token_budget(items, {
+    token_budget: 200,
+    encoding: 'heuristic',
+  });
+
+  t.deepEqual(report.dropped.map((entry) => entry.key), [
+    'out-2.md',
+    'in-1.md',
+    'out-1-large.md',
+  ]);
+  t.is(report.kept_tokens, 110);
+  t.deepEqual(report.kept.map((entry) => entry.key), ['root.md', 'out-1-small.md']);
+  t.false(report.over_budget);
+});
+
+test('fit never drops the current note and flags an impossible budget', (t) => {
+  const report = fit_context_items_to_token_budget([
+    item('root.md', 4000, { current: true }),
+    item('a.md', 40, { d: 1 }),
+  ], {
+    token_budget: 100,
+    encoding: 'heuristic',
+  });
+
+  t.deepEqual(report.dropped.map((entry) => entry.key), ['a.md']);
+  t.is(report.kept_tokens, 1000);
+  t.true(report.over_budget);
+});
+
+test('apply_token_budget narrows the caller filter and skips media', async (t) => {
+  const items = [
+    item('root.md', 40, { current: true }),
+    item('deep.md', 400, { d: 2 }),
+    item('skip.md', 400, { d: 1 }),
+    { ...item('image.png', 99999), is_media: true },
+  ];
+  const ctx = {
+    env: { smart_contexts: { settings: { tokenizer_encoding: 'heuristic' } } },
+    context_items: {
+      filter: (fn) => items.filter(fn),
+    },
+  };
+
+  const { filter, report } = await apply_token_budget(ctx, {
+    token_budget: 50,
+    filter: (entry) => entry.key !== 'skip.md',
+  });
+
+  t.is(report.total_tokens, 110);
+  t.deepEqual(report.dropped.map((entry) => entry.key), ['deep.md']);
+  t.true(filter(items[0]));
+  t.false(filter(items[1]));
+  t.false(filter(items[2]));
+});
+
+test('apply_token_budget counts the compiled wrapper and trims again', async (t) => {
+  const items = [
+    item('root.md', 40, { current: true }),
+    item('a.md', 40, { d: 1 }),
+    item('b.md', 40, { d: 2 }),
+  ];
+  const ctx = {
+    env: { smart_contexts: { settings: { tokenizer_encoding: 'heuristic' } } },
+    context_items: {
+      filter: (fn) => items.filter(fn),
+    },
+  };
+  const compiled = [];
+  // a 40-char file tree plus a 20-char wrapper around each item
+  const compile = async (kept) => {
+    compiled.push(kept.map((entry) => entry.key));
+    return 'x'.repeat(40 + kept.reduce((sum, entry) => sum + entry.size + 20, 0));
+  };
+
+  const { report } = await apply_token_budget(ctx, { token_budget: 40, compile });
+
+  // item bodies alone (30 tokens) fit; the compiled copy (55 tokens) does not
+  t.deepEqual(compiled, [['root.md', 'a.md', 'b.md'], ['root.md', 'a.md']]);
+  t.deepEqual(report.dropped.map((entry) => entry.key), ['b.md']);
+  t.is(report.kept_tokens, 40);
+  t.false(report.over_budget);
+});
+
+test('emit_token_budget_report lists every dropped item', (t) => {
+  const events = [];
+  const ctx = {
+    emit_event(event_key, payload) {
+      events.push({ event_key, payload });
+    },
+  };
+
+  emit_token_budget_report(ctx, {
+    token_budget: 32000,
+    total_tokens: 40000,
+    kept_tokens: 30000,
+    kept: [],
+    dropped: [
+      { key: 'a.md', tokens: 6000, d: 2, inlink: false },
+      { key: 'b.md', tokens: 4000, d: 1, inlink: true },
+    ],
+    over_budget: false,
+  }, { event_source: 'test' });
+
+  t.is(events.length, 1);
+  t.is(events[0].event_key, 'context:token_budget_applied');
+  t.is(events[0].payload.message, 'Fit within 32K tokens: cut 2 item(s) (~10K tokens).');
+  t.deepEqual(events[0].payload.dropped_keys, ['a.md', 'b.md']);
+  t.is(
+    events[0].payload.details,
+    'a.md (depth 2, ~6,000 tokens)\nb.md (depth 1, backlink, ~4,000 tokens)',
+  );
+
+  emit_token_budget_report(ctx, { dropped: [] });
+  t.is(events.length, 1);
+});
@@ -1,3 +1,19 @@
+import {
+  apply_token_budget,
+  can_prompt_token_budget,
+  emit_token_budget_report,
+  get_token_budget_setting,
+  normalize_token_budget,
+  prompt_token_budget,
+} from './context_token_budget.js';
+import { format_context_estimate } from './context_suggestions.js';
+import {
+  emit_ranking_report,
+  get_top_k_setting,
+  normalize_top_k,
+  rank_context_items,
+} from './context_ranking.js';
+
 const copy_depth_menu_key = 'smart_context:copy_depth_menu';
 
 export const smart_context_action_scope = {
@@ -59,7 +75,11 @@ export function build_copy_context_depth_filter(params = {}) {
 
 /**
  * Create the configured action implementation for supported link depths.
- * `copy_type` selects text, ZIP, or link-tree output and defaults to text.
+ * `copy_type` selects text, ZIP, link-tree, numbered text parts, or vault file
+ * output and defaults to text.
+ * A positive `top_k` keeps only the highest ranked items at each depth.
+ * A positive `token_budget` trims text output to fit before copying;
+ * `prompt_token_budget` asks for one first.
  *
  * @param {number} max_supported_depth
  * @returns {function(object=): Promise<boolean>}
@@ -85,6 +105,10 @@ export function create_copy_context_depth_action(max_supported_depth) {
       copy_action = this?.actions?.context_export_zip;
     } else if (copy_type === 'tree') {
       copy_action = this?.actions?.context_copy_link_tree;
+    } else if (copy_type === 'parts') {
+      copy_action = this?.actions?.context_copy_in_parts;
+    } else if (copy_type === 'file') {
+      copy_action = this?.actions?.context_export_to_file;
     } else {
       return false;
     }
@@ -95,12 +119,23 @@ export function create_copy_context_depth_action(max_supported_depth) {
       max_depth > 0
       && params.include_inlinks === true
     ;
-    const filter = build_copy_context_depth_filter({
+    let filter = build_copy_context_depth_filter({
       max_depth,
       include_inlinks,
-      include_media: copy_type !== 'text',
+      include_media: copy_type === 'zip' || copy_type === 'tree',
       filter: params.filter,
     });
+    const top_k = normalize_top_k(params.top_k);
+    let ranking_cut = [];
+    if (top_k && max_depth > 0) {
+      const depth_filter = filter;
+      const { cut, cut_keys } = rank_context_items(this, {
+        filter: depth_filter,
+        top_k,
+      });
+      ranking_cut = cut;
+      filter = (item) => depth_filter(item) && !cut_keys.has(item?.key);
+    }
     const copy_params = {
       filter,
       max_depth,
@@ -118,7 +153,43 @@ export function create_copy_context_depth_action(max_supported_depth) {
       copy_params.exclusions = params.exclusions;
     }
 
-    return await copy_action(copy_params);
+    let token_budget = copy_type === 'text'
+      ? normalize_token_budget(params.token_budget)
+      : 0
+    ;
+    if (copy_type === 'text' && !token_budget && params.prompt_token_budget === true) {
+      token_budget = await prompt_token_budget(this, {
+        token_budget: get_token_budget_setting(this.env),
+      });
+      if (!token_budget) return false;
+    }
+    if (!token_budget) {
+      const copied = await copy_action(copy_params);
+      if (copied !== false) {
+        emit_ranking_report(this, ranking_cut, {
+          top_k,
+          event_source: params.event_source,
+        });
+      }
+      return copied;
+    }
+
+    const { filter: budget_filter, report } = await apply_token_budget(this, {
+      filter,
+      token_budget,
+    });
+    copy_params.filter = budget_filter;
+    const copied = await copy_action(copy_params);
+    if (copied !== false) {
+      emit_ranking_report(this, ranking_cut, {
+        top_k,
+        event_source: params.event_source,
+      });
+      emit_token_budget_report(this, report, {
+        event_source: params.event_source,
+      });
+    }
+    return copied;
   };
 }
 
@@ -248,6 +319,69 @@ function add_copy_context_depth_menu_item(
       });
     });
 
+    const top_k = get_top_k_setting(menu_ctx.scope?.env);
+    if (top_k > 0 && max_depth > 0) {
+      submenu.addItem?.((copy_item) => {
+        copy_item.setTitle?.(`Copy top ${top_k} per depth`);
+        copy_item.setIcon?.('list-ordered');
+        copy_item.onClick?.(() => {
+          return menu_ctx.run({
+            max_depth,
+            include_inlinks,
+            copy_type: 'text',
+            top_k,
+          });
+        });
+      });
+    }
+
+    const token_budget = get_token_budget_setting(menu_ctx.scope?.env);
+    if (token_budget > 0) {
+      submenu.addItem?.((copy_item) => {
+        copy_item.setTitle?.(`Copy within ${format_context_estimate(token_budget)} tokens`);
+        copy_item.setIcon?.('gauge');
+        copy_item.onClick?.(() => {
+          return menu_ctx.run({
+            max_depth,
+            include_inlinks,
+            copy_type: 'text',
+            token_budget,
+          });
+        });
+      });
+    }
+
+    if (can_prompt_token_budget(menu_ctx.scope)) {
+      submenu.addItem?.((copy_item) => {
+        copy_item.setTitle?.('Copy within token budget...');
+        copy_item.setIcon?.('gauge');
+        copy_item.onClick?.(() => {
+          return menu_ctx.run({
+            max_depth,
+            include_inlinks,
+            copy_type: 'text',
+            prompt_token_budget: true,
+          });
+        });
+      });
+    }
+
+    if (
+      typeof menu_ctx.scope?.actions?.context_copy_in_parts === 'function'
+    ) {
+      submenu.addItem?.((copy_item) => {
+        copy_item.setTitle?.('Copy in parts');
+        copy_item.setIcon?.('layers');
+        copy_item.onClick?.(() => {
+          return menu_ctx.run({
+            max_depth,
+            include_inlinks,
+            copy_type: 'parts',
+          });
+        });
+      });
+    }
+
     if (
       typeof menu_ctx.scope?.actions?.context_export_zip === 'function'
     ) {
@@ -276,6 +410,22 @@ function add_copy_context_depth_menu_item(
       });
     });
 
+    if (
+      typeof menu_ctx.scope?.actions?.context_export_to_file === 'function'
+    ) {
+      submenu.addItem?.((copy_item) => {
+        copy_item.setTitle?.('Export to file');
+        copy_item.setIcon?.('file-output');
+        copy_item.onClick?.(() => {
+          return menu_ctx.run({
+            max_depth,
+            include_inlinks,
+            copy_type: 'file',
+          });
+        });
+      });
+    }
+
     item.setDisabled?.(!(submenu.items?.length > 0));
   });
 }
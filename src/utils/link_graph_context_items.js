@@ -96,6 +96,7 @@ export function normalize_graph_link_entries(graph = [], params = {}) {
         item,
         ...(embedded_outlink_keys.has(key) ? { embedded: true } : {}),
         ...(entry.section ? { section: entry.section } : {}),
+        ...(entry.via_property ? { via_property: entry.via_property } : {}),
       });
     }
   }
@@ -148,6 +149,7 @@ export function build_context_items_from_graph(graph = [], params = {}) {
       link: true,
       embedded: entry.embedded === true,
       section: entry.section,
+      ...(entry.via_property ? { via_property: entry.via_property } : {}),
     };
 
     context_items[key] = /** @type {*} */ (normalize_context_item_data(key, next_item));
@@ -0,0 +1,103 @@
+/**
+ * @file link_traversal.js
+ * @description
+ * Link traversal depth settings for source contexts. Traversal stops at the
+ * configured depth; deeper levels are loaded on request by rebuilding the
+ * source context with a larger `link_depth`.
+ */
+
+export const DEFAULT_LINK_DEPTH = 2;
+export const MAX_LINK_DEPTH = 10;
+
+/**
+ * Settings rows merged into the SmartContexts settings config.
+ */
+export const link_traversal_settings_config = {
+  link_depth: {
+    name: 'Link traversal depth',
+    type: 'number',
+    description: `How many link hops to follow when building a note context (0-${MAX_LINK_DEPTH}). Deeper levels can still be loaded from the copy modal.`,
+    default: DEFAULT_LINK_DEPTH,
+  },
+};
+
+/**
+ * Clamp a traversal depth to a whole number between 0 and MAX_LINK_DEPTH.
+ *
+ * @param {unknown} value
+ * @param {number} [fallback=DEFAULT_LINK_DEPTH]
+ * @returns {number}
+ */
+export function normalize_link_depth(value, fallback = DEFAULT_LINK_DEPTH) {
+  if (value === null || value === undefined || value === '') return fallback;
+  const depth = Number(value);
+  if (!Number.isFinite(depth) || depth < 0) return fallback;
+  return Math.min(Math.floor(depth), MAX_LINK_DEPTH);
+}
+
+/**
+ * Resolve the configured traversal depth.
+ *
+ * @param {any} env
+ * @returns {number}
+ */
+export function get_link_depth_setting(env) {
+  return normalize_link_depth(
+    env?.smart_contexts?.settings?.link_depth
+    ?? env?.settings?.smart_contexts?.link_depth,
+  );
+}
+
+/**
+ * Return the depth a context was traversed to, or null when the context was
+ * not built from a link traversal.
+ *
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @returns {number|null}
+ */
+export function get_context_link_depth(ctx) {
+  const depth = ctx?.data?.link_depth;
+  return Number.isInteger(depth) && depth >= 0 ? depth : null;
+}
+
+/**
+ * Whether a traversed context may have links beyond its loaded depth.
+ *
+ * True when items reach the traversal frontier, since only those items can
+ * have unexplored neighbors.
+ *
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @returns {boolean}
+ */
+export function can_expand_link_depth(ctx) {
+  const link_depth = get_context_link_depth(ctx);
+  if (link_depth === null || link_depth >= MAX_LINK_DEPTH) return false;
+
+  const items = Object.values(ctx?.data?.context_items || {});
+  return items.some((item) => {
+    return item?.d === link_depth
+      && item?.from_codeblock !== true
+      && !item?.traversal_stop
+    ;
+  });
+}
+
+/**
+ * Whether a cached source context already covers a traversal request.
+ *
+ * @param {any} data - Existing SmartContext data.
+ * @param {object} params
+ * @param {number} params.link_depth
+ * @param {'out'|'in'|'both'} params.direction
+ * @param {boolean} params.include_self
+ * @param {string} [params.rules_key='']
+ * @returns {boolean}
+ */
+export function is_link_traversal_cached(data, params) {
+  if (!data || typeof data !== 'object') return false;
+  if (!Number.isInteger(data.link_depth) || data.link_depth < params.link_depth) return false;
+  return data.link_direction === params.direction
+    && data.link_include_self === params.include_self
+    && (data.link_rules_key || '') === (params.rules_key || '')
+  ;
+}
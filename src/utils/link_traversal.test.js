@@ -0,0 +1,48 @@
+import test from 'ava';
+import {
+  DEFAULT_LINK_DEPTH,
+  MAX_LINK_DEPTH,
+  can_expand_link_depth,
+  get_link_depth_setting,
+  is_link_traversal_cached,
+  normalize_link_depth,
+} from './link_traversal.js';
+
+test('normalize_link_depth clamps to whole depths and falls back on invalid input', (t) => {
+  t.is(normalize_link_depth(undefined), DEFAULT_LINK_DEPTH);
+  t.is(normalize_link_depth(''), DEFAULT_LINK_DEPTH);
+  t.is(normalize_link_depth(-1, 3), 3);
+  t.is(normalize_link_depth('1.7'), 1);
+  t.is(normalize_link_depth(0), 0);
+  t.is(normalize_link_depth(99), MAX_LINK_DEPTH);
+});
+
+test('get_link_depth_setting reads the smart_contexts settings', (t) => {
+  t.is(get_link_depth_setting({ smart_contexts: { settings: { link_depth: 1 } } }), 1);
+  t.is(get_link_depth_setting({ settings: { smart_contexts: { link_depth: 4 } } }), 4);
+  t.is(get_link_depth_setting({}), DEFAULT_LINK_DEPTH);
+});
+
+test('can_expand_link_depth requires items at the traversal frontier', (t) => {
+  const build_ctx = (link_depth, items) => ({
+    data: {
+      link_depth,
+      context_items: Object.fromEntries(items.map((item) => [item.key, item])),
+    },
+  });
+
+  t.true(can_expand_link_depth(build_ctx(1, [{ key: 'a', d: 0 }, { key: 'b', d: 1 }])));
+  t.false(can_expand_link_depth(build_ctx(2, [{ key: 'a', d: 0 }, { key: 'b', d: 1 }])));
+  t.false(can_expand_link_depth(build_ctx(0, [{ key: 'a', d: 0, from_codeblock: true }])));
+  t.false(can_expand_link_depth(build_ctx(undefined, [{ key: 'a', d: 0 }])));
+  t.false(can_expand_link_depth(build_ctx(MAX_LINK_DEPTH, [{ key: 'a', d: MAX_LINK_DEPTH }])));
+});
+
+test('is_link_traversal_cached reuses deeper traversals with the same shape', (t) => {
+  const data = { link_depth: 2, link_direction: 'both', link_include_self: true };
+  t.true(is_link_traversal_cached(data, { link_depth: 1, direction: 'both', include_self: true }));
+  t.true(is_link_traversal_cached(data, { link_depth: 2, direction: 'both', include_self: true }));
+  t.false(is_link_traversal_cached(data, { link_depth: 3, direction: 'both', include_self: true }));
+  t.false(is_link_traversal_cached(data, { link_depth: 1, direction: 'out', include_self: true }));
+  t.false(is_link_traversal_cached({ link_depth: null }, { link_depth: 0, direction: 'both', include_self: true }));
+});
@@ -0,0 +1,423 @@
+/**
+ * @file link_traversal_rules.js
+ * @description
+ * Stop-list rules for link traversal. A matching note is either included but
+ * not traversed (`stop`) or left out of the traversal entirely (`skip`). Hub
+ * and MOC notes are the usual targets: without a rule, following their links
+ * pulls in most of the vault at depth 2.
+ */
+
+export const TRAVERSAL_STOP_MODES = Object.freeze({
+  STOP: 'stop',
+  SKIP: 'skip',
+});
+
+export const DEFAULT_TRAVERSAL_FRONTMATTER_KEY = 'smart_context_traverse';
+
+/**
+ * Settings rows merged into the SmartContexts settings config.
+ */
+export const traversal_rules_settings_config = {
+  traversal_stop_folders: {
+    name: 'Include but do not traverse: folders',
+    type: 'text',
+    description: 'Comma-separated folders. Linked notes in these folders are included, but their links are not followed.',
+    default: '',
+  },
+  traversal_stop_tags: {
+    name: 'Include but do not traverse: tags',
+    type: 'text',
+    description: 'Comma-separated tags, for example #moc, #index.',
+    default: '',
+  },
+  traversal_skip_folders: {
+    name: 'Never traverse: folders',
+    type: 'text',
+    description: 'Comma-separated folders. Linked notes in these folders are left out of link traversal entirely.',
+    default: '',
+  },
+  traversal_skip_tags: {
+    name: 'Never traverse: tags',
+    type: 'text',
+    description: 'Comma-separated tags left out of link traversal entirely.',
+    default: '',
+  },
+  traversal_frontmatter_key: {
+    name: 'Traversal frontmatter property',
+    type: 'text',
+    description: 'Set this property to false or "stop" to include a note without traversing it, "never" to leave it out, or true to always traverse it.',
+    default: DEFAULT_TRAVERSAL_FRONTMATTER_KEY,
+  },
+  traversal_max_outlinks: {
+    name: 'Stop at notes with more outlinks than',
+    type: 'number',
+    description: 'Linked notes with more outlinks than this are included but not traversed. Use 0 to turn off.',
+    default: 0,
+  },
+};
+
+/**
+ * @typedef {object} TraversalRules
+ * @property {string[]} stop_folders
+ * @property {string[]} stop_tags
+ * @property {string[]} skip_folders
+ * @property {string[]} skip_tags
+ * @property {string} frontmatter_key
+ * @property {number} max_outlinks
+ */
+
+/**
+ * @typedef {object} TraversalStop
+ * @property {'stop'|'skip'} mode
+ * @property {string} reason
+ */
+
+/**
+ * Split a comma or newline separated setting into trimmed values.
+ *
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+export function parse_list_setting(value) {
+  const values = Array.isArray(value) ? value : String(value || '').split(/[,\n]/);
+  return values
+    .map((entry) => String(entry || '').trim())
+    .filter(Boolean)
+  ;
+}
+
+/**
+ * @param {object} [raw={}]
+ * @returns {TraversalRules}
+ */
+export function normalize_traversal_rules(raw = {}) {
+  const max_outlinks = Number(raw?.max_outlinks ?? raw?.traversal_max_outlinks);
+  return {
+    stop_folders: parse_list_setting(raw?.stop_folders ?? raw?.traversal_stop_folders).map(normalize_folder),
+    stop_tags: parse_list_setting(raw?.stop_tags ?? raw?.traversal_stop_tags).map(normalize_tag),
+    skip_folders: parse_list_setting(raw?.skip_folders ?? raw?.traversal_skip_folders).map(normalize_folder),
+    skip_tags: parse_list_setting(raw?.skip_tags ?? raw?.traversal_skip_tags).map(normalize_tag),
+    frontmatter_key: String(
+      raw?.frontmatter_key
+      ?? raw?.traversal_frontmatter_key
+      ?? DEFAULT_TRAVERSAL_FRONTMATTER_KEY,
+    ).trim(),
+    max_outlinks: Number.isFinite(max_outlinks) && max_outlinks > 0 ? Math.floor(max_outlinks) : 0,
+  };
+}
+
+/**
+ * Resolve traversal rules from settings.
+ *
+ * @param {any} env
+ * @returns {TraversalRules}
+ */
+export function get_traversal_rules(env) {
+  return normalize_traversal_rules(
+    env?.smart_contexts?.settings
+    ?? env?.settings?.smart_contexts
+    ?? {},
+  );
+}
+
+/**
+ * Stable key used to tell whether a cached traversal used the same rules.
+ *
+ * @param {TraversalRules} rules
+ * @returns {string}
+ */
+export function get_traversal_rules_key(rules) {
+  return has_traversal_rules(rules) ? JSON.stringify(rules) : '';
+}
+
+/**
+ * The frontmatter key counts as a rule while it is set; pass the rules
+ * through `resolve_active_traversal_rules` first so an unused key does not.
+ *
+ * @param {TraversalRules} rules
+ * @returns {boolean}
+ */
+export function has_traversal_rules(rules) {
+  if (!rules) return false;
+  return rules.stop_folders.length > 0
+    || rules.stop_tags.length > 0
+    || rules.skip_folders.length > 0
+    || rules.skip_tags.length > 0
+    || rules.max_outlinks > 0
+    || rules.frontmatter_key.length > 0
+  ;
+}
+
+/**
+ * Clear the frontmatter key when no note sets it. The key has a default, so
+ * without this every traversal would take the slower rule-aware walk.
+ *
+ * @param {TraversalRules} rules
+ * @param {(frontmatter_key:string)=>boolean} is_key_used
+ * @returns {TraversalRules}
+ */
+export function resolve_active_traversal_rules(rules, is_key_used) {
+  if (!rules?.frontmatter_key || is_key_used(rules.frontmatter_key)) return rules;
+  return { ...rules, frontmatter_key: '' };
+}
+
+/**
+ * Which notes set each frontmatter key. A key's notes are scanned once, on
+ * its first lookup; after that the note_* calls keep them current, so
+ * traversal does not read every note's frontmatter per call.
+ *
+ * @param {object} params
+ * @param {()=>string[]} params.list_paths - Markdown note paths.
+ * @param {(path:string)=>object|undefined} params.get_frontmatter
+ * @returns {{
+ *   is_used:(frontmatter_key:string)=>boolean,
+ *   note_changed:(path:string, frontmatter?:object)=>void,
+ *   note_deleted:(path:string)=>void,
+ *   note_renamed:(path:string, old_path:string)=>void,
+ * }}
+ */
+export function create_frontmatter_key_usage(params) {
+  /** @type {Map<string, Set<string>>} */
+  const paths_by_key = new Map();
+  const get_paths = (frontmatter_key) => {
+    if (!paths_by_key.has(frontmatter_key)) {
+      paths_by_key.set(frontmatter_key, new Set((params.list_paths() || []).filter((path) => {
+        return has_frontmatter_key(params.get_frontmatter(path), frontmatter_key);
+      })));
+    }
+    return paths_by_key.get(frontmatter_key);
+  };
+  return {
+    is_used: (frontmatter_key) => get_paths(frontmatter_key).size > 0,
+    note_changed(path, frontmatter) {
+      paths_by_key.forEach((paths, frontmatter_key) => {
+        if (has_frontmatter_key(frontmatter, frontmatter_key)) paths.add(path);
+        else paths.delete(path);
+      });
+    },
+    note_deleted(path) {
+      paths_by_key.forEach((paths) => paths.delete(path));
+    },
+    note_renamed(path, old_path) {
+      paths_by_key.forEach((paths) => {
+        if (paths.delete(old_path)) paths.add(path);
+      });
+    },
+  };
+}
+
+/**
+ * @param {object|undefined} frontmatter
+ * @param {string} frontmatter_key
+ * @returns {boolean}
+ */
+function has_frontmatter_key(frontmatter, frontmatter_key) {
+  return Boolean(frontmatter) && Object.prototype.hasOwnProperty.call(frontmatter, frontmatter_key);
+}
+
+/**
+ * Collect the rule inputs for one note from its Obsidian metadata cache entry.
+ *
+ * @param {any} item - SmartSource.
+ * @param {any} [file_cache] - Obsidian CachedMetadata.
+ * @returns {{ key:string, tags:string[], frontmatter:object, outlink_count:number }}
+ */
+export function build_traversal_note(item, file_cache) {
+  const frontmatter = file_cache?.frontmatter && typeof file_cache.frontmatter === 'object'
+    ? file_cache.frontmatter
+    : {}
+  ;
+  const tags = new Set();
+  (Array.isArray(file_cache?.tags) ? file_cache.tags : []).forEach((entry) => {
+    if (entry?.tag) tags.add(normalize_tag(entry.tag));
+  });
+  parse_list_setting(frontmatter.tags ?? frontmatter.tag).forEach((tag) => {
+    tags.add(normalize_tag(tag));
+  });
+  const outlinks = item?.outlinks;
+  return {
+    key: String(item?.key || ''),
+    tags: Array.from(tags),
+    frontmatter,
+    outlink_count: Array.isArray(outlinks) ? outlinks.length : 0,
+  };
+}
+
+/**
+ * Decide whether traversal should stop at a note.
+ *
+ * A frontmatter flag on the note wins over folder, tag and outlink rules.
+ *
+ * @param {{ key:string, tags?:string[], frontmatter?:object, outlink_count?:number }} note
+ * @param {TraversalRules} rules
+ * @returns {TraversalStop|null}
+ */
+export function get_traversal_stop(note, rules) {
+  if (!note?.key || !rules) return null;
+
+  if (rules.frontmatter_key) {
+    const flag = parse_frontmatter_flag(note.frontmatter?.[rules.frontmatter_key]);
+    const reason = `${rules.frontmatter_key}: ${String(note.frontmatter?.[rules.frontmatter_key])}`;
+    if (flag === 'traverse') return null;
+    if (flag) return { mode: flag, reason };
+  }
+
+  const tags = Array.isArray(note.tags) ? note.tags : [];
+  const skip_folder = rules.skip_folders.find((folder) => is_in_folder(note.key, folder));
+  if (skip_folder) return { mode: TRAVERSAL_STOP_MODES.SKIP, reason: `folder ${skip_folder}/` };
+  const skip_tag = rules.skip_tags.find((tag) => has_tag(tags, tag));
+  if (skip_tag) return { mode: TRAVERSAL_STOP_MODES.SKIP, reason: `tag ${skip_tag}` };
+
+  const stop_folder = rules.stop_folders.find((folder) => is_in_folder(note.key, folder));
+  if (stop_folder) return { mode: TRAVERSAL_STOP_MODES.STOP, reason: `folder ${stop_folder}/` };
+  const stop_tag = rules.stop_tags.find((tag) => has_tag(tags, tag));
+  if (stop_tag) return { mode: TRAVERSAL_STOP_MODES.STOP, reason: `tag ${stop_tag}` };
+
+  const outlink_count = Number(note.outlink_count) || 0;
+  if (rules.max_outlinks > 0 && outlink_count > rules.max_outlinks) {
+    return {
+      mode: TRAVERSAL_STOP_MODES.STOP,
+      reason: `${outlink_count} outlinks (limit ${rules.max_outlinks})`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Breadth-first link walk that applies traversal rules at every hop.
+ *
+ * The root is always traversed. Neighbor lookup is injected so the walk
+ * follows the same link resolution as the rest of the plugin. A neighbor may
+ * carry a `weight` (the depth one hop adds, default 1) and a `via_property`
+ * when the edge comes from a frontmatter property; the smallest total depth
+ * wins.
+ *
+ * @param {any} root_source
+ * @param {object} params
+ * @param {number} params.depth
+ * @param {(source:any, remaining_depth:number)=>Promise<Array<{ item:any, section?:any, weight?:number, via_property?:string }>>} params.get_neighbors
+ * @param {(item:any)=>{ key:string, tags?:string[], frontmatter?:object, outlink_count?:number }} params.get_note
+ * @param {TraversalRules} [params.rules]
+ * @param {boolean} [params.include_self=true]
+ * @returns {Promise<{
+ *   graph:Array<{ depth:number, item:any, section?:any, via_property?:string, traversal_stop?:TraversalStop }>,
+ *   stops:Array<{ key:string, d:number, mode:'stop'|'skip', reason:string }>,
+ * }>}
+ */
+export async function walk_links_with_rules(root_source, params) {
+  const max_depth = params.depth;
+  const root_key = root_source?.key;
+  /** @type {Map<string, { depth:number, item:any, section?:any, via_property?:string, traversal_stop?:TraversalStop }>} */
+  const best = new Map([[root_key, { depth: 0, item: root_source }]]);
+  /** @type {Map<string, { key:string, d:number, mode:'stop'|'skip', reason:string }>} */
+  const stops = new Map();
+  /** @type {Map<string, TraversalStop|null>} */
+  const stop_cache = new Map();
+  const buckets = Array.from({ length: max_depth + 1 }, () => []);
+  buckets[0].push(root_key);
+
+  const get_stop = (item) => {
+    if (!stop_cache.has(item.key)) {
+      stop_cache.set(item.key, params.rules ? get_traversal_stop(params.get_note(item), params.rules) : null);
+    }
+    return stop_cache.get(item.key);
+  };
+
+  for (let depth = 0; depth <= max_depth; depth += 1) {
+    // weight 0 edges append to the bucket being processed
+    for (let i = 0; i < buckets[depth].length; i += 1) {
+      const entry = best.get(buckets[depth][i]);
+      if (!entry || entry.depth !== depth || entry.traversal_stop) continue;
+
+      const neighbors = await params.get_neighbors(entry.item, max_depth - depth);
+      for (const neighbor of neighbors || []) {
+        const item = neighbor?.item;
+        const key = typeof item?.key === 'string' ? item.key : '';
+        if (!key || key === root_key) continue;
+        const weight = Number.isInteger(neighbor.weight) && neighbor.weight >= 0 ? neighbor.weight : 1;
+        const next_depth = depth + weight;
+        if (next_depth > max_depth) continue;
+        const existing = best.get(key);
+        if (existing && existing.depth <= next_depth) continue;
+
+        const stop = get_stop(item);
+        if (stop) {
+          const recorded = stops.get(key);
+          if (!recorded || recorded.d > next_depth) stops.set(key, { key, d: next_depth, ...stop });
+        }
+        if (stop?.mode === TRAVERSAL_STOP_MODES.SKIP) continue;
+
+        best.set(key, {
+          depth: next_depth,
+          item,
+          ...(neighbor.section ? { section: neighbor.section } : {}),
+          ...(neighbor.via_property ? { via_property: neighbor.via_property } : {}),
+          ...(stop ? { traversal_stop: stop } : {}),
+        });
+        buckets[next_depth].push(key);
+      }
+    }
+  }
+
+  const graph = Array.from(best.values())
+    .filter((entry) => params.include_self !== false || entry.item?.key !== root_key)
+    .sort((left, right) => left.depth - right.depth)
+  ;
+  return {
+    graph,
+    stops: Array.from(stops.values()).sort((left, right) => left.d - right.d),
+  };
+}
+
+/**
+ * @param {unknown} value
+ * @returns {'stop'|'skip'|'traverse'|null}
+ */
+function parse_frontmatter_flag(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value === true) return 'traverse';
+  if (value === false) return TRAVERSAL_STOP_MODES.STOP;
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'traverse'].includes(text)) return 'traverse';
+  if (['false', 'no', 'stop'].includes(text)) return TRAVERSAL_STOP_MODES.STOP;
+  if (['never', 'skip'].includes(text)) return TRAVERSAL_STOP_MODES.SKIP;
+  return null;
+}
+
+/**
+ * @param {string} key
+ * @param {string} folder
+ * @returns {boolean}
+ */
+function is_in_folder(key, folder) {
+  return Boolean(folder) && String(key).startsWith(`${folder}/`);
+}
+
+/**
+ * Nested tags match their parent (`#moc/area` matches `#moc`).
+ *
+ * @param {string[]} tags
+ * @param {string} tag
+ * @returns {boolean}
+ */
+export function has_tag(tags, tag) {
+  return tags.some((candidate) => candidate === tag || candidate.startsWith(`${tag}/`));
+}
+
+/**
+ * @param {string} folder
+ * @returns {string}
+ */
+function normalize_folder(folder) {
+  return String(folder || '').replace(/\\+/g, '/').replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * @param {string} tag
+ * @returns {string}
+ */
+export function normalize_tag(tag) {
+  const value = String(tag || '').trim().toLowerCase();
+  if (!value) return '';
+  return value.startsWith('#') ? value : `#${value}`;
+}
@@ -0,0 +1,139 @@
+import test from 'ava';
+import {
+  build_traversal_note,
+  create_frontmatter_key_usage,
+  get_traversal_rules_key,
+  get_traversal_stop,
+  has_traversal_rules,
+  normalize_traversal_rules,
+  resolve_active_traversal_rules,
+  walk_links_with_rules,
+} from './link_traversal_rules.js';
+
+test('normalize_traversal_rules reads comma separated settings', (t) => {
+  const rules = normalize_traversal_rules({
+    traversal_stop_folders: ' Index/, MOCs ',
+    traversal_stop_tags: 'moc, #Hub',
+    traversal_max_outlinks: '40',
+  });
+  t.deepEqual(rules.stop_folders, ['Index', 'MOCs']);
+  t.deepEqual(rules.stop_tags, ['#moc', '#hub']);
+  t.is(rules.max_outlinks, 40);
+  t.is(rules.frontmatter_key, 'smart_context_traverse');
+  t.true(has_traversal_rules(rules));
+  t.false(has_traversal_rules(normalize_traversal_rules({ traversal_frontmatter_key: '' })));
+  t.is(get_traversal_rules_key(normalize_traversal_rules({ traversal_frontmatter_key: '' })), '');
+});
+
+test('get_traversal_stop applies frontmatter, skip, stop, then outlink rules', (t) => {
+  const rules = normalize_traversal_rules({
+    traversal_stop_folders: 'Index',
+    traversal_stop_tags: '#moc',
+    traversal_skip_tags: '#private',
+    traversal_max_outlinks: 3,
+  });
+
+  t.deepEqual(
+    get_traversal_stop({ key: 'Index/Home.md' }, rules),
+    { mode: 'stop', reason: 'folder Index/' },
+  );
+  t.deepEqual(
+    get_traversal_stop({ key: 'a.md', tags: ['#moc/projects'] }, rules),
+    { mode: 'stop', reason: 'tag #moc' },
+  );
+  t.deepEqual(
+    get_traversal_stop({ key: 'Index/b.md', tags: ['#private'] }, rules),
+    { mode: 'skip', reason: 'tag #private' },
+  );
+  t.deepEqual(
+    get_traversal_stop({ key: 'c.md', outlink_count: 4 }, rules),
+    { mode: 'stop', reason: '4 outlinks (limit 3)' },
+  );
+  t.is(get_traversal_stop({ key: 'Index/d.md', frontmatter: { smart_context_traverse: true } }, rules), null);
+  t.deepEqual(
+    get_traversal_stop({ key: 'e.md', frontmatter: { smart_context_traverse: 'never' } }, rules),
+    { mode: 'skip', reason: 'smart_context_traverse: never' },
+  );
+  t.is(get_traversal_stop({ key: 'f.md', outlink_count: 3 }, rules), null);
+});
+
+test('build_traversal_note merges inline and frontmatter tags', (t) => {
+  const note = build_traversal_note(
+    { key: 'a.md', outlinks: [{ key: 'b.md' }, { key: 'c.md' }] },
+    { tags: [{ tag: '#Inline' }], frontmatter: { tags: ['moc'], smart_context_traverse: false } },
+  );
+  t.deepEqual(note.tags, ['#inline', '#moc']);
+  t.is(note.outlink_count, 2);
+  t.is(note.frontmatter.smart_context_traverse, false);
+});
+
+test('walk_links_with_rules includes stopped notes without following their links', async (t) => {
+  const links = {
+    root: ['moc', 'a'],
+    moc: ['x', 'y', 'z'],
+    a: ['b', 'private'],
+    b: ['c'],
+  };
+  const sources = {};
+  const get = (key) => {
+    if (!sources[key]) sources[key] = { key };
+    return sources[key];
+  };
+  const rules = normalize_traversal_rules({
+    traversal_stop_tags: '#moc',
+    traversal_skip_folders: '',
+    traversal_skip_tags: '#private',
+  });
+  const { graph, stops } = await walk_links_with_rules(get('root'), {
+    depth: 3,
+    rules,
+    get_neighbors: async (source) => (links[source.key] || []).map((key) => ({ item: get(key) })),
+    get_note: (item) => ({
+      key: item.key,
+      tags: item.key === 'moc' ? ['#moc'] : item.key === 'private' ? ['#private'] : [],
+    }),
+  });
+
+  t.deepEqual(
+    graph.map((entry) => `${entry.item.key}:${entry.depth}`),
+    ['root:0', 'moc:1', 'a:1', 'b:2', 'c:3'],
+  );
+  t.deepEqual(graph[1].traversal_stop, { mode: 'stop', reason: 'tag #moc' });
+  t.deepEqual(stops, [
+    { key: 'moc', d: 1, mode: 'stop', reason: 'tag #moc' },
+    { key: 'private', d: 2, mode: 'skip', reason: 'tag #private' },
+  ]);
+});
+
+test('default settings keep the fast traversal path until a note sets the frontmatter key', (t) => {
+  const frontmatters = {
+    'a.md': { tags: ['project'] },
+    'b.md': undefined,
+  };
+  let scans = 0;
+  const usage = create_frontmatter_key_usage({
+    list_paths: () => {
+      scans += 1;
+      return Object.keys(frontmatters);
+    },
+    get_frontmatter: (path) => frontmatters[path],
+  });
+  const check = (frontmatter_key) => usage.is_used(frontmatter_key);
+
+  const defaults = resolve_active_traversal_rules(normalize_traversal_rules({}), check);
+  t.is(defaults.frontmatter_key, '');
+  t.false(has_traversal_rules(defaults));
+  t.is(get_traversal_rules_key(defaults), '');
+
+  usage.note_changed('hub.md', { smart_context_traverse: 'stop' });
+  const in_use = resolve_active_traversal_rules(normalize_traversal_rules({}), check);
+  t.is(in_use.frontmatter_key, 'smart_context_traverse');
+  t.true(has_traversal_rules(in_use));
+
+  usage.note_renamed('maps/hub.md', 'hub.md');
+  t.true(check('smart_context_traverse'));
+  usage.note_deleted('maps/hub.md');
+  t.false(check('smart_context_traverse'));
+  // the vault is scanned once per key, not per lookup
+  t.is(scans, 1);
+});
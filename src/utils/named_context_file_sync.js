@@ -0,0 +1,356 @@
+/**
+ * @file named_context_file_sync.js
+ * @description
+ * Two-way sync between named contexts and their notes (see
+ * named_context_files.js). Context updates rewrite the note after a short
+ * delay; saving the note re-parses its codeblock into the context. Renaming a
+ * context renames its note and deleting a context trashes it. Deleting a note
+ * leaves the context alone; the next update writes the note again.
+ *
+ * Notes found at startup win over stored contexts, since they only differ
+ * after the note changed outside Obsidian (git pull, vault sync).
+ */
+
+import { MarkdownView } from 'obsidian';
+import { build_codeblock_entries } from './build_codeblock_entries.js';
+import {
+  create_codeblock_link_resolver,
+  get_codeblock_wikilinks_setting,
+} from './codeblock_links.js';
+import { parse_context_codeblock_ctx_key } from './context_codeblock_ranges.js';
+import {
+  NAMED_CONTEXT_KEY_PROPERTY,
+  build_named_context_file_path,
+  build_named_context_note,
+  get_named_context_files_settings,
+  is_named_context_file_path,
+  parse_named_context_note,
+} from './named_context_files.js';
+import { ensure_parent_folder } from './vault_folders.js';
+
+export const NAMED_CONTEXT_FILE_SYNC_DELAY_MS = 500;
+
+/**
+ * @param {import('../main.js').default} plugin
+ * @param {object} [params={}]
+ * @param {number} [params.delay_ms]
+ * @returns {{
+ *   start:()=>Promise<void>,
+ *   handle_file_change:(file:any)=>Promise<void>,
+ *   dispose:()=>void,
+ * }}
+ */
+export function create_named_context_file_sync(plugin, params = {}) {
+  const delay_ms = Number.isFinite(params.delay_ms) ? params.delay_ms : NAMED_CONTEXT_FILE_SYNC_DELAY_MS;
+  const app = plugin.app;
+  const env = plugin.env;
+  /** @type {Map<string, ReturnType<typeof setTimeout>>} */
+  const timers = new Map();
+  /** @type {Map<string, string>} Content last written or applied, by note path. */
+  const synced_content = new Map();
+  /** @type {Map<string, string>} Note path by context key. */
+  const paths_by_key = new Map();
+  const disposers = [];
+  let reconciled = false;
+
+  const get_settings = () => get_named_context_files_settings(env);
+
+  /**
+   * @param {string} key
+   * @returns {any|null} Named context, null for codeblock or unnamed contexts.
+   */
+  const get_named_context = (key) => {
+    if (!key || parse_context_codeblock_ctx_key(key)) return null;
+    const ctx = env?.smart_contexts?.get?.(key);
+    return String(ctx?.data?.name || '').trim() ? ctx : null;
+  };
+
+  /**
+   * @param {string} folder
+   * @returns {any[]} Markdown files in the notes folder.
+   */
+  const get_folder_files = (folder) => (app.vault.getMarkdownFiles?.() || [])
+    .filter((file) => is_named_context_file_path(file.path, folder))
+  ;
+
+  /**
+   * @param {string} key
+   * @param {string} folder
+   * @returns {any|null}
+   */
+  const find_note_file = (key, folder) => {
+    const known_path = paths_by_key.get(key);
+    const known_file = known_path ? app.vault.getAbstractFileByPath(known_path) : null;
+    if (known_file) return known_file;
+    return get_folder_files(folder).find((file) => {
+      return app.metadataCache?.getFileCache?.(file)?.frontmatter?.[NAMED_CONTEXT_KEY_PROPERTY] === key;
+    }) || null;
+  };
+
+  /**
+   * @param {any} ctx
+   * @param {string} path
+   * @param {string} markdown
+   * @returns {string}
+   */
+  const build_note = (ctx, path, markdown) => {
+    const wikilinks_option = ctx.data.codeblock_options?.wikilinks;
+    const entries = build_codeblock_entries({
+      ...ctx.data,
+      write_wikilinks: typeof wikilinks_option === 'boolean'
+        ? wikilinks_option
+        : get_codeblock_wikilinks_setting(env),
+      to_linktext: create_codeblock_link_resolver(app, path).to_linktext,
+    });
+    return build_named_context_note({ key: ctx.key, name: ctx.data.name, entries, markdown });
+  };
+
+  /**
+   * Path for a new note; another context's note at the name's path gets a
+   * numbered sibling.
+   *
+   * @param {any} ctx
+   * @param {string} folder
+   * @returns {Promise<string>}
+   */
+  const get_new_note_path = async (ctx, folder) => {
+    let path = build_named_context_file_path(folder, ctx.data.name);
+    for (let suffix = 2; app.vault.getAbstractFileByPath(path); suffix += 1) {
+      path = build_named_context_file_path(folder, `${ctx.data.name} ${suffix}`);
+    }
+    return path;
+  };
+
+  /**
+   * Rewrite an existing note from its current content. Uses the open editor
+   * when the note is active so the cursor and undo history survive.
+   *
+   * @param {any} file
+   * @param {(markdown:string)=>string} rewrite
+   * @returns {Promise<void>}
+   */
+  const rewrite_note = async (file, rewrite) => {
+    const active_view = app.workspace?.getActiveViewOfType?.(MarkdownView);
+    if (active_view?.file?.path === file.path && active_view.editor) {
+      const editor = active_view.editor;
+      const markdown = editor.getValue();
+      const next_markdown = rewrite(markdown);
+      if (next_markdown === markdown) return;
+      synced_content.set(file.path, next_markdown);
+      // only the changed text is replaced so a cursor elsewhere in the note stays put
+      const { start, end, text } = get_changed_range(markdown, next_markdown);
+      editor.replaceRange(text, editor.offsetToPos(start), editor.offsetToPos(end));
+      return;
+    }
+
+    const apply_rewrite = (markdown) => {
+      const next_markdown = rewrite(markdown);
+      if (next_markdown !== markdown) synced_content.set(file.path, next_markdown);
+      return next_markdown;
+    };
+    // process() reads and writes atomically, so a change synced in meanwhile is merged, not overwritten
+    if (typeof app.vault.process === 'function') {
+      await app.vault.process(file, apply_rewrite);
+      return;
+    }
+    const markdown = await app.vault.read(file);
+    const next_markdown = apply_rewrite(markdown);
+    if (next_markdown !== markdown) await app.vault.modify(file, next_markdown);
+  };
+
+  /**
+   * @param {any} ctx
+   * @returns {Promise<void>}
+   */
+  const write_context_note = async (ctx) => {
+    const { folder } = get_settings();
+    const file = find_note_file(ctx.key, folder);
+    const path = file?.path || await get_new_note_path(ctx, folder);
+    paths_by_key.set(ctx.key, path);
+    if (file) {
+      await rewrite_note(file, (markdown) => build_note(ctx, path, markdown));
+      return;
+    }
+    const next_markdown = build_note(ctx, path, '');
+    synced_content.set(path, next_markdown);
+    await ensure_parent_folder(app, path);
+    await app.vault.create(path, next_markdown);
+  };
+
+  /**
+   * @param {any} file
+   * @returns {Promise<void>}
+   */
+  const apply_note = async (file) => {
+    const markdown = await app.vault.read(file);
+    if (synced_content.get(file.path) === markdown) return;
+    const parsed = parse_named_context_note(markdown);
+    if (!parsed || parse_context_codeblock_ctx_key(parsed.key)) return;
+    synced_content.set(file.path, markdown);
+    paths_by_key.set(parsed.key, file.path);
+
+    const smart_contexts = env.smart_contexts;
+    let ctx = smart_contexts.get(parsed.key);
+    if (ctx && ctx.data.name === parsed.name && build_note(ctx, file.path, markdown) === markdown) return;
+    if (!ctx) {
+      ctx = smart_contexts.new_context({ key: parsed.key, name: parsed.name, context_items: {} });
+    } else if (ctx.data.name !== parsed.name) {
+      ctx.name = parsed.name; // triggers name event
+    }
+    ctx.actions.context_parse_codeblock({ cb_content: parsed.cb_content, host_path: file.path });
+    await ctx.queue_save?.();
+    await smart_contexts.process_save_queue?.();
+  };
+
+  /**
+   * Import notes first, then write notes for named contexts without one.
+   *
+   * @returns {Promise<void>}
+   */
+  const reconcile = async () => {
+    reconciled = true;
+    const { folder } = get_settings();
+    for (const file of get_folder_files(folder)) {
+      try {
+        await apply_note(file);
+      } catch (error) {
+        console.warn('Failed to read named context note', { path: file.path, error });
+      }
+    }
+    for (const ctx of Object.values(env.smart_contexts?.items || {})) {
+      if (!get_named_context(ctx?.key) || paths_by_key.has(ctx.key)) continue;
+      await run_safely(() => write_context_note(ctx), ctx.key);
+    }
+  };
+
+  /**
+   * @param {() => Promise<void>} fn
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  const run_safely = async (fn, key) => {
+    try {
+      await fn();
+    } catch (error) {
+      console.error('Smart Context: Failed to sync named context note', error);
+      env?.events?.emit?.('notification:error', {
+        level: 'error',
+        message: 'Failed to update the note for a named context.',
+        details: error instanceof Error ? error.message : String(error || ''),
+        item_key: key,
+        event_source: 'named_context_file_sync',
+      });
+    }
+  };
+
+  /**
+   * @returns {Promise<boolean>} Whether syncing is enabled.
+   */
+  const ensure_enabled = async () => {
+    if (!get_settings().enabled) return false;
+    if (!reconciled) await reconcile();
+    return true;
+  };
+
+  /**
+   * @param {string} key
+   * @returns {void}
+   */
+  const schedule_write = (key) => {
+    if (timers.has(key)) clearTimeout(timers.get(key));
+    timers.set(key, setTimeout(async () => {
+      timers.delete(key);
+      if (!await ensure_enabled()) return;
+      const ctx = get_named_context(key);
+      if (ctx) await run_safely(() => write_context_note(ctx), key);
+    }, delay_ms));
+  };
+
+  const on_updated = (payload = {}) => {
+    if (!get_settings().enabled || !get_named_context(payload.item_key)) return;
+    schedule_write(payload.item_key);
+  };
+
+  const on_renamed = async (payload = {}) => {
+    if (!await ensure_enabled()) return;
+    const ctx = get_named_context(payload.item_key);
+    if (!ctx) return;
+    await run_safely(async () => {
+      const { folder } = get_settings();
+      const file = find_note_file(ctx.key, folder);
+      const next_path = build_named_context_file_path(folder, ctx.data.name);
+      if (file && file.path !== next_path && !app.vault.getAbstractFileByPath(next_path)) {
+        const rename_file = app.fileManager?.renameFile?.bind(app.fileManager)
+          ?? app.vault.rename.bind(app.vault)
+        ;
+        await rename_file(file, next_path);
+        paths_by_key.set(ctx.key, next_path);
+      }
+      await write_context_note(ctx);
+    }, ctx.key);
+  };
+
+  const on_deleted = async (payload = {}) => {
+    if (!await ensure_enabled() || !payload.item_key) return;
+    const file = find_note_file(payload.item_key, get_settings().folder);
+    paths_by_key.delete(payload.item_key);
+    if (!file) return;
+    await run_safely(async () => {
+      if (typeof app.fileManager?.trashFile === 'function') await app.fileManager.trashFile(file);
+      else await app.vault.trash(file, true);
+      synced_content.delete(file.path);
+    }, payload.item_key);
+  };
+
+  return {
+    async start() {
+      disposers.push(
+        env.events.on('context:updated', on_updated),
+        env.events.on('context:renamed', on_renamed),
+        env.events.on('context:deleted', on_deleted),
+      );
+      await ensure_enabled();
+    },
+    async handle_file_change(file) {
+      if (!file?.path || !get_settings().enabled) return;
+      if (!is_named_context_file_path(file.path, get_settings().folder)) return;
+      if (!reconciled) {
+        await reconcile();
+        return;
+      }
+      try {
+        await apply_note(file);
+      } catch (error) {
+        console.warn('Failed to read named context note', { path: file.path, error });
+      }
+    },
+    dispose() {
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+      disposers.splice(0).forEach((dispose) => dispose?.());
+    },
+  };
+}
+
+/**
+ * Smallest span of `markdown` to replace with `text` to get `next_markdown`.
+ *
+ * @param {string} markdown
+ * @param {string} next_markdown
+ * @returns {{ start:number, end:number, text:string }} Offsets into `markdown`.
+ */
+function get_changed_range(markdown, next_markdown) {
+  const max = Math.min(markdown.length, next_markdown.length);
+  let start = 0;
+  while (start < max && markdown[start] === next_markdown[start]) start += 1;
+  let suffix = 0;
+  while (
+    suffix < max - start
+    && markdown[markdown.length - 1 - suffix] === next_markdown[next_markdown.length - 1 - suffix]
+  ) suffix += 1;
+  return {
+    start,
+    end: markdown.length - suffix,
+    text: next_markdown.slice(start, next_markdown.length - suffix),
+  };
+}
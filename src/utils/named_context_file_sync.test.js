@@ -0,0 +1,265 @@
+import test from 'ava';
+import { create_named_context_file_sync } from './named_context_file_sync.js';
+import { build_named_context_note, parse_named_context_note } from './named_context_files.js';
+
+const FOLDER = 'Contexts';
+
+/**
+ * Context with a stand-in parse action that keeps one item per line.
+ *
+ * @param {object} data
+ * @returns {object}
+ */
+function create_ctx(data) {
+  const ctx = {
+    key: data.key,
+    data: { context_items: {}, ...data },
+    parsed: [],
+    saves: 0,
+    actions: {
+      context_parse_codeblock: ({ cb_content }) => {
+        ctx.parsed.push(cb_content);
+        ctx.data.context_items = {};
+        cb_content.split('\n').map((line) => line.trim()).filter(Boolean).forEach((line) => {
+          ctx.data.context_items[line] = { key: line, d: 0 };
+        });
+      },
+    },
+    queue_save() { ctx.saves += 1; },
+    set name(value) { ctx.data.name = value; },
+  };
+  return ctx;
+}
+
+/**
+ * @param {object} [params={}]
+ * @param {Record<string, string>} [params.files] - Note content by path.
+ * @param {Array<object>} [params.contexts] - Stored context data.
+ * @returns {object}
+ */
+function create_fake_plugin(params = {}) {
+  const files = new Map(Object.entries(params.files || {}));
+  const calls = { process: [], create: [], trash: [] };
+  const listeners = {};
+  const items = {};
+  const state = { sync: null, active_view: null };
+  const get_file = (path) => (files.has(path) ? { path, extension: 'md' } : null);
+  // vault events run the sync like the plugin's modify and create listeners
+  const emit_file_change = (path) => state.sync?.handle_file_change(get_file(path));
+
+  const app = {
+    workspace: { getActiveViewOfType: () => state.active_view },
+    metadataCache: {
+      getFileCache: (file) => ({
+        frontmatter: { smart_context_key: parse_named_context_note(files.get(file.path))?.key },
+      }),
+    },
+    vault: {
+      getMarkdownFiles: () => Array.from(files.keys()).map(get_file),
+      getAbstractFileByPath: (path) => get_file(path)
+        || (Array.from(files.keys()).some((file_path) => file_path.startsWith(`${path}/`)) ? { path } : null),
+      createFolder: async () => {},
+      read: async (file) => files.get(file.path),
+      process: async (file, fn) => {
+        calls.process.push(file.path);
+        files.set(file.path, fn(files.get(file.path)));
+        await emit_file_change(file.path);
+      },
+      modify: async () => { throw new Error('modify should not be used when process() exists'); },
+      create: async (path, data) => {
+        calls.create.push(path);
+        files.set(path, data);
+        await emit_file_change(path);
+      },
+    },
+    fileManager: {
+      renameFile: async (file, next_path) => {
+        files.set(next_path, files.get(file.path));
+        files.delete(file.path);
+      },
+      trashFile: async (file) => {
+        calls.trash.push(file.path);
+        files.delete(file.path);
+      },
+    },
+  };
+  const smart_contexts = {
+    settings: { named_context_files: true, named_context_files_folder: FOLDER },
+    items,
+    get: (key) => items[key] || null,
+    new_context: (data) => {
+      items[data.key] = create_ctx(data);
+      return items[data.key];
+    },
+    process_save_queue: async () => {},
+  };
+  (params.contexts || []).forEach((data) => smart_contexts.new_context(data));
+  const env = {
+    smart_contexts,
+    events: {
+      on: (name, fn) => {
+        listeners[name] = fn;
+        return () => delete listeners[name];
+      },
+      emit: (name, payload) => listeners[name]?.(payload),
+    },
+  };
+  return { plugin: { app, env }, files, calls, state, emit_file_change };
+}
+
+/**
+ * @param {object} plugin_setup - From create_fake_plugin.
+ * @returns {Promise<ReturnType<typeof create_named_context_file_sync>>}
+ */
+async function start_sync(plugin_setup) {
+  const sync = create_named_context_file_sync(plugin_setup.plugin, { delay_ms: 0 });
+  plugin_setup.state.sync = sync;
+  await sync.start();
+  return sync;
+}
+
+const wait_for_write = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+const auth_note = [
+  build_named_context_note({ key: 'auth', name: 'Auth', entries: ['Specs/auth.md', 'Specs/tokens.md'] }).trimEnd(),
+  '',
+  'Notes for reviewers.',
+  '',
+].join('\n');
+
+test('startup reconcile lets the note win and writes notes for contexts without one', async (t) => {
+  const setup = create_fake_plugin({
+    files: { 'Contexts/Auth.md': auth_note },
+    contexts: [
+      { key: 'auth', name: 'Auth', context_items: { 'Specs/old.md': { key: 'Specs/old.md', d: 0 } } },
+      { key: 'billing', name: 'Billing', context_items: { 'Specs/billing.md': { key: 'Specs/billing.md', d: 0 } } },
+      { key: 'scratch', context_items: { 'Specs/scratch.md': { key: 'Specs/scratch.md', d: 0 } } },
+    ],
+  });
+  const sync = await start_sync(setup);
+  const auth = setup.plugin.env.smart_contexts.get('auth');
+
+  t.deepEqual(Object.keys(auth.data.context_items), ['Specs/auth.md', 'Specs/tokens.md']);
+  t.is(setup.files.get('Contexts/Auth.md'), auth_note);
+  t.deepEqual(setup.calls.create, ['Contexts/Billing.md']);
+  t.is(
+    setup.files.get('Contexts/Billing.md'),
+    build_named_context_note({ key: 'billing', name: 'Billing', entries: ['Specs/billing.md'] }),
+  );
+  // the create event for the written note is not parsed back
+  t.deepEqual(setup.plugin.env.smart_contexts.get('billing').parsed, []);
+  sync.dispose();
+});
+
+test('a Builder update rewrites the note once without parsing it back', async (t) => {
+  const setup = create_fake_plugin({
+    files: { 'Contexts/Auth.md': auth_note },
+    contexts: [{ key: 'auth', name: 'Auth' }],
+  });
+  const sync = await start_sync(setup);
+  const auth = setup.plugin.env.smart_contexts.get('auth');
+  const parsed_count = auth.parsed.length;
+
+  auth.data.context_items['Specs/new.md'] = { key: 'Specs/new.md', d: 0 };
+  setup.plugin.env.events.emit('context:updated', { item_key: 'auth' });
+  await wait_for_write();
+
+  const markdown = setup.files.get('Contexts/Auth.md');
+  t.is(parse_named_context_note(markdown).cb_content, 'Specs/auth.md\nSpecs/tokens.md\nSpecs/new.md');
+  t.true(markdown.endsWith('Notes for reviewers.\n'));
+  t.deepEqual(setup.calls.process, ['Contexts/Auth.md']);
+  // the modify event for our own write matches synced_content
+  t.is(auth.parsed.length, parsed_count);
+
+  // an edit made after the write is still applied
+  setup.files.set('Contexts/Auth.md', markdown.replace('Specs/new.md\n', ''));
+  await setup.emit_file_change('Contexts/Auth.md');
+  t.is(auth.parsed.length, parsed_count + 1);
+  sync.dispose();
+});
+
+test('a Builder update edits the note through the editor when it is open', async (t) => {
+  const setup = create_fake_plugin({
+    files: { 'Contexts/Auth.md': auth_note },
+    contexts: [{ key: 'auth', name: 'Auth' }],
+  });
+  const sync = await start_sync(setup);
+  const auth = setup.plugin.env.smart_contexts.get('auth');
+
+  let value = auth_note;
+  const replacements = [];
+  const to_offset = ({ line, ch }) => value.split('\n').slice(0, line).reduce((sum, text) => sum + text.length + 1, 0) + ch;
+  setup.state.active_view = {
+    file: { path: 'Contexts/Auth.md' },
+    editor: {
+      getValue: () => value,
+      offsetToPos: (offset) => {
+        const lines = value.slice(0, offset).split('\n');
+        return { line: lines.length - 1, ch: lines[lines.length - 1].length };
+      },
+      replaceRange: (text, from, to) => {
+        replacements.push(text);
+        value = value.slice(0, to_offset(from)) + text + value.slice(to_offset(to));
+      },
+    },
+  };
+
+  auth.data.context_items['Specs/new.md'] = { key: 'Specs/new.md', d: 0 };
+  setup.plugin.env.events.emit('context:updated', { item_key: 'auth' });
+  await wait_for_write();
+
+  t.is(parse_named_context_note(value).cb_content, 'Specs/auth.md\nSpecs/tokens.md\nSpecs/new.md');
+  t.true(value.endsWith('Notes for reviewers.\n'));
+  // only the added line is replaced
+  t.deepEqual(replacements, ['Specs/new.md\n']);
+  t.deepEqual(setup.calls.process, []);
+  sync.dispose();
+});
+
+test('editing the note re-parses its codeblock and name into the context', async (t) => {
+  const setup = create_fake_plugin({
+    files: { 'Contexts/Auth.md': auth_note },
+    contexts: [{ key: 'auth', name: 'Auth' }],
+  });
+  const sync = await start_sync(setup);
+  const auth = setup.plugin.env.smart_contexts.get('auth');
+
+  setup.files.set(
+    'Contexts/Auth.md',
+    auth_note
+      .replace('smart_context_name: "Auth"', 'smart_context_name: "Auth flow"')
+      .replace('Specs/tokens.md\n', 'Specs/tokens.md\nSpecs/session.md\n'),
+  );
+  await setup.emit_file_change('Contexts/Auth.md');
+
+  t.is(auth.data.name, 'Auth flow');
+  t.deepEqual(Object.keys(auth.data.context_items), ['Specs/auth.md', 'Specs/tokens.md', 'Specs/session.md']);
+  t.true(auth.saves > 0);
+
+  // notes outside the folder are ignored
+  const saves = auth.saves;
+  await sync.handle_file_change({ path: 'Elsewhere/Auth.md' });
+  t.is(auth.saves, saves);
+  sync.dispose();
+});
+
+test('renaming a context renames its note and deleting it trashes the note', async (t) => {
+  const setup = create_fake_plugin({
+    files: { 'Contexts/Auth.md': auth_note },
+    contexts: [{ key: 'auth', name: 'Auth' }],
+  });
+  const sync = await start_sync(setup);
+  const auth = setup.plugin.env.smart_contexts.get('auth');
+
+  auth.data.name = 'Auth v2';
+  await setup.plugin.env.events.emit('context:renamed', { item_key: 'auth' });
+  t.false(setup.files.has('Contexts/Auth.md'));
+  const renamed = setup.files.get('Contexts/Auth v2.md');
+  t.like(parse_named_context_note(renamed), { key: 'auth', name: 'Auth v2' });
+  t.true(renamed.endsWith('Notes for reviewers.\n'));
+
+  await setup.plugin.env.events.emit('context:deleted', { item_key: 'auth' });
+  t.deepEqual(setup.calls.trash, ['Contexts/Auth v2.md']);
+  t.false(setup.files.has('Contexts/Auth v2.md'));
+  sync.dispose();
+});
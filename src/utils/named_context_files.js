@@ -0,0 +1,221 @@
+/**
+ * @file named_context_files.js
+ * @description
+ * Named contexts stored as notes: frontmatter holds the context key and name,
+ * a `ctx` codeblock holds its lines. Anything else in the note (headings,
+ * prose for reviewers) is left alone when the context rewrites it. No
+ * Obsidian dependencies; the sync in named_context_file_sync.js does the vault
+ * access.
+ */
+
+import { merge_codeblock_lines } from './codeblock_sync.js';
+import { find_context_codeblock_range } from './context_codeblock_ranges.js';
+import { default_context_codeblock_type } from './context_codeblock_constants.js';
+
+export const DEFAULT_NAMED_CONTEXT_FOLDER = 'Smart Contexts';
+export const NAMED_CONTEXT_KEY_PROPERTY = 'smart_context_key';
+export const NAMED_CONTEXT_NAME_PROPERTY = 'smart_context_name';
+
+/**
+ * Settings rows merged into the SmartContexts settings config.
+ */
+export const named_context_files_settings_config = {
+  named_context_files: {
+    name: 'Store named contexts as notes',
+    type: 'toggle',
+    description: 'Keep a markdown note for every named context so they sync with git and other vault sync. Editing the note updates the context; Builder edits rewrite the note.',
+    default: false,
+  },
+  named_context_files_folder: {
+    name: 'Named context notes folder',
+    type: 'text',
+    description: 'Vault folder for named context notes.',
+    default: DEFAULT_NAMED_CONTEXT_FOLDER,
+  },
+};
+
+/**
+ * @param {any} env
+ * @returns {{ enabled:boolean, folder:string }}
+ */
+export function get_named_context_files_settings(env) {
+  const settings = env?.smart_contexts?.settings
+    ?? env?.settings?.smart_contexts
+    ?? {}
+  ;
+  return {
+    enabled: settings.named_context_files === true,
+    folder: normalize_folder(settings.named_context_files_folder) || DEFAULT_NAMED_CONTEXT_FOLDER,
+  };
+}
+
+/**
+ * @param {string} folder
+ * @param {string} name - Context name.
+ * @returns {string}
+ */
+export function build_named_context_file_path(folder, name) {
+  const file_name = String(name || '')
+    .replace(/[\\/:*?"<>|#^[\]]+/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    || 'context'
+  ;
+  const folder_path = normalize_folder(folder);
+  return folder_path ? `${folder_path}/${file_name}.md` : `${file_name}.md`;
+}
+
+/**
+ * @param {string} path
+ * @param {string} folder
+ * @returns {boolean}
+ */
+export function is_named_context_file_path(path, folder) {
+  const folder_path = normalize_folder(folder);
+  const value = String(path || '');
+  if (!value.endsWith('.md')) return false;
+  return folder_path ? value.startsWith(`${folder_path}/`) : true;
+}
+
+/**
+ * Key of the named context a rendered codeblock belongs to. Only the first
+ * context codeblock of a note in the notes folder is the named context's;
+ * other codeblocks in the note stay ordinary codeblock contexts.
+ *
+ * @param {any} env
+ * @param {object} params
+ * @param {string} params.path
+ * @param {object} [params.frontmatter]
+ * @param {string} [params.markdown] - Note text, to tell which codeblock is first.
+ * @param {number} [params.line_start] - Opening fence line of the rendered codeblock.
+ * @returns {string} Empty when the codeblock is not a named context's.
+ */
+export function get_named_context_codeblock_key(env, params) {
+  const settings = get_named_context_files_settings(env);
+  if (!settings.enabled || !is_named_context_file_path(params.path, settings.folder)) return '';
+  const key = String(params.frontmatter?.[NAMED_CONTEXT_KEY_PROPERTY] || '').trim();
+  if (!key || typeof params.markdown !== 'string' || !Number.isFinite(params.line_start)) return key;
+  return find_context_codeblock_range(params.markdown)?.start === params.line_start ? key : '';
+}
+
+/**
+ * @param {string} markdown
+ * @returns {{ key:string, name:string, cb_content:string }|null} Null when the note is not a named context note.
+ */
+export function parse_named_context_note(markdown = '') {
+  const lines = String(markdown || '').replace(/\r\n/g, '\n').split('\n');
+  const frontmatter = read_frontmatter(lines);
+  const key = frontmatter.values[NAMED_CONTEXT_KEY_PROPERTY];
+  if (!key) return null;
+  const range = find_context_codeblock_range(lines);
+  return {
+    key,
+    name: frontmatter.values[NAMED_CONTEXT_NAME_PROPERTY] || key,
+    cb_content: range ? lines.slice(range.start + 1, range.end).join('\n') : '',
+  };
+}
+
+/**
+ * Build the note for a named context, or update an existing one: the
+ * frontmatter properties are set and the first ctx codeblock is merged with
+ * `entries` like a synced codeblock.
+ *
+ * @param {object} params
+ * @param {string} params.key
+ * @param {string} params.name
+ * @param {string[]} params.entries - From build_codeblock_entries.
+ * @param {string} [params.markdown] - Current note content.
+ * @returns {string}
+ */
+export function build_named_context_note(params) {
+  const markdown = String(params.markdown || '');
+  const newline = markdown.includes('\r\n') ? '\r\n' : '\n';
+  let lines = markdown ? markdown.replace(/\r\n/g, '\n').split('\n') : [];
+  lines = write_frontmatter(lines, {
+    [NAMED_CONTEXT_KEY_PROPERTY]: params.key,
+    [NAMED_CONTEXT_NAME_PROPERTY]: params.name,
+  });
+
+  const range = find_context_codeblock_range(lines);
+  if (range) {
+    const block_lines = merge_codeblock_lines(lines.slice(range.start + 1, range.end), params.entries);
+    lines = [...lines.slice(0, range.start + 1), ...block_lines, ...lines.slice(range.end)];
+  } else {
+    while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+    lines.push('', `\`\`\`${default_context_codeblock_type}`, ...params.entries, '```', '');
+  }
+  return lines.join('\n').replace(/\n/g, newline);
+}
+
+/**
+ * @param {string[]} lines
+ * @returns {{ end:number, values:Record<string, string> }} `end` is the closing `---` line, -1 without frontmatter.
+ */
+function read_frontmatter(lines) {
+  const values = {};
+  if (lines[0]?.trim() !== '---') return { end: -1, values };
+  for (let i = 1; i < lines.length; i += 1) {
+    if (lines[i].trim() === '---') return { end: i, values };
+    const match = lines[i].match(/^([A-Za-z0-9_-]+):\s*(.*)$/);
+    if (match) values[match[1]] = read_yaml_string(match[2]);
+  }
+  return { end: -1, values: {} };
+}
+
+/**
+ * @param {string[]} lines
+ * @param {Record<string, string>} values
+ * @returns {string[]}
+ */
+function write_frontmatter(lines, values) {
+  const property_lines = Object.entries(values)
+    .map(([name, value]) => [name, `${name}: ${JSON.stringify(String(value ?? ''))}`])
+  ;
+  if (read_frontmatter(lines).end === -1) {
+    return ['---', ...property_lines.map(([, line]) => line), '---', ...lines];
+  }
+  const next_lines = lines.slice();
+  property_lines.forEach(([name, property_line]) => {
+    const { end } = read_frontmatter(next_lines);
+    const line_index = next_lines
+      .slice(1, end)
+      .findIndex((line) => line.startsWith(`${name}:`))
+    ;
+    if (line_index === -1) next_lines.splice(end, 0, property_line);
+    else next_lines[line_index + 1] = property_line;
+  });
+  return next_lines;
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function read_yaml_string(value) {
+  const trimmed = String(value || '').trim();
+  if (trimmed.startsWith('"')) {
+    try {
+      return String(JSON.parse(trimmed));
+    } catch {
+      return trimmed.slice(1, -1);
+    }
+  }
+  if (trimmed.startsWith("'") && trimmed.endsWith("'")) {
+    return trimmed.slice(1, -1).replace(/''/g, "'");
+  }
+  return trimmed;
+}
+
+/**
+ * @param {unknown} folder
+ * @returns {string}
+ */
+function normalize_folder(folder) {
+  return String(folder || '')
+    .replace(/\\+/g, '/')
+    .split('/')
+    .map((segment) => segment.trim())
+    .filter((segment) => segment && segment !== '.' && segment !== '..')
+    .join('/')
+  ;
+}
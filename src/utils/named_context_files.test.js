@@ -0,0 +1,111 @@
+import test from 'ava';
+import {
+  build_named_context_file_path,
+  build_named_context_note,
+  get_named_context_codeblock_key,
+  get_named_context_files_settings,
+  is_named_context_file_path,
+  parse_named_context_note,
+} from './named_context_files.js';
+
+test('get_named_context_files_settings defaults to off with the default folder', (t) => {
+  t.deepEqual(get_named_context_files_settings({}), { enabled: false, folder: 'Smart Contexts' });
+  t.deepEqual(
+    get_named_context_files_settings({
+      smart_contexts: { settings: { named_context_files: true, named_context_files_folder: ' /Work/../Contexts/ ' } },
+    }),
+    { enabled: true, folder: 'Work/Contexts' },
+  );
+});
+
+test('build_named_context_file_path sanitizes the context name', (t) => {
+  t.is(build_named_context_file_path('Smart Contexts', 'Auth: plan #2'), 'Smart Contexts/Auth- plan -2.md');
+  t.is(build_named_context_file_path('', '  '), 'context.md');
+  t.true(is_named_context_file_path('Smart Contexts/Auth.md', 'Smart Contexts'));
+  t.false(is_named_context_file_path('Smart Contexts Old/Auth.md', 'Smart Contexts'));
+  t.false(is_named_context_file_path('Smart Contexts/auth.json', 'Smart Contexts'));
+});
+
+test('build_named_context_note writes frontmatter and a ctx codeblock', (t) => {
+  const markdown = build_named_context_note({
+    key: 'auth-plan',
+    name: 'Auth "plan"',
+    entries: ['Specs/auth.md', 'ctx:: Research'],
+  });
+  t.is(markdown, [
+    '---',
+    'smart_context_key: "auth-plan"',
+    'smart_context_name: "Auth \\"plan\\""',
+    '---',
+    '',
+    '```ctx',
+    'Specs/auth.md',
+    'ctx:: Research',
+    '```',
+    '',
+  ].join('\n'));
+  t.deepEqual(parse_named_context_note(markdown), {
+    key: 'auth-plan',
+    name: 'Auth "plan"',
+    cb_content: 'Specs/auth.md\nctx:: Research',
+  });
+});
+
+test('build_named_context_note keeps other frontmatter, prose and comments', (t) => {
+  const markdown = [
+    '---',
+    'tags: [context]',
+    'smart_context_name: Old name',
+    '---',
+    '# Auth',
+    'Notes for reviewers.',
+    '```ctx',
+    '# keep this',
+    'Specs/auth.md',
+    'Specs/old.md',
+    '```',
+  ].join('\r\n');
+  const next = build_named_context_note({
+    key: 'auth',
+    name: 'Auth',
+    entries: ['Specs/auth.md', 'Specs/new.md'],
+    markdown,
+  });
+  t.true(next.includes('\r\n'));
+  const lines = next.split('\r\n');
+  t.deepEqual(lines.slice(0, 5), [
+    '---',
+    'tags: [context]',
+    'smart_context_name: "Auth"',
+    'smart_context_key: "auth"',
+    '---',
+  ]);
+  t.true(lines.includes('Notes for reviewers.'));
+  t.true(lines.includes('# keep this'));
+  t.true(lines.includes('Specs/new.md'));
+  t.false(lines.includes('Specs/old.md'));
+});
+
+test('parse_named_context_note ignores notes without a context key', (t) => {
+  t.is(parse_named_context_note('# Just a note\n```smart-context\nA.md\n```'), null);
+  t.like(parse_named_context_note("---\nsmart_context_key: 'a'\n---\nNo codeblock yet."), {
+    key: 'a',
+    name: 'a',
+    cb_content: '',
+  });
+});
+
+test('get_named_context_codeblock_key binds the first codeblock of a named context note', (t) => {
+  const env = {
+    smart_contexts: { settings: { named_context_files: true, named_context_files_folder: 'Contexts' } },
+  };
+  const frontmatter = { smart_context_key: 'auth' };
+  const markdown = ['---', 'smart_context_key: auth', '---', '```ctx', 'a.md', '```', '```ctx extra', 'b.md', '```'].join('\n');
+
+  t.is(get_named_context_codeblock_key(env, { path: 'Contexts/Auth.md', frontmatter }), 'auth');
+  t.is(get_named_context_codeblock_key(env, { path: 'Contexts/Auth.md', frontmatter, markdown, line_start: 3 }), 'auth');
+  t.is(get_named_context_codeblock_key(env, { path: 'Contexts/Auth.md', frontmatter, markdown, line_start: 6 }), '');
+  t.is(get_named_context_codeblock_key(env, { path: 'Elsewhere/Auth.md', frontmatter }), '');
+  t.is(get_named_context_codeblock_key(env, { path: 'Contexts/Plain.md', frontmatter: {} }), '');
+  t.is(get_named_context_codeblock_key({}, { path: 'Contexts/Auth.md', frontmatter }), '');
+});
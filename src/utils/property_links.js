@@ -0,0 +1,207 @@
+/**
+ * @file property_links.js
+ * @description
+ * Frontmatter properties as link traversal edges. Each configured property has
+ * its own direction and depth weight, so `related: [[Note]]` can be followed
+ * like a body link while `project: [[Project]]` only counts from the note that
+ * declares it.
+ */
+
+import { MAX_LINK_DEPTH } from './link_traversal.js';
+
+// Mirrors LINK_DIRECTIONS from smart-sources; kept local so this module stays
+// free of collection imports.
+const LINK_DIRECTIONS = Object.freeze({
+  OUT: 'out',
+  IN: 'in',
+  BOTH: 'both',
+});
+
+/**
+ * Settings rows merged into the SmartContexts settings config.
+ */
+export const property_links_settings_config = {
+  property_links: {
+    name: 'Property links',
+    type: 'text',
+    description: 'Comma-separated frontmatter properties followed like links: name[:out|in|both][:depth weight], for example "related, project:out, depends_on:both:2".',
+    default: '',
+  },
+};
+
+/**
+ * @typedef {object} PropertyLinkRule
+ * @property {string} property
+ * @property {'out'|'in'|'both'} direction
+ * @property {number} weight - Depth added by following this property.
+ */
+
+/**
+ * Parse the `property_links` setting.
+ *
+ * @param {unknown} value
+ * @returns {PropertyLinkRule[]}
+ */
+export function parse_property_link_rules(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(/[,\n]/);
+  const by_property = new Map();
+  entries.forEach((entry) => {
+    const [property, ...options] = String(entry || '').split(':').map((part) => part.trim());
+    if (!property) return;
+    let direction = LINK_DIRECTIONS.BOTH;
+    let weight = 1;
+    options.forEach((option) => {
+      const lower = option.toLowerCase();
+      if (Object.values(LINK_DIRECTIONS).includes(lower)) {
+        direction = lower;
+        return;
+      }
+      const number = Number(option);
+      if (option !== '' && Number.isFinite(number) && number >= 0) {
+        weight = Math.min(Math.floor(number), MAX_LINK_DEPTH);
+      }
+    });
+    by_property.set(property, { property, direction, weight });
+  });
+  return Array.from(by_property.values());
+}
+
+/**
+ * @param {any} env
+ * @returns {PropertyLinkRule[]}
+ */
+export function get_property_link_rules(env) {
+  return parse_property_link_rules(
+    env?.smart_contexts?.settings?.property_links
+    ?? env?.settings?.smart_contexts?.property_links,
+  );
+}
+
+/**
+ * Stable key used to tell whether a cached traversal used the same rules.
+ *
+ * @param {PropertyLinkRule[]} rules
+ * @returns {string}
+ */
+export function get_property_links_key(rules) {
+  return Array.isArray(rules) && rules.length ? JSON.stringify(rules) : '';
+}
+
+/**
+ * Rules that apply when walking in one link direction.
+ *
+ * @param {PropertyLinkRule[]} rules
+ * @param {'out'|'in'} direction
+ * @returns {PropertyLinkRule[]}
+ */
+export function filter_property_link_rules(rules, direction) {
+  return (rules || []).filter((rule) => {
+    return rule.direction === LINK_DIRECTIONS.BOTH || rule.direction === direction;
+  });
+}
+
+/**
+ * Link paths a note declares in one frontmatter property.
+ *
+ * Prefers Obsidian's parsed `frontmatterLinks` (keys like `related` or
+ * `related.0`) and falls back to wikilinks written in the raw values.
+ *
+ * @param {any} file_cache - Obsidian CachedMetadata.
+ * @param {string} property
+ * @returns {string[]}
+ */
+export function get_property_link_paths(file_cache, property) {
+  const paths = [];
+  const frontmatter_links = Array.isArray(file_cache?.frontmatterLinks)
+    ? file_cache.frontmatterLinks
+    : []
+  ;
+  frontmatter_links.forEach((link) => {
+    const key = String(link?.key || '');
+    if (key === property || key.startsWith(`${property}.`)) {
+      if (link?.link) paths.push(String(link.link));
+    }
+  });
+  if (paths.length) return unique(paths);
+
+  const raw_value = file_cache?.frontmatter?.[property];
+  const values = Array.isArray(raw_value) ? raw_value : [raw_value];
+  values.forEach((value) => {
+    if (typeof value !== 'string') return;
+    const matches = value.matchAll(/\[\[([^\]|#]+)(?:#[^\]|]*)?(?:\|[^\]]*)?\]\]/g);
+    for (const match of matches) paths.push(match[1].trim());
+  });
+  return unique(paths);
+}
+
+/**
+ * Resolve property edges with an Obsidian MetadataCache.
+ *
+ * The reverse index for incoming property links is built once per resolver,
+ * so create one resolver per traversal.
+ *
+ * @param {object} params
+ * @param {any} params.metadata_cache - Obsidian MetadataCache.
+ * @param {() => string[]} params.list_paths - Markdown paths to scan for incoming property links.
+ * @param {PropertyLinkRule[]} params.rules
+ * @returns {{
+ *   get_outgoing:(path:string)=>Array<{ path:string, property:string, weight:number }>,
+ *   get_incoming:(path:string)=>Array<{ path:string, property:string, weight:number }>,
+ * }}
+ */
+export function create_property_link_resolver(params) {
+  const { metadata_cache, list_paths } = params;
+  const out_rules = filter_property_link_rules(params.rules, LINK_DIRECTIONS.OUT);
+  const in_rules = filter_property_link_rules(params.rules, LINK_DIRECTIONS.IN);
+  let incoming_index = null;
+
+  const resolve = (link_path, from_path) => {
+    const file = metadata_cache?.getFirstLinkpathDest?.(link_path, from_path);
+    return typeof file?.path === 'string' ? file.path : '';
+  };
+
+  const collect = (path, rules) => {
+    const file_cache = metadata_cache?.getCache?.(path);
+    const edges = [];
+    rules.forEach((rule) => {
+      get_property_link_paths(file_cache, rule.property).forEach((link_path) => {
+        const target = resolve(link_path, path);
+        if (target && target !== path) {
+          edges.push({ path: target, property: rule.property, weight: rule.weight });
+        }
+      });
+    });
+    return edges;
+  };
+
+  return {
+    get_outgoing(path) {
+      return out_rules.length ? collect(path, out_rules) : [];
+    },
+    get_incoming(path) {
+      if (!in_rules.length) return [];
+      if (!incoming_index) {
+        incoming_index = new Map();
+        (list_paths?.() || []).forEach((source_path) => {
+          collect(source_path, in_rules).forEach((edge) => {
+            if (!incoming_index.has(edge.path)) incoming_index.set(edge.path, []);
+            incoming_index.get(edge.path).push({
+              path: source_path,
+              property: edge.property,
+              weight: edge.weight,
+            });
+          });
+        });
+      }
+      return incoming_index.get(path) || [];
+    },
+  };
+}
+
+/**
+ * @param {string[]} values
+ * @returns {string[]}
+ */
+function unique(values) {
+  return Array.from(new Set(values));
+}
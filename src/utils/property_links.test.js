@@ -0,0 +1,77 @@
+import test from 'ava';
+import {
+  create_property_link_resolver,
+  get_property_link_paths,
+  get_property_links_key,
+  parse_property_link_rules,
+} from './property_links.js';
+import { walk_links_with_rules } from './link_traversal_rules.js';
+
+test('parse_property_link_rules reads direction and depth weight', (t) => {
+  t.deepEqual(parse_property_link_rules('related, project:out, depends_on:both:2, up:IN:0'), [
+    { property: 'related', direction: 'both', weight: 1 },
+    { property: 'project', direction: 'out', weight: 1 },
+    { property: 'depends_on', direction: 'both', weight: 2 },
+    { property: 'up', direction: 'in', weight: 0 },
+  ]);
+  t.deepEqual(parse_property_link_rules(''), []);
+  t.is(get_property_links_key([]), '');
+});
+
+test('get_property_link_paths prefers frontmatterLinks and falls back to raw wikilinks', (t) => {
+  t.deepEqual(get_property_link_paths({
+    frontmatterLinks: [
+      { key: 'related.0', link: 'A' },
+      { key: 'related.1', link: 'B' },
+      { key: 'relatedness', link: 'C' },
+    ],
+  }, 'related'), ['A', 'B']);
+  t.deepEqual(get_property_link_paths({
+    frontmatter: { project: ['[[Alpha|the project]]', '[[Beta#Goals]]', 'plain'] },
+  }, 'project'), ['Alpha', 'Beta']);
+});
+
+test('create_property_link_resolver resolves outgoing and incoming property edges', (t) => {
+  const caches = {
+    'a.md': { frontmatter: { related: '[[b]]', project: '[[p]]' } },
+    'b.md': { frontmatter: {} },
+    'c.md': { frontmatter: { project: '[[a]]' } },
+    'p.md': { frontmatter: {} },
+  };
+  const resolver = create_property_link_resolver({
+    metadata_cache: {
+      getCache: (path) => caches[path],
+      getFirstLinkpathDest: (link_path) => (caches[`${link_path}.md`] ? { path: `${link_path}.md` } : null),
+    },
+    list_paths: () => Object.keys(caches),
+    rules: parse_property_link_rules('related, project:in:2'),
+  });
+
+  t.deepEqual(resolver.get_outgoing('a.md'), [
+    { path: 'b.md', property: 'related', weight: 1 },
+  ]);
+  t.deepEqual(resolver.get_incoming('a.md'), [
+    { path: 'c.md', property: 'project', weight: 2 },
+  ]);
+  t.deepEqual(resolver.get_incoming('b.md'), [
+    { path: 'a.md', property: 'related', weight: 1 },
+  ]);
+});
+
+test('walk_links_with_rules keeps the smallest weighted depth and the property origin', async (t) => {
+  const get = (key) => ({ key });
+  const edges = {
+    root: [{ item: get('a') }, { item: get('far'), weight: 3, via_property: 'depends_on' }],
+    a: [{ item: get('b') }, { item: get('far'), weight: 0, via_property: 'related' }],
+  };
+  const { graph } = await walk_links_with_rules(get('root'), {
+    depth: 3,
+    get_neighbors: async (source) => edges[source.key] || [],
+    get_note: (item) => ({ key: item.key }),
+  });
+
+  t.deepEqual(
+    graph.map((entry) => `${entry.item.key}:${entry.depth}:${entry.via_property || ''}`),
+    ['root:0:', 'a:1:', 'far:1:related', 'b:2:'],
+  );
+});
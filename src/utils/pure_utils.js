@@ -32,11 +32,13 @@ export function escape_regex(value = '') {
 }
 
 /**
+ * Codeblock context keys are `<path>#codeblock` or `<path>#codeblock:<id>`.
+ *
  * @param {string} key
  * @returns {boolean}
  */
 export function is_codeblock_context_key(key = '') {
-  return typeof key === 'string' && key.endsWith('#codeblock');
+  return typeof key === 'string' && /#codeblock(?::[^#\s]+)?$/.test(key);
 }
 
 export function normalize_path(_path) {
@@ -1,5 +1,5 @@
 import test from "ava";
-import { get_vault_rel_from_abs_path } from "./pure_utils.js";
+import { get_vault_rel_from_abs_path, is_codeblock_context_key } from "./pure_utils.js";
 
 test("get_vault_rel_from_abs_path basic", (t) => {
   const vault_abs_path = "C:/Users/brian/Documents/ObsidianVault";
@@ -20,4 +20,10 @@ test("get_vault_rel_from_abs_path with multiple ../ in output", (t) => {
   const abs_path = "C:/Users/brian/OtherFolder/Note1.md";
   const rel_path = get_vault_rel_from_abs_path(vault_abs_path, abs_path);
   t.is(rel_path, "../../OtherFolder/Note1.md");
-});
\ No newline at end of file
+});
+test("is_codeblock_context_key matches default and id codeblock keys", (t) => {
+  t.true(is_codeblock_context_key("Notes/Meeting.md#codeblock"));
+  t.true(is_codeblock_context_key("Notes/Meeting.md#codeblock:research"));
+  t.false(is_codeblock_context_key("Notes/Meeting.md"));
+  t.false(is_codeblock_context_key("Notes/Meeting.md#codeblock:research#temp"));
+});
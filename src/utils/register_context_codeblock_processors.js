@@ -1,69 +1,153 @@
 import { MarkdownView } from 'obsidian';
 import { context_codeblock_types } from './context_codeblock_constants.js';
 import {
+  find_context_codeblock_range,
   get_context_codeblock_ctx_key,
-} from './context_codeblock_utils.js';
+  parse_context_codeblock_ctx_key,
+  parse_context_codeblock_fence,
+} from './context_codeblock_ranges.js';
 import { build_codeblock_entries } from './build_codeblock_entries.js';
+import {
+  merge_codeblock_lines,
+  merge_codeblock_lines_with_base,
+} from './codeblock_sync.js';
+import { refresh_codeblock_globs } from './codeblock_globs.js';
+import { refresh_codeblock_queries } from './codeblock_queries.js';
+import { refresh_codeblock_depth_rules } from './codeblock_depth_rules.js';
+import {
+  get_note_context_watch_paths,
+  refresh_codeblock_note_contexts,
+} from './codeblock_note_contexts.js';
+import { create_note_context_loader } from './context_codeblock_utils.js';
+import {
+  create_codeblock_link_resolver,
+  get_codeblock_wikilinks_setting,
+} from './codeblock_links.js';
+import { get_named_context_codeblock_key } from './named_context_files.js';
 
 /**
- * @param {string} line
- * @returns {boolean}
+ * Read the codeblock id from the fence line of the rendered section.
+ *
+ * @param {HTMLElement} el
+ * @param {import('obsidian').MarkdownPostProcessorContext} mpp_ctx
+ * @returns {string}
  */
-function is_context_codeblock_fence(line = '') {
-  const normalized_line = String(line || '').trim();
-  return context_codeblock_types.some((codeblock_type) => {
-    return normalized_line === `\`\`\`${codeblock_type}`;
+function get_rendered_codeblock_id(el, mpp_ctx) {
+  const section_info = mpp_ctx?.getSectionInfo?.(el);
+  if (!section_info) return '';
+  const fence_line = String(section_info.text || '').split('\n')[section_info.lineStart];
+  return parse_context_codeblock_fence(fence_line)?.codeblock_id || '';
+}
+
+/**
+ * @param {object} plugin
+ * @param {HTMLElement} el
+ * @param {import('obsidian').MarkdownPostProcessorContext} mpp_ctx
+ * @returns {string} Named context key when the codeblock is a named context note's.
+ */
+function get_rendered_named_context_key(plugin, el, mpp_ctx) {
+  const section_info = mpp_ctx?.getSectionInfo?.(el);
+  return get_named_context_codeblock_key(plugin.env, {
+    path: mpp_ctx.sourcePath,
+    frontmatter: mpp_ctx.frontmatter
+      ?? plugin.app?.metadataCache?.getCache?.(mpp_ctx.sourcePath)?.frontmatter,
+    markdown: section_info?.text,
+    line_start: section_info?.lineStart,
   });
 }
 
 /**
- * @param {string} markdown
- * @returns {{ start: number, end: number } | null}
+ * @param {any} env
+ * @param {HTMLElement} el
+ * @param {import('smart-contexts').SmartContext} smart_context
+ * @returns {Promise<void>}
  */
-function find_context_codeblock_range(markdown = '') {
-  const lines = String(markdown || '').replace(/\r\n/g, '\n').split('\n');
-  let start = -1;
-
-  for (let i = 0; i < lines.length; i += 1) {
-    const line = String(lines[i] || '').trim();
-
-    if (start === -1) {
-      if (!is_context_codeblock_fence(line)) continue;
-      start = i;
-      continue;
-    }
-
-    if (/^```\s*$/.test(line)) {
-      return {
-        start,
-        end: i,
-      };
-    }
+async function render_codeblock_context(env, el, smart_context) {
+  try {
+    const container = await env.smart_components.render_component('context_codeblock', smart_context);
+    el.empty();
+    el.appendChild(container);
+  } catch (error) {
+    console.error('context_codeblock render error', error);
+    el.createEl('pre', {
+      text: error?.message || 'Failed to render context codeblock.',
+    });
   }
+}
 
-  return null;
+/**
+ * Write context entries back into the note's codeblock as a minimal diff:
+ * existing order, comments and blank lines are kept (see merge_codeblock_lines).
+ * With `base_lines` (the codeblock at the last sync) the merge is three-way,
+ * so lines typed in the note since then are not lost.
+ *
+ * @param {object} plugin
+ * @param {string} source_path
+ * @param {string[]} entries - Entries from build_codeblock_entries.
+ * @param {object} [params={}]
+ * @param {string} [params.codeblock_id=''] - Only this codeblock is rewritten.
+ * @param {string[]|null} [params.base_lines=null]
+ * @returns {Promise<{ did_sync:boolean, base_lines:string[]|null, conflicts:Array<{ current_line:string, next_line:string }> }>}
+ *   `base_lines` is the base for the next sync.
+ */
+async function sync_context_codeblock(plugin, source_path, entries, params = {}) {
+  let merged = null;
+  const did_sync = await update_context_codeblock_lines(
+    plugin,
+    source_path,
+    (current_lines) => {
+      merged = Array.isArray(params.base_lines)
+        ? merge_codeblock_lines_with_base(params.base_lines, current_lines, entries)
+        : { lines: merge_codeblock_lines(current_lines, entries), conflicts: [] }
+      ;
+      return merged.lines;
+    },
+    params,
+  );
+  if (!did_sync || !merged) return { did_sync, base_lines: null, conflicts: [] };
+  // a conflicting option counts as the context's value, so the note's value
+  // keeps winning until the codeblock is parsed again
+  const conflict_lines = new Map(merged.conflicts.map((conflict) => [conflict.current_line, conflict.next_line]));
+  return {
+    did_sync,
+    base_lines: merged.lines.map((line) => conflict_lines.get(String(line).trim()) ?? line),
+    conflicts: merged.conflicts,
+  };
 }
 
 /**
+ * Rewrite the lines inside one context codeblock of a note. Uses the open
+ * editor when the note is active so the cursor and undo history survive.
+ *
  * @param {object} plugin
  * @param {string} source_path
- * @param {string} cb_content
- * @returns {Promise<boolean>}
+ * @param {(current_lines:string[])=>string[]} update_lines
+ * @param {object} [params={}]
+ * @param {string} [params.codeblock_id='']
+ * @returns {Promise<boolean>} False when the codeblock was not found.
  */
-async function sync_context_codeblock(plugin, source_path, cb_content) {
+export async function update_context_codeblock_lines(plugin, source_path, update_lines, params = {}) {
+  const codeblock_id = params.codeblock_id || '';
   const app = plugin?.app;
   if (!app || !source_path) return false;
 
   const active_view = app.workspace?.getActiveViewOfType?.(MarkdownView);
   if (active_view?.file?.path === source_path && active_view.editor) {
     const markdown = active_view.editor.getValue();
-    const range = find_context_codeblock_range(markdown);
+    const range = find_context_codeblock_range(markdown, { codeblock_id });
     if (!range) return false;
 
+    const current_lines = get_codeblock_lines(markdown, range);
+    const next_lines = update_lines(current_lines);
+    if (same_lines(current_lines, next_lines)) return true;
+
+    // only the changed lines are replaced so a cursor elsewhere in the block stays put
+    const { prefix, suffix } = get_unchanged_line_counts(current_lines, next_lines);
+    const replacement = next_lines.slice(prefix, next_lines.length - suffix);
     active_view.editor.replaceRange(
-      cb_content,
-      { line: range.start + 1, ch: 0 },
-      { line: range.end, ch: 0 },
+      replacement.length ? replacement.join('\n') + '\n' : '',
+      { line: range.start + 1 + prefix, ch: 0 },
+      { line: range.end - suffix, ch: 0 },
     );
     return true;
   }
@@ -73,21 +157,74 @@ async function sync_context_codeblock(plugin, source_path, cb_content) {
   ;
   if (!file) return false;
 
+  let found = false;
+  const rewrite_markdown = (markdown) => {
+    const range = find_context_codeblock_range(markdown, { codeblock_id });
+    found = Boolean(range);
+    if (!range) return markdown;
+
+    const current_lines = get_codeblock_lines(markdown, range);
+    const next_block_lines = update_lines(current_lines);
+    if (same_lines(current_lines, next_block_lines)) return markdown;
+
+    const newline = markdown.includes('\r\n') ? '\r\n' : '\n';
+    const lines = String(markdown || '').replace(/\r\n/g, '\n').split('\n');
+    const next_lines = [
+      ...lines.slice(0, range.start + 1),
+      ...next_block_lines,
+      ...lines.slice(range.end),
+    ];
+    return next_lines.join('\n').replace(/\n/g, newline);
+  };
+
+  // process() reads and writes atomically, so a change synced in meanwhile is merged, not overwritten
+  if (typeof app.vault.process === 'function') {
+    await app.vault.process(file, rewrite_markdown);
+    return found;
+  }
   const markdown = await app.vault.read(file);
-  const range = find_context_codeblock_range(markdown);
-  if (!range) return false;
-
-  const newline = markdown.includes('\r\n') ? '\r\n' : '\n';
-  const lines = String(markdown || '').replace(/\r\n/g, '\n').split('\n');
-  const next_lines = [
-    ...lines.slice(0, range.start + 1),
-    ...String(cb_content || '').replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n'),
-    ...lines.slice(range.end),
-  ];
-  const next_markdown = next_lines.join('\n').replace(/\n/g, newline);
-
-  await app.vault.modify(file, next_markdown);
-  return true;
+  const next_markdown = rewrite_markdown(markdown);
+  if (next_markdown !== markdown) await app.vault.modify(file, next_markdown);
+  return found;
+}
+
+/**
+ * @param {string} markdown
+ * @param {{ start:number, end:number }} range
+ * @returns {string[]}
+ */
+function get_codeblock_lines(markdown, range) {
+  return String(markdown || '')
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .slice(range.start + 1, range.end)
+  ;
+}
+
+/**
+ * @param {string[]} current_lines
+ * @param {string[]} next_lines
+ * @returns {{ prefix:number, suffix:number }} Lines equal at the start and at the end.
+ */
+function get_unchanged_line_counts(current_lines, next_lines) {
+  const max = Math.min(current_lines.length, next_lines.length);
+  let prefix = 0;
+  while (prefix < max && current_lines[prefix] === next_lines[prefix]) prefix += 1;
+  let suffix = 0;
+  while (
+    suffix < max - prefix
+    && current_lines[current_lines.length - 1 - suffix] === next_lines[next_lines.length - 1 - suffix]
+  ) suffix += 1;
+  return { prefix, suffix };
+}
+
+/**
+ * @param {string[]} left
+ * @param {string[]} right
+ * @returns {boolean}
+ */
+function same_lines(left, right) {
+  return left.length === right.length && left.every((line, i) => line === right[i]);
 }
 
 /**
@@ -113,12 +250,26 @@ export function register_context_codeblock_processors(plugin) {
         const source_path = mpp_ctx?.sourcePath;
         if (!source_path) return;
 
-        const ctx_key = get_context_codeblock_ctx_key(source_path);
+        // the named context note sync parses and rewrites this codeblock
+        const named_context_key = get_rendered_named_context_key(plugin, el, mpp_ctx);
+        if (named_context_key) {
+          const named_context = env.smart_contexts.get(named_context_key);
+          if (named_context) {
+            await render_codeblock_context(env, el, named_context);
+          } else {
+            el.createEl('pre', { text: `Named context "${named_context_key}" not found.` });
+          }
+          return;
+        }
+
+        const codeblock_id = get_rendered_codeblock_id(el, mpp_ctx);
+        const ctx_key = get_context_codeblock_ctx_key(source_path, codeblock_id);
         let smart_context = env.smart_contexts.get(ctx_key);
         if (!smart_context) {
           smart_context = env.smart_contexts.new_context({ key: ctx_key });
         }
         smart_context.data.codeblock_type = codeblock_type;
+        smart_context.data.codeblock_id = codeblock_id;
 
         smart_context.actions.context_parse_codeblock({ cb_content });
 
@@ -126,21 +277,40 @@ export function register_context_codeblock_processors(plugin) {
         // HANDLE WHEN CONTEXT ITEMS CHANGE
         if (!smart_context._update_disposer) {
           smart_context._update_disposer = smart_context.on_event('context:updated', async () => {
-            const updated_cb_content = build_codeblock_entries(smart_context.data);
+            const wikilinks_option = smart_context.data.codeblock_options?.wikilinks;
+            const updated_entries = build_codeblock_entries({
+              ...smart_context.data,
+              write_wikilinks: typeof wikilinks_option === 'boolean'
+                ? wikilinks_option
+                : get_codeblock_wikilinks_setting(env),
+              to_linktext: create_codeblock_link_resolver(plugin.app, source_path).to_linktext,
+            });
             try {
-              const did_sync = await sync_context_codeblock(
+              const result = await sync_context_codeblock(
                 plugin,
                 source_path,
-                updated_cb_content.join('\n') + '\n',
+                updated_entries,
+                { codeblock_id, base_lines: smart_context._codeblock_base_lines || null },
               );
-              if (!did_sync) {
-                throw new Error('Unable to find context codeblock in source note');
+              if (!result.did_sync) {
+                // the codeblock is gone; a new render registers a fresh listener
+                smart_context.emit_error_event('context_codeblock:update', { message: 'Failed to update codeblock content', error_message: 'Unable to find context codeblock in source note' });
+                smart_context._update_disposer?.();
+                smart_context._update_disposer = null;
+                return;
+              }
+              smart_context._codeblock_base_lines = result.base_lines;
+              if (result.conflicts.length) {
+                smart_context.emit_event('context_codeblock:sync_conflict', {
+                  level: 'warning',
+                  message: `Kept your edits to ${result.conflicts.map((conflict) => conflict.current_line).join(', ')} in ${source_path}. The Builder's values were added as # sync conflict comments.`,
+                  conflicts: result.conflicts,
+                  event_source: 'context_codeblock.sync',
+                });
               }
             } catch (error) {
               smart_context.emit_error_event('context_codeblock:update', { message: 'Failed to update codeblock content', error_message: error?.message });
               console.error('Failed to update context codeblock content', { error, mpp_ctx, smart_context });
-              smart_context._update_disposer?.();
-              smart_context._update_disposer = null;
             }
           });
           plugin.register(() => {
@@ -148,16 +318,44 @@ export function register_context_codeblock_processors(plugin) {
           });
         }
 
-        try {
-          const container = await env.smart_components.render_component('context_codeblock', smart_context);
-          el.empty();
-          el.appendChild(container);
-        } catch (error) {
-          console.error('context_codeblock render error', error);
-          el.createEl('pre', {
-            text: error?.message || 'Failed to render context codeblock.',
+        // glob, query, depth and note-context rules follow source changes
+        if (!smart_context._sources_imported_disposer) {
+          smart_context._sources_imported_disposer = env.events?.on?.('sources:imported', async () => {
+            const globs_changed = refresh_codeblock_globs(smart_context);
+            const queries_changed = refresh_codeblock_queries(smart_context);
+            // cached source contexts may not be invalidated yet
+            const depth_changed = await refresh_codeblock_depth_rules(smart_context, { refresh: true });
+            const notes_changed = await refresh_codeblock_note_contexts(smart_context, {
+              load_context: create_note_context_loader(plugin),
+            });
+            if (!globs_changed && !queries_changed && !depth_changed && !notes_changed) return;
+            smart_context.emit_event('context:updated', {
+              event_source: 'context_codeblock.sources_imported',
+            });
+          });
+          plugin.register(() => {
+            smart_context._sources_imported_disposer?.();
+          });
+        }
+
+        // ctx-note:: references follow edits to the referenced codeblocks
+        if (!smart_context._note_contexts_disposer) {
+          smart_context._note_contexts_disposer = env.events?.on?.('context:updated', async (payload = {}) => {
+            const updated_path = parse_context_codeblock_ctx_key(payload.item_key)?.source_path;
+            if (!updated_path || payload.item_key === smart_context.key) return;
+            if (!get_note_context_watch_paths(smart_context.data).has(updated_path)) return;
+            const changed = await refresh_codeblock_note_contexts(smart_context);
+            if (!changed) return;
+            smart_context.emit_event('context:updated', {
+              event_source: 'context_codeblock.note_context_updated',
+            });
+          });
+          plugin.register(() => {
+            smart_context._note_contexts_disposer?.();
           });
         }
+
+        await render_codeblock_context(env, el, smart_context);
       },
     );
   });
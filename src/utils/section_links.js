@@ -0,0 +1,201 @@
+/**
+ * @file section_links.js
+ * @description
+ * Narrow heading and block-ref links (`[[Spec#Auth flow]]`, `[[Spec#^id]]`) to
+ * the linked section. During traversal a neighbor reached only through
+ * section links becomes the matching block item instead of the whole note.
+ */
+
+export const SECTION_LINK_MODES = Object.freeze({
+  SECTION: 'section',
+  NOTE: 'note',
+});
+
+/**
+ * Settings rows merged into the SmartContexts settings config.
+ */
+export const section_links_settings_config = {
+  section_links: {
+    name: 'Heading and block links',
+    type: 'dropdown',
+    description: 'Links to a heading or block include only that section, or the whole linked note.',
+    default: SECTION_LINK_MODES.SECTION,
+    options_callback() {
+      return [
+        { value: SECTION_LINK_MODES.SECTION, name: 'Only the linked section' },
+        { value: SECTION_LINK_MODES.NOTE, name: 'The whole note' },
+      ];
+    },
+  },
+};
+
+/**
+ * @param {any} env
+ * @returns {'section'|'note'}
+ */
+export function get_section_link_mode(env) {
+  const mode = env?.smart_contexts?.settings?.section_links
+    ?? env?.settings?.smart_contexts?.section_links
+  ;
+  return mode === SECTION_LINK_MODES.NOTE ? SECTION_LINK_MODES.NOTE : SECTION_LINK_MODES.SECTION;
+}
+
+/**
+ * Split a link target into its note path and `#heading` / `#^block` subpath.
+ *
+ * @param {string} link
+ * @returns {{ path:string, subpath:string }}
+ */
+export function split_link_subpath(link) {
+  const value = String(link || '').trim();
+  const hash_idx = value.indexOf('#');
+  if (hash_idx === -1) return { path: value, subpath: '' };
+  const subpath = value.slice(hash_idx).replace(/^#+/, '#').trim();
+  return {
+    path: value.slice(0, hash_idx).trim(),
+    subpath: subpath === '#' ? '' : subpath,
+  };
+}
+
+/**
+ * Group a note's body links by resolved target.
+ *
+ * A target linked at least once without a subpath is a whole-note target.
+ * Optional `line_range` keeps only links inside a section of the note.
+ *
+ * @param {any} file_cache - Obsidian CachedMetadata of the linking note.
+ * @param {(link_path:string)=>string} resolve_path - Resolve a link path to a vault path ('' when unresolved).
+ * @param {object} [params={}]
+ * @param {[number, number]} [params.line_range] - Zero-based inclusive line range.
+ * @returns {Map<string, { whole:boolean, subpaths:Set<string> }>}
+ */
+export function collect_link_targets(file_cache, resolve_path, params = {}) {
+  const targets = new Map();
+  const links = [
+    ...(Array.isArray(file_cache?.links) ? file_cache.links : []),
+    ...(Array.isArray(file_cache?.embeds) ? file_cache.embeds : []),
+  ];
+  const range = params.line_range;
+  links.forEach((link) => {
+    const line = link?.position?.start?.line;
+    if (range && (!Number.isFinite(line) || line < range[0] || line > range[1])) return;
+    const { path, subpath } = split_link_subpath(link?.link);
+    const target = resolve_path(path);
+    if (!target) return;
+    if (!targets.has(target)) targets.set(target, { whole: false, subpaths: new Set() });
+    const entry = targets.get(target);
+    if (subpath) entry.subpaths.add(subpath);
+    else entry.whole = true;
+  });
+  return targets;
+}
+
+/**
+ * Find the block a heading or block-ref subpath points at.
+ *
+ * Headings match the trailing heading segments of block keys
+ * (`Spec.md#Spec#Auth flow` for `#Auth flow`); the shortest key wins.
+ * Block refs use the target note's cached block position and pick the
+ * smallest block whose lines contain it.
+ *
+ * @param {Array<any>} blocks - Blocks of the target source.
+ * @param {string} subpath
+ * @param {any} [file_cache] - Obsidian CachedMetadata of the target note.
+ * @returns {any|null}
+ */
+export function find_section_block(blocks, subpath, file_cache) {
+  const candidates = (Array.isArray(blocks) ? blocks : []).filter((block) => typeof block?.key === 'string');
+  if (!subpath || !candidates.length) return null;
+
+  if (subpath.startsWith('#^')) {
+    const position = file_cache?.blocks?.[subpath.slice(2)]?.position;
+    const line = position?.start?.line;
+    if (!Number.isFinite(line)) return null;
+    // block lines are one-based; Obsidian positions are zero-based
+    const one_based = line + 1;
+    return candidates
+      .filter((block) => {
+        const lines = get_block_lines(block);
+        return lines && lines[0] <= one_based && lines[1] >= one_based;
+      })
+      .sort((left, right) => {
+        const left_lines = get_block_lines(left);
+        const right_lines = get_block_lines(right);
+        return (left_lines[1] - left_lines[0]) - (right_lines[1] - right_lines[0]);
+      })[0] || null
+    ;
+  }
+
+  const heading_path = subpath.toLowerCase();
+  return candidates
+    .filter((block) => {
+      const block_path = block.key.slice(block.key.indexOf('#')).toLowerCase();
+      return block_path === heading_path || block_path.endsWith(heading_path);
+    })
+    .sort((left, right) => left.key.length - right.key.length)[0] || null
+  ;
+}
+
+/**
+ * Replace neighbors reached only through section links with their blocks.
+ *
+ * Neighbors with a whole-note link, or whose sections cannot be resolved,
+ * stay whole notes.
+ *
+ * @param {Array<{ item:any }>} neighbors
+ * @param {Map<string, { whole:boolean, subpaths:Set<string> }>} targets
+ * @param {(item:any, subpath:string)=>any|null} resolve_block
+ * @returns {Array<{ item:any, section?:string }>}
+ */
+export function narrow_neighbors_to_sections(neighbors, targets, resolve_block) {
+  const narrowed = [];
+  (neighbors || []).forEach((neighbor) => {
+    const key = neighbor?.item?.key;
+    const target = key ? targets.get(key) : null;
+    if (!target || target.whole || !target.subpaths.size) {
+      narrowed.push(neighbor);
+      return;
+    }
+    const blocks = [];
+    target.subpaths.forEach((subpath) => {
+      const block = resolve_block(neighbor.item, subpath);
+      if (block && !blocks.some((entry) => entry.item.key === block.key)) {
+        blocks.push({ ...neighbor, item: block, section: subpath });
+      }
+    });
+    if (blocks.length) narrowed.push(...blocks);
+    else narrowed.push(neighbor);
+  });
+  return narrowed;
+}
+
+/**
+ * Drop section entries whose note is also included whole.
+ *
+ * @param {Array<{ depth:number, item:any, section?:string }>} graph
+ * @returns {Array<{ depth:number, item:any, section?:string }>}
+ */
+export function drop_sections_of_whole_notes(graph) {
+  const whole_keys = new Set(
+    (graph || [])
+      .filter((entry) => !entry.section)
+      .map((entry) => entry.item?.key)
+  );
+  return (graph || []).filter((entry) => {
+    if (!entry.section) return true;
+    const key = String(entry.item?.key || '');
+    return !whole_keys.has(key.split('#')[0]);
+  });
+}
+
+/**
+ * @param {any} block
+ * @returns {[number, number]|null}
+ */
+export function get_block_lines(block) {
+  const lines = block?.data?.lines || block?.lines;
+  if (!Array.isArray(lines) || lines.length < 2) return null;
+  const start = Number(lines[0]);
+  const end = Number(lines[1]);
+  return Number.isFinite(start) && Number.isFinite(end) ? [start, end] : null;
+}
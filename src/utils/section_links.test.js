@@ -0,0 +1,89 @@
+import test from 'ava';
+import {
+  collect_link_targets,
+  drop_sections_of_whole_notes,
+  find_section_block,
+  get_section_link_mode,
+  narrow_neighbors_to_sections,
+  split_link_subpath,
+} from './section_links.js';
+
+const link = (target, line = 0) => ({ link: target, position: { start: { line } } });
+
+test('split_link_subpath separates heading and block subpaths', (t) => {
+  t.deepEqual(split_link_subpath('Spec#Auth flow'), { path: 'Spec', subpath: '#Auth flow' });
+  t.deepEqual(split_link_subpath('Spec#^abc123'), { path: 'Spec', subpath: '#^abc123' });
+  t.deepEqual(split_link_subpath('Spec'), { path: 'Spec', subpath: '' });
+  t.deepEqual(split_link_subpath('#Local'), { path: '', subpath: '#Local' });
+});
+
+test('collect_link_targets marks whole-note links and respects line ranges', (t) => {
+  const cache = {
+    links: [link('Spec#Auth flow', 2), link('Spec#^abc', 4), link('Other', 6), link('Other#Part', 7)],
+    embeds: [link('Img', 9)],
+  };
+  const resolve = (path) => (path ? `${path}.md` : '');
+  const targets = collect_link_targets(cache, resolve);
+  t.false(targets.get('Spec.md').whole);
+  t.deepEqual(Array.from(targets.get('Spec.md').subpaths), ['#Auth flow', '#^abc']);
+  t.true(targets.get('Other.md').whole);
+  t.true(targets.has('Img.md'));
+
+  const ranged = collect_link_targets(cache, resolve, { line_range: [3, 7] });
+  t.deepEqual(Array.from(ranged.keys()), ['Spec.md', 'Other.md']);
+});
+
+test('find_section_block matches heading paths and block refs', (t) => {
+  const blocks = [
+    { key: 'Spec.md#Spec', data: { lines: [1, 20] } },
+    { key: 'Spec.md#Spec#Auth flow', data: { lines: [5, 12] } },
+    { key: 'Spec.md#Spec#Auth flow#{1}', data: { lines: [6, 8] } },
+    { key: 'Spec.md#Spec#Other#Auth flow', data: { lines: [14, 20] } },
+  ];
+  t.is(find_section_block(blocks, '#Auth flow').key, 'Spec.md#Spec#Auth flow');
+  t.is(find_section_block(blocks, '#Other#Auth flow').key, 'Spec.md#Spec#Other#Auth flow');
+  t.is(find_section_block(blocks, '#auth FLOW').key, 'Spec.md#Spec#Auth flow');
+  t.is(find_section_block(blocks, '#Missing'), null);
+  t.is(
+    find_section_block(blocks, '#^abc', { blocks: { abc: { position: { start: { line: 6 } } } } }).key,
+    'Spec.md#Spec#Auth flow#{1}',
+  );
+  t.is(find_section_block(blocks, '#^nope', { blocks: {} }), null);
+});
+
+test('narrow_neighbors_to_sections swaps section-only targets for blocks', (t) => {
+  const spec = { key: 'Spec.md' };
+  const other = { key: 'Other.md' };
+  const targets = new Map([
+    ['Spec.md', { whole: false, subpaths: new Set(['#Auth flow', '#Missing']) }],
+    ['Other.md', { whole: true, subpaths: new Set(['#Part']) }],
+  ]);
+  const narrowed = narrow_neighbors_to_sections(
+    [{ depth: 1, item: spec }, { depth: 1, item: other }],
+    targets,
+    (item, subpath) => (subpath === '#Auth flow' ? { key: `${item.key}#Spec#Auth flow` } : null),
+  );
+  t.deepEqual(narrowed.map((entry) => [entry.item.key, entry.section || '']), [
+    ['Spec.md#Spec#Auth flow', '#Auth flow'],
+    ['Other.md', ''],
+  ]);
+});
+
+test('drop_sections_of_whole_notes keeps only the whole note', (t) => {
+  const graph = [
+    { depth: 0, item: { key: 'root.md' } },
+    { depth: 1, item: { key: 'Spec.md#Spec#Auth' }, section: '#Auth' },
+    { depth: 2, item: { key: 'Spec.md' } },
+    { depth: 1, item: { key: 'Other.md#Part' }, section: '#Part' },
+  ];
+  t.deepEqual(drop_sections_of_whole_notes(graph).map((entry) => entry.item.key), [
+    'root.md',
+    'Spec.md',
+    'Other.md#Part',
+  ]);
+});
+
+test('get_section_link_mode defaults to sections', (t) => {
+  t.is(get_section_link_mode({}), 'section');
+  t.is(get_section_link_mode({ smart_contexts: { settings: { section_links: 'note' } } }), 'note');
+});
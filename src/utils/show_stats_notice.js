@@ -1,7 +1,15 @@
+import {
+  count_tokens,
+  estimate_tokens,
+  get_tokenizer_encoding,
+} from './tokenizer.js';
+
 /**
  * Show user-facing notice summarizing stats.
+ *
+ * @returns {Promise<void>} Resolves once the notice is emitted.
  */
-export function show_stats_notice(stats, contextMsg, params = {}) {
+export async function show_stats_notice(stats, contextMsg, params = {}) {
   let noticeMsg = `Copied to clipboard! (${contextMsg})`;
   if (stats) {
     const char_count = stats.char_count < 100000
@@ -9,6 +17,14 @@ export function show_stats_notice(stats, contextMsg, params = {}) {
       : `~${Math.round(stats.char_count / 1000)}k`;
     noticeMsg += `, ${char_count} chars`;
 
+    const token_count = await get_stats_token_count(stats, params);
+    if (token_count > 0) {
+      const token_text = token_count < 100000
+        ? token_count.toLocaleString()
+        : `~${Math.round(token_count / 1000)}k`;
+      noticeMsg += `, ${token_text} tokens`;
+    }
+
     if (stats.exclusions) {
       const total_excluded = Object.values(stats.exclusions).reduce(
         (p, c) => p + c,
@@ -25,3 +41,21 @@ export function show_stats_notice(stats, contextMsg, params = {}) {
     event_source: params.event_source || 'show_stats_notice',
   });
 }
+
+/**
+ * Prefer the count in the stats, then the copied text in the stats (counted
+ * in chunks off the UI thread), then the char heuristic.
+ *
+ * @param {object} stats
+ * @param {object} [params={}]
+ * @returns {Promise<number>}
+ */
+export async function get_stats_token_count(stats, params = {}) {
+  if (Number.isFinite(stats?.token_count)) return stats.token_count;
+  if (typeof stats?.text === 'string') {
+    return await count_tokens(stats.text, {
+      encoding: params.encoding || get_tokenizer_encoding(params.env),
+    });
+  }
+  return estimate_tokens(stats?.char_count);
+}
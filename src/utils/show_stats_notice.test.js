@@ -0,0 +1,36 @@
+import test from 'ava';
+import { show_stats_notice } from './show_stats_notice.js';
+import { count_tokens, estimate_tokens } from './tokenizer.js';
+
+/**
+ * @returns {{ env:object, emitted:Array<{ key:string, payload:object }> }}
+ */
+function create_env() {
+  const emitted = [];
+  const env = {
+    smart_contexts: { settings: { tokenizer_encoding: 'o200k_base' } },
+    events: { emit: (key, payload) => emitted.push({ key, payload }) },
+  };
+  return { env, emitted };
+}
+
+test('show_stats_notice counts tokens from the text in the stats', async (t) => {
+  const { env, emitted } = create_env();
+  const text = 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa '.repeat(20);
+  const tokens = await count_tokens(text, { encoding: 'o200k_base' });
+  t.not(tokens, estimate_tokens(text.length));
+
+  await show_stats_notice({ char_count: text.length, text }, '2 file(s)', { env });
+  t.is(emitted.length, 1);
+  t.is(emitted[0].key, 'context:copied');
+  t.true(emitted[0].payload.message.includes(`, ${tokens.toLocaleString()} tokens`));
+});
+
+test('show_stats_notice prefers the token count in the stats', async (t) => {
+  const { env, emitted } = create_env();
+  await show_stats_notice({ char_count: 10, token_count: 3, text: 'not counted again' }, '1 file(s)', { env });
+  t.true(emitted[0].payload.message.includes(', 10 chars, 3 tokens'));
+
+  await show_stats_notice({ char_count: 40 }, '1 file(s)', { env });
+  t.true(emitted[1].payload.message.includes(', 40 chars, 10 tokens'));
+});
@@ -0,0 +1,26 @@
+/**
+ * Build a throwaway SmartContext holding only the given resolved items.
+ *
+ * Used when an output path needs to compile a subset of a context without
+ * mutating the original.
+ *
+ * @param {import('smart-contexts').SmartContext} ctx
+ * @param {Array<any>} items
+ * @param {string} suffix - Appended to the temp context key.
+ * @returns {import('smart-contexts').SmartContext}
+ */
+export function create_items_context(ctx, items, suffix) {
+  const Class = ctx.constructor;
+  const context_items = (Array.isArray(items) ? items : []).reduce((acc, item) => {
+    acc[item.key] = {
+      ...(item?.data && typeof item.data === 'object' ? item.data : {}),
+      key: item.key,
+    };
+    return acc;
+  }, {});
+  return new Class(ctx.env, {
+    key: `${ctx.key}#temp_${suffix}`,
+    context_items,
+    ...(ctx?.data?.exclusions ? { exclusions: ctx.data.exclusions } : {}),
+  });
+}
@@ -0,0 +1,300 @@
+/**
+ * @file tokenizer.js
+ * @description
+ * Token counting for context estimates. Only the selected encoding's ranks
+ * are imported, on first use, and per-source counts are cached by mtime so
+ * repeated renders of the Builder and copy modal do not re-tokenize unchanged
+ * notes.
+ */
+
+import { Tiktoken } from 'js-tiktoken/lite';
+
+export const TOKENIZER_ENCODINGS = Object.freeze({
+  HEURISTIC: 'heuristic',
+  CL100K: 'cl100k_base',
+  O200K: 'o200k_base',
+});
+
+export const DEFAULT_TOKENIZER_ENCODING = TOKENIZER_ENCODINGS.O200K;
+
+// the rank tables are megabytes each; keep them out of plugin load
+const encoding_rank_loaders = {
+  [TOKENIZER_ENCODINGS.CL100K]: () => import('js-tiktoken/ranks/cl100k_base'),
+  [TOKENIZER_ENCODINGS.O200K]: () => import('js-tiktoken/ranks/o200k_base'),
+};
+
+/** Characters encoded between yields to the UI thread. */
+const COUNT_CHUNK_CHARS = 50000;
+
+/** @type {Map<string, Promise<Tiktoken|null>>} */
+const tokenizers = new Map();
+
+/** @type {Map<string, { mtime:number, tokens:number }>} */
+const source_token_cache = new Map();
+
+/**
+ * Settings rows merged into the SmartContexts settings config.
+ */
+export const tokenizer_settings_config = {
+  tokenizer_encoding: {
+    name: 'Token counting',
+    type: 'dropdown',
+    description: 'Encoding used for token estimates in the Builder, copy modal, and copy notices. Heuristic uses 4 characters per token.',
+    default: DEFAULT_TOKENIZER_ENCODING,
+    options_callback() {
+      return [
+        { value: TOKENIZER_ENCODINGS.O200K, name: 'o200k (GPT-4o and newer)' },
+        { value: TOKENIZER_ENCODINGS.CL100K, name: 'cl100k (GPT-4, GPT-3.5)' },
+        { value: TOKENIZER_ENCODINGS.HEURISTIC, name: 'Heuristic (4 chars per token)' },
+      ];
+    },
+  },
+};
+
+/**
+ * @param {unknown} encoding
+ * @returns {'heuristic'|'cl100k_base'|'o200k_base'}
+ */
+export function normalize_tokenizer_encoding(encoding) {
+  const value = String(encoding || '').trim().toLowerCase();
+  if (value === 'heuristic') return TOKENIZER_ENCODINGS.HEURISTIC;
+  if (value === 'cl100k' || value === 'cl100k_base') return TOKENIZER_ENCODINGS.CL100K;
+  if (value === 'o200k' || value === 'o200k_base') return TOKENIZER_ENCODINGS.O200K;
+  return DEFAULT_TOKENIZER_ENCODING;
+}
+
+/**
+ * Resolve the configured encoding from the environment settings.
+ *
+ * @param {any} env
+ * @returns {'heuristic'|'cl100k_base'|'o200k_base'}
+ */
+export function get_tokenizer_encoding(env) {
+  return normalize_tokenizer_encoding(
+    env?.smart_contexts?.settings?.tokenizer_encoding
+    ?? env?.settings?.smart_contexts?.tokenizer_encoding,
+  );
+}
+
+/**
+ * Estimate tokens from characters using the 4-char heuristic.
+ *
+ * @param {number} char_count
+ * @returns {number}
+ */
+export function estimate_tokens(char_count = 0) {
+  const numeric_value = Number(char_count);
+  if (!Number.isFinite(numeric_value) || numeric_value <= 0) {
+    return 0;
+  }
+  return Math.ceil(numeric_value / 4);
+}
+
+/**
+ * Count tokens in text with the requested encoding. Long text is encoded in
+ * chunks split at line breaks, yielding between chunks so a large copy does
+ * not freeze the UI.
+ *
+ * Falls back to the heuristic when the encoding cannot be loaded so a
+ * tokenizer failure never blocks a copy.
+ *
+ * @param {string} text
+ * @param {object} [params={}]
+ * @param {string} [params.encoding]
+ * @returns {Promise<number>}
+ */
+export async function count_tokens(text = '', params = {}) {
+  const value = String(text ?? '');
+  if (!value) return 0;
+
+  const tokenizer = await load_tokenizer(params.encoding);
+  if (!tokenizer) return estimate_tokens(value.length);
+
+  try {
+    let tokens = 0;
+    for (let start = 0; start < value.length;) {
+      const end = get_chunk_end(value, start);
+      if (start > 0) await new Promise((resolve) => setTimeout(resolve, 0));
+      tokens += tokenizer.encode(value.slice(start, end), [], []).length;
+      start = end;
+    }
+    return tokens;
+  } catch (error) {
+    console.warn('Smart Context: token counting failed, using heuristic', error);
+    return estimate_tokens(value.length);
+  }
+}
+
+/**
+ * Load the tokenizer for an encoding, importing its ranks on first use.
+ *
+ * @param {string} [encoding]
+ * @returns {Promise<Tiktoken|null>} Null for the heuristic or when loading fails.
+ */
+export function load_tokenizer(encoding) {
+  const normalized_encoding = normalize_tokenizer_encoding(encoding);
+  const load_ranks = encoding_rank_loaders[normalized_encoding];
+  if (!load_ranks) return Promise.resolve(null);
+
+  if (!tokenizers.has(normalized_encoding)) {
+    tokenizers.set(normalized_encoding, load_ranks()
+      .then((module) => new Tiktoken(module.default ?? module))
+      .catch((error) => {
+        console.warn(`Smart Context: failed to load ${normalized_encoding} tokenizer`, error);
+        tokenizers.delete(normalized_encoding);
+        return null;
+      })
+    );
+  }
+  return tokenizers.get(normalized_encoding);
+}
+
+/**
+ * @param {string} value
+ * @param {number} start
+ * @returns {number} End of the chunk starting at `start`, after a line break when there is one.
+ */
+function get_chunk_end(value, start) {
+  const limit = start + COUNT_CHUNK_CHARS;
+  if (limit >= value.length) return value.length;
+  const line_end = value.lastIndexOf('\n', limit);
+  return line_end > start ? line_end + 1 : limit;
+}
+
+/**
+ * Return the cached token count for a context item when the cached mtime
+ * still matches, otherwise the heuristic estimate from its size.
+ *
+ * @param {any} item
+ * @param {object} [params={}]
+ * @param {string} [params.encoding]
+ * @returns {number}
+ */
+export function estimate_item_tokens(item, params = {}) {
+  const encoding = normalize_tokenizer_encoding(params.encoding);
+  const size = get_item_size(item);
+  if (encoding === TOKENIZER_ENCODINGS.HEURISTIC) return estimate_tokens(size);
+
+  const cached = source_token_cache.get(get_cache_key(encoding, get_item_key(item)));
+  if (cached && cached.mtime === get_item_mtime(item)) return cached.tokens;
+  return estimate_tokens(size);
+}
+
+/**
+ * Sum token estimates for context items.
+ *
+ * @param {Array<any>} items
+ * @param {object} [params={}]
+ * @param {string} [params.encoding]
+ * @returns {number}
+ */
+export function estimate_items_tokens(items = [], params = {}) {
+  if (!Array.isArray(items)) return 0;
+  return items.reduce((sum, item) => sum + estimate_item_tokens(item, params), 0);
+}
+
+/**
+ * Read and tokenize items whose counts are missing or stale.
+ *
+ * Resolves to the number of items that were (re)counted so callers can decide
+ * whether a re-render is worthwhile.
+ *
+ * @param {Array<any>} items
+ * @param {object} [params={}]
+ * @param {string} [params.encoding]
+ * @returns {Promise<number>}
+ */
+export async function warm_item_token_counts(items = [], params = {}) {
+  const encoding = normalize_tokenizer_encoding(params.encoding);
+  if (encoding === TOKENIZER_ENCODINGS.HEURISTIC || !Array.isArray(items)) return 0;
+
+  let counted = 0;
+  for (const item of items) {
+    if (is_media_item(item)) continue;
+    const key = get_item_key(item);
+    if (!key) continue;
+
+    const mtime = get_item_mtime(item);
+    const cache_key = get_cache_key(encoding, key);
+    if (source_token_cache.get(cache_key)?.mtime === mtime) continue;
+
+    const text = await read_item_text(item);
+    if (typeof text !== 'string') continue;
+
+    source_token_cache.set(cache_key, {
+      mtime,
+      tokens: await count_tokens(text, { encoding }),
+    });
+    counted += 1;
+  }
+  return counted;
+}
+
+/**
+ * @returns {void}
+ */
+export function clear_token_cache() {
+  source_token_cache.clear();
+}
+
+/**
+ * @param {any} item
+ * @returns {Promise<string|null>}
+ */
+async function read_item_text(item) {
+  try {
+    if (typeof item?.get_text === 'function') return await item.get_text();
+    const item_ref = item?.item_ref;
+    if (typeof item_ref?.read === 'function') return await item_ref.read();
+  } catch (error) {
+    console.warn(`Smart Context: failed to read "${get_item_key(item)}" for token count`, error);
+  }
+  return null;
+}
+
+/**
+ * @param {string} encoding
+ * @param {string} key
+ * @returns {string}
+ */
+function get_cache_key(encoding, key) {
+  return `${encoding}:${key}`;
+}
+
+/**
+ * @param {any} item
+ * @returns {string}
+ */
+function get_item_key(item) {
+  return String(item?.key || item?.data?.key || '').trim();
+}
+
+/**
+ * @param {any} item
+ * @returns {number}
+ */
+function get_item_mtime(item) {
+  const mtime = Number(item?.mtime ?? item?.data?.mtime);
+  return Number.isFinite(mtime) ? mtime : 0;
+}
+
+/**
+ * @param {any} item
+ * @returns {number}
+ */
+function get_item_size(item) {
+  const size = Number(item?.size ?? item?.data?.size);
+  return Number.isFinite(size) && size > 0 ? size : 0;
+}
+
+/**
+ * @param {any} item
+ * @returns {boolean}
+ */
+function is_media_item(item) {
+  try {
+    return item?.is_media === true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,106 @@
+import test from 'ava';
+import {
+  TOKENIZER_ENCODINGS,
+  clear_token_cache,
+  count_tokens,
+  estimate_item_tokens,
+  estimate_items_tokens,
+  estimate_tokens,
+  get_tokenizer_encoding,
+  load_tokenizer,
+  normalize_tokenizer_encoding,
+  warm_item_token_counts,
+} from './tokenizer.js';
+
+test.beforeEach(() => {
+  clear_token_cache();
+});
+
+test('estimate_tokens keeps the 4-character heuristic', (t) => {
+  t.is(estimate_tokens(0), 0);
+  t.is(estimate_tokens(-5), 0);
+  t.is(estimate_tokens(9), 3);
+  t.is(estimate_tokens('nope'), 0);
+});
+
+test('normalize_tokenizer_encoding accepts short names and falls back to o200k', (t) => {
+  t.is(normalize_tokenizer_encoding('cl100k'), TOKENIZER_ENCODINGS.CL100K);
+  t.is(normalize_tokenizer_encoding('O200K_BASE'), TOKENIZER_ENCODINGS.O200K);
+  t.is(normalize_tokenizer_encoding('heuristic'), TOKENIZER_ENCODINGS.HEURISTIC);
+  t.is(normalize_tokenizer_encoding('unknown'), TOKENIZER_ENCODINGS.O200K);
+  t.is(normalize_tokenizer_encoding(undefined), TOKENIZER_ENCODINGS.O200K);
+});
+
+test('get_tokenizer_encoding reads the smart_contexts collection settings', (t) => {
+  t.is(get_tokenizer_encoding({
+    smart_contexts: { settings: { tokenizer_encoding: 'cl100k_base' } },
+  }), TOKENIZER_ENCODINGS.CL100K);
+  t.is(get_tokenizer_encoding(null), TOKENIZER_ENCODINGS.O200K);
+});
+
+test('count_tokens uses real encodings and the heuristic on request', async (t) => {
+  const text = 'Hello world';
+  t.is(await count_tokens(text, { encoding: 'cl100k_base' }), 2);
+  t.is(await count_tokens(text, { encoding: 'o200k_base' }), 2);
+  t.is(await count_tokens(text, { encoding: 'heuristic' }), 3);
+  t.is(await count_tokens('', { encoding: 'o200k_base' }), 0);
+});
+
+test('count_tokens treats special token markers as plain text', async (t) => {
+  t.true(await count_tokens('<|endoftext|>', { encoding: 'cl100k_base' }) > 1);
+});
+
+test('count_tokens counts long text in chunks split at line breaks', async (t) => {
+  const line = 'The quick brown fox jumps over the lazy dog.\n';
+  const line_tokens = await count_tokens(line, { encoding: 'o200k_base' });
+  const text = line.repeat(3000);
+  t.true(text.length > 100000);
+  t.is(await count_tokens(text, { encoding: 'o200k_base' }), line_tokens * 3000);
+});
+
+test('load_tokenizer loads only real encodings', async (t) => {
+  t.is(await load_tokenizer('heuristic'), null);
+  const tokenizer = await load_tokenizer('cl100k');
+  t.truthy(tokenizer);
+  t.is(await load_tokenizer('cl100k_base'), tokenizer);
+});
+
+test('estimate_item_tokens uses warmed counts until the item mtime changes', async (t) => {
+  const text = '你好世界，这是一个测试。'.repeat(20);
+  const item = {
+    key: 'cjk.md',
+    size: text.length,
+    mtime: 1,
+    item_ref: { read: async () => text },
+  };
+
+  t.is(estimate_item_tokens(item, { encoding: 'o200k_base' }), estimate_tokens(text.length));
+
+  const counted = await warm_item_token_counts([item], { encoding: 'o200k_base' });
+  const exact = await count_tokens(text, { encoding: 'o200k_base' });
+  t.is(counted, 1);
+  t.is(estimate_item_tokens(item, { encoding: 'o200k_base' }), exact);
+  t.not(exact, estimate_tokens(text.length));
+
+  t.is(await warm_item_token_counts([item], { encoding: 'o200k_base' }), 0);
+
+  const modified = { ...item, mtime: 2 };
+  t.is(estimate_item_tokens(modified, { encoding: 'o200k_base' }), estimate_tokens(text.length));
+  t.is(estimate_item_tokens(item, { encoding: 'cl100k_base' }), estimate_tokens(text.length));
+});
+
+test('warm_item_token_counts skips media and unreadable items', async (t) => {
+  const counted = await warm_item_token_counts([
+    { key: 'image.png', is_media: true, item_ref: { read: async () => 'x' } },
+    { key: 'gone.md' },
+  ], { encoding: 'o200k_base' });
+  t.is(counted, 0);
+});
+
+test('estimate_items_tokens sums per-item estimates', (t) => {
+  t.is(estimate_items_tokens([
+    { key: 'a.md', size: 8 },
+    { key: 'b.md', data: { size: 5 } },
+  ], { encoding: 'heuristic' }), 4);
+  t.is(estimate_items_tokens(null), 0);
+});
@@ -148,6 +148,21 @@ export function build_context_key(name) {
   ;
 }
 
+/**
+ * @param {any} collection - SmartContexts.
+ * @param {string} name
+ * @returns {any|null}
+ */
+export function find_named_context(collection, name) {
+  const context_name = to_trimmed_string(name);
+  if (!context_name) return null;
+  const context = context_name_action_scope.resolve({
+    env: collection?.env,
+    params: { name: context_name },
+  });
+  return to_trimmed_string(context?.data?.name) ? context : null;
+}
+
 export async function create_named_context(collection, name) {
   const existing = context_name_action_scope.resolve({
     env: collection.env,
@@ -0,0 +1,13 @@
+/**
+ * Create the folder a vault path will be written to, when it is missing.
+ *
+ * @param {import('obsidian').App} app
+ * @param {string} path - Vault path of the file about to be written.
+ * @returns {Promise<void>}
+ */
+export async function ensure_parent_folder(app, path) {
+  const folder_path = path.split('/').slice(0, -1).join('/');
+  if (!folder_path) return;
+  if (app.vault.getAbstractFileByPath(folder_path)) return;
+  await app.vault.createFolder(folder_path);
+}
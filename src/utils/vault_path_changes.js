@@ -0,0 +1,601 @@
+/**
+ * @file vault_path_changes.js
+ * @description
+ * Keep context references valid when vault files or folders are renamed, moved
+ * or deleted. Codeblock lines, `context_items`/`exclusions` keys, block
+ * subpaths and folder prefixes are rewritten across all contexts; references
+ * to deleted paths are removed. Vault events are batched so a folder move
+ * (which also fires for every file inside it) produces one summary notice.
+ */
+
+import {
+  find_context_codeblock_ranges,
+  parse_context_codeblock_ctx_key,
+} from './context_codeblock_ranges.js';
+import { is_codeblock_comment_line } from './codeblock_sync.js';
+import { parse_codeblock_option_line } from './codeblock_options.js';
+import { is_codeblock_query_line } from './codeblock_queries.js';
+import { parse_codeblock_link_line } from './codeblock_links.js';
+import { parse_codeblock_depth_line } from './codeblock_depth_rules.js';
+import {
+  format_note_context_line,
+  parse_note_context_line,
+} from './codeblock_note_contexts.js';
+
+export const VAULT_PATH_CHANGE_DELAY_MS = 300;
+
+/**
+ * @typedef {object} VaultPathChange
+ * @property {string} old_path
+ * @property {string|null} new_path - Null when the path was deleted.
+ * @property {boolean} [is_folder=false]
+ */
+
+const item_path_fields = ['key', 'source_path', 'path', 'folder', 'from_folder'];
+
+/**
+ * Map a vault path through a change.
+ *
+ * @param {string} path
+ * @param {VaultPathChange} change
+ * @returns {string|null|undefined} The new path, null when deleted, undefined when unaffected.
+ */
+export function rewrite_vault_path(path, change) {
+  const value = String(path || '');
+  const old_path = normalize_path(change?.old_path);
+  if (!value || !old_path) return undefined;
+  const trailing_slash = value.endsWith('/') ? '/' : '';
+  const base = normalize_path(value);
+  if (base !== old_path && !(change.is_folder && base.startsWith(`${old_path}/`))) {
+    return undefined;
+  }
+  if (change.new_path === null || typeof change.new_path === 'undefined') return null;
+  return `${normalize_path(change.new_path)}${base.slice(old_path.length)}${trailing_slash}`;
+}
+
+/**
+ * Map a context key (`note.md`, `note.md#Heading`, `folder/`) through a change.
+ *
+ * @param {string} key
+ * @param {VaultPathChange} change
+ * @returns {string|null|undefined}
+ */
+export function rewrite_context_key(key, change) {
+  const value = String(key || '');
+  const hash_index = value.indexOf('#');
+  const path = hash_index === -1 ? value : value.slice(0, hash_index);
+  const subpath = hash_index === -1 ? '' : value.slice(hash_index);
+  const next_path = rewrite_vault_path(path, change);
+  if (typeof next_path !== 'string') return next_path;
+  return `${next_path}${subpath}`;
+}
+
+/**
+ * Rewrite the literal folder prefix of a glob pattern. Deleting a folder
+ * leaves globs alone; they simply match less.
+ *
+ * @param {string} pattern
+ * @param {VaultPathChange} change
+ * @returns {string|undefined}
+ */
+export function rewrite_glob_pattern(pattern, change) {
+  const value = String(pattern || '');
+  const old_path = normalize_path(change?.old_path);
+  if (!change?.is_folder || !change.new_path || !old_path) return undefined;
+  if (!value.startsWith(`${old_path}/`)) return undefined;
+  return `${normalize_path(change.new_path)}${value.slice(old_path.length)}`;
+}
+
+/**
+ * Rewrite one codeblock line. Option, comment, query and named-context lines
+ * are never paths.
+ *
+ * @param {string} raw_line
+ * @param {VaultPathChange} change
+ * @returns {string|null|undefined} The new line, null to drop it, undefined when unaffected.
+ */
+export function rewrite_codeblock_line(raw_line, change) {
+  const line = String(raw_line ?? '');
+  const value = line.trim();
+  if (!value || is_codeblock_comment_line(value) || parse_codeblock_option_line(value)) return undefined;
+  if (value.startsWith('ctx::') || is_codeblock_query_line(value)) return undefined;
+
+  const indent = line.slice(0, line.length - line.trimStart().length);
+  const note_target = parse_note_context_line(value);
+  if (note_target !== null) {
+    const next_target = note_target ? rewrite_codeblock_line(note_target, change) : undefined;
+    if (typeof next_target !== 'string') return next_target;
+    return `${indent}${format_note_context_line(next_target)}`;
+  }
+  const depth_rule = parse_codeblock_depth_line(value);
+  if (depth_rule) {
+    // the target leads the line; depth and modifiers are kept as written
+    const next_target = rewrite_codeblock_line(depth_rule.target, change);
+    if (typeof next_target !== 'string') return next_target;
+    return `${indent}${next_target}${value.slice(depth_rule.target.length)}`;
+  }
+  const link = parse_codeblock_link_line(value);
+  if (link) {
+    const next_link_line = rewrite_link_line(value, link, change);
+    return typeof next_link_line === 'string' ? `${indent}${next_link_line}` : next_link_line;
+  }
+  const prefix = value.startsWith('!') ? '!' : '';
+  const body = value.slice(prefix.length);
+  const next_body = /[*?]/.test(body)
+    ? rewrite_glob_pattern(body, change)
+    : rewrite_context_key(body, change)
+  ;
+  if (typeof next_body !== 'string') return next_body;
+  return `${indent}${prefix}${next_body}`;
+}
+
+/**
+ * Rewrite the lines of every context codeblock in a note.
+ *
+ * @param {string} markdown
+ * @param {VaultPathChange} change
+ * @returns {{ markdown:string, updated_lines:number, removed_lines:number }}
+ */
+export function rewrite_codeblock_markdown(markdown, change) {
+  const newline = String(markdown || '').includes('\r\n') ? '\r\n' : '\n';
+  const lines = String(markdown || '').replace(/\r\n/g, '\n').split('\n');
+  let updated_lines = 0;
+  let removed_lines = 0;
+
+  find_context_codeblock_ranges(lines).reverse().forEach((range) => {
+    for (let i = range.end - 1; i > range.start; i -= 1) {
+      const next_line = rewrite_codeblock_line(lines[i], change);
+      if (typeof next_line === 'undefined' || next_line === lines[i]) continue;
+      if (next_line === null) {
+        lines.splice(i, 1);
+        removed_lines += 1;
+        continue;
+      }
+      lines[i] = next_line;
+      updated_lines += 1;
+    }
+  });
+
+  return {
+    markdown: lines.join('\n').replace(/\n/g, newline),
+    updated_lines,
+    removed_lines,
+  };
+}
+
+/**
+ * Rewrite path references stored in context data, in place. Key order is
+ * kept; named-context items are names, not paths.
+ *
+ * @param {object} data - SmartContext data.
+ * @param {VaultPathChange} change
+ * @returns {{ updated_items:number, removed_items:number }}
+ */
+export function rewrite_context_data(data, change) {
+  const counts = { updated_items: 0, removed_items: 0 };
+  if (!data || typeof data !== 'object') return counts;
+
+  ['context_items', 'exclusions'].forEach((field) => {
+    const items = data[field];
+    if (!items || typeof items !== 'object') return;
+    let changed = false;
+    const next_items = {};
+    Object.entries(items).forEach(([key, item_data]) => {
+      if (item_data?.named_context === true) {
+        next_items[key] = item_data;
+        return;
+      }
+      const next_key = rewrite_context_key(key, change);
+      if (next_key === null) {
+        counts.removed_items += 1;
+        changed = true;
+        return;
+      }
+      const next_data = rewrite_item_fields(item_data, change);
+      if (typeof next_key === 'string' || next_data !== item_data) {
+        counts.updated_items += 1;
+        changed = true;
+      }
+      next_items[next_key ?? key] = next_data;
+    });
+    if (changed) data[field] = next_items;
+  });
+
+  if (data.codeblock_globs && typeof data.codeblock_globs === 'object') {
+    data.codeblock_globs = Object.fromEntries(
+      Object.entries(data.codeblock_globs).map(([pattern, rule]) => [
+        rewrite_glob_pattern(pattern, change) ?? pattern,
+        rule,
+      ]),
+    );
+  }
+
+  [
+    ['codeblock_depth_rules', 'target_key'],
+    ['codeblock_note_contexts', 'target_path'],
+  ].forEach(([rules_key, target_field]) => {
+    const rules = data[rules_key];
+    if (!rules || typeof rules !== 'object') return;
+    const next_rules = {};
+    Object.entries(rules).forEach(([line, rule]) => {
+      const next_line = rewrite_codeblock_line(line, change);
+      if (next_line === null) return;
+      const next_target = rewrite_vault_path(rule?.[target_field] || '', change);
+      next_rules[next_line ?? line] = typeof next_target === 'string'
+        ? { ...rule, [target_field]: next_target }
+        : rule
+      ;
+    });
+    data[rules_key] = next_rules;
+  });
+
+  if (data.codeblock_inclusions && typeof data.codeblock_inclusions === 'object') {
+    const next_inclusions = {};
+    Object.entries(data.codeblock_inclusions).forEach(([path, value]) => {
+      const next_path = rewrite_vault_path(path, change);
+      if (next_path === null) return;
+      next_inclusions[next_path ?? path] = value;
+    });
+    data.codeblock_inclusions = next_inclusions;
+  }
+
+  return counts;
+}
+
+/**
+ * Drop changes already covered by an earlier folder change in the batch
+ * (Obsidian reports every file inside a moved folder as well).
+ *
+ * @param {VaultPathChange[]} changes
+ * @returns {VaultPathChange[]}
+ */
+export function coalesce_vault_path_changes(changes = []) {
+  const kept = [];
+  changes.forEach((change) => {
+    if (!change?.old_path) return;
+    const covered = kept.some((folder_change) => {
+      if (!folder_change.is_folder) return false;
+      const mapped_old = rewrite_vault_path(change.old_path, folder_change);
+      if (typeof mapped_old === 'undefined') return false;
+      return mapped_old === (change.new_path === null ? null : normalize_path(change.new_path));
+    });
+    if (!covered) kept.push(change);
+  });
+  return kept;
+}
+
+/**
+ * @param {VaultPathChange[]} changes
+ * @param {{ notes:number, updated_lines:number, removed_lines:number, contexts:number, updated_items:number, removed_items:number }} totals
+ * @returns {string}
+ */
+export function build_path_change_summary(changes, totals) {
+  const subject = changes.length === 1
+    ? describe_change(changes[0])
+    : `${changes.length} moved or deleted paths`
+  ;
+  const parts = [];
+  const line_count = totals.updated_lines + totals.removed_lines;
+  if (line_count) {
+    parts.push(`${format_count(line_count, 'codeblock line')} in ${format_count(totals.notes, 'note')}`);
+  }
+  if (totals.contexts) {
+    parts.push(`${format_count(totals.contexts, 'context')}`);
+  }
+  return `Updated references to ${subject}: ${parts.join(', ')}.`;
+}
+
+/**
+ * Apply a batch of vault path changes to codeblock notes and stored contexts.
+ *
+ * Codeblock notes are every markdown note the metadata cache reports a code
+ * block in (codeblock contexts are only loaded once their note renders), plus
+ * the notes of known codeblock contexts and the notes a named context is
+ * included from.
+ *
+ * @param {object} plugin
+ * @param {VaultPathChange[]} changes
+ * @returns {Promise<{ notes:number, updated_lines:number, removed_lines:number, contexts:number, updated_items:number, removed_items:number }>}
+ */
+export async function apply_vault_path_changes(plugin, changes = []) {
+  const env = plugin?.env;
+  const app = plugin?.app;
+  const totals = {
+    notes: 0,
+    updated_lines: 0,
+    removed_lines: 0,
+    contexts: 0,
+    updated_items: 0,
+    removed_items: 0,
+  };
+  const batch = coalesce_vault_path_changes(changes);
+  if (!batch.length || !env?.smart_contexts) return totals;
+
+  const contexts = Object.values(env.smart_contexts.items || {});
+  const note_paths = new Set(list_codeblock_note_paths(app));
+  contexts.forEach((ctx) => {
+    const source_path = parse_context_codeblock_ctx_key(ctx?.key)?.source_path;
+    const known_paths = [
+      ...(source_path ? [source_path] : []),
+      ...Object.keys(ctx?.data?.codeblock_inclusions || {}),
+    ];
+    known_paths.forEach((path) => {
+      // the codeblock note itself may have moved in this batch
+      const current_path = batch.reduce(
+        (next_path, change) => (next_path ? (rewrite_vault_path(next_path, change) ?? next_path) : next_path),
+        path,
+      );
+      if (current_path) note_paths.add(current_path);
+    });
+  });
+
+  for (const note_path of note_paths) {
+    const file = app?.vault?.getFileByPath?.(note_path)
+      || app?.vault?.getAbstractFileByPath?.(note_path)
+    ;
+    if (!file || file.extension !== 'md') continue;
+
+    // skip notes without a matching line before taking the write path
+    const markdown = typeof app.vault.cachedRead === 'function'
+      ? await app.vault.cachedRead(file)
+      : await app.vault.read(file)
+    ;
+    if (!rewrite_codeblock_markdown_for_batch(markdown, batch).changed) continue;
+
+    let result = null;
+    await process_note(app, file, (current_markdown) => {
+      result = rewrite_codeblock_markdown_for_batch(current_markdown, batch);
+      return result.markdown;
+    });
+    if (!result?.changed) continue;
+    totals.notes += 1;
+    totals.updated_lines += result.updated_lines;
+    totals.removed_lines += result.removed_lines;
+  }
+
+  contexts.forEach((ctx) => {
+    if (!ctx?.data) return;
+    let ctx_changed = false;
+    batch.forEach((change) => {
+      const result = rewrite_context_data(ctx.data, change);
+      if (!result.updated_items && !result.removed_items) return;
+      totals.updated_items += result.updated_items;
+      totals.removed_items += result.removed_items;
+      ctx_changed = true;
+    });
+    if (!ctx_changed) return;
+    totals.contexts += 1;
+    ctx.queue_save?.();
+    // a moved codeblock note re-renders under its new path; syncing the old one would fail
+    const source_path = parse_context_codeblock_ctx_key(ctx.key)?.source_path;
+    if (source_path && batch.some((change) => typeof rewrite_vault_path(source_path, change) !== 'undefined')) return;
+    ctx.emit_event?.('context:updated', {
+      event_source: 'vault_path_changes',
+    });
+  });
+
+  if (totals.notes || totals.contexts) {
+    env.events?.emit?.('context:paths_updated', {
+      level: 'info',
+      message: build_path_change_summary(batch, totals),
+      ...totals,
+      event_source: 'vault_path_changes',
+    });
+  }
+  return totals;
+}
+
+/**
+ * Collect vault rename/delete events and apply them together once events
+ * stop arriving.
+ *
+ * @param {object} plugin
+ * @param {object} [params={}]
+ * @param {number} [params.delay_ms=VAULT_PATH_CHANGE_DELAY_MS]
+ * @returns {{ push:(change:VaultPathChange)=>void, dispose:()=>void }}
+ */
+export function create_vault_path_change_queue(plugin, params = {}) {
+  const delay_ms = Number.isFinite(params.delay_ms) ? params.delay_ms : VAULT_PATH_CHANGE_DELAY_MS;
+  let pending = [];
+  let timer = null;
+
+  const flush = async () => {
+    timer = null;
+    const changes = pending;
+    pending = [];
+    try {
+      await apply_vault_path_changes(plugin, changes);
+    } catch (error) {
+      console.error('Smart Context: Failed to update references after vault change', error);
+      plugin?.env?.events?.emit?.('notification:error', {
+        level: 'error',
+        message: 'Failed to update context references after a file was moved or deleted.',
+        details: error instanceof Error ? error.message : String(error || ''),
+        event_source: 'vault_path_changes',
+      });
+    }
+  };
+
+  return {
+    push(change) {
+      if (!change?.old_path) return;
+      pending.push(change);
+      if (timer) clearTimeout(timer);
+      timer = setTimeout(flush, delay_ms);
+    },
+    dispose() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      pending = [];
+    },
+  };
+}
+
+/**
+ * Markdown notes that may hold a context codeblock: those whose cached
+ * sections include a code block, and those not indexed yet.
+ *
+ * @param {import('obsidian').App} app
+ * @returns {string[]}
+ */
+function list_codeblock_note_paths(app) {
+  return (app?.vault?.getMarkdownFiles?.() || [])
+    .filter((file) => {
+      const sections = app.metadataCache?.getFileCache?.(file)?.sections;
+      return !Array.isArray(sections) || sections.some((section) => section?.type === 'code');
+    })
+    .map((file) => file.path)
+  ;
+}
+
+/**
+ * @param {string} markdown
+ * @param {VaultPathChange[]} batch
+ * @returns {{ markdown:string, updated_lines:number, removed_lines:number, changed:boolean }}
+ */
+function rewrite_codeblock_markdown_for_batch(markdown, batch) {
+  let next_markdown = markdown;
+  let updated_lines = 0;
+  let removed_lines = 0;
+  batch.forEach((change) => {
+    const result = rewrite_codeblock_markdown(next_markdown, change);
+    if (!result.updated_lines && !result.removed_lines) return;
+    next_markdown = result.markdown;
+    updated_lines += result.updated_lines;
+    removed_lines += result.removed_lines;
+  });
+  return {
+    markdown: next_markdown,
+    updated_lines,
+    removed_lines,
+    changed: updated_lines + removed_lines > 0,
+  };
+}
+
+/**
+ * Rewrite a note atomically, so an edit saved between reading and writing is
+ * not overwritten.
+ *
+ * @param {import('obsidian').App} app
+ * @param {import('obsidian').TFile} file
+ * @param {(markdown:string)=>string} rewrite
+ * @returns {Promise<void>}
+ */
+async function process_note(app, file, rewrite) {
+  if (typeof app.vault.process === 'function') {
+    await app.vault.process(file, rewrite);
+    return;
+  }
+  const markdown = await app.vault.read(file);
+  const next_markdown = rewrite(markdown);
+  if (next_markdown !== markdown) await app.vault.modify(file, next_markdown);
+}
+
+/**
+ * Links written as a path follow the path; bare note names follow a file
+ * rename. Bare names are left alone on delete since another note with the
+ * same name may be the target.
+ *
+ * @param {string} line
+ * @param {{ linkpath:string }} link
+ * @param {VaultPathChange} change
+ * @returns {string|null|undefined}
+ */
+function rewrite_link_line(line, link, change) {
+  const linkpath = link.linkpath;
+  if (!linkpath) return undefined;
+  const has_extension = /\.[^./]+$/.test(linkpath.split('/').pop() || '');
+  const full_path = has_extension ? linkpath : `${linkpath}.md`;
+  const strip = (path) => (has_extension ? path : path.replace(/\.md$/i, ''));
+
+  let next_linkpath;
+  if (linkpath.includes('/')) {
+    const next_path = rewrite_vault_path(full_path, change);
+    if (typeof next_path !== 'string') return next_path;
+    next_linkpath = strip(next_path);
+  } else {
+    if (change.is_folder || !change.new_path) return undefined;
+    const old_name = normalize_path(change.old_path).split('/').pop();
+    if (old_name.toLowerCase() !== full_path.toLowerCase()) return undefined;
+    next_linkpath = strip(normalize_path(change.new_path).split('/').pop());
+  }
+  return replace_link_target(line, linkpath, next_linkpath);
+}
+
+/**
+ * @param {string} line
+ * @param {string} linkpath
+ * @param {string} next_linkpath
+ * @returns {string|undefined}
+ */
+function replace_link_target(line, linkpath, next_linkpath) {
+  const replacements = [
+    [`[[${linkpath}`, `[[${next_linkpath}`],
+    [`](<${linkpath}`, `](<${next_linkpath}`],
+    [`](${linkpath}`, `](${next_linkpath}`],
+    [`](${encodeURI(linkpath)}`, `](${encodeURI(next_linkpath)}`],
+  ];
+  const match = replacements.find(([from]) => line.includes(from));
+  return match ? line.replace(match[0], match[1]) : undefined;
+}
+
+/**
+ * @param {object} item_data
+ * @param {VaultPathChange} change
+ * @returns {object} The same object when nothing changed.
+ */
+function rewrite_item_fields(item_data, change) {
+  if (!item_data || typeof item_data !== 'object') return item_data;
+  let next_data = item_data;
+  item_path_fields.forEach((field) => {
+    if (typeof item_data[field] !== 'string') return;
+    const next_value = rewrite_context_key(item_data[field], change);
+    if (typeof next_value !== 'string') return;
+    if (next_data === item_data) next_data = { ...item_data };
+    next_data[field] = next_value;
+  });
+  if (typeof item_data.link_line === 'string') {
+    // keep sync-back matching the rewritten codeblock line
+    const next_link_line = rewrite_codeblock_line(item_data.link_line, change);
+    if (typeof next_link_line === 'string') {
+      if (next_data === item_data) next_data = { ...item_data };
+      next_data.link_line = next_link_line;
+    }
+  }
+  if (typeof item_data.from_glob === 'string') {
+    const next_glob = rewrite_glob_pattern(item_data.from_glob, change);
+    if (typeof next_glob === 'string') {
+      if (next_data === item_data) next_data = { ...item_data };
+      next_data.from_glob = next_glob;
+    }
+  }
+  return next_data;
+}
+
+/**
+ * @param {VaultPathChange} change
+ * @returns {string}
+ */
+function describe_change(change) {
+  return change.new_path === null
+    ? `deleted ${change.old_path}`
+    : `${change.old_path} → ${change.new_path}`
+  ;
+}
+
+/**
+ * @param {number} count
+ * @param {string} noun
+ * @returns {string}
+ */
+function format_count(count, noun) {
+  return `${count.toLocaleString()} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * @param {string} path
+ * @returns {string}
+ */
+function normalize_path(path = '') {
+  return String(path || '').trim().replace(/\\+/g, '/').replace(/\/+$/g, '');
+}
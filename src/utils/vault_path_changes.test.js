@@ -0,0 +1,248 @@
+import test from 'ava';
+import {
+  apply_vault_path_changes,
+  coalesce_vault_path_changes,
+  rewrite_codeblock_line,
+  rewrite_codeblock_markdown,
+  rewrite_context_data,
+  rewrite_context_key,
+} from './vault_path_changes.js';
+
+const rename_file = { old_path: 'Specs/auth.md', new_path: 'Specs/authentication.md' };
+const move_folder = { old_path: 'Specs', new_path: 'Docs/Specs', is_folder: true };
+const delete_file = { old_path: 'Specs/auth.md', new_path: null };
+
+test('rewrite_context_key handles files, block subpaths and folder prefixes', (t) => {
+  t.is(rewrite_context_key('Specs/auth.md', rename_file), 'Specs/authentication.md');
+  t.is(rewrite_context_key('Specs/auth.md#Tokens', rename_file), 'Specs/authentication.md#Tokens');
+  t.is(rewrite_context_key('Specs/auth.md.bak', rename_file), undefined);
+  t.is(rewrite_context_key('Specs/', move_folder), 'Docs/Specs/');
+  t.is(rewrite_context_key('Specs/api/a.md#^block', move_folder), 'Docs/Specs/api/a.md#^block');
+  t.is(rewrite_context_key('SpecsOld/a.md', move_folder), undefined);
+  t.is(rewrite_context_key('Specs/auth.md#Tokens', delete_file), null);
+});
+
+test('rewrite_codeblock_line leaves options, comments, queries and named contexts alone', (t) => {
+  t.is(rewrite_codeblock_line('@depth: 1', rename_file), undefined);
+  t.is(rewrite_codeblock_line('# Specs/auth.md', rename_file), undefined);
+  t.is(rewrite_codeblock_line('ctx:: Specs/auth.md', rename_file), undefined);
+  t.is(rewrite_codeblock_line('tag:#specs', rename_file), undefined);
+  t.is(rewrite_codeblock_line('!Specs/auth.md', rename_file), '!Specs/authentication.md');
+  t.is(rewrite_codeblock_line('Specs/**/*.md', move_folder), 'Docs/Specs/**/*.md');
+  t.is(rewrite_codeblock_line('Specs/**/*.md', { ...move_folder, new_path: null }), undefined);
+});
+
+test('rewrite_codeblock_markdown only touches context codeblocks', (t) => {
+  const markdown = [
+    'See Specs/auth.md',
+    '```ctx',
+    '# keep',
+    'Specs/auth.md',
+    'Other/b.md',
+    '```',
+    '```ctx research',
+    'Specs/auth.md#Tokens',
+    '```',
+  ].join('\r\n');
+  t.deepEqual(rewrite_codeblock_markdown(markdown, rename_file), {
+    markdown: markdown.replaceAll('\r\nSpecs/auth.md', '\r\nSpecs/authentication.md'),
+    updated_lines: 2,
+    removed_lines: 0,
+  });
+  const deleted = rewrite_codeblock_markdown(markdown, delete_file);
+  t.is(deleted.removed_lines, 2);
+  t.false(deleted.markdown.includes('```ctx\r\n# keep\r\nSpecs/auth.md'));
+  t.true(deleted.markdown.startsWith('See Specs/auth.md'));
+});
+
+test('rewrite_context_data rekeys items in order and drops deleted ones', (t) => {
+  const data = {
+    context_items: {
+      'a.md': { key: 'a.md' },
+      'Specs/auth.md#Tokens': { key: 'Specs/auth.md#Tokens', source_path: 'Specs/auth.md', subpath: 'Tokens' },
+      'Specs/': { key: 'Specs/', folder: 'Specs' },
+      Weekly: { key: 'Weekly', named_context: true },
+    },
+    exclusions: { 'Specs/old.md': { key: 'Specs/old.md' } },
+    codeblock_globs: { 'Specs/*.md': { match_count: 1 } },
+    codeblock_inclusions: { 'Specs/index.md': 1 },
+  };
+  t.deepEqual(rewrite_context_data(data, move_folder), { updated_items: 3, removed_items: 0 });
+  t.deepEqual(Object.keys(data.context_items), ['a.md', 'Docs/Specs/auth.md#Tokens', 'Docs/Specs/', 'Weekly']);
+  t.is(data.context_items['Docs/Specs/auth.md#Tokens'].source_path, 'Docs/Specs/auth.md');
+  t.is(data.context_items['Docs/Specs/'].folder, 'Docs/Specs');
+  t.deepEqual(Object.keys(data.exclusions), ['Docs/Specs/old.md']);
+  t.deepEqual(Object.keys(data.codeblock_globs), ['Docs/Specs/*.md']);
+  t.deepEqual(data.codeblock_inclusions, { 'Docs/Specs/index.md': 1 });
+
+  t.deepEqual(
+    rewrite_context_data(data, { old_path: 'Docs/Specs', new_path: null, is_folder: true }),
+    { updated_items: 0, removed_items: 3 },
+  );
+  t.deepEqual(Object.keys(data.context_items), ['a.md', 'Weekly']);
+});
+
+test('coalesce_vault_path_changes drops children of a moved folder', (t) => {
+  t.deepEqual(coalesce_vault_path_changes([
+    move_folder,
+    { old_path: 'Specs/auth.md', new_path: 'Docs/Specs/auth.md' },
+    { old_path: 'Other/b.md', new_path: 'Other/c.md' },
+  ]), [move_folder, { old_path: 'Other/b.md', new_path: 'Other/c.md' }]);
+});
+
+test('apply_vault_path_changes rewrites codeblock notes and contexts with one notice', async (t) => {
+  const files = { 'Notes/hub.md': '```ctx\nSpecs/auth.md\n```' };
+  const emitted = [];
+  const codeblock_ctx = {
+    key: 'Notes/hub.md#codeblock',
+    data: { context_items: { 'Specs/auth.md': { key: 'Specs/auth.md' } } },
+    queue_save() { this.saved = true; },
+    emit_event(event_key) { emitted.push(event_key); },
+  };
+  const plugin = {
+    app: {
+      vault: {
+        getFileByPath: (path) => (files[path] ? { path, extension: 'md' } : null),
+        read: async (file) => files[file.path],
+        modify: async (file, content) => { files[file.path] = content; },
+      },
+    },
+    env: {
+      smart_contexts: { items: { [codeblock_ctx.key]: codeblock_ctx } },
+      events: { emit: (event_key, payload) => emitted.push({ event_key, payload }) },
+    },
+  };
+  const totals = await apply_vault_path_changes(plugin, [rename_file]);
+  t.is(files['Notes/hub.md'], '```ctx\nSpecs/authentication.md\n```');
+  t.deepEqual(Object.keys(codeblock_ctx.data.context_items), ['Specs/authentication.md']);
+  t.true(codeblock_ctx.saved);
+  t.like(totals, { notes: 1, updated_lines: 1, contexts: 1, updated_items: 1 });
+  t.is(emitted[0], 'context:updated');
+  t.is(emitted[1].event_key, 'context:paths_updated');
+  t.is(
+    emitted[1].payload.message,
+    'Updated references to Specs/auth.md → Specs/authentication.md: 1 codeblock line in 1 note, 1 context.',
+  );
+});
+
+test('rewrite_codeblock_line follows renamed link targets', (t) => {
+  t.is(rewrite_codeblock_line('[[Specs/auth#Tokens]]', rename_file), '[[Specs/authentication#Tokens]]');
+  t.is(rewrite_codeblock_line('![[auth|Auth]]', rename_file), '![[authentication|Auth]]');
+  t.is(rewrite_codeblock_line('[Auth](Specs/auth.md)', move_folder), '[Auth](Docs/Specs/auth.md)');
+  t.is(rewrite_codeblock_line('[[auth]]', move_folder), undefined);
+  t.is(rewrite_codeblock_line('[[auth]]', delete_file), undefined);
+  t.is(rewrite_codeblock_line('[[Specs/auth.md]]', delete_file), null);
+});
+
+test('depth lines and rules follow their target', (t) => {
+  t.is(rewrite_codeblock_line('  Specs/auth.md >2 +backlinks', rename_file), '  Specs/authentication.md >2 +backlinks');
+  t.is(rewrite_codeblock_line('[[Specs/auth]] >1', move_folder), '[[Docs/Specs/auth]] >1');
+  t.is(rewrite_codeblock_line('Specs/auth.md >1', delete_file), null);
+
+  const data = {
+    codeblock_depth_rules: {
+      'Specs/auth.md >2': { target_key: 'Specs/auth.md', depth: 2, match_count: 4 },
+      'Notes/plan.md >1': { target_key: 'Notes/plan.md', depth: 1 },
+    },
+  };
+  rewrite_context_data(data, rename_file);
+  t.deepEqual(data.codeblock_depth_rules, {
+    'Specs/authentication.md >2': { target_key: 'Specs/authentication.md', depth: 2, match_count: 4 },
+    'Notes/plan.md >1': { target_key: 'Notes/plan.md', depth: 1 },
+  });
+  rewrite_context_data(data, { old_path: 'Notes/plan.md', new_path: null });
+  t.deepEqual(Object.keys(data.codeblock_depth_rules), ['Specs/authentication.md >2']);
+});
+
+test('note references follow a renamed or moved host note', (t) => {
+  t.is(rewrite_codeblock_line('ctx-note:: Specs/auth.md', rename_file), 'ctx-note:: Specs/authentication.md');
+  t.is(rewrite_codeblock_line('ctx-note:: [[Specs/auth]]', move_folder), 'ctx-note:: [[Docs/Specs/auth]]');
+  t.is(rewrite_codeblock_line('ctx-note:: Specs/auth.md', delete_file), null);
+  t.is(rewrite_codeblock_line('ctx-note:: Notes/plan.md', rename_file), undefined);
+
+  const data = {
+    codeblock_note_contexts: {
+      'ctx-note:: Specs/auth.md': { target_path: 'Specs/auth.md', match_count: 2 },
+    },
+  };
+  rewrite_context_data(data, move_folder);
+  t.deepEqual(data.codeblock_note_contexts, {
+    'ctx-note:: Docs/Specs/auth.md': { target_path: 'Docs/Specs/auth.md', match_count: 2 },
+  });
+});
+
+test('apply_vault_path_changes rewrites codeblocks in notes whose context is not loaded', async (t) => {
+  const files = {
+    'Notes/hub.md': '# Hub\n```ctx\nSpecs/auth.md\n```',
+    'Notes/plain.md': 'No codeblocks here.',
+    'Notes/code.md': '```js\nconst path = "Specs/auth.md";\n```',
+  };
+  const sections = {
+    'Notes/hub.md': [{ type: 'heading' }, { type: 'code' }],
+    'Notes/plain.md': [{ type: 'paragraph' }],
+    'Notes/code.md': [{ type: 'code' }],
+  };
+  const reads = [];
+  const writes = [];
+  const plugin = {
+    app: {
+      metadataCache: { getFileCache: (file) => ({ sections: sections[file.path] }) },
+      vault: {
+        getMarkdownFiles: () => Object.keys(files).map((path) => ({ path, extension: 'md' })),
+        getFileByPath: (path) => (path in files ? { path, extension: 'md' } : null),
+        cachedRead: async (file) => {
+          reads.push(file.path);
+          return files[file.path];
+        },
+        process: async (file, fn) => {
+          writes.push(file.path);
+          // an edit lands between the cached read and the write
+          files[file.path] = fn(`${files[file.path]}\nTyped meanwhile.`);
+        },
+        read: async () => t.fail('read/modify should not be used when process() exists'),
+        modify: async () => t.fail('read/modify should not be used when process() exists'),
+      },
+    },
+    env: {
+      smart_contexts: { items: {} },
+      events: { emit() {} },
+    },
+  };
+
+  const totals = await apply_vault_path_changes(plugin, [rename_file]);
+  t.is(files['Notes/hub.md'], '# Hub\n```ctx\nSpecs/authentication.md\n```\nTyped meanwhile.');
+  t.is(files['Notes/code.md'], '```js\nconst path = "Specs/auth.md";\n```');
+  t.deepEqual(reads.sort(), ['Notes/code.md', 'Notes/hub.md']);
+  t.deepEqual(writes, ['Notes/hub.md']);
+  t.like(totals, { notes: 1, updated_lines: 1 });
+});
+
+test('apply_vault_path_changes follows ctx-note:: targets in notes whose context is not loaded', async (t) => {
+  const files = {
+    'Daily.md': '```ctx\nctx-note:: Specs/auth.md\nctx-note:: [[Specs/auth#codeblock:review]]\n```',
+  };
+  const plugin = {
+    app: {
+      metadataCache: { getFileCache: () => ({ sections: [{ type: 'code' }] }) },
+      vault: {
+        getMarkdownFiles: () => Object.keys(files).map((path) => ({ path, extension: 'md' })),
+        getFileByPath: (path) => (path in files ? { path, extension: 'md' } : null),
+        cachedRead: async (file) => files[file.path],
+        process: async (file, fn) => {
+          files[file.path] = fn(files[file.path]);
+        },
+      },
+    },
+    env: {
+      smart_contexts: { items: {} },
+      events: { emit() {} },
+    },
+  };
+
+  const totals = await apply_vault_path_changes(plugin, [rename_file]);
+  t.is(
+    files['Daily.md'],
+    '```ctx\nctx-note:: Specs/authentication.md\nctx-note:: [[Specs/authentication#codeblock:review]]\n```',
+  );
+  t.like(totals, { notes: 1, updated_lines: 2 });
+});